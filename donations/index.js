@@ -0,0 +1,132 @@
+// ============================================
+// Donations & Gift Aid
+// ============================================
+//
+// Any checkout can carry a donation to the charity, added as its own line item. Buyers who
+// give can make a Gift Aid declaration; HMRC needs the donor's name, home address and
+// the declaration they agreed to, so all three are kept on the order. Promo codes are
+// Stripe coupons on the whole session and would reduce the donation too, so the two
+// can't be combined.
+
+const DONATION_MIN = 100; // £1
+const DONATION_MAX = 500000; // £5,000
+
+const DONATION_PRODUCT = {
+  name: 'Donation to Place of Victory Charity',
+  description: 'Thank you for your support',
+};
+
+const GIFT_AID_DECLARATION = 'I want to Gift Aid my donation to Place of Victory Charity. I am a UK taxpayer and understand that if I pay less Income Tax and/or Capital Gains Tax than the amount of Gift Aid claimed on all my donations in that tax year it is my responsibility to pay any difference.';
+
+// Gift Aid fields and their maximum lengths in HMRC's claim schedule
+const GIFT_AID_FIELDS = {
+  title: { column: 'title', maxLength: 4, required: false },
+  firstName: { column: 'first_name', maxLength: 35, required: true },
+  lastName: { column: 'last_name', maxLength: 35, required: true },
+  houseNameOrNumber: { column: 'house_name_or_number', maxLength: 40, required: true },
+  address: { column: 'address', maxLength: 200, required: true },
+  postcode: { column: 'postcode', maxLength: 10, required: true },
+};
+
+/**
+ * Check the optional donation (in pence) and Gift Aid declaration sent with a cart.
+ * `giftAid` is { declared: true, title?, firstName, lastName, houseNameOrNumber,
+ * address, postcode }; leaving `declared` unticked means no Gift Aid.
+ * Returns { donation, giftAid } or { error }.
+ */
+function resolveDonation({ donation, giftAid }) {
+  if (donation === undefined || donation === null || donation === 0) {
+    if (giftAid && giftAid.declared === true) {
+      return { error: 'Gift Aid can only be declared on a donation' };
+    }
+    return { donation: 0, giftAid: null };
+  }
+
+  const amount = Number(donation);
+  if (!Number.isInteger(amount) || amount < DONATION_MIN || amount > DONATION_MAX) {
+    return { error: `Donation must be between ${DONATION_MIN} and ${DONATION_MAX} pence` };
+  }
+
+  if (!giftAid || giftAid.declared !== true) {
+    return { donation: amount, giftAid: null };
+  }
+
+  const declaration = { declared: true, declaration: GIFT_AID_DECLARATION };
+
+  for (const [field, { column, maxLength, required }] of Object.entries(GIFT_AID_FIELDS)) {
+    const value = typeof giftAid[field] === 'string' ? giftAid[field].trim() : '';
+
+    if (required && !value) {
+      return { error: `giftAid.${field} is required` };
+    }
+    if (value.length > maxLength) {
+      return { error: `giftAid.${field} must be at most ${maxLength} characters` };
+    }
+
+    declaration[column] = field === 'postcode' ? value.toUpperCase() : value;
+  }
+
+  return { donation: amount, giftAid: declaration };
+}
+
+/**
+ * Whether a Gift Aid claim can be made on an order's donation: it must have been paid and
+ * not given back. Refunds are counted against the rest of the order first, so a partial
+ * refund of tickets doesn't rule the donation out. Disputed payments are left out until
+ * they are settled.
+ */
+function isGiftAidEligible(order) {
+  if (!order.gift_aid || !order.gift_aid.declared || !order.donation_amount) {
+    return false;
+  }
+  if (!['completed', 'partially_refunded'].includes(order.status)) {
+    return false;
+  }
+
+  return (order.amount_refunded || 0) <= order.amount_total - order.donation_amount;
+}
+
+// HMRC's schedule wants donation dates as DD/MM/YY, here in the charity's time zone
+function formatHmrcDate(date, timeZone) {
+  return new Date(date).toLocaleDateString('en-GB', {
+    day: '2-digit',
+    month: '2-digit',
+    year: '2-digit',
+    timeZone,
+  });
+}
+
+/**
+ * The Gift Aid queries. `getDb` resolves to the initialised Firestore database;
+ * `convertFirestoreData` turns an order document into JSON.
+ */
+function createDonations({ getDb, convertFirestoreData }) {
+  // Orders with a Gift Aid declaration, oldest donation first
+  async function listGiftAidOrders() {
+    const db = await getDb();
+
+    const snapshot = await db.collection('ticket_purchases')
+      .where('gift_aid.declared', '==', true)
+      .get();
+
+    return snapshot.docs
+      .map(doc => convertFirestoreData(doc.data()))
+      .sort((a, b) => new Date(a.paid_at || a.created_at) - new Date(b.paid_at || b.created_at));
+  }
+
+  return {
+    listGiftAidOrders,
+  };
+}
+
+module.exports = {
+  DONATION_MIN,
+  DONATION_MAX,
+  DONATION_PRODUCT,
+  GIFT_AID_DECLARATION,
+  GIFT_AID_FIELDS,
+  resolveDonation,
+  isGiftAidEligible,
+  formatHmrcDate,
+  createDonations,
+};
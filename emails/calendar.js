@@ -0,0 +1,101 @@
+// ============================================
+// Calendar Invites
+// ============================================
+//
+// Builds iCalendar (.ics) files and add-to-calendar links from plain entries:
+//   { uid, sequence, title, start, end, venue, description, url, cancelled }
+// `start` and `end` are dates or ISO strings. Calendars match entries by UID, so a file
+// with the same UID and a higher SEQUENCE replaces the entry imported earlier.
+
+const PRODID = '-//seminar-backend//Tickets//EN';
+
+// 20260314T180000Z
+function formatIcsDate(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Escape a TEXT value (RFC 5545 3.3.11)
+function escapeIcsText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+}
+
+function buildIcs(entries) {
+  const stamp = formatIcsDate(new Date());
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...entries.flatMap(entry => [
+      'BEGIN:VEVENT',
+      `UID:${entry.uid}`,
+      `SEQUENCE:${entry.sequence || 0}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatIcsDate(entry.start)}`,
+      `DTEND:${formatIcsDate(entry.end)}`,
+      `SUMMARY:${escapeIcsText(entry.title)}`,
+      `LOCATION:${escapeIcsText(entry.venue)}`,
+      `DESCRIPTION:${escapeIcsText(entry.description)}`,
+      ...(entry.url ? [`URL:${entry.url}`] : []),
+      `STATUS:${entry.cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+      'END:VEVENT',
+    ]),
+    'END:VCALENDAR',
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+function googleCalendarUrl(entry) {
+  const params = new URLSearchParams({
+    action: 'TEMPLATE',
+    text: entry.title,
+    dates: `${formatIcsDate(entry.start)}/${formatIcsDate(entry.end)}`,
+    details: entry.description || '',
+    location: entry.venue || '',
+  });
+  return `https://calendar.google.com/calendar/render?${params}`;
+}
+
+function outlookCalendarUrl(entry) {
+  const params = new URLSearchParams({
+    path: '/calendar/action/compose',
+    rru: 'addevent',
+    subject: entry.title,
+    startdt: new Date(entry.start).toISOString(),
+    enddt: new Date(entry.end).toISOString(),
+    body: entry.description || '',
+    location: entry.venue || '',
+  });
+  return `https://outlook.live.com/calendar/0/deeplink/compose?${params}`;
+}
+
+module.exports = {
+  buildIcs,
+  googleCalendarUrl,
+  outlookCalendarUrl,
+};
@@ -0,0 +1,147 @@
+// ============================================
+// Email Layout Partials
+// ============================================
+//
+// Every value interpolated into an `html` template is HTML-escaped unless it is itself
+// the output of `html` (or a partial below). That way customer-supplied fields such as
+// names and addresses can never inject markup into an email.
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+function renderValue(value) {
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  if (value === null || value === undefined || value === false) return '';
+  return escapeHtml(value);
+}
+
+// Tagged template literal: html`<p>${name}</p>`
+function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((out, string, i) => out + string + (i < values.length ? renderValue(values[i]) : ''), ''));
+}
+
+function brandName() {
+  return process.env.EMAIL_BRAND_NAME || 'The Team';
+}
+
+function formatMoney(pence) {
+  return `£${(pence / 100).toFixed(2)}`;
+}
+
+/**
+ * Wrap a template body in the shared page chrome. `preheader` is the preview line most
+ * mail clients show next to the subject.
+ */
+function layout({ heading, preheader = '', body }) {
+  return html`
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <span style="display: none; max-height: 0; overflow: hidden;">${preheader}</span>
+      <h1 style="color: #2d3748; margin-bottom: 20px;">${heading}</h1>
+      ${body}
+      <hr style="margin: 30px 0; border: none; border-top: 1px solid #e2e8f0;">
+      <p>If you have any questions, please reply to this email.</p>
+      <p>Best regards,<br>
+      ${brandName()}</p>
+    </div>
+  `.value.trim();
+}
+
+// Grey panel with bold label/value rows. Rows with an empty value are skipped.
+function detailsBox(title, rows) {
+  return html`
+      <div style="background-color: #f7fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <h3 style="margin-top: 0;">${title}</h3>
+        ${rows.filter(([, value]) => value !== '' && value !== null && value !== undefined)
+          .map(([label, value]) => html`<p><strong>${label}:</strong> ${value}</p>`)}
+      </div>`;
+}
+
+// Highlighted note, e.g. the charity message on book orders
+function callout(title, message) {
+  return html`
+      <div style="background-color: #fef2f2; padding: 15px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #ef4444;">
+        <p style="margin: 0; color: #991b1b;"><strong>${title}</strong></p>
+        ${message && html`<p style="margin: 5px 0 0 0; color: #7f1d1d; font-size: 14px;">${message}</p>`}
+      </div>`;
+}
+
+function button(href, label) {
+  return html`
+      <p style="margin: 25px 0;">
+        <a href="${href}" style="background-color: #2d3748; color: #ffffff; padding: 12px 20px; border-radius: 6px; text-decoration: none; display: inline-block;">${label}</a>
+      </p>`;
+}
+
+function list(title, items) {
+  return html`
+      <h3>${title}</h3>
+      <ul>
+        ${items.map(item => html`<li>${item}</li>`)}
+      </ul>`;
+}
+
+// Plain-text counterparts of the partials above
+
+function textLayout({ heading, body }) {
+  return [
+    heading,
+    '='.repeat(heading.length),
+    '',
+    ...body,
+    '',
+    '---',
+    'If you have any questions, please reply to this email.',
+    '',
+    'Best regards,',
+    brandName(),
+  ].join('\n');
+}
+
+function textDetails(title, rows) {
+  return [
+    title,
+    ...rows
+      .filter(([, value]) => value !== '' && value !== null && value !== undefined)
+      .map(([label, value]) => `  ${label}: ${value}`),
+    '',
+  ].join('\n');
+}
+
+function textList(title, items) {
+  return [title, ...items.map(item => `  - ${item}`), ''].join('\n');
+}
+
+module.exports = {
+  SafeHtml,
+  escapeHtml,
+  html,
+  formatMoney,
+  layout,
+  detailsBox,
+  callout,
+  button,
+  list,
+  textLayout,
+  textDetails,
+  textList,
+};
@@ -0,0 +1,135 @@
+// Sample data for previewing each template at /api/debug/email-preview/:template.
+// Names deliberately include markup so the preview shows that escaping works.
+
+const sampleEvent = {
+  title: 'Build Wealth Through Property Seminar',
+  date: 'Saturday, 14 March 2026',
+  time: '6:00 PM - 9:00 PM',
+  venue: 'Ramada Encore Chatham',
+};
+
+const sampleOrderLink = 'http://localhost:3000/orders/TIX-1700000000000-abc123def?token=sample';
+
+const sampleCalendarLinks = [{
+  title: sampleEvent.title,
+  google: 'https://calendar.google.com/calendar/render?action=TEMPLATE&text=Build+Wealth+Through+Property+Seminar&dates=20260314T180000Z%2F20260314T210000Z',
+  outlook: 'https://outlook.live.com/calendar/0/deeplink/compose?rru=addevent&subject=Build+Wealth+Through+Property+Seminar',
+}];
+
+module.exports = {
+  ticket_confirmation: {
+    name: 'Alex <b>Sample</b>',
+    orderRef: 'TIX-1700000000000-abc123def',
+    quantity: 2,
+    event: sampleEvent,
+    tickets: [
+      { code: 'sampleTicketOne.sig', admission_number: 1, attendee_name: 'Alex <b>Sample</b>' },
+      { code: 'sampleTicketTwo.sig', admission_number: 2, attendee_name: 'Sam <b>Guest</b>' },
+    ],
+    orderLink: sampleOrderLink,
+    calendarLinks: sampleCalendarLinks,
+  },
+  attendee_ticket: {
+    name: 'Sam <b>Guest</b>',
+    buyerName: 'Alex <b>Sample</b>',
+    orderRef: 'TIX-1700000000000-abc123def',
+    event: sampleEvent,
+    ticket: { code: 'sampleTicketTwo.sig', admission_number: 2 },
+  },
+  book_confirmation: {
+    name: 'Alex <b>Sample</b>',
+    orderRef: 'BOOK-1700000000000-abc123def',
+    quantity: 2,
+    address: '1 High Street & Co',
+    city: 'Chatham',
+    postcode: 'ME4 4AA',
+    amountTotal: 3998,
+    orderLink: sampleOrderLink,
+  },
+  order_confirmation: {
+    name: 'Alex <b>Sample</b>',
+    orderRef: 'ORD-1700000000000-abc123def',
+    items: [
+      { name: sampleEvent.title, quantity: 2, amount: 5000 },
+      { name: 'Build Wealth Through Property — 7 Reasons Why', quantity: 1, amount: 1999 },
+      { name: 'Donation to Place of Victory Charity', quantity: 1, amount: 1000 },
+    ],
+    discountAmount: 0,
+    amountTotal: 7999,
+    events: [sampleEvent],
+    tickets: [
+      { code: 'sampleTicketOne.sig', admission_number: 1, eventTitle: sampleEvent.title },
+      { code: 'sampleTicketTwo.sig', admission_number: 2, eventTitle: sampleEvent.title },
+    ],
+    shipping: { address: '1 High Street & Co', city: 'Chatham', postcode: 'ME4 4AA' },
+    orderLink: sampleOrderLink,
+    calendarLinks: sampleCalendarLinks,
+    donationAmount: 1000,
+    giftAid: true,
+  },
+  book_dispatched: {
+    name: 'Alex <b>Sample</b>',
+    orderRef: 'BOOK-1700000000000-abc123def',
+    quantity: 2,
+    address: '1 High Street & Co',
+    city: 'Chatham',
+    postcode: 'ME4 4AA',
+    carrier: 'Royal Mail',
+    trackingNumber: 'AB123456789GB',
+    trackingUrl: 'https://www.royalmail.com/track-your-item#/tracking-results/AB123456789GB',
+  },
+  refund: {
+    name: 'Alex <b>Sample</b>',
+    orderRef: 'TIX-1700000000000-abc123def',
+    productType: 'ticket',
+    productName: sampleEvent.title,
+    quantity: 2,
+    amountRefunded: 2500,
+    fullRefund: false,
+    seatsReleased: 1,
+  },
+  order_on_hold: {
+    name: 'Alex <b>Sample</b>',
+    orderRef: 'TIX-1700000000000-abc123def',
+    productName: sampleEvent.title,
+    quantity: 2,
+  },
+  order_reinstated: {
+    name: 'Alex <b>Sample</b>',
+    orderRef: 'TIX-1700000000000-abc123def',
+    productName: sampleEvent.title,
+    quantity: 2,
+  },
+  event_reminder: {
+    name: 'Alex <b>Sample</b>',
+    orderRef: 'TIX-1700000000000-abc123def',
+    quantity: 2,
+    event: sampleEvent,
+    when: 'tomorrow',
+    orderLink: sampleOrderLink,
+  },
+  event_follow_up: {
+    name: 'Alex <b>Sample</b>',
+    orderRef: 'TIX-1700000000000-abc123def',
+    event: sampleEvent,
+    feedbackUrl: 'https://example.com/feedback?event=sample',
+  },
+  waitlist_offer: {
+    name: 'Alex <b>Sample</b>',
+    quantity: 2,
+    event: sampleEvent,
+    checkoutUrl: 'https://checkout.stripe.com/c/pay/cs_test_sample',
+    expiresAt: 'Friday 13 March at 6:00 pm',
+  },
+  access_code: {
+    orderRef: 'TIX-1700000000000-abc123def',
+    code: '042917',
+    ttlMinutes: 15,
+  },
+  order_links: {
+    orders: [
+      { orderRef: 'TIX-1700000000000-abc123def', description: sampleEvent.title, link: sampleOrderLink },
+      { orderRef: 'BOOK-1700000000000-abc123def', description: 'Book order', link: sampleOrderLink },
+    ],
+  },
+};
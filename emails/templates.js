@@ -0,0 +1,632 @@
+// ============================================
+// Email Templates
+// ============================================
+//
+// Each template takes plain data and returns { subject, html, text }. Templates don't
+// look anything up or format dates themselves; callers pass display-ready strings
+// (see emailEventDetails() in index.js), which keeps them easy to preview.
+
+const {
+  html,
+  formatMoney,
+  layout,
+  detailsBox,
+  callout,
+  button,
+  list,
+  textLayout,
+  textDetails,
+  textList,
+} = require('./layout');
+
+const BOOK_TITLE = 'Build Wealth Through Property — 7 Reasons Why';
+
+// Content-ID for a ticket's inline QR image; the sender attaches images under the same ID
+function ticketImageCid(orderRef, admissionNumber) {
+  return `ticket-${admissionNumber}@${orderRef}`;
+}
+
+function plural(count, singular, pluralForm = `${singular}s`) {
+  return `${count} ${count === 1 ? singular : pluralForm}`;
+}
+
+// "Ticket 2 of 3", plus the attendee's name when the buyer gave one
+function ticketLabel(ticket, count) {
+  return `Ticket ${ticket.admission_number} of ${count}${ticket.attendee_name ? ` - ${ticket.attendee_name}` : ''}`;
+}
+
+function ticketQrBlock(orderRef, ticket, label) {
+  return html`
+      <div style="border: 1px dashed #cbd5e0; padding: 15px; border-radius: 8px; margin: 15px 0; text-align: center;">
+        <p style="margin-top: 0;"><strong>${label}</strong></p>
+        <img src="${ticket.imageSrc || `cid:${ticketImageCid(orderRef, ticket.admission_number)}`}" width="200" height="200" alt="Ticket QR code">
+        <p style="margin-bottom: 0; font-family: monospace; font-size: 12px; color: #4a5568;">${ticket.code}</p>
+      </div>`;
+}
+
+// Thank-you for a donation added at checkout, as [html, text]; empty without one
+function donationThanks(data) {
+  if (!data.donationAmount) {
+    return [null, []];
+  }
+
+  const note = data.giftAid
+    ? `Your ${formatMoney(data.donationAmount)} donation with Gift Aid lets the charity claim an extra 25p for every £1 you gave.`
+    : `Your ${formatMoney(data.donationAmount)} donation goes straight to Place of Victory Charity.`;
+
+  return [callout('Thank you for your donation!', note), [`Thank you for your donation! ${note}`, '']];
+}
+
+// Add-to-calendar links; the matching .ics invite is attached by the sender
+function calendarLinks(data) {
+  const links = data.calendarLinks || [];
+  if (links.length === 0) {
+    return [null, []];
+  }
+
+  const title = link => (links.length > 1 ? ` (${link.title})` : '');
+  const items = links.flatMap(link => [
+    html`<a href="${link.google}">Add to Google Calendar${title(link)}</a>`,
+    html`<a href="${link.outlook}">Add to Outlook${title(link)}</a>`,
+  ]);
+  const textItems = links.flatMap(link => [
+    `Google Calendar${title(link)}: ${link.google}`,
+    `Outlook${title(link)}: ${link.outlook}`,
+  ]);
+
+  return [
+    list('Add to Your Calendar', [...items, 'Or open the attached event.ics invite']),
+    [textList('Add to Your Calendar', [...textItems, 'Or open the attached event.ics invite'])],
+  ];
+}
+
+function eventRows(event) {
+  return [
+    ['Event', event.title],
+    ['Event Date', event.date],
+    ['Event Time', event.time],
+    ['Venue', event.venue],
+  ];
+}
+
+const templates = {
+  /**
+   * data: { name, orderRef, quantity, event: { title, date, time, venue },
+   *         tickets: [{ code, admission_number, attendee_name?, imageSrc? }], orderLink,
+   *         calendarLinks?: [{ title, google, outlook }], donationAmount?, giftAid? }
+   */
+  ticket_confirmation(data) {
+    const tickets = data.tickets || [];
+    const [donationHtml, donationText] = donationThanks(data);
+    const [calendarHtml, calendarText] = calendarLinks(data);
+    const rows = [
+      ['Order Reference', data.orderRef],
+      ['Number of Tickets', data.quantity],
+      ...eventRows(data.event),
+    ];
+    const bring = [
+      'Your ticket QR codes (digital or printed)',
+      'A valid ID',
+      html`Your order reference: <strong>${data.orderRef}</strong>`,
+    ];
+
+    return {
+      subject: `Booking Confirmed - Your Seminar Tickets (${data.orderRef})`,
+      html: layout({
+        heading: 'Booking Confirmed! 🎉',
+        preheader: `${data.event.title} - ${data.event.date}`,
+        body: html`
+      <p>Hi ${data.name},</p>
+      <p>Thank you for booking your tickets to our seminar. Your booking has been confirmed!</p>
+      ${detailsBox('Your Booking Details', rows)}
+      ${donationHtml}
+      ${tickets.length > 0 && html`
+      <h3>Your Tickets</h3>
+      <p>Each QR code admits one person and can only be scanned once.</p>
+      ${tickets.map(ticket => ticketQrBlock(data.orderRef, ticket, ticketLabel(ticket, tickets.length)))}`}
+      ${list('What to Bring', bring)}
+      ${calendarHtml}
+      ${data.orderLink && button(data.orderLink, 'View your booking online')}
+      <p>We look forward to seeing you at the seminar!</p>`,
+      }),
+      text: textLayout({
+        heading: 'Booking Confirmed!',
+        body: [
+          `Hi ${data.name},`,
+          '',
+          'Thank you for booking your tickets to our seminar. Your booking has been confirmed!',
+          '',
+          textDetails('Your Booking Details', rows),
+          ...donationText,
+          ...(tickets.length > 0
+            ? [textList('Your Ticket Codes (each admits one person, once)', tickets.map(ticket => `${ticketLabel(ticket, tickets.length)}: ${ticket.code}`))]
+            : []),
+          textList('What to Bring', ['Your ticket QR codes (digital or printed)', 'A valid ID', `Your order reference: ${data.orderRef}`]),
+          ...calendarText,
+          ...(data.orderLink ? [`View your booking online: ${data.orderLink}`, ''] : []),
+          'We look forward to seeing you at the seminar!',
+        ],
+      }),
+    };
+  },
+
+  /**
+   * data: { name, buyerName, orderRef, event: { title, date, time, venue },
+   *         ticket: { code, admission_number, imageSrc? } }
+   * Sent to an attendee named on someone else's booking.
+   */
+  attendee_ticket(data) {
+    const intro = `${data.buyerName} has booked you a place at ${data.event.title}. Your ticket is below.`;
+    const rows = [['Booking Reference', data.orderRef], ...eventRows(data.event)];
+    const bring = ['This QR code (digital or printed)', 'A valid ID'];
+
+    return {
+      subject: `Your Ticket for ${data.event.title}`,
+      html: layout({
+        heading: 'You\'re booked in! 🎟️',
+        preheader: `${data.event.title} - ${data.event.date}`,
+        body: html`
+      <p>Hi ${data.name},</p>
+      <p>${intro}</p>
+      ${detailsBox('Event Details', rows)}
+      ${ticketQrBlock(data.orderRef, data.ticket, 'Your Ticket')}
+      <p>This QR code admits one person and can only be scanned once.</p>
+      ${list('What to Bring', bring)}`,
+      }),
+      text: textLayout({
+        heading: 'You\'re booked in!',
+        body: [
+          `Hi ${data.name},`,
+          '',
+          intro,
+          '',
+          textDetails('Event Details', rows),
+          `Your ticket code (admits one person, once): ${data.ticket.code}`,
+          '',
+          textList('What to Bring', bring),
+        ],
+      }),
+    };
+  },
+
+  /**
+   * data: { name, orderRef, quantity, address, city, postcode, amountTotal, orderLink,
+   *         donationAmount?, giftAid? }
+   */
+  book_confirmation(data) {
+    const quantity = data.quantity || 1;
+    const [donationHtml, donationText] = donationThanks(data);
+    const rows = [
+      ['Order Reference', data.orderRef],
+      ['Product', BOOK_TITLE],
+      ['Quantity', plural(quantity, 'book')],
+      ['Shipping Address', data.address],
+      ['City', data.city],
+      ['Postcode', data.postcode],
+      ['Donation', data.donationAmount ? formatMoney(data.donationAmount) : ''],
+      ['Total Amount', formatMoney(data.amountTotal)],
+    ];
+    const next = [
+      `Your book${quantity > 1 ? 's' : ''} will be shipped to the address provided`,
+      'You will receive a shipping confirmation email once your order is dispatched',
+      'Expected delivery: 5-7 business days',
+    ];
+
+    return {
+      subject: `Order Confirmed - Your Book Purchase (${data.orderRef})`,
+      html: layout({
+        heading: 'Order Confirmed! 📚',
+        preheader: `Thank you for buying "${BOOK_TITLE}"`,
+        body: html`
+      <p>Hi ${data.name},</p>
+      <p>Thank you for purchasing "${BOOK_TITLE}". Your order has been confirmed!</p>
+      ${detailsBox('Your Order Details', rows)}
+      ${callout('100% of proceeds go to Place of Victory Charity', 'Thank you for supporting our charity mission!')}
+      ${donationHtml}
+      ${list('What Happens Next?', next)}
+      ${data.orderLink && button(data.orderLink, 'View your order online')}`,
+      }),
+      text: textLayout({
+        heading: 'Order Confirmed!',
+        body: [
+          `Hi ${data.name},`,
+          '',
+          `Thank you for purchasing "${BOOK_TITLE}". Your order has been confirmed!`,
+          '',
+          textDetails('Your Order Details', rows),
+          '100% of proceeds go to Place of Victory Charity. Thank you for supporting our charity mission!',
+          '',
+          ...donationText,
+          textList('What Happens Next?', next),
+          ...(data.orderLink ? [`View your order online: ${data.orderLink}`] : []),
+        ],
+      }),
+    };
+  },
+
+  /**
+   * data: { name, orderRef, items: [{ name, quantity, amount }], discountAmount, amountTotal,
+   *         events: [{ title, date, time, venue }],
+   *         tickets: [{ code, admission_number, attendee_name?, eventTitle, imageSrc? }],
+   *         shipping: { address, city, postcode } | null, orderLink,
+   *         calendarLinks?: [{ title, google, outlook }], donationAmount?, giftAid? }
+   * Sent for orders that mix products or cover more than one event.
+   */
+  order_confirmation(data) {
+    const tickets = data.tickets || [];
+    const [donationHtml, donationText] = donationThanks(data);
+    const [calendarHtml, calendarText] = calendarLinks(data);
+    const events = data.events || [];
+    const rows = [
+      ['Order Reference', data.orderRef],
+      ...data.items.map(item => [`${item.quantity} × ${item.name}`, formatMoney(item.amount)]),
+      ['Discount', data.discountAmount ? `-${formatMoney(data.discountAmount)}` : ''],
+      ['Total Amount', formatMoney(data.amountTotal)],
+    ];
+    const shippingRows = data.shipping
+      ? [['Shipping Address', data.shipping.address], ['City', data.shipping.city], ['Postcode', data.shipping.postcode]]
+      : [];
+    const label = ticket => `${ticketLabel(ticket, tickets.length)}${events.length > 1 ? ` (${ticket.eventTitle})` : ''}`;
+
+    return {
+      subject: `Order Confirmed (${data.orderRef})`,
+      html: layout({
+        heading: 'Order Confirmed! 🎉',
+        preheader: data.items.map(item => item.name).join(' + '),
+        body: html`
+      <p>Hi ${data.name},</p>
+      <p>Thank you for your order. Your payment has been received and your order is confirmed!</p>
+      ${detailsBox('Your Order Details', rows)}
+      ${donationHtml}
+      ${events.map(event => detailsBox(events.length > 1 ? event.title : 'Your Event', eventRows(event)))}
+      ${tickets.length > 0 && html`
+      <h3>Your Tickets</h3>
+      <p>Each QR code admits one person and can only be scanned once. Please bring them and a valid ID to the event.</p>
+      ${tickets.map(ticket => ticketQrBlock(data.orderRef, ticket, label(ticket)))}`}
+      ${calendarHtml}
+      ${data.shipping && html`
+      ${detailsBox('Shipping To', shippingRows)}
+      <p>You will receive a shipping confirmation email once your books are dispatched. Expected delivery: 5-7 business days.</p>`}
+      ${data.orderLink && button(data.orderLink, 'View your order online')}`,
+      }),
+      text: textLayout({
+        heading: 'Order Confirmed!',
+        body: [
+          `Hi ${data.name},`,
+          '',
+          'Thank you for your order. Your payment has been received and your order is confirmed!',
+          '',
+          textDetails('Your Order Details', rows),
+          ...donationText,
+          ...events.map(event => textDetails(events.length > 1 ? event.title : 'Your Event', eventRows(event))),
+          ...(tickets.length > 0
+            ? [textList('Your Ticket Codes (each admits one person, once)', tickets.map(ticket => `${label(ticket)}: ${ticket.code}`))]
+            : []),
+          ...calendarText,
+          ...(data.shipping
+            ? [textDetails('Shipping To', shippingRows), 'You will receive a shipping confirmation email once your books are dispatched. Expected delivery: 5-7 business days.', '']
+            : []),
+          ...(data.orderLink ? [`View your order online: ${data.orderLink}`] : []),
+        ],
+      }),
+    };
+  },
+
+  /**
+   * data: { name, orderRef, quantity, address, city, postcode, carrier, trackingNumber,
+   *         trackingUrl }
+   */
+  book_dispatched(data) {
+    const quantity = data.quantity || 1;
+    const rows = [
+      ['Order Reference', data.orderRef],
+      ['Quantity', plural(quantity, 'book')],
+      ['Carrier', data.carrier],
+      ['Tracking Number', data.trackingNumber],
+      ['Delivering To', [data.address, data.city, data.postcode].filter(Boolean).join(', ')],
+    ];
+    const intro = `Good news! Your copy of "${BOOK_TITLE}" is on its way.`;
+
+    return {
+      subject: `Your Book Has Been Dispatched (${data.orderRef})`,
+      html: layout({
+        heading: 'Your order is on its way! 📦',
+        preheader: intro,
+        body: html`
+      <p>Hi ${data.name},</p>
+      <p>${intro}</p>
+      ${detailsBox('Shipping Details', rows)}
+      ${data.trackingUrl && button(data.trackingUrl, 'Track your parcel')}
+      <p>Deliveries usually arrive within 2-5 business days of dispatch.</p>`,
+      }),
+      text: textLayout({
+        heading: 'Your order is on its way!',
+        body: [
+          `Hi ${data.name},`,
+          '',
+          intro,
+          '',
+          textDetails('Shipping Details', rows),
+          ...(data.trackingUrl ? [`Track your parcel: ${data.trackingUrl}`, ''] : []),
+          'Deliveries usually arrive within 2-5 business days of dispatch.',
+        ],
+      }),
+    };
+  },
+
+  /**
+   * data: { name, orderRef, productType, productName, quantity, amountRefunded,
+   *         fullRefund, seatsReleased }
+   * A full refund is worded as a cancellation.
+   */
+  refund(data) {
+    let message;
+    if (data.fullRefund) {
+      message = data.productType === 'book'
+        ? 'Your book order has been cancelled and refunded in full.'
+        : 'Your booking has been cancelled and refunded in full. Your tickets are no longer valid.';
+    } else {
+      message = data.seatsReleased
+        ? `We have refunded part of your order and cancelled ${plural(data.seatsReleased, 'ticket')}. Your remaining tickets are still valid.`
+        : 'We have refunded part of your order. The rest of your order is unchanged.';
+    }
+    const heading = data.fullRefund ? 'Your order has been cancelled' : 'A partial refund has been issued';
+    const rows = [
+      ['Order Reference', data.orderRef],
+      ['Product', data.productName],
+      ['Quantity', data.quantity],
+      ['Amount Refunded', data.amountRefunded ? formatMoney(data.amountRefunded) : ''],
+    ];
+    const timing = 'Refunds usually reach your account within 5-10 business days.';
+
+    return {
+      subject: data.fullRefund
+        ? `Order Cancelled - Refund Issued (${data.orderRef})`
+        : `Partial Refund Issued (${data.orderRef})`,
+      html: layout({
+        heading,
+        preheader: message,
+        body: html`
+      <p>Hi ${data.name},</p>
+      <p>${message}</p>
+      ${detailsBox('Order Details', rows)}
+      ${data.amountRefunded && html`<p>${timing}</p>`}`,
+      }),
+      text: textLayout({
+        heading,
+        body: [
+          `Hi ${data.name},`,
+          '',
+          message,
+          '',
+          textDetails('Order Details', rows),
+          ...(data.amountRefunded ? [timing] : []),
+        ],
+      }),
+    };
+  },
+
+  /**
+   * data: { name, orderRef, productName, quantity }
+   */
+  order_on_hold(data) {
+    const message = 'Your card issuer has told us the payment for this order is being disputed. Your order is on hold until the dispute is resolved. If you did not mean to dispute this payment, please reply to this email.';
+    const rows = [['Order Reference', data.orderRef], ['Product', data.productName], ['Quantity', data.quantity]];
+
+    return {
+      subject: `Your Order Is On Hold (${data.orderRef})`,
+      html: layout({
+        heading: 'Your order is on hold',
+        body: html`
+      <p>Hi ${data.name},</p>
+      <p>${message}</p>
+      ${detailsBox('Order Details', rows)}`,
+      }),
+      text: textLayout({
+        heading: 'Your order is on hold',
+        body: [`Hi ${data.name},`, '', message, '', textDetails('Order Details', rows)],
+      }),
+    };
+  },
+
+  /**
+   * data: { name, orderRef, productName, quantity }
+   */
+  order_reinstated(data) {
+    const message = 'The payment dispute on this order has been resolved and your order is active again.';
+    const rows = [['Order Reference', data.orderRef], ['Product', data.productName], ['Quantity', data.quantity]];
+
+    return {
+      subject: `Your Order Has Been Reinstated (${data.orderRef})`,
+      html: layout({
+        heading: 'Your order has been reinstated',
+        body: html`
+      <p>Hi ${data.name},</p>
+      <p>${message}</p>
+      ${detailsBox('Order Details', rows)}`,
+      }),
+      text: textLayout({
+        heading: 'Your order has been reinstated',
+        body: [`Hi ${data.name},`, '', message, '', textDetails('Order Details', rows)],
+      }),
+    };
+  },
+
+  /**
+   * data: { name, orderRef, quantity, event: { title, date, time, venue }, when, orderLink }
+   * `when` is a phrase such as "tomorrow" or "in 7 days".
+   */
+  event_reminder(data) {
+    const rows = [['Order Reference', data.orderRef], ['Number of Tickets', data.quantity], ...eventRows(data.event)];
+    const intro = `Just a reminder that ${data.event.title} is ${data.when}. We look forward to seeing you there!`;
+    const bring = ['Your ticket QR codes from your confirmation email (digital or printed)', 'A valid ID'];
+
+    return {
+      subject: `Reminder: ${data.event.title} is ${data.when}`,
+      html: layout({
+        heading: `See you ${data.when}!`,
+        preheader: `${data.event.date}, ${data.event.time} at ${data.event.venue}`,
+        body: html`
+      <p>Hi ${data.name},</p>
+      <p>${intro}</p>
+      ${detailsBox('Your Booking', rows)}
+      ${list('What to Bring', bring)}
+      ${data.orderLink && button(data.orderLink, 'View your tickets')}`,
+      }),
+      text: textLayout({
+        heading: `See you ${data.when}!`,
+        body: [
+          `Hi ${data.name},`,
+          '',
+          intro,
+          '',
+          textDetails('Your Booking', rows),
+          textList('What to Bring', bring),
+          ...(data.orderLink ? [`View your tickets: ${data.orderLink}`] : []),
+        ],
+      }),
+    };
+  },
+
+  /**
+   * data: { name, orderRef, event: { title, date, time, venue }, feedbackUrl }
+   * Sent after the event; `feedbackUrl` may be empty.
+   */
+  event_follow_up(data) {
+    const intro = `Thank you for coming to ${data.event.title}. We hope you found it worthwhile!`;
+    const ask = 'We would love to hear what you thought. It only takes a couple of minutes and helps us plan future events.';
+
+    return {
+      subject: `Thank you for coming to ${data.event.title}`,
+      html: layout({
+        heading: 'Thank You for Coming!',
+        preheader: data.feedbackUrl ? 'Tell us what you thought' : data.event.title,
+        body: html`
+      <p>Hi ${data.name},</p>
+      <p>${intro}</p>
+      ${data.feedbackUrl && html`
+      <p>${ask}</p>
+      ${button(data.feedbackUrl, 'Share your feedback')}`}
+      <p>We hope to see you again soon.</p>`,
+      }),
+      text: textLayout({
+        heading: 'Thank You for Coming!',
+        body: [
+          `Hi ${data.name},`,
+          '',
+          intro,
+          '',
+          ...(data.feedbackUrl ? [ask, `Share your feedback: ${data.feedbackUrl}`, ''] : []),
+          'We hope to see you again soon.',
+        ],
+      }),
+    };
+  },
+
+  /**
+   * data: { name, quantity, event: { title, date, time, venue }, checkoutUrl, expiresAt }
+   * `expiresAt` is a display string such as "Saturday 14 March at 6:00 pm".
+   */
+  waitlist_offer(data) {
+    const intro = `Good news! ${plural(data.quantity, 'seat')} at ${data.event.title} ${data.quantity === 1 ? 'has' : 'have'} come free and we're holding ${data.quantity === 1 ? 'it' : 'them'} for you.`;
+    const deadline = `This offer is reserved for you until ${data.expiresAt}. After that the seats go to the next person on the waitlist.`;
+    const rows = [['Seats', data.quantity], ...eventRows(data.event)];
+
+    return {
+      subject: `Seats available: ${data.event.title}`,
+      html: layout({
+        heading: 'Your seats are waiting! ⏳',
+        preheader: deadline,
+        body: html`
+      <p>Hi ${data.name},</p>
+      <p>${intro}</p>
+      ${detailsBox('Event Details', rows)}
+      ${button(data.checkoutUrl, 'Complete your booking')}
+      <p>${deadline}</p>`,
+      }),
+      text: textLayout({
+        heading: 'Your seats are waiting!',
+        body: [
+          `Hi ${data.name},`,
+          '',
+          intro,
+          '',
+          textDetails('Event Details', rows),
+          `Complete your booking: ${data.checkoutUrl}`,
+          '',
+          deadline,
+        ],
+      }),
+    };
+  },
+
+  /**
+   * data: { orderRef, code, ttlMinutes }
+   */
+  access_code(data) {
+    const expiry = `The code expires in ${data.ttlMinutes} minutes. If you did not ask for it, you can ignore this email.`;
+
+    return {
+      subject: `Your access code for order ${data.orderRef}`,
+      html: layout({
+        heading: 'Your access code',
+        body: html`
+      <p>Use this code to view your order <strong>${data.orderRef}</strong>:</p>
+      <p style="font-size: 28px; font-weight: bold; letter-spacing: 6px; background-color: #f7fafc; padding: 15px; border-radius: 8px; text-align: center;">${data.code}</p>
+      <p>${expiry}</p>`,
+      }),
+      text: textLayout({
+        heading: 'Your access code',
+        body: [`Use this code to view your order ${data.orderRef}:`, '', `    ${data.code}`, '', expiry],
+      }),
+    };
+  },
+
+  /**
+   * data: { orders: [{ orderRef, description, link }] }
+   */
+  order_links(data) {
+    const ignore = 'If you did not ask for these links, you can ignore this email.';
+
+    return {
+      subject: 'Your order links',
+      html: layout({
+        heading: 'Your orders',
+        body: html`
+      <p>Here are the links to your orders:</p>
+      <ul>
+        ${data.orders.map(order => html`<li><a href="${order.link}">${order.orderRef}</a> - ${order.description}</li>`)}
+      </ul>
+      <p>${ignore}</p>`,
+      }),
+      text: textLayout({
+        heading: 'Your orders',
+        body: [
+          'Here are the links to your orders:',
+          '',
+          ...data.orders.map(order => `  ${order.orderRef} - ${order.description}\n  ${order.link}\n`),
+          ignore,
+        ],
+      }),
+    };
+  },
+};
+
+const TEMPLATE_NAMES = Object.keys(templates);
+
+function renderEmail(name, data) {
+  const template = templates[name];
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  return template(data);
+}
+
+module.exports = {
+  BOOK_TITLE,
+  TEMPLATE_NAMES,
+  renderEmail,
+  ticketImageCid,
+};
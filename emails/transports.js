@@ -0,0 +1,119 @@
+// ============================================
+// Email Transports
+// ============================================
+//
+// Chosen with EMAIL_TRANSPORT:
+//   gmail   (default) Gmail with EMAIL_USER / EMAIL_PASSWORD (an app-specific password)
+//   smtp    any SMTP server: SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD
+//   file    writes each message as an .eml file to EMAIL_OUTPUT_DIR (default ./sent-emails)
+//   console logs each message's (masked) recipient and subject instead of sending it;
+//           use file to read the whole message, since bodies hold ticket and access codes
+// Every transport exposes sendMail(message) -> Promise<{ messageId }>.
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { logger, maskEmails } = require('../observability');
+
+const TRANSPORT_NAMES = ['gmail', 'smtp', 'file', 'console'];
+
+// Environment variables each transport can't work without
+const TRANSPORT_ENV_VARS = {
+  gmail: ['EMAIL_USER', 'EMAIL_PASSWORD'],
+  smtp: ['SMTP_HOST'],
+  file: [],
+  console: [],
+};
+
+function getTransportName() {
+  return process.env.EMAIL_TRANSPORT || 'gmail';
+}
+
+function requiredTransportEnvVars(name = getTransportName()) {
+  return TRANSPORT_ENV_VARS[name] || [];
+}
+
+function createGmailTransport() {
+  return nodemailer.createTransport({
+    service: 'gmail',
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASSWORD,
+    },
+  });
+}
+
+function createSmtpTransport() {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is not set');
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    ...(process.env.SMTP_USER && {
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASSWORD,
+      },
+    }),
+  });
+}
+
+function createFileTransport() {
+  const outputDir = process.env.EMAIL_OUTPUT_DIR || path.join(process.cwd(), 'sent-emails');
+  const streamTransport = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    async sendMail(message) {
+      const info = await streamTransport.sendMail(message);
+      const safeRecipient = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+      const file = path.join(outputDir, `${Date.now()}-${safeRecipient}.eml`);
+
+      await fs.promises.mkdir(outputDir, { recursive: true });
+      await fs.promises.writeFile(file, info.message);
+      logger.info('Email written to file', { file });
+
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+function createConsoleTransport() {
+  const jsonTransport = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    async sendMail(message) {
+      const info = await jsonTransport.sendMail(message);
+
+      logger.info('Email logged by console transport', {
+        to: maskEmails(String(message.to)),
+        subject: message.subject,
+      });
+
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+function createEmailTransport(name = getTransportName()) {
+  switch (name) {
+    case 'gmail':
+      return createGmailTransport();
+    case 'smtp':
+      return createSmtpTransport();
+    case 'file':
+      return createFileTransport();
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT "${name}". Must be one of: ${TRANSPORT_NAMES.join(', ')}`);
+  }
+}
+
+module.exports = {
+  TRANSPORT_NAMES,
+  createEmailTransport,
+  requiredTransportEnvVars,
+};
@@ -0,0 +1,105 @@
+// ============================================
+// Book Fulfilment
+// ============================================
+//
+// Orders with books in them carry a fulfilment_status alongside their payment status:
+// awaiting_dispatch -> dispatched -> delivered (or cancelled if refunded before dispatch).
+// Orders completed before fulfilment tracking existed have no fulfilment_status and are
+// treated as awaiting dispatch.
+
+const { getOrderItems, hasPhysicalItems } = require('../orders/items');
+const { stageOrderUpdate } = require('../storage');
+const { logger } = require('../observability');
+
+// Known carriers, so admins only need to enter a tracking number
+const CARRIERS = {
+  royal_mail: { name: 'Royal Mail', trackingUrl: n => `https://www.royalmail.com/track-your-item#/tracking-results/${n}` },
+  parcelforce: { name: 'Parcelforce', trackingUrl: n => `https://www.parcelforce.com/track-trace?trackNumber=${n}` },
+  dpd: { name: 'DPD', trackingUrl: n => `https://track.dpd.co.uk/parcels/${n}` },
+  evri: { name: 'Evri', trackingUrl: n => `https://www.evri.com/track/parcel/${n}` },
+  dhl: { name: 'DHL', trackingUrl: n => `https://www.dhl.com/gb-en/home/tracking.html?tracking-id=${n}` },
+};
+
+function getFulfilmentStatus(order) {
+  return order.fulfilment_status || 'awaiting_dispatch';
+}
+
+function isAwaitingDispatch(order) {
+  return hasPhysicalItems(getOrderItems(order))
+    && ['completed', 'partially_refunded'].includes(order.status)
+    && getFulfilmentStatus(order) === 'awaiting_dispatch';
+}
+
+/**
+ * The fulfilment operations that read and write orders. `getDb` resolves to the
+ * initialised Firestore database; `convertFirestoreData` turns a document into the
+ * JSON the API returns.
+ */
+function createFulfilment({ getDb, convertFirestoreData }) {
+  /**
+   * Move the books in an order to `toStatus` ('dispatched' or 'delivered'), checking it
+   * is in the right state first, and record it in the order's history as `audit`.
+   * Returns { order } or { status, error } for the route to send back.
+   */
+  async function updateFulfilment(orderRef, toStatus, fields, audit) {
+    const db = await getDb();
+
+    const admin = require('firebase-admin');
+    const orderDocRef = db.collection('ticket_purchases').doc(orderRef);
+    const fromStatus = toStatus === 'dispatched' ? 'awaiting_dispatch' : 'dispatched';
+
+    return db.runTransaction(async (transaction) => {
+      const orderDoc = await transaction.get(orderDocRef);
+
+      if (!orderDoc.exists) {
+        return { status: 404, error: 'Order not found' };
+      }
+
+      const order = orderDoc.data();
+
+      if (!hasPhysicalItems(getOrderItems(order))) {
+        return { status: 400, error: 'Order has no books to dispatch' };
+      }
+      if (!['completed', 'partially_refunded'].includes(order.status)) {
+        return { status: 400, error: `Order is ${order.status} and cannot be fulfilled` };
+      }
+      if (getFulfilmentStatus(order) !== fromStatus) {
+        return { status: 409, error: `Order is ${getFulfilmentStatus(order)}, expected ${fromStatus}` };
+      }
+
+      const now = admin.firestore.Timestamp.now();
+      const updates = {
+        ...fields,
+        fulfilment_status: toStatus,
+        [`${toStatus}_at`]: now,
+        updated_at: now,
+      };
+      stageOrderUpdate(transaction, orderDocRef, order, updates, audit);
+
+      logger.info('Order fulfilment updated', { orderRef, fulfilmentStatus: toStatus });
+      return { order: convertFirestoreData({ ...order, ...updates }) };
+    });
+  }
+
+  async function listOutstandingBookOrders() {
+    const db = await getDb();
+
+    const snapshot = await db.collection('ticket_purchases')
+      .where('product_type', 'in', ['book', 'mixed'])
+      .get();
+
+    return snapshot.docs
+      .map(doc => convertFirestoreData(doc.data()))
+      .filter(isAwaitingDispatch)
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  }
+
+  return { updateFulfilment, listOutstandingBookOrders };
+}
+
+module.exports = {
+  CARRIERS,
+  getFulfilmentStatus,
+  isAwaitingDispatch,
+  createFulfilment,
+};
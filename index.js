@@ -1,17 +1,58 @@
 const express = require('express');
 require('dotenv').config();
 
-const nodemailer = require('nodemailer');
+const crypto = require('crypto');
+const { once } = require('events');
+const QRCode = require('qrcode');
 const cors = require('cors');
+const { BOOK_TITLE, TEMPLATE_NAMES, renderEmail, ticketImageCid } = require('./emails/templates');
+const emailSamples = require('./emails/samples');
+const { createEmailTransport, requiredTransportEnvVars } = require('./emails/transports');
+const { buildIcs, googleCalendarUrl, outlookCalendarUrl } = require('./emails/calendar');
+const {
+  getStorageDriver,
+  createDatabase,
+  stageOrderUpdate,
+  createOrderRepository,
+  convertFirestoreData,
+} = require('./storage');
+const { schema, validateRequest, sendError, sendServerError } = require('./validation');
+const { parseRateLimit, createRateLimitStore, createCaptchaProvider, rateLimit, requireCaptcha } = require('./protection');
+const {
+  logger, requestContext, getRequestId, metrics, checkoutOutcome, registry, PROMETHEUS_CONTENT_TYPE,
+} = require('./observability');
+const {
+  PRODUCT_TYPES, MAX_CART_ITEMS, MAX_ITEM_QUANTITY, BOOK_PRODUCT, getOrderItems, itemQuantity, hasPhysicalItems,
+  seatsByEvent, orderProductType, describeOrderItems,
+} = require('./orders/items');
+const { ORDER_STATUSES, ORDER_TRANSITIONS, PAID_ORDER_STATUSES } = require('./orders/statuses');
+const { CARRIERS, getFulfilmentStatus, createFulfilment } = require('./fulfilment');
+const { PROMO_DISCOUNT_TYPES, normalizePromoCode, validatePromoData, createPromoCodes } = require('./promo-codes');
+const { MAX_WAITLIST_QUANTITY, createWaitlist } = require('./waitlist');
+const {
+  DONATION_MAX, DONATION_PRODUCT, GIFT_AID_FIELDS, resolveDonation, isGiftAidEligible, formatHmrcDate,
+  createDonations,
+} = require('./donations');
+const { createEventEmails } = require('./reminders');
+const { RECONCILE_AFTER_MINUTES, createReconciliation } = require('./reconciliation');
+const { emailVariants, createPersonalData } = require('./personal-data');
+const { csvLine, formatPounds } = require('./reports/csv');
+const { REPORT_GROUPS, parseReportFilters, createSalesReports } = require('./reports/sales');
 
 // Verify critical environment variables are loaded
-const requiredEnvVars = ['STRIPE_SECRET_KEY', 'FIREBASE_PROJECT_ID', 'EMAIL_USER', 'EMAIL_PASSWORD'];
+const requiredEnvVars = [
+  'STRIPE_SECRET_KEY',
+  ...(getStorageDriver() === 'firestore' ? ['FIREBASE_PROJECT_ID'] : []),
+  ...requiredTransportEnvVars(),
+  'TICKET_SIGNING_SECRET',
+  'ORDER_ACCESS_SECRET',
+];
 const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
 if (missingEnvVars.length > 0) {
-  console.error('❌ Missing environment variables:', missingEnvVars.join(', '));
+  logger.error('Missing environment variables', { missing: missingEnvVars });
   if (process.env.NODE_ENV === 'production') {
-    console.error('Make sure these are set in your Vercel/hosting environment variables');
+    logger.error('Make sure these are set in your Vercel/hosting environment variables');
   }
 }
 
@@ -23,13 +64,59 @@ function getStripe() {
       throw new Error('STRIPE_SECRET_KEY is not set');
     }
     stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+    instrumentStripe(stripe);
   }
   return stripe;
 }
 
+// Time every Stripe API call and log Stripe's own request ID against ours, so a call can
+// be found in the Stripe dashboard from our logs
+function instrumentStripe(client) {
+  if (typeof client.on !== 'function') {
+    return;
+  }
+
+  client.on('response', response => {
+    // Object IDs (cs_…, pi_…, re_…) would make a series per object
+    const path = response.path.split('?')[0].replace(/\/[a-z]+_[A-Za-z0-9_]+/g, '/:id');
+
+    metrics.stripeRequestDuration.observe(
+      { method: response.method, path, status: response.status },
+      response.elapsed / 1000
+    );
+    logger.debug('Stripe request', {
+      method: response.method,
+      path,
+      status: response.status,
+      stripeRequestId: response.request_id,
+      elapsedMs: response.elapsed,
+    });
+  });
+}
+
 const app = express();
 
+// Behind Vercel's proxy the client's address is in X-Forwarded-For; req.ip is what the
+// rate limits count, so only trust the header when a proxy is known to set it
+const trustProxy = process.env.TRUST_PROXY || (process.env.VERCEL ? '1' : '');
+if (trustProxy) {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Middleware
+app.use(requestContext());
+
+app.use((req, res, next) => {
+  const endTimer = metrics.httpRequestDuration.startTimer({ method: req.method });
+
+  res.on('finish', () => {
+    // The matched route pattern, not the URL, so order references don't each get a series
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    endTimer({ route, status: res.statusCode });
+  });
+  next();
+});
+
 app.use(cors({
   // In development allow any origin (reflect request origin). In production set FRONTEND_URL.
   origin: process.env.FRONTEND_URL || true,
@@ -42,659 +129,4076 @@ app.use('/api/webhooks/stripe', express.raw({ type: 'application/json' }));
 app.use(express.json());
 
 // ============================================
-// Firestore Setup (Lazy Initialization)
+// Storage Setup (Lazy Initialization)
 // ============================================
 
-let firestoreInitialized = false;
 let db;
 
-async function initializeFirestore() {
-  if (firestoreInitialized) {
-    console.log('✓ Firestore already initialized');
+// Connect to the database STORAGE_DRIVER selects (see storage/index.js)
+async function initializeDatabase() {
+  if (db) {
     return;
   }
-  
-  console.log('🔄 Initializing Firestore...');
-  
+
+  const driver = getStorageDriver();
+  logger.info('Initializing storage', { driver });
+
   try {
-    // Check required environment variables
-    if (!process.env.FIREBASE_PROJECT_ID) {
-      throw new Error('FIREBASE_PROJECT_ID is not set');
-    }
-    
-    // Lazy load firebase-admin
-    const admin = require('firebase-admin');
-    
-    // Initialize Firebase Admin if not already initialized
-    if (admin.apps.length === 0) {
-      // Check if we have service account credentials
-      if (process.env.FIREBASE_SERVICE_ACCOUNT) {
-        // Parse service account from environment variable (JSON string)
-        const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
-        admin.initializeApp({
-          credential: admin.credential.cert(serviceAccount),
-          projectId: process.env.FIREBASE_PROJECT_ID,
-        });
-      } else if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
-        // Use service account file path
-        const serviceAccount = require(process.env.GOOGLE_APPLICATION_CREDENTIALS);
-        admin.initializeApp({
-          credential: admin.credential.cert(serviceAccount),
-          projectId: process.env.FIREBASE_PROJECT_ID,
-        });
-      } else {
-        // Try to initialize with project ID only (for App Engine, Cloud Functions, etc.)
-        admin.initializeApp({
-          projectId: process.env.FIREBASE_PROJECT_ID,
-        });
-      }
-      console.log('✓ Firebase Admin initialized');
-    }
-    
-    db = admin.firestore();
-    console.log('✓ Firestore instance created');
-    
-    firestoreInitialized = true;
-    console.log('✅ Firestore fully initialized');
+    db = createDatabase(driver);
+    logger.info('Storage initialized', { driver });
   } catch (error) {
-    console.error('❌ Error initializing Firestore:', error.message);
-    console.error('Full error:', error);
-    firestoreInitialized = false;
+    logger.error('Error initializing storage', { err: error });
     throw error;
   }
 }
 
-async function addToFirestore(data) {
+// For the domain modules, which take their database as a dependency
+async function getDb() {
+  await initializeDatabase();
+  return db;
+}
+
+const orderRepository = createOrderRepository(getDb);
+
+// ============================================
+// Events
+// ============================================
+
+const EVENTS_COLLECTION = 'events';
+const EVENT_STATUSES = ['draft', 'published', 'cancelled', 'completed'];
+const EVENT_TIMEZONE = process.env.EVENT_TIMEZONE || 'Europe/London';
+
+// Fields that may be set through POST/PATCH /api/events
+const EVENT_FIELDS = ['title', 'description', 'start_time', 'end_time', 'venue', 'price', 'capacity', 'status', 'registration_questions'];
+
+// Registration questions an event can ask of each attendee, e.g. dietary or access needs
+const QUESTION_TYPES = ['text', 'choice', 'checkbox'];
+const MAX_QUESTIONS = 20;
+const MAX_ANSWER_LENGTH = 500;
+
+// How long seats are held for an unpaid Checkout session. Stripe's minimum expiry is 30 minutes.
+const RESERVATION_HOLD_MINUTES = Math.max(parseInt(process.env.RESERVATION_HOLD_MINUTES, 10) || 30, 30);
+
+function isValidDate(value) {
+  return !!value && !isNaN(new Date(value).getTime());
+}
+
+/**
+ * Check an event's registration_questions: a list of { id, label, type, required?,
+ * options? }, where `options` lists the choices for a 'choice' question. Returns an
+ * error message or null.
+ */
+function validateRegistrationQuestions(questions) {
+  if (!Array.isArray(questions) || questions.length > MAX_QUESTIONS) {
+    return `registration_questions must be a list of at most ${MAX_QUESTIONS} questions`;
+  }
+
+  const ids = new Set();
+  for (const question of questions) {
+    if (!question || typeof question.id !== 'string' || !/^[a-z0-9_]{1,40}$/.test(question.id)) {
+      return 'Each question needs an id of lowercase letters, digits and underscores';
+    }
+    if (ids.has(question.id)) {
+      return `Duplicate question id: ${question.id}`;
+    }
+    ids.add(question.id);
+
+    if (typeof question.label !== 'string' || !question.label.trim()) {
+      return `Question ${question.id} needs a label`;
+    }
+    if (!QUESTION_TYPES.includes(question.type)) {
+      return `Question ${question.id} type must be one of: ${QUESTION_TYPES.join(', ')}`;
+    }
+    if (question.required !== undefined && typeof question.required !== 'boolean') {
+      return `Question ${question.id} required must be true or false`;
+    }
+    if (question.type === 'choice'
+      && (!Array.isArray(question.options) || question.options.length === 0
+        || question.options.some(option => typeof option !== 'string' || !option.trim()))) {
+      return `Question ${question.id} needs a list of options`;
+    }
+  }
+
+  return null;
+}
+
+function normalizeRegistrationQuestions(questions) {
+  return questions.map(question => ({
+    id: question.id,
+    label: question.label.trim(),
+    type: question.type,
+    required: question.required === true,
+    options: question.type === 'choice' ? question.options.map(option => option.trim()) : [],
+  }));
+}
+
+/**
+ * Validate an event payload. With `partial` set only the supplied fields are checked,
+ * which is what PATCH needs. Returns an error message or null.
+ */
+function validateEventData(data, { partial = false } = {}) {
+  const has = (field) => data[field] !== undefined;
+
+  if ((!partial || has('title')) && (typeof data.title !== 'string' || !data.title.trim())) {
+    return 'Event title is required';
+  }
+  if ((!partial || has('venue')) && (typeof data.venue !== 'string' || !data.venue.trim())) {
+    return 'Event venue is required';
+  }
+  if ((!partial || has('start_time')) && !isValidDate(data.start_time)) {
+    return 'Event start_time must be a valid date';
+  }
+  if ((!partial || has('end_time')) && !isValidDate(data.end_time)) {
+    return 'Event end_time must be a valid date';
+  }
+  if (has('start_time') && has('end_time') && new Date(data.end_time) <= new Date(data.start_time)) {
+    return 'Event end_time must be after start_time';
+  }
+  if ((!partial || has('price')) && (!Number.isInteger(data.price) || data.price < 0)) {
+    return 'Event price must be a whole number of pence';
+  }
+  if ((!partial || has('capacity')) && (!Number.isInteger(data.capacity) || data.capacity < 1)) {
+    return 'Event capacity must be a positive whole number';
+  }
+  if (has('status') && !EVENT_STATUSES.includes(data.status)) {
+    return `Invalid event status. Must be one of: ${EVENT_STATUSES.join(', ')}`;
+  }
+  if (has('registration_questions')) {
+    return validateRegistrationQuestions(data.registration_questions);
+  }
+
+  return null;
+}
+
+async function addEventToFirestore(data) {
   try {
-    await initializeFirestore();
-    
+    await initializeDatabase();
+
     const admin = require('firebase-admin');
-    const COLLECTION_NAME = 'ticket_purchases';
-    const orderRef = db.collection(COLLECTION_NAME).doc(data.order_reference);
-    
-    const orderData = {
-      order_reference: data.order_reference,
-      customer_name: data.customer_name,
-      customer_email: data.customer_email,
-      customer_phone: data.customer_phone || '',
-      quantity: data.quantity || 1,
-      amount_total: data.amount_total,
-      stripe_session_id: data.stripe_session_id || '',
-      stripe_payment_intent_id: data.stripe_payment_intent_id || '',
-      status: data.status,
-      product_type: data.product_type || 'ticket',
-      shipping_address: data.shipping_address || '',
-      shipping_city: data.shipping_city || '',
-      shipping_postcode: data.shipping_postcode || '',
-      created_at: admin.firestore.Timestamp.fromDate(new Date(data.created_at)),
-      updated_at: admin.firestore.Timestamp.fromDate(new Date(data.updated_at)),
+    const eventRef = db.collection(EVENTS_COLLECTION).doc();
+    const now = admin.firestore.Timestamp.now();
+
+    const eventData = {
+      id: eventRef.id,
+      title: data.title.trim(),
+      description: data.description || '',
+      start_time: admin.firestore.Timestamp.fromDate(new Date(data.start_time)),
+      end_time: admin.firestore.Timestamp.fromDate(new Date(data.end_time)),
+      venue: data.venue.trim(),
+      price: data.price,
+      capacity: data.capacity,
+      seats_reserved: 0,
+      seats_sold: 0,
+      status: data.status || 'draft',
+      registration_questions: normalizeRegistrationQuestions(data.registration_questions || []),
+      created_at: now,
+      updated_at: now,
     };
-    
-    await orderRef.set(orderData);
-    console.log(`✓ Order ${data.order_reference} added to Firestore`);
-    
-    return orderData;
+
+    await eventRef.set(eventData);
+    logger.info('Event added', { eventId: eventRef.id });
+
+    return convertFirestoreData(eventData);
   } catch (error) {
-    console.error('Error adding to Firestore:', error.message);
+    logger.error('Error adding event to Firestore', { err: error });
     throw error;
   }
 }
 
-async function updateFirestore(orderRef, updates) {
+async function getEventFromFirestore(eventId) {
   try {
-    await initializeFirestore();
-    
+    await initializeDatabase();
+
+    const eventDoc = await db.collection(EVENTS_COLLECTION).doc(eventId).get();
+
+    if (!eventDoc.exists) {
+      return null;
+    }
+
+    return convertFirestoreData(eventDoc.data());
+  } catch (error) {
+    logger.error('Error reading event from Firestore', { err: error });
+    throw error;
+  }
+}
+
+async function updateEventInFirestore(eventId, updates) {
+  try {
+    await initializeDatabase();
+
     const admin = require('firebase-admin');
-    const COLLECTION_NAME = 'ticket_purchases';
-    const orderDoc = db.collection(COLLECTION_NAME).doc(orderRef);
-    
-    // Check if document exists
-    const docSnapshot = await orderDoc.get();
-    
-    if (!docSnapshot.exists) {
-      // Try to find by order_reference field
-      const querySnapshot = await db.collection(COLLECTION_NAME)
-        .where('order_reference', '==', orderRef)
-        .limit(1)
-        .get();
-      
-      if (querySnapshot.empty) {
-        console.warn(`⚠ Order ${orderRef} not found in Firestore for update`);
-        return null;
+    const eventRef = db.collection(EVENTS_COLLECTION).doc(eventId);
+    const eventDoc = await eventRef.get();
+
+    if (!eventDoc.exists) {
+      logger.warn('Event not found for update', { eventId });
+      return null;
+    }
+
+    const updateData = { updated_at: admin.firestore.Timestamp.now() };
+    for (const field of EVENT_FIELDS) {
+      if (updates[field] !== undefined) {
+        updateData[field] = updates[field];
       }
-      
-      // Update the found document
-      const foundDoc = querySnapshot.docs[0];
-      const updateData = {
-        ...updates,
-        updated_at: admin.firestore.Timestamp.now(),
-      };
-      
-      // Convert string dates to Timestamps if needed
-      if (updateData.created_at && typeof updateData.created_at === 'string') {
-        updateData.created_at = admin.firestore.Timestamp.fromDate(new Date(updateData.created_at));
+    }
+    if (updateData.start_time) {
+      updateData.start_time = admin.firestore.Timestamp.fromDate(new Date(updateData.start_time));
+    }
+    if (updateData.end_time) {
+      updateData.end_time = admin.firestore.Timestamp.fromDate(new Date(updateData.end_time));
+    }
+    if (updateData.registration_questions) {
+      updateData.registration_questions = normalizeRegistrationQuestions(updateData.registration_questions);
+    }
+
+    await eventRef.update(updateData);
+    logger.info('Event updated', { eventId });
+
+    const updatedDoc = await eventRef.get();
+    return convertFirestoreData(updatedDoc.data());
+  } catch (error) {
+    logger.error('Error updating event in Firestore', { err: error });
+    throw error;
+  }
+}
+
+async function listEventsFromFirestore({ status } = {}) {
+  try {
+    await initializeDatabase();
+
+    let query = db.collection(EVENTS_COLLECTION);
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+
+    const snapshot = await query.get();
+
+    return snapshot.docs
+      .map(doc => convertFirestoreData(doc.data()))
+      .sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+  } catch (error) {
+    logger.error('Error listing events from Firestore', { err: error });
+    throw error;
+  }
+}
+
+/**
+ * Load the event a ticket checkout is for. Falls back to DEFAULT_EVENT_ID so older
+ * frontends that do not send an eventId keep working.
+ * Returns { event } or { status, error } for the route to send back.
+ */
+async function resolveTicketEvent(eventId) {
+  const id = eventId || process.env.DEFAULT_EVENT_ID;
+
+  if (!id) {
+    return { status: 400, error: 'eventId is required for ticket orders' };
+  }
+
+  const event = await getEventFromFirestore(id);
+
+  if (!event) {
+    return { status: 404, error: 'Event not found' };
+  }
+  if (event.status !== 'published') {
+    return { status: 400, error: 'This event is not open for booking' };
+  }
+  if (new Date(event.start_time) <= new Date()) {
+    return { status: 400, error: 'This event has already started' };
+  }
+
+  return { event };
+}
+
+// e.g. "Friday, 14 March 2026"
+function formatEventDate(event) {
+  return new Date(event.start_time).toLocaleDateString('en-GB', {
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    timeZone: EVENT_TIMEZONE,
+  });
+}
+
+// e.g. "6:00 PM - 9:00 PM"
+function formatEventTime(event) {
+  const options = { hour: 'numeric', minute: '2-digit', hour12: true, timeZone: EVENT_TIMEZONE };
+  const start = new Date(event.start_time).toLocaleTimeString('en-US', options);
+  const end = new Date(event.end_time).toLocaleTimeString('en-US', options);
+  return `${start} - ${end}`;
+}
+
+// The display-ready event fields the email templates expect
+function emailEventDetails(event) {
+  return {
+    title: event.title,
+    date: formatEventDate(event),
+    time: formatEventTime(event),
+    venue: event.venue,
+  };
+}
+
+// ============================================
+// Cart
+// ============================================
+
+/**
+ * Check the attendee list sent for a ticket item: one { name, email?, answers? } per
+ * ticket, with answers keyed by question id. The list may be left out unless the event
+ * has required questions. Returns { attendees } or { error }.
+ */
+function validateAttendees(attendees, quantity, event) {
+  const questions = event.registration_questions || [];
+
+  if (attendees === undefined) {
+    if (questions.some(question => question.required)) {
+      return { error: `Attendee details are required for ${event.title}` };
+    }
+    return { attendees: [] };
+  }
+  if (!Array.isArray(attendees) || attendees.length !== quantity) {
+    return { error: `Provide one attendee per ticket for ${event.title}` };
+  }
+
+  const cleaned = [];
+
+  for (const [i, attendee] of attendees.entries()) {
+    const label = `Attendee ${i + 1}`;
+
+    if (!attendee || typeof attendee.name !== 'string' || !attendee.name.trim()) {
+      return { error: `${label}: name is required` };
+    }
+    if (attendee.email && (typeof attendee.email !== 'string' || !attendee.email.includes('@'))) {
+      return { error: `${label}: email is invalid` };
+    }
+
+    const answers = attendee.answers || {};
+    if (typeof answers !== 'object' || Array.isArray(answers)) {
+      return { error: `${label}: answers must be an object keyed by question id` };
+    }
+
+    const unknownId = Object.keys(answers).find(id => !questions.some(question => question.id === id));
+    if (unknownId) {
+      return { error: `${label}: unknown question ${unknownId}` };
+    }
+
+    const cleanAnswers = {};
+    for (const question of questions) {
+      const answer = answers[question.id];
+
+      if (answer === undefined || answer === null || answer === '') {
+        if (question.required) {
+          return { error: `${label}: "${question.label}" is required` };
+        }
+        continue;
       }
-      if (updateData.updated_at && typeof updateData.updated_at === 'string') {
-        updateData.updated_at = admin.firestore.Timestamp.fromDate(new Date(updateData.updated_at));
+
+      if (question.type === 'checkbox' && typeof answer !== 'boolean') {
+        return { error: `${label}: "${question.label}" must be true or false` };
       }
-      
-      await foundDoc.ref.update(updateData);
-      console.log(`✓ Successfully updated order ${orderRef}`);
-      
-      const updatedDoc = await foundDoc.ref.get();
-      return convertFirestoreData(updatedDoc.data());
-    } else {
-      const updateData = {
-        ...updates,
-        updated_at: admin.firestore.Timestamp.now(),
-      };
-      
-      // Convert string dates to Timestamps if needed
-      if (updateData.created_at && typeof updateData.created_at === 'string') {
-        updateData.created_at = admin.firestore.Timestamp.fromDate(new Date(updateData.created_at));
+      if (question.type === 'choice' && !question.options.includes(answer)) {
+        return { error: `${label}: "${question.label}" must be one of: ${question.options.join(', ')}` };
       }
-      if (updateData.updated_at && typeof updateData.updated_at === 'string') {
-        updateData.updated_at = admin.firestore.Timestamp.fromDate(new Date(updateData.updated_at));
+      if (question.type === 'text' && (typeof answer !== 'string' || answer.length > MAX_ANSWER_LENGTH)) {
+        return { error: `${label}: "${question.label}" must be text of at most ${MAX_ANSWER_LENGTH} characters` };
       }
-      
-      await orderDoc.update(updateData);
-      console.log(`✓ Successfully updated order ${orderRef}`);
-      
-      const updatedDoc = await orderDoc.get();
-      return convertFirestoreData(updatedDoc.data());
+
+      cleanAnswers[question.id] = typeof answer === 'string' ? answer.trim() : answer;
     }
-  } catch (error) {
-    console.error('Error updating Firestore:', error.message);
-    throw error;
+
+    cleaned.push({
+      name: attendee.name.trim(),
+      email: (attendee.email || '').trim().toLowerCase(),
+      answers: cleanAnswers,
+    });
   }
+
+  return { attendees: cleaned };
 }
 
-// Helper function to convert Firestore timestamps to ISO strings
-function convertFirestoreData(data) {
-  if (!data) return null;
-  
-  const converted = { ...data };
-  
-  // Convert Firestore Timestamps to ISO strings
-  if (converted.created_at && converted.created_at.toDate) {
-    converted.created_at = converted.created_at.toDate().toISOString();
+/**
+ * Turn the items of a cart request ({ type, quantity, eventId?, attendees? }) into
+ * priced order items. Ticket items for the same event are merged. Returns { items } or
+ * { status, error }.
+ */
+async function resolveCartItems(cartItems) {
+  if (!Array.isArray(cartItems) || cartItems.length === 0) {
+    return { status: 400, error: 'At least one item is required' };
   }
-  if (converted.updated_at && converted.updated_at.toDate) {
-    converted.updated_at = converted.updated_at.toDate().toISOString();
+  if (cartItems.length > MAX_CART_ITEMS) {
+    return { status: 400, error: `A cart can hold at most ${MAX_CART_ITEMS} items` };
   }
-  
-  return converted;
-}
 
-async function getFromFirestore(orderRef) {
-  try {
-    await initializeFirestore();
-    
-    const COLLECTION_NAME = 'ticket_purchases';
-    const orderDoc = db.collection(COLLECTION_NAME).doc(orderRef);
-    
-    // Try to get by document ID first
-    const docSnapshot = await orderDoc.get();
-    
-    if (docSnapshot.exists) {
-      return convertFirestoreData(docSnapshot.data());
+  const items = [];
+
+  for (const cartItem of cartItems) {
+    const type = cartItem && cartItem.type;
+    const quantity = Number(cartItem && cartItem.quantity);
+
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_ITEM_QUANTITY) {
+      return { status: 400, error: 'Invalid quantity' };
     }
-    
-    // If not found, try querying by order_reference field
-    const querySnapshot = await db.collection(COLLECTION_NAME)
-      .where('order_reference', '==', orderRef)
-      .limit(1)
-      .get();
-    
-    if (querySnapshot.empty) {
-      return null;
+    if (!PRODUCT_TYPES.includes(type)) {
+      return { status: 400, error: 'Invalid product type. Must be "ticket" or "book"' };
     }
-    
-    return convertFirestoreData(querySnapshot.docs[0].data());
-  } catch (error) {
-    console.error('Error reading from Firestore:', error.message);
-    throw error;
+
+    if (type === 'book') {
+      const existing = items.find(item => item.product_type === 'book');
+      if (existing) {
+        existing.quantity += quantity;
+      } else {
+        items.push({ ...BOOK_PRODUCT, product_type: 'book', quantity });
+      }
+      continue;
+    }
+
+    const resolved = await resolveTicketEvent(cartItem.eventId);
+    if (resolved.error) {
+      return { status: resolved.status, error: resolved.error };
+    }
+    const { event } = resolved;
+
+    const checked = validateAttendees(cartItem.attendees, quantity, event);
+    if (checked.error) {
+      return { status: 400, error: checked.error };
+    }
+
+    const existing = items.find(item => item.product_type === 'ticket' && item.event_id === event.id);
+    if (existing) {
+      if ((existing.attendees.length > 0) !== (checked.attendees.length > 0)) {
+        return { status: 400, error: `Provide one attendee per ticket for ${event.title}` };
+      }
+      existing.quantity += quantity;
+      existing.attendees.push(...checked.attendees);
+      continue;
+    }
+
+    items.push({
+      product_type: 'ticket',
+      name: event.title,
+      description: `${formatEventDate(event)} at ${event.venue}`,
+      unit_amount: event.price,
+      quantity,
+      event_id: event.id,
+      event_title: event.title,
+      event_start: event.start_time,
+      event_venue: event.venue,
+      attendees: checked.attendees,
+    });
+  }
+
+  return { items };
+}
+
+// The events an order has tickets for; throws if one has since been deleted
+async function getOrderEvents(order) {
+  const eventIds = [...seatsByEvent(getOrderItems(order)).keys()];
+  const events = await Promise.all(eventIds.map(getEventFromFirestore));
+  const missingEventId = eventIds.find((eventId, i) => !events[i]);
+
+  if (missingEventId) {
+    throw new Error(`Event ${missingEventId} not found for order ${order.order_reference}`);
   }
+
+  return events;
+}
+
+/**
+ * Calendar entries (see emails/calendar.js) for the events in an order. The UID depends
+ * only on the order and event, so downloading the invite again after an event changes
+ * replaces the old entry; the event's last update time is used as the SEQUENCE so
+ * calendars know which version is newer.
+ */
+function orderCalendarEntries(order, events, { orderLink } = {}) {
+  const seats = seatsByEvent(getOrderItems(order));
+
+  return events.map(event => ({
+    uid: `${order.order_reference}.${event.id}@seminar-backend`,
+    sequence: Math.floor(new Date(event.updated_at || event.created_at).getTime() / 1000),
+    title: event.title,
+    start: event.start_time,
+    end: event.end_time,
+    venue: event.venue,
+    description: [
+      `Order reference: ${order.order_reference}`,
+      `Tickets: ${seats.get(event.id) || 0}`,
+      ...(orderLink ? [`View your booking: ${orderLink}`] : []),
+    ].join('\n'),
+    url: orderLink || '',
+    cancelled: event.status === 'cancelled',
+  }));
 }
 
 // ============================================
-// Email Setup
+// Seat Reservations
 // ============================================
 
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASSWORD, // Use app-specific password
-  },
+function getAvailableSeats(event) {
+  return Math.max(event.capacity - (event.seats_reserved || 0) - (event.seats_sold || 0), 0);
+}
+
+/**
+ * Atomically hold the seats the ticket items need while their Checkout session is open.
+ * Either every event in the cart has room and all the seats are held, or nothing is.
+ * Returns { reserved: true } or { reserved: false, eventId, available, error }.
+ */
+async function reserveSeats(items) {
+  await initializeDatabase();
+
+  const admin = require('firebase-admin');
+  const seats = [...seatsByEvent(items)];
+
+  if (seats.length === 0) {
+    return { reserved: true };
+  }
+
+  const eventRefs = seats.map(([eventId]) => db.collection(EVENTS_COLLECTION).doc(eventId));
+
+  return db.runTransaction(async (transaction) => {
+    const eventDocs = await transaction.getAll(...eventRefs);
+
+    for (const [i, [eventId, quantity]] of seats.entries()) {
+      if (!eventDocs[i].exists) {
+        return { reserved: false, eventId, available: 0, error: 'Event not found' };
+      }
+
+      const event = eventDocs[i].data();
+      const available = getAvailableSeats(event);
+
+      if (available === 0) {
+        return { reserved: false, eventId, available, error: `Sorry, ${event.title} is sold out` };
+      }
+      if (quantity > available) {
+        return {
+          reserved: false,
+          eventId,
+          available,
+          error: `Only ${available} ${available === 1 ? 'ticket' : 'tickets'} left for ${event.title}`,
+        };
+      }
+    }
+
+    const now = admin.firestore.Timestamp.now();
+    seats.forEach(([, quantity], i) => transaction.update(eventRefs[i], {
+      seats_reserved: admin.firestore.FieldValue.increment(quantity),
+      updated_at: now,
+    }));
+
+    return { reserved: true };
+  });
+}
+
+/**
+ * Give back seats held by reserveSeats() when the order never got as far as Firestore
+ * (e.g. Stripe rejected the session).
+ */
+async function releaseSeats(items) {
+  await initializeDatabase();
+
+  const admin = require('firebase-admin');
+  const batch = db.batch();
+  const now = admin.firestore.Timestamp.now();
+
+  seatsByEvent(items).forEach((quantity, eventId) => {
+    batch.update(db.collection(EVENTS_COLLECTION).doc(eventId), {
+      seats_reserved: admin.firestore.FieldValue.increment(-quantity),
+      updated_at: now,
+    });
+    logger.info('Releasing held seats', { eventId, quantity });
+  });
+
+  await batch.commit();
+}
+
+/**
+ * Settle the seat hold for an order: 'confirmed' moves the seats from reserved to sold,
+ * 'released' returns them to the pool. Only a 'held' reservation is changed, so replayed
+ * webhooks cannot count the same order twice.
+ */
+async function settleOrderReservation(orderRef, outcome, audit) {
+  await initializeDatabase();
+
+  const admin = require('firebase-admin');
+  const orderDocRef = db.collection('ticket_purchases').doc(orderRef);
+
+  return db.runTransaction(async (transaction) => {
+    const orderDoc = await transaction.get(orderDocRef);
+
+    if (!orderDoc.exists) {
+      return false;
+    }
+
+    const order = orderDoc.data();
+    const seats = seatsByEvent(getOrderItems(order));
+
+    if (order.reservation_status !== 'held' || seats.size === 0) {
+      return false;
+    }
+
+    const now = admin.firestore.Timestamp.now();
+
+    seats.forEach((quantity, eventId) => {
+      transaction.update(db.collection(EVENTS_COLLECTION).doc(eventId), {
+        seats_reserved: admin.firestore.FieldValue.increment(-quantity),
+        ...(outcome === 'confirmed' && { seats_sold: admin.firestore.FieldValue.increment(quantity) }),
+        updated_at: now,
+      });
+    });
+    stageOrderUpdate(transaction, orderDocRef, order, {
+      reservation_status: outcome,
+      updated_at: now,
+    }, audit);
+
+    logger.info('Reservation settled', { orderRef, outcome, seats: itemQuantity(getOrderItems(order), 'ticket') });
+    return true;
+  });
+}
+
+// ============================================
+// Tickets & Check-in
+// ============================================
+
+const TICKETS_COLLECTION = 'tickets';
+
+function getTicketSigningSecret() {
+  if (!process.env.TICKET_SIGNING_SECRET) {
+    throw new Error('TICKET_SIGNING_SECRET is not set');
+  }
+  return process.env.TICKET_SIGNING_SECRET;
+}
+
+function hmacBase64Url(value, bytes) {
+  return crypto
+    .createHmac('sha256', getTicketSigningSecret())
+    .update(value)
+    .digest()
+    .subarray(0, bytes)
+    .toString('base64url');
+}
+
+/**
+ * Ticket codes look like "<ticketId>.<signature>". The ID is derived from the order
+ * reference and admission number with a keyed HMAC, so it cannot be guessed but issuing
+ * the same order twice yields the same tickets. The signature lets the door reject a
+ * forged code without touching Firestore.
+ */
+function buildTicketCode(orderRef, admissionNumber) {
+  const ticketId = hmacBase64Url(`ticket:${orderRef}:${admissionNumber}`, 16);
+  return { ticketId, code: `${ticketId}.${hmacBase64Url(ticketId, 8)}` };
+}
+
+// Returns the ticket ID for a correctly signed code, otherwise null
+function verifyTicketCode(code) {
+  const [ticketId, signature] = String(code).split('.');
+
+  if (!ticketId || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(hmacBase64Url(ticketId, 8));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return ticketId;
+}
+
+/**
+ * Create one ticket per admission for a completed order. Admission numbers run across
+ * all of the order's ticket items, and each ticket records the event it admits to and
+ * the attendee it was bought for, if the buyer named one.
+ * Safe to call more than once: tickets that already exist are returned untouched, so
+ * check-ins are never reset.
+ */
+async function issueTicketsForOrder(order, audit) {
+  await initializeDatabase();
+
+  const admin = require('firebase-admin');
+  const orderRef = order.order_reference;
+  const ticketsRef = db.collection(TICKETS_COLLECTION);
+
+  const planned = [];
+  getOrderItems(order)
+    .filter(item => item.product_type === 'ticket')
+    .forEach(item => {
+      for (let i = 0; i < item.quantity; i++) {
+        const admissionNumber = planned.length + 1;
+        const { ticketId, code } = buildTicketCode(orderRef, admissionNumber);
+        const attendee = (item.attendees || [])[i] || {};
+        planned.push({ ref: ticketsRef.doc(ticketId), ticketId, code, admissionNumber, eventId: item.event_id, attendee });
+      }
+    });
+
+  if (planned.length === 0) {
+    return [];
+  }
+
+  const tickets = await db.runTransaction(async (transaction) => {
+    const snapshots = await transaction.getAll(...planned.map(ticket => ticket.ref));
+    const now = admin.firestore.Timestamp.now();
+
+    return planned.map((ticket, i) => {
+      if (snapshots[i].exists) {
+        return snapshots[i].data();
+      }
+
+      const ticketData = {
+        id: ticket.ticketId,
+        code: ticket.code,
+        order_reference: orderRef,
+        event_id: ticket.eventId,
+        admission_number: ticket.admissionNumber,
+        attendee_name: ticket.attendee.name || '',
+        attendee_email: ticket.attendee.email || '',
+        answers: ticket.attendee.answers || {},
+        status: 'valid',
+        checked_in: false,
+        checked_in_at: null,
+        created_at: now,
+      };
+      transaction.create(ticket.ref, ticketData);
+      return ticketData;
+    });
+  });
+
+  await orderRepository.update(orderRef, { tickets_issued: tickets.length }, audit);
+  logger.info('Tickets issued', { orderRef, count: tickets.length });
+
+  return tickets.map(convertFirestoreData);
+}
+
+/**
+ * Mark a ticket as scanned by the staff member `checkedInBy` (a Firebase uid). Returns { ticket } on success or { status, error, ticket? }
+ * when the code is forged, unknown, no longer valid or already used, or its order is no longer paid for.
+ */
+async function checkInTicket(code, checkedInBy) {
+  const ticketId = verifyTicketCode(code);
+
+  if (!ticketId) {
+    return { status: 404, error: 'Invalid ticket code' };
+  }
+
+  await initializeDatabase();
+
+  const admin = require('firebase-admin');
+  const ticketRef = db.collection(TICKETS_COLLECTION).doc(ticketId);
+
+  return db.runTransaction(async (transaction) => {
+    const ticketDoc = await transaction.get(ticketRef);
+
+    if (!ticketDoc.exists) {
+      return { status: 404, error: 'Invalid ticket code' };
+    }
+
+    const ticket = ticketDoc.data();
+
+    if (ticket.status !== 'valid') {
+      return { status: 409, error: `Ticket is ${ticket.status}`, ticket: convertFirestoreData(ticket) };
+    }
+    if (ticket.checked_in) {
+      return { status: 409, error: 'Ticket has already been checked in', ticket: convertFirestoreData(ticket) };
+    }
+
+    // Tickets and orders are separate documents; don't admit anyone on an order that isn't paid for
+    const orderDoc = await transaction.get(db.collection('ticket_purchases').doc(ticket.order_reference));
+    const orderStatus = orderDoc.exists ? orderDoc.data().status : 'missing';
+    if (!PAID_ORDER_STATUSES.includes(orderStatus)) {
+      return { status: 409, error: `Order is ${orderStatus}`, ticket: convertFirestoreData(ticket) };
+    }
+
+    const checkedInAt = admin.firestore.Timestamp.now();
+    const updates = { checked_in: true, checked_in_at: checkedInAt, checked_in_by: checkedInBy };
+    transaction.update(ticketRef, updates);
+
+    return { ticket: convertFirestoreData({ ...ticket, ...updates }) };
+  });
+}
+
+async function getCheckInCounts(eventId) {
+  await initializeDatabase();
+
+  const validTickets = db.collection(TICKETS_COLLECTION)
+    .where('event_id', '==', eventId)
+    .where('status', '==', 'valid');
+
+  const [issued, checkedIn] = await Promise.all([
+    validTickets.count().get(),
+    validTickets.where('checked_in', '==', true).count().get(),
+  ]);
+
+  return {
+    issued: issued.data().count,
+    checkedIn: checkedIn.data().count,
+  };
+}
+
+/**
+ * Everyone holding a ticket for an event (cancelled tickets are left out), in booking
+ * order. Tickets bought without attendee details are listed under the buyer's name.
+ */
+async function listEventAttendees(eventId) {
+  await initializeDatabase();
+
+  const snapshot = await db.collection(TICKETS_COLLECTION)
+    .where('event_id', '==', eventId)
+    .get();
+
+  const tickets = snapshot.docs
+    .map(doc => convertFirestoreData(doc.data()))
+    .filter(ticket => ticket.status !== 'cancelled')
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at) || a.admission_number - b.admission_number);
+
+  const orderRefs = [...new Set(tickets.map(ticket => ticket.order_reference))];
+  const orderDocs = orderRefs.length > 0
+    ? await db.getAll(...orderRefs.map(ref => db.collection('ticket_purchases').doc(ref)))
+    : [];
+  const orders = new Map(orderDocs.filter(doc => doc.exists).map(doc => [doc.id, doc.data()]));
+
+  return tickets.map(ticket => {
+    const order = orders.get(ticket.order_reference) || {};
+    return {
+      ticketId: ticket.id,
+      orderRef: ticket.order_reference,
+      admissionNumber: ticket.admission_number,
+      name: ticket.attendee_name || order.customer_name || '',
+      email: ticket.attendee_email || '',
+      buyerName: order.customer_name || '',
+      buyerEmail: order.customer_email || '',
+      answers: ticket.answers || {},
+      status: ticket.status,
+      checkedIn: ticket.checked_in,
+      checkedInAt: ticket.checked_in_at,
+    };
+  });
+}
+
+// ============================================
+// Refunds & Disputes
+// ============================================
+
+async function findOrderByPaymentIntent(paymentIntentId) {
+  if (!paymentIntentId) {
+    return null;
+  }
+
+  await initializeDatabase();
+
+  const querySnapshot = await db.collection('ticket_purchases')
+    .where('stripe_payment_intent_id', '==', paymentIntentId)
+    .limit(1)
+    .get();
+
+  if (querySnapshot.empty) {
+    return null;
+  }
+
+  return convertFirestoreData(querySnapshot.docs[0].data());
+}
+
+/**
+ * Inside a transaction, cancel an order's tickets to match the amount refunded so far
+ * and hand their seats back to the events. A full refund cancels every ticket; a partial
+ * refund cancels one ticket per whole ticket price refunded (at the price actually paid,
+ * after any discount), so in a mixed order a partial refund is counted against the
+ * tickets first. Tickets that have not been scanned are cancelled first. Reads happen
+ * before any writes, as Firestore transactions require. Returns the ticket documents it
+ * will cancel and a function that performs the writes.
+ */
+async function planSeatRelease(transaction, order, { fullyRefunded, amountRefunded }) {
+  const ticketItems = getOrderItems(order).filter(item => item.product_type === 'ticket');
+  const totalSeats = itemQuantity(ticketItems, 'ticket');
+
+  if (totalSeats === 0) {
+    return { released: 0, cancelled: [], write: () => {} };
+  }
+
+  const ticketsSnapshot = await transaction.get(
+    db.collection(TICKETS_COLLECTION).where('order_reference', '==', order.order_reference)
+  );
+
+  const releaseOrder = ticketsSnapshot.docs
+    .sort((a, b) => (a.data().checked_in - b.data().checked_in) || (b.data().admission_number - a.data().admission_number));
+
+  const paidRatio = order.amount_subtotal ? order.amount_total / order.amount_subtotal : 1;
+  const itemFor = eventId => ticketItems.find(item => item.event_id === eventId) || ticketItems[0];
+  const seatPrices = releaseOrder.length > 0
+    ? releaseOrder.map(doc => itemFor(doc.data().event_id).unit_amount * paidRatio)
+    : ticketItems.flatMap(item => Array(item.quantity).fill(item.unit_amount * paidRatio));
+
+  let targetReleased = totalSeats;
+  if (!fullyRefunded) {
+    targetReleased = 0;
+    let covered = 0;
+    while (targetReleased < seatPrices.length && covered + seatPrices[targetReleased] <= amountRefunded) {
+      covered += seatPrices[targetReleased];
+      targetReleased++;
+    }
+  }
+
+  const toRelease = targetReleased - (order.seats_released || 0);
+
+  if (toRelease <= 0) {
+    return { released: 0, cancelled: [], write: () => {} };
+  }
+
+  const cancellable = releaseOrder
+    .filter(doc => ['valid', 'suspended'].includes(doc.data().status))
+    .slice(0, toRelease);
+
+  // Seats whose tickets were never issued are taken from the order's first event
+  const seatsReleased = new Map();
+  cancellable.forEach(doc => {
+    const eventId = itemFor(doc.data().event_id).event_id;
+    seatsReleased.set(eventId, (seatsReleased.get(eventId) || 0) + 1);
+  });
+  if (cancellable.length < toRelease) {
+    const eventId = ticketItems[0].event_id;
+    seatsReleased.set(eventId, (seatsReleased.get(eventId) || 0) + toRelease - cancellable.length);
+  }
+
+  return {
+    released: toRelease,
+    cancelled: cancellable,
+    write: (now) => {
+      const admin = require('firebase-admin');
+      cancellable.forEach(doc => transaction.update(doc.ref, { status: 'cancelled', cancelled_at: now }));
+      seatsReleased.forEach((quantity, eventId) => {
+        transaction.update(db.collection(EVENTS_COLLECTION).doc(eventId), {
+          seats_sold: admin.firestore.FieldValue.increment(-quantity),
+          updated_at: now,
+        });
+      });
+    },
+  };
+}
+
+/**
+ * Record the total amount refunded on an order's payment. Stripe reports the running
+ * total (charge.amount_refunded), so an update that does not increase it is ignored;
+ * that keeps the admin route and the charge.refunded webhook from double-counting.
+ *
+ * Ticket seats are freed in proportion to the refund (see planSeatRelease()). `audit`
+ * says who made the change, for the order's history (see stageOrderUpdate()).
+ */
+async function applyRefundToOrder(orderRef, amountRefunded, audit) {
+  await initializeDatabase();
+
+  const orderDocRef = db.collection('ticket_purchases').doc(orderRef);
+
+  return db.runTransaction(async (transaction) => {
+    const orderDoc = await transaction.get(orderDocRef);
+
+    if (!orderDoc.exists) {
+      return { changed: false, error: 'Order not found' };
+    }
+
+    const order = orderDoc.data();
+    const previouslyRefunded = order.amount_refunded || 0;
+
+    if (!PAID_ORDER_STATUSES.includes(order.status) && order.status !== 'refunded') {
+      return { changed: false, error: `Order is ${order.status} and cannot be refunded` };
+    }
+    if (amountRefunded <= previouslyRefunded) {
+      return { changed: false, order: convertFirestoreData(order) };
+    }
+
+    const { updates, seatRelease } = await stageRefund(transaction, orderDocRef, order, amountRefunded, audit);
+
+    logger.info('Order refunded', { orderRef, status: updates.status, amountRefunded, seatsReleased: seatRelease.released });
+
+    return {
+      changed: true,
+      order: convertFirestoreData({ ...order, ...updates }),
+      amountRefundedNow: amountRefunded - previouslyRefunded,
+      seatsReleased: seatRelease.released,
+    };
+  });
+}
+
+/**
+ * Inside a transaction, stage the writes that bring an order's refunded total up to
+ * `amountRefunded`, along with any `extraUpdates` to the order, recorded in its history
+ * as `audit`. Shared by refunds and lost disputes. Returns the order updates and the
+ * seat release (see planSeatRelease()).
+ */
+async function stageRefund(transaction, orderDocRef, order, amountRefunded, audit, extraUpdates = {}) {
+  const admin = require('firebase-admin');
+
+  const fullyRefunded = amountRefunded >= order.amount_total;
+  const seatRelease = await planSeatRelease(transaction, order, { fullyRefunded, amountRefunded });
+  const now = admin.firestore.Timestamp.now();
+
+  const updates = {
+    status: fullyRefunded ? 'refunded' : 'partially_refunded',
+    amount_refunded: amountRefunded,
+    seats_released: (order.seats_released || 0) + seatRelease.released,
+    refunded_at: now,
+    updated_at: now,
+    ...extraUpdates,
+  };
+
+  // A fully refunded book that hasn't shipped yet must not be packed
+  if (fullyRefunded && hasPhysicalItems(getOrderItems(order)) && getFulfilmentStatus(order) === 'awaiting_dispatch') {
+    updates.fulfilment_status = 'cancelled';
+  }
+
+  seatRelease.write(now);
+  stageOrderUpdate(transaction, orderDocRef, order, updates, audit);
+
+  return { updates, seatRelease };
+}
+
+/**
+ * Cancel a paid order without refunding it (e.g. a comp or a payment settled outside
+ * Stripe): every ticket still held is cancelled and its seat handed back, and a book not
+ * yet dispatched is not sent. `fields` are other order fields changed at the same time.
+ * Returns { order, seatsReleased }, or null if there is no such order; throws as
+ * stageOrderUpdate() does if the order can't be cancelled.
+ */
+async function cancelOrder(orderRef, fields, audit) {
+  await initializeDatabase();
+
+  const admin = require('firebase-admin');
+  const orderDocRef = db.collection('ticket_purchases').doc(orderRef);
+
+  return db.runTransaction(async (transaction) => {
+    const orderDoc = await transaction.get(orderDocRef);
+
+    if (!orderDoc.exists) {
+      return null;
+    }
+
+    const order = orderDoc.data();
+    const seatRelease = order.status === 'cancelled'
+      ? { released: 0, write: () => {} }
+      : await planSeatRelease(transaction, order, { fullyRefunded: true });
+    const now = admin.firestore.Timestamp.now();
+
+    const updates = {
+      ...fields,
+      status: 'cancelled',
+      seats_released: (order.seats_released || 0) + seatRelease.released,
+      ...(order.status !== 'cancelled' && { cancelled_at: now }),
+      updated_at: now,
+    };
+
+    if (hasPhysicalItems(getOrderItems(order)) && getFulfilmentStatus(order) === 'awaiting_dispatch') {
+      updates.fulfilment_status = 'cancelled';
+    }
+
+    stageOrderUpdate(transaction, orderDocRef, order, updates, audit);
+    seatRelease.write(now);
+
+    logger.info('Order cancelled', { orderRef, seatsReleased: seatRelease.released });
+
+    return { order: convertFirestoreData({ ...order, ...updates }), seatsReleased: seatRelease.released };
+  });
+}
+
+/**
+ * Put an order on hold while its payment is disputed. The tickets are suspended rather
+ * than cancelled so they can be reinstated if the dispute is won.
+ */
+async function applyDisputeOpenedToOrder(orderRef, dispute, audit) {
+  await initializeDatabase();
+
+  const admin = require('firebase-admin');
+  const orderDocRef = db.collection('ticket_purchases').doc(orderRef);
+
+  return db.runTransaction(async (transaction) => {
+    const orderDoc = await transaction.get(orderDocRef);
+
+    if (!orderDoc.exists) {
+      return { changed: false, error: 'Order not found' };
+    }
+
+    const order = orderDoc.data();
+    if (order.status === 'disputed' || !PAID_ORDER_STATUSES.includes(order.status)) {
+      return { changed: false, order: convertFirestoreData(order) };
+    }
+
+    const ticketsSnapshot = await transaction.get(
+      db.collection(TICKETS_COLLECTION).where('order_reference', '==', orderRef)
+    );
+    const now = admin.firestore.Timestamp.now();
+
+    ticketsSnapshot.docs
+      .filter(doc => doc.data().status === 'valid')
+      .forEach(doc => transaction.update(doc.ref, { status: 'suspended' }));
+
+    const updates = {
+      status: 'disputed',
+      status_before_dispute: order.status,
+      stripe_dispute_id: dispute.id,
+      dispute_status: dispute.status,
+      dispute_reason: dispute.reason || '',
+      updated_at: now,
+    };
+    stageOrderUpdate(transaction, orderDocRef, order, updates, audit);
+
+    logger.warn('Order disputed', { orderRef, reason: dispute.reason });
+    return { changed: true, order: convertFirestoreData({ ...order, ...updates }) };
+  });
+}
+
+/**
+ * Settle a closed dispute. A won dispute restores the order and its tickets. A lost one
+ * means the disputed amount went back to the customer, so it is treated as a refund of
+ * that amount on top of anything refunded before; tickets it doesn't cover are reinstated.
+ */
+async function applyDisputeClosedToOrder(orderRef, dispute, audit) {
+  await initializeDatabase();
+
+  const admin = require('firebase-admin');
+  const orderDocRef = db.collection('ticket_purchases').doc(orderRef);
+
+  return db.runTransaction(async (transaction) => {
+    const orderDoc = await transaction.get(orderDocRef);
+
+    if (!orderDoc.exists) {
+      return { changed: false, error: 'Order not found' };
+    }
+
+    const order = orderDoc.data();
+    if (order.status !== 'disputed') {
+      return { changed: false, order: convertFirestoreData(order) };
+    }
+
+    const ticketsSnapshot = await transaction.get(
+      db.collection(TICKETS_COLLECTION).where('order_reference', '==', orderRef)
+    );
+    const suspended = ticketsSnapshot.docs.filter(doc => doc.data().status === 'suspended');
+
+    if (dispute.status === 'lost') {
+      const previouslyRefunded = order.amount_refunded || 0;
+      const amountRefunded = Math.min(previouslyRefunded + (dispute.amount || order.amount_total), order.amount_total);
+      const { updates, seatRelease } = await stageRefund(
+        transaction, orderDocRef, order, amountRefunded, audit, { dispute_status: dispute.status }
+      );
+      const cancelled = new Set(seatRelease.cancelled.map(doc => doc.id));
+
+      suspended
+        .filter(doc => !cancelled.has(doc.id))
+        .forEach(doc => transaction.update(doc.ref, { status: 'valid' }));
+
+      logger.info('Dispute lost', { orderRef, amountRefunded, seatsReleased: seatRelease.released });
+      return {
+        changed: true,
+        outcome: 'lost',
+        order: convertFirestoreData({ ...order, ...updates }),
+        amountRefundedNow: amountRefunded - previouslyRefunded,
+        seatsReleased: seatRelease.released,
+      };
+    }
+
+    suspended.forEach(doc => transaction.update(doc.ref, { status: 'valid' }));
+
+    const updates = {
+      status: order.status_before_dispute || 'completed',
+      dispute_status: dispute.status,
+      updated_at: admin.firestore.Timestamp.now(),
+    };
+    stageOrderUpdate(transaction, orderDocRef, order, updates, audit);
+
+    logger.info('Dispute closed', { orderRef, status: dispute.status });
+    return { changed: true, outcome: 'won', order: convertFirestoreData({ ...order, ...updates }) };
+  });
+}
+
+// ============================================
+// Customer Order Access
+// ============================================
+
+const ORDER_ACCESS_CODES_COLLECTION = 'order_access_codes';
+const ACCESS_CODE_TTL_MINUTES = 15;
+const ACCESS_CODE_MAX_ATTEMPTS = 5;
+
+// Fields anyone holding just the order reference may see
+const PUBLIC_ORDER_FIELDS = [
+  'order_reference', 'status', 'product_type', 'quantity', 'items',
+  'event_id', 'event_title', 'event_start', 'event_venue', 'created_at',
+];
+
+function getOrderAccessSecret() {
+  if (!process.env.ORDER_ACCESS_SECRET) {
+    throw new Error('ORDER_ACCESS_SECRET is not set');
+  }
+  return process.env.ORDER_ACCESS_SECRET;
+}
+
+// HMAC of the order reference; proves the holder was sent the link by us
+function createOrderAccessToken(orderRef) {
+  return crypto
+    .createHmac('sha256', getOrderAccessSecret())
+    .update(`order-access:${orderRef}`)
+    .digest('base64url');
+}
+
+function verifyOrderAccessToken(orderRef, token) {
+  if (typeof token !== 'string' || !token) {
+    return false;
+  }
+
+  const expected = Buffer.from(createOrderAccessToken(orderRef));
+  const actual = Buffer.from(token);
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function buildOrderLink(orderRef) {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return `${frontendUrl}/orders/${encodeURIComponent(orderRef)}?token=${createOrderAccessToken(orderRef)}`;
+}
+
+function toPublicOrder(order) {
+  const publicOrder = Object.fromEntries(PUBLIC_ORDER_FIELDS.filter(field => field in order).map(field => [field, order[field]]));
+
+  // Attendee names and answers are personal data, so only the item totals are public
+  if (publicOrder.items) {
+    publicOrder.items = publicOrder.items.map(({ attendees, ...item }) => item);
+  }
+
+  return publicOrder;
+}
+
+function hashAccessCode(orderRef, code) {
+  return crypto.createHmac('sha256', getOrderAccessSecret()).update(`access-code:${orderRef}:${code}`).digest('hex');
+}
+
+/**
+ * Create a 6-digit one-time code for an order, replacing any earlier one.
+ * Only a hash is stored.
+ */
+async function createOrderAccessCode(orderRef) {
+  await initializeDatabase();
+
+  const admin = require('firebase-admin');
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  await db.collection(ORDER_ACCESS_CODES_COLLECTION).doc(orderRef).set({
+    order_reference: orderRef,
+    code_hash: hashAccessCode(orderRef, code),
+    attempts: 0,
+    expires_at: admin.firestore.Timestamp.fromMillis(Date.now() + ACCESS_CODE_TTL_MINUTES * 60 * 1000),
+    created_at: admin.firestore.Timestamp.now(),
+  });
+
+  return code;
+}
+
+/**
+ * Check a one-time code. A correct code is consumed; wrong guesses count towards
+ * ACCESS_CODE_MAX_ATTEMPTS, after which a new code has to be requested.
+ */
+async function redeemOrderAccessCode(orderRef, code) {
+  await initializeDatabase();
+
+  const admin = require('firebase-admin');
+  const codeRef = db.collection(ORDER_ACCESS_CODES_COLLECTION).doc(orderRef);
+
+  return db.runTransaction(async (transaction) => {
+    const codeDoc = await transaction.get(codeRef);
+
+    if (!codeDoc.exists) {
+      return false;
+    }
+
+    const stored = codeDoc.data();
+
+    if (stored.expires_at.toMillis() < Date.now() || stored.attempts >= ACCESS_CODE_MAX_ATTEMPTS) {
+      transaction.delete(codeRef);
+      return false;
+    }
+
+    const expected = Buffer.from(stored.code_hash);
+    const actual = Buffer.from(hashAccessCode(orderRef, String(code)));
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      transaction.update(codeRef, { attempts: admin.firestore.FieldValue.increment(1) });
+      return false;
+    }
+
+    transaction.delete(codeRef);
+    return true;
+  });
+}
+
+async function findOrdersByEmail(email) {
+  await initializeDatabase();
+
+  const snapshots = await Promise.all(emailVariants(email).map(variant =>
+    db.collection('ticket_purchases').where('customer_email', '==', variant).get()
+  ));
+
+  const orders = new Map();
+  snapshots.forEach(snapshot => snapshot.docs.forEach(doc => orders.set(doc.id, convertFirestoreData(doc.data()))));
+
+  return [...orders.values()];
+}
+
+// ============================================
+// Promo Codes
+// ============================================
+
+const {
+  addPromoCodeToFirestore,
+  getPromoCodeFromFirestore,
+  updatePromoCodeInFirestore,
+  listPromoCodesFromFirestore,
+  checkPromoCode,
+  getStripeCouponForPromo,
+  redeemPromoCode,
+} = createPromoCodes({ getDb, getStripe, convertFirestoreData });
+
+// ============================================
+// Book Fulfilment
+// ============================================
+
+const { updateFulfilment, listOutstandingBookOrders } = createFulfilment({ getDb, convertFirestoreData });
+
+// ============================================
+// Email Setup
+// ============================================
+
+// Emails are written to an outbox collection and delivered from there, so an SMTP
+// failure never loses an email or fails the request that triggered it. queueEmail()
+// tries to deliver straight away; anything that fails is retried with exponential
+// backoff by processEmailOutbox(), which runs from the /api/cron/send-emails route.
+
+const EMAIL_OUTBOX_COLLECTION = 'email_outbox';
+const EMAIL_MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 6;
+const EMAIL_RETRY_BASE_MS = 60 * 1000;
+const EMAIL_RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+// A message left in 'sending' for this long is assumed to belong to a crashed worker
+const EMAIL_SENDING_LOCK_MS = 10 * 60 * 1000;
+
+let emailTransport = null;
+function getEmailTransport() {
+  if (!emailTransport) {
+    emailTransport = createEmailTransport();
+  }
+  return emailTransport;
+}
+
+// Backoff after `attempts` failed tries: 1 min, 2 min, 4 min ... capped at 6 hours
+function emailRetryDelay(attempts) {
+  return Math.min(EMAIL_RETRY_BASE_MS * 2 ** (attempts - 1), EMAIL_RETRY_MAX_MS);
+}
+
+// The tickets whose QR codes a template shows: a list for the buyer, one for an attendee
+function emailTickets(data) {
+  return data.tickets || (data.ticket ? [data.ticket] : []);
+}
+
+// Binary attachments aren't stored in the outbox; they are rebuilt from the template data
+async function buildEmailAttachments(templateName, data) {
+  const attachments = [];
+
+  if (['ticket_confirmation', 'order_confirmation', 'attendee_ticket'].includes(templateName)) {
+    // QR codes are attached inline (cid:) because most mail clients block data: URIs
+    attachments.push(...await Promise.all(emailTickets(data).map(async (ticket) => ({
+      filename: `ticket-${ticket.admission_number}.png`,
+      content: await QRCode.toBuffer(ticket.code, { width: 240, margin: 1 }),
+      cid: ticketImageCid(data.orderRef, ticket.admission_number),
+    }))));
+  }
+
+  if (data.calendar && data.calendar.length > 0) {
+    attachments.push({
+      filename: 'event.ics',
+      content: buildIcs(data.calendar),
+      contentType: 'text/calendar; charset=utf-8; method=PUBLISH',
+    });
+  }
+
+  return attachments;
+}
+
+/**
+ * Render a named template from emails/templates.js and send it with both HTML and
+ * plain-text parts through the configured transport.
+ */
+async function sendTemplateEmail(to, templateName, data) {
+  logger.info('Sending email', { template: templateName, to });
+  const { subject, html, text } = renderEmail(templateName, data);
+  const endTimer = metrics.emailSendDuration.startTimer({ template: templateName });
+
+  const info = await getEmailTransport().sendMail({
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    to,
+    subject,
+    html,
+    text,
+    attachments: await buildEmailAttachments(templateName, data),
+  });
+
+  endTimer();
+  logger.info('Email sent', { template: templateName, to });
+  return info;
+}
+
+/**
+ * Add an email to the outbox. `key` makes the write idempotent: queueing the same key
+ * twice (e.g. from a replayed webhook) keeps the first message and returns its ID.
+ */
+async function enqueueEmail({ to, template, data, key }) {
+  await initializeDatabase();
+
+  const admin = require('firebase-admin');
+  const outbox = db.collection(EMAIL_OUTBOX_COLLECTION);
+  const emailRef = key ? outbox.doc(key.replace(/\//g, '_')) : outbox.doc();
+  const now = admin.firestore.Timestamp.now();
+
+  try {
+    await emailRef.create({
+      id: emailRef.id,
+      to,
+      template,
+      data,
+      status: 'pending',
+      attempts: 0,
+      last_error: '',
+      next_attempt_at: now,
+      request_id: getRequestId() || '',
+      created_at: now,
+      sent_at: null,
+    });
+  } catch (error) {
+    // 6 = ALREADY_EXISTS
+    if (error.code === 6) {
+      logger.info('Email already queued', { emailId: emailRef.id });
+      return { id: emailRef.id, duplicate: true };
+    }
+    throw error;
+  }
+
+  logger.info('Email queued', { emailId: emailRef.id, template, to });
+  return { id: emailRef.id, duplicate: false };
+}
+
+/**
+ * Claim one outbox message and try to send it, recording the outcome. Returns the
+ * resulting status, or null if the message isn't due or another worker has it.
+ */
+async function deliverOutboxEmail(emailId) {
+  await initializeDatabase();
+
+  const admin = require('firebase-admin');
+  const emailRef = db.collection(EMAIL_OUTBOX_COLLECTION).doc(emailId);
+
+  const email = await db.runTransaction(async (transaction) => {
+    const emailDoc = await transaction.get(emailRef);
+
+    if (!emailDoc.exists) {
+      return null;
+    }
+
+    const message = emailDoc.data();
+    const now = Date.now();
+    const due = message.status === 'pending' && message.next_attempt_at.toMillis() <= now;
+    const stale = message.status === 'sending' && message.locked_at.toMillis() + EMAIL_SENDING_LOCK_MS <= now;
+
+    if (!due && !stale) {
+      return null;
+    }
+
+    transaction.update(emailRef, { status: 'sending', locked_at: admin.firestore.Timestamp.now() });
+    return message;
+  });
+
+  if (!email) {
+    return null;
+  }
+
+  const attempts = email.attempts + 1;
+
+  try {
+    // Retries run in a later request (or the cron job); originRequestId ties them back
+    // to the request that queued the email
+    if (email.request_id) {
+      logger.debug('Delivering queued email', { emailId, originRequestId: email.request_id });
+    }
+    const info = await sendTemplateEmail(email.to, email.template, email.data);
+
+    await emailRef.update({
+      status: 'sent',
+      attempts,
+      last_error: '',
+      message_id: (info && info.messageId) || '',
+      sent_at: admin.firestore.Timestamp.now(),
+    });
+    metrics.emailDeliveries.inc({ template: email.template, outcome: 'sent' });
+    return 'sent';
+  } catch (error) {
+    const status = attempts >= EMAIL_MAX_ATTEMPTS ? 'failed' : 'pending';
+    metrics.emailDeliveries.inc({ template: email.template, outcome: status === 'failed' ? 'failed' : 'retrying' });
+    logger.error('Error sending email', { emailId, template: email.template, attempts, maxAttempts: EMAIL_MAX_ATTEMPTS, err: error });
+
+    await emailRef.update({
+      status,
+      attempts,
+      last_error: error.message,
+      next_attempt_at: admin.firestore.Timestamp.fromMillis(Date.now() + emailRetryDelay(attempts)),
+    });
+    return status;
+  }
+}
+
+/**
+ * Queue an email and try to deliver it immediately. Delivery problems are left for
+ * the outbox worker to retry; only a failure to queue is thrown.
+ */
+async function queueEmail(message) {
+  // Orders whose personal data has been erased have no address left to write to
+  if (!message.to) {
+    logger.info('Email has no recipient, not queued', { template: message.template });
+    return null;
+  }
+
+  const queued = await enqueueEmail(message);
+
+  if (!queued.duplicate) {
+    try {
+      await deliverOutboxEmail(queued.id);
+    } catch (error) {
+      logger.error('Error delivering email, leaving it for retry', { emailId: queued.id, err: error });
+    }
+  }
+
+  return queued;
+}
+
+/**
+ * Send every outbox message that is due, oldest first. Messages abandoned in 'sending'
+ * by a crashed worker are picked up again. Returns counts by outcome.
+ */
+async function processEmailOutbox({ limit = 50 } = {}) {
+  await initializeDatabase();
+
+  const outbox = db.collection(EMAIL_OUTBOX_COLLECTION);
+  const now = Date.now();
+
+  // Filtered in memory rather than with a range query so no composite index is needed
+  const [pending, sending] = await Promise.all([
+    outbox.where('status', '==', 'pending').get(),
+    outbox.where('status', '==', 'sending').get(),
+  ]);
+
+  const due = [
+    ...pending.docs.filter(doc => doc.data().next_attempt_at.toMillis() <= now),
+    ...sending.docs.filter(doc => doc.data().locked_at.toMillis() + EMAIL_SENDING_LOCK_MS <= now),
+  ]
+    .sort((a, b) => a.data().created_at.toMillis() - b.data().created_at.toMillis())
+    .slice(0, limit);
+
+  const summary = { due: due.length, sent: 0, retrying: 0, failed: 0, skipped: 0 };
+
+  // One at a time to stay well inside SMTP provider rate limits
+  for (const doc of due) {
+    const status = await deliverOutboxEmail(doc.id);
+    if (status === 'sent') summary.sent++;
+    else if (status === 'pending') summary.retrying++;
+    else if (status === 'failed') summary.failed++;
+    else summary.skipped++;
+  }
+
+  logger.info('Email outbox processed', summary);
+  return summary;
+}
+
+async function listOutboxEmails({ status, limit = 50 } = {}) {
+  await initializeDatabase();
+
+  let query = db.collection(EMAIL_OUTBOX_COLLECTION);
+  if (status) {
+    query = query.where('status', '==', status);
+  }
+
+  const snapshot = await query.get();
+
+  // Template data can hold ticket codes, so only the envelope is listed
+  return snapshot.docs
+    .map(doc => {
+      const { data, ...envelope } = doc.data();
+      return convertFirestoreData(envelope);
+    })
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+    .slice(0, limit);
+}
+
+/**
+ * Queue the confirmation for a paid order: the ticket or book email when the order is
+ * for one event or just books, otherwise a combined order confirmation. Keyed by order
+ * so a replayed webhook can't send it twice.
+ */
+async function sendConfirmationEmail(order, tickets = []) {
+  const items = getOrderItems(order);
+  const orderRef = order.order_reference;
+  const productType = orderProductType(items);
+  const shipping = {
+    address: order.shipping_address,
+    city: order.shipping_city,
+    postcode: order.shipping_postcode,
+  };
+  const common = {
+    name: order.customer_name,
+    orderRef,
+    orderLink: buildOrderLink(orderRef),
+    donationAmount: order.donation_amount || 0,
+    giftAid: !!order.gift_aid,
+  };
+
+  if (productType === 'book') {
+    return queueEmail({
+      to: order.customer_email,
+      template: 'book_confirmation',
+      data: { ...common, ...shipping, quantity: itemQuantity(items, 'book'), amountTotal: order.amount_total },
+      key: `book_confirmation:${orderRef}`,
+    });
+  }
+
+  const events = await getOrderEvents(order);
+
+  // An .ics invite is attached for the events, with add-to-calendar links in the email
+  const calendar = orderCalendarEntries(order, events, { orderLink: common.orderLink });
+  common.calendar = calendar;
+  common.calendarLinks = calendar.map(entry => ({
+    title: entry.title,
+    google: googleCalendarUrl(entry),
+    outlook: outlookCalendarUrl(entry),
+  }));
+
+  if (productType === 'ticket' && events.length === 1) {
+    return queueEmail({
+      to: order.customer_email,
+      template: 'ticket_confirmation',
+      data: { ...common, quantity: itemQuantity(items, 'ticket'), event: emailEventDetails(events[0]), tickets },
+      key: `ticket_confirmation:${orderRef}`,
+    });
+  }
+
+  const eventTitles = new Map(events.map(event => [event.id, event.title]));
+
+  return queueEmail({
+    to: order.customer_email,
+    template: 'order_confirmation',
+    data: {
+      ...common,
+      items: items.map(item => ({
+        name: item.product_type === 'book' ? BOOK_TITLE : item.name,
+        quantity: item.quantity,
+        amount: item.unit_amount * item.quantity,
+      })),
+      discountAmount: order.discount_amount || 0,
+      amountTotal: order.amount_total,
+      events: events.map(emailEventDetails),
+      tickets: tickets.map(ticket => ({
+        code: ticket.code,
+        admission_number: ticket.admission_number,
+        attendee_name: ticket.attendee_name || '',
+        eventTitle: eventTitles.get(ticket.event_id) || '',
+      })),
+      shipping: hasPhysicalItems(items) ? shipping : null,
+    },
+    key: `order_confirmation:${orderRef}`,
+  });
+}
+
+/**
+ * Send each named attendee who gave an email address their own ticket. The buyer already
+ * has every ticket in the confirmation, so attendees sharing the buyer's address are
+ * skipped. Keyed by ticket so a replayed webhook can't send one twice.
+ */
+async function sendAttendeeTicketEmails(order, tickets) {
+  const buyerEmail = String(order.customer_email || '').trim().toLowerCase();
+  const recipients = tickets.filter(ticket => ticket.status === 'valid'
+    && ticket.attendee_email && ticket.attendee_email !== buyerEmail);
+
+  const events = new Map();
+  for (const ticket of recipients) {
+    if (!events.has(ticket.event_id)) {
+      const event = await getEventFromFirestore(ticket.event_id);
+      if (!event) {
+        throw new Error(`Event ${ticket.event_id} not found for order ${order.order_reference}`);
+      }
+      events.set(ticket.event_id, emailEventDetails(event));
+    }
+  }
+
+  for (const ticket of recipients) {
+    await queueEmail({
+      to: ticket.attendee_email,
+      template: 'attendee_ticket',
+      data: {
+        name: ticket.attendee_name,
+        buyerName: order.customer_name,
+        orderRef: order.order_reference,
+        event: events.get(ticket.event_id),
+        ticket: { code: ticket.code, admission_number: ticket.admission_number },
+      },
+      key: `attendee_ticket:${ticket.id}`,
+    });
+  }
+
+  return recipients.length;
+}
+
+// Template data shared by the emails about an existing order
+function orderEmailData(order) {
+  return {
+    name: order.customer_name,
+    orderRef: order.order_reference,
+    productType: order.product_type,
+    productName: describeOrderItems(getOrderItems(order)),
+    quantity: order.quantity,
+  };
+}
+
+/**
+ * Email the customer about a change to a paid order (refund, cancellation or dispute).
+ * `order` is the ticket_purchases document; `details.amountRefunded` is in pence.
+ * `key` identifies the change (e.g. the refund total or dispute ID) so it is only
+ * announced once.
+ */
+async function sendOrderUpdateEmail(order, type, details = {}, key) {
+  const templateName = {
+    refunded: 'refund',
+    partially_refunded: 'refund',
+    disputed: 'order_on_hold',
+    dispute_won: 'order_reinstated',
+  }[type];
+
+  if (!templateName) {
+    throw new Error(`Unknown order update email type: ${type}`);
+  }
+
+  return queueEmail({
+    to: order.customer_email,
+    template: templateName,
+    data: {
+      ...orderEmailData(order),
+      ...details,
+      fullRefund: type === 'refunded',
+    },
+    key: key && `${type}:${order.order_reference}:${key}`,
+  });
+}
+
+/**
+ * Email a customer a way back into their orders: type 'code' sends a one-time access
+ * code for `data.orderRef`, type 'links' sends signed links for each of `data.orders`.
+ */
+async function sendOrderAccessEmail(data, type) {
+  if (type === 'code') {
+    return queueEmail({
+      to: data.email,
+      template: 'access_code',
+      data: {
+        orderRef: data.orderRef,
+        code: data.code,
+        ttlMinutes: ACCESS_CODE_TTL_MINUTES,
+      },
+    });
+  }
+
+  return queueEmail({
+    to: data.email,
+    template: 'order_links',
+    data: {
+      orders: data.orders.map(order => ({
+        orderRef: order.order_reference,
+        description: describeOrderItems(getOrderItems(order)),
+        link: buildOrderLink(order.order_reference),
+      })),
+    },
+  });
+}
+
+// ============================================
+// Sales Reporting
+// ============================================
+
+const { buildSalesReport, streamReportOrders } = createSalesReports({
+  getDb,
+  convertFirestoreData,
+  eventTimezone: EVENT_TIMEZONE,
+});
+
+// ============================================
+// Stripe Webhook Processing
+// ============================================
+
+const STRIPE_EVENTS_COLLECTION = 'stripe_events';
+
+// A delivery still marked 'processing' after this long is assumed to have crashed
+const STRIPE_EVENT_LOCK_MS = 5 * 60 * 1000;
+
+// Who order changes made by webhook events are recorded against in the order history
+const STRIPE_WEBHOOK_AUDIT = { actor: 'stripe', source: 'webhook' };
+
+/**
+ * Apply a verified Stripe event to our orders. Every step is safe to repeat, so the same
+ * event can be replayed after a partial failure. Emails only go into the outbox here
+ * (keyed, so a replay can't queue them twice); a mail outage can't fail the webhook.
+ * `audit` is who the order changes are recorded against when it isn't the webhook (a
+ * replay or reconciliation). Returns false for event types we don't handle.
+ */
+async function handleStripeEvent(event, audit = STRIPE_WEBHOOK_AUDIT) {
+  const admin = require('firebase-admin');
+
+  switch (event.type) {
+    case 'checkout.session.completed':
+      const session = event.data.object;
+      const productType = session.metadata.productType || 'ticket';
+      
+      logger.info('Payment completed', {
+        orderRef: session.metadata.orderRef,
+        productType,
+        sessionId: session.id,
+        paymentStatus: session.payment_status,
+        amountTotal: session.amount_total,
+        originRequestId: session.metadata.requestId,
+      });
+      
+      // Retrieve the payment intent to get more details
+      let paymentIntentId = session.payment_intent;
+      try {
+        const paymentIntent = await getStripe().paymentIntents.retrieve(session.payment_intent);
+        paymentIntentId = paymentIntent.id;
+      } catch (piErr) {
+        logger.warn('Could not retrieve payment intent details', { err: piErr });
+      }
+      
+      // The order document, not the session metadata, says what was bought
+      const paidOrder = await orderRepository.get(session.metadata.orderRef);
+
+      if (!paidOrder) {
+        throw new Error(`Order ${session.metadata.orderRef} not found`);
+      }
+
+      // A redelivery or replay may find the order has already moved on (e.g. been refunded
+      // since). Its tickets and confirmation went out the first time, so there is nothing to do.
+      if (!['pending', 'completed'].includes(paidOrder.status)) {
+        logger.info('Order already settled, not marking completed', { orderRef: session.metadata.orderRef, status: paidOrder.status });
+        break;
+      }
+
+      // Update Firestore with completed status
+      await orderRepository.update(session.metadata.orderRef, {
+        status: 'completed',
+        stripe_payment_intent_id: paymentIntentId || session.payment_intent || '',
+        ...(!paidOrder.paid_at && { paid_at: admin.firestore.Timestamp.now() }),
+        ...(hasPhysicalItems(getOrderItems(paidOrder)) && !paidOrder.fulfilment_status && { fulfilment_status: 'awaiting_dispatch' }),
+      }, audit);
+
+
+      await settleOrderReservation(session.metadata.orderRef, 'confirmed', audit);
+      await redeemPromoCode(session.metadata.orderRef);
+
+      if (paidOrder.waitlist_entry_id) {
+        await transitionWaitlistEntry(paidOrder.waitlist_entry_id, 'offered', { status: 'converted' });
+      }
+
+      const tickets = await issueTicketsForOrder(paidOrder, audit);
+      await sendConfirmationEmail(paidOrder, tickets);
+      await sendAttendeeTicketEmails(paidOrder, tickets);
+
+      break;
+
+    case 'checkout.session.expired':
+      const expiredSession = event.data.object;
+      
+      logger.warn('Checkout expired', { orderRef: expiredSession.metadata.orderRef, sessionId: expiredSession.id });
+      
+      // Update status to failed
+      const expiredOrder = await orderRepository.get(expiredSession.metadata.orderRef);
+
+      if (expiredOrder && expiredOrder.status === 'pending') {
+        await orderRepository.update(expiredSession.metadata.orderRef, { status: 'failed' }, audit);
+      }
+
+      await settleOrderReservation(expiredSession.metadata.orderRef, 'released', audit);
+
+      // An unused waitlist offer lapses, and the freed seats go to whoever is next
+      if (expiredOrder) {
+        if (expiredOrder.waitlist_entry_id) {
+          await transitionWaitlistEntry(expiredOrder.waitlist_entry_id, 'offered', { status: 'expired' });
+        }
+        await offerReleasedSeats(expiredOrder);
+      }
+
+      break;
+
+    case 'charge.refunded':
+      const charge = event.data.object;
+      const refundedOrder = await findOrderByPaymentIntent(charge.payment_intent);
+
+      if (!refundedOrder) {
+        logger.warn('No order found for refunded payment', { paymentIntentId: charge.payment_intent });
+        break;
+      }
+
+      const refundResult = await applyRefundToOrder(refundedOrder.order_reference, charge.amount_refunded, audit);
+
+      if (refundResult.changed) {
+        await sendOrderUpdateEmail(refundResult.order, refundResult.order.status, {
+          amountRefunded: refundResult.amountRefundedNow,
+          seatsReleased: refundResult.seatsReleased,
+        }, refundResult.order.amount_refunded);
+      }
+
+      if (refundResult.seatsReleased > 0) {
+        await offerReleasedSeats(refundResult.order);
+      }
+
+      break;
+
+    case 'charge.dispute.created':
+      const dispute = event.data.object;
+      const disputedOrder = await findOrderByPaymentIntent(dispute.payment_intent);
+
+      if (!disputedOrder) {
+        logger.warn('No order found for disputed payment', { paymentIntentId: dispute.payment_intent });
+        break;
+      }
+
+      const disputeResult = await applyDisputeOpenedToOrder(disputedOrder.order_reference, dispute, audit);
+
+      if (disputeResult.changed) {
+        await sendOrderUpdateEmail(disputeResult.order, 'disputed', {}, dispute.id);
+      }
+
+      break;
+
+    case 'charge.dispute.closed':
+      const closedDispute = event.data.object;
+      const closedDisputeOrder = await findOrderByPaymentIntent(closedDispute.payment_intent);
+
+      if (!closedDisputeOrder) {
+        logger.warn('No order found for disputed payment', { paymentIntentId: closedDispute.payment_intent });
+        break;
+      }
+
+      const closedResult = await applyDisputeClosedToOrder(closedDisputeOrder.order_reference, closedDispute, audit);
+
+      if (closedResult.changed) {
+        await sendOrderUpdateEmail(
+          closedResult.order,
+          closedResult.outcome === 'lost' ? closedResult.order.status : 'dispute_won',
+          closedResult.outcome === 'lost'
+            ? { amountRefunded: closedResult.amountRefundedNow, seatsReleased: closedResult.seatsReleased }
+            : {},
+          closedDispute.id
+        );
+      }
+
+      if (closedResult.seatsReleased > 0) {
+        await offerReleasedSeats(closedResult.order);
+      }
+
+      break;
+
+    default:
+      logger.info('Unhandled Stripe event type', { eventType: event.type });
+      return false;
+  }
+
+  return true;
+}
+
+/**
+ * Record that we are about to process a Stripe event. Returns false if the event has
+ * already been handled, or another delivery of it is still in progress. `force` is used
+ * by the admin replay route to re-run an event regardless of its previous outcome.
+ */
+async function claimStripeEvent(event, { force = false } = {}) {
+  await initializeDatabase();
+
+  const admin = require('firebase-admin');
+  const eventRef = db.collection(STRIPE_EVENTS_COLLECTION).doc(event.id);
+
+  return db.runTransaction(async (transaction) => {
+    const eventDoc = await transaction.get(eventRef);
+    const now = admin.firestore.Timestamp.now();
+    const existing = eventDoc.exists ? eventDoc.data() : null;
+
+    if (existing && !force) {
+      if (['processed', 'ignored'].includes(existing.status)) {
+        return false;
+      }
+      if (existing.status === 'processing' && now.toMillis() - existing.started_at.toMillis() < STRIPE_EVENT_LOCK_MS) {
+        return false;
+      }
+    }
+
+    const object = event.data.object || {};
+
+    transaction.set(eventRef, {
+      id: event.id,
+      type: event.type,
+      livemode: !!event.livemode,
+      object_id: object.id || '',
+      order_reference: (object.metadata && object.metadata.orderRef) || '',
+      request_id: getRequestId() || '',
+      stripe_created_at: admin.firestore.Timestamp.fromMillis(event.created * 1000),
+      status: 'processing',
+      attempts: ((existing && existing.attempts) || 0) + 1,
+      error: '',
+      received_at: existing ? existing.received_at : now,
+      started_at: now,
+      processed_at: null,
+    });
+
+    return true;
+  });
+}
+
+async function recordStripeEventOutcome(eventId, status, error = '') {
+  await initializeDatabase();
+
+  const admin = require('firebase-admin');
+  await db.collection(STRIPE_EVENTS_COLLECTION).doc(eventId).update({
+    status,
+    error,
+    processed_at: admin.firestore.Timestamp.now(),
+  });
+}
+
+/**
+ * Claim, handle and log a Stripe event. Outcomes: 'duplicate' (already seen),
+ * 'processed', 'ignored' (event type we don't handle) or 'failed'.
+ */
+async function processStripeEvent(event, { force = false, audit } = {}) {
+  const claimed = await claimStripeEvent(event, { force });
+
+  if (!claimed) {
+    logger.info('Stripe event already processed, skipping', { stripeEventId: event.id });
+    return { outcome: 'duplicate' };
+  }
+
+  try {
+    const handled = await handleStripeEvent(event, audit);
+
+    const outcome = handled ? 'processed' : 'ignored';
+    await recordStripeEventOutcome(event.id, outcome);
+    return { outcome };
+  } catch (error) {
+    logger.error('Error processing Stripe event', { stripeEventId: event.id, eventType: event.type, err: error });
+    await recordStripeEventOutcome(event.id, 'failed', error.message)
+      .catch(err => logger.error('Error recording Stripe event outcome', { err }));
+    return { outcome: 'failed', error: error.message };
+  }
+}
+
+async function listStripeEvents({ status, limit = 50 } = {}) {
+  await initializeDatabase();
+
+  let query = db.collection(STRIPE_EVENTS_COLLECTION);
+  if (status) {
+    query = query.where('status', '==', status);
+  }
+
+  const snapshot = await query.get();
+
+  return snapshot.docs
+    .map(doc => convertFirestoreData(doc.data()))
+    .sort((a, b) => new Date(b.received_at) - new Date(a.received_at))
+    .slice(0, limit);
+}
+
+// ============================================
+// Pending Order Reconciliation
+// ============================================
+
+const { reconcilePendingOrders } = createReconciliation({
+  getDb,
+  convertFirestoreData,
+  getStripe,
+  handleStripeEvent,
+});
+
+// ============================================
+// Donations & Gift Aid
+// ============================================
+
+const { listGiftAidOrders } = createDonations({ getDb, convertFirestoreData });
+
+// ============================================
+// Checkout
+// ============================================
+
+const ORDER_REF_PREFIXES = { ticket: 'TIX', book: 'BOOK', mixed: 'ORD' };
+
+/**
+ * Create a Stripe Checkout session and a pending order for a cart. `cart.items` is a list
+ * of { type: 'ticket' | 'book', quantity, eventId?, attendees? } (see
+ * validateAttendees() for the attendee list), with an optional `donation` and
+ * `giftAid` declaration (see resolveDonation()); a shipping address is only needed
+ * when the cart contains a book. Seats are held until the session completes or expires,
+ * after `holdMinutes`; waitlist offers hold them for longer. Returns { status, body } for
+ * the route to send back.
+ */
+async function createCheckoutSession(cart, { holdMinutes = RESERVATION_HOLD_MINUTES, waitlistEntryId = '' } = {}) {
+  const { customerName, customerEmail, customerPhone, address, city, postcode, promoCode } = cart;
+
+  const resolved = await resolveCartItems(cart.items);
+  if (resolved.error) {
+    return { status: resolved.status, body: { error: resolved.error } };
+  }
+
+  const { items } = resolved;
+  const physical = hasPhysicalItems(items);
+  const productType = orderProductType(items);
+  const eventIds = [...seatsByEvent(items).keys()];
+
+  const donation = resolveDonation(cart);
+  if (donation.error) {
+    return { status: 400, body: { error: donation.error } };
+  }
+  if (donation.donation && promoCode) {
+    return { status: 400, body: { error: 'Promo codes cannot be used on orders that include a donation' } };
+  }
+
+  // Validate shipping info for books
+  if (physical && (!address || !city || !postcode)) {
+    return { status: 400, body: { error: 'Shipping address is required for book orders' } };
+  }
+
+  // Validate the promo code before any seats are held
+  let couponId = null;
+  if (promoCode) {
+    const checked = await checkPromoCode(promoCode, {
+      productTypes: [...new Set(items.map(item => item.product_type))],
+      eventIds,
+      customerEmail,
+    });
+    if (checked.error) {
+      return { status: 400, body: { error: checked.error } };
+    }
+    couponId = await getStripeCouponForPromo(checked.promo);
+  }
+
+  const orderRef = `${ORDER_REF_PREFIXES[productType]}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  const quantity = items.reduce((sum, item) => sum + item.quantity, 0);
+
+  if (donation.donation) {
+    items.push({ ...DONATION_PRODUCT, product_type: 'donation', unit_amount: donation.donation, quantity: 1 });
+  }
+  const singleEvent = eventIds.length === 1 ? items.find(item => item.product_type === 'ticket') : null;
+
+  // Hold the seats before handing over to Stripe so two buyers cannot take the last ticket
+  const reservation = await reserveSeats(items);
+  if (!reservation.reserved) {
+    return {
+      status: 409,
+      body: { error: reservation.error, eventId: reservation.eventId, available: reservation.available },
+    };
+  }
+
+  let session;
+  try {
+    session = await getStripe().checkout.sessions.create({
+      payment_method_types: ['card'],
+      line_items: items.map(item => ({
+        price_data: {
+          currency: 'gbp',
+          product_data: {
+            name: item.name,
+            description: item.description,
+          },
+          unit_amount: item.unit_amount,
+        },
+        quantity: item.quantity,
+      })),
+      mode: 'payment',
+      ...(couponId && { discounts: [{ coupon: couponId }] }),
+      ...(eventIds.length > 0 && { expires_at: Math.floor(Date.now() / 1000) + holdMinutes * 60 }),
+      success_url: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/success?session_id={CHECKOUT_SESSION_ID}&order_ref=${orderRef}&token=${createOrderAccessToken(orderRef)}`,
+      cancel_url: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/cancelled`,
+      customer_email: customerEmail,
+      metadata: {
+        orderRef,
+        name: customerName,
+        quantity: quantity.toString(),
+        phone: customerPhone || '',
+        productType,
+        ...(couponId && { promoCode: normalizePromoCode(promoCode) }),
+        ...(physical && { address, city, postcode }),
+        ...(singleEvent && { eventId: singleEvent.event_id }),
+        ...(donation.donation && { donation: donation.donation.toString(), giftAid: donation.giftAid ? 'yes' : 'no' }),
+        requestId: getRequestId() || '',
+      },
+    });
+
+    // Save to Firestore with pending status
+    await orderRepository.add({
+      order_reference: orderRef,
+      customer_name: customerName,
+      customer_email: customerEmail,
+      customer_phone: customerPhone || '',
+      quantity,
+      items,
+      amount_total: session.amount_total,
+      amount_subtotal: session.amount_subtotal,
+      discount_amount: (session.total_details && session.total_details.amount_discount) || 0,
+      promo_code: couponId ? normalizePromoCode(promoCode) : '',
+      stripe_session_id: session.id,
+      stripe_payment_intent_id: '',
+      status: 'pending',
+      product_type: productType,
+      shipping_address: physical ? address : '',
+      shipping_city: physical ? city : '',
+      shipping_postcode: physical ? postcode : '',
+      reservation_status: eventIds.length > 0 ? 'held' : '',
+      event_id: singleEvent ? singleEvent.event_id : '',
+      event_title: singleEvent ? singleEvent.event_title : '',
+      event_start: singleEvent ? singleEvent.event_start : null,
+      event_venue: singleEvent ? singleEvent.event_venue : '',
+      waitlist_entry_id: waitlistEntryId,
+      donation_amount: donation.donation,
+      gift_aid: donation.giftAid,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    }, { actor: 'customer', source: waitlistEntryId ? 'waitlist' : 'checkout' });
+  } catch (error) {
+    if (eventIds.length > 0) {
+      await releaseSeats(items).catch(err => logger.error('Error releasing seats', { err }));
+    }
+    throw error;
+  }
+
+  return {
+    status: 200,
+    body: {
+      url: session.url,
+      sessionId: session.id,
+      orderRef: orderRef,
+      expiresAt: new Date(session.expires_at * 1000).toISOString(),
+    },
+  };
+}
+
+// ============================================
+// Waitlist
+// ============================================
+
+const {
+  listWaitlistEntries,
+  joinWaitlist,
+  transitionWaitlistEntry,
+  offerSeatsToWaitlist,
+  offerReleasedSeats,
+} = createWaitlist({
+  getDb,
+  convertFirestoreData,
+  getEventFromFirestore,
+  getAvailableSeats,
+  validateAttendees,
+  createCheckoutSession,
+  queueEmail,
+  emailEventDetails,
+  eventTimezone: EVENT_TIMEZONE,
+});
+
+// ============================================
+// Personal Data
+// ============================================
+
+const {
+  exportPersonalData,
+  erasePersonalData,
+  applyRetentionPolicy,
+} = createPersonalData({
+  getDb,
+  convertFirestoreData,
+  orderRepository,
+  findOrdersByEmail,
+  ticketsCollection: TICKETS_COLLECTION,
+  emailOutboxCollection: EMAIL_OUTBOX_COLLECTION,
+  orderAccessCodesCollection: ORDER_ACCESS_CODES_COLLECTION,
+});
+
+// ============================================
+// Authentication & Roles
+// ============================================
+
+const ROLES = ['admin', 'door_staff', 'viewer'];
+const ADMIN_ROLES_COLLECTION = 'admin_roles';
+
+/**
+ * Work out a user's role from their `role` custom claim, falling back to an
+ * admin_roles/{uid} document. The Firestore fallback is how the first admin is set up,
+ * since custom claims can only be written by someone who is already an admin.
+ */
+async function getUserRole(decodedToken) {
+  if (ROLES.includes(decodedToken.role)) {
+    return decodedToken.role;
+  }
+
+  const roleDoc = await db.collection(ADMIN_ROLES_COLLECTION).doc(decodedToken.uid).get();
+  const role = roleDoc.exists ? roleDoc.data().role : null;
+
+  return ROLES.includes(role) ? role : null;
+}
+
+/**
+ * Middleware: require a Firebase Auth ID token (Authorization: Bearer <token>) for a user
+ * holding one of `allowedRoles`. Admins are always allowed. Sets req.user.
+ */
+function requireRole(...allowedRoles) {
+  return async (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const [scheme, idToken] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !idToken) {
+      return sendError(res, 401, 'Authentication required');
+    }
+
+    let decodedToken;
+    try {
+      await initializeDatabase();
+      const admin = require('firebase-admin');
+      decodedToken = await admin.auth().verifyIdToken(idToken);
+    } catch (error) {
+      logger.warn('Rejected ID token', { reason: error.code || error.message });
+      return sendError(res, 401, 'Invalid or expired token');
+    }
+
+    try {
+      const role = await getUserRole(decodedToken);
+
+      if (!role || (role !== 'admin' && !allowedRoles.includes(role))) {
+        logger.warn('User denied', { uid: decodedToken.uid, role: role || 'none', method: req.method, path: req.path });
+        return sendError(res, 403, 'Insufficient permissions');
+      }
+
+      req.user = { uid: decodedToken.uid, email: decodedToken.email || '', role };
+      next();
+    } catch (error) {
+      logger.error('Error checking user role', { err: error });
+      sendServerError(res);
+    }
+  };
+}
+
+const requireAdmin = requireRole('admin');
+
+/**
+ * Whether a request carries a valid ID token for an admin. For public routes that show
+ * admins a little more; anything else (no token, a bad one, another role) is false.
+ */
+async function isAdminRequest(req) {
+  const [scheme, idToken] = (req.headers.authorization || '').split(' ');
+
+  if (scheme !== 'Bearer' || !idToken) {
+    return false;
+  }
+
+  try {
+    await initializeDatabase();
+    const admin = require('firebase-admin');
+    const decodedToken = await admin.auth().verifyIdToken(idToken);
+    return (await getUserRole(decodedToken)) === 'admin';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Middleware for scheduled jobs. Vercel Cron sends `Authorization: Bearer $CRON_SECRET`;
+ * other schedulers can send the secret in an X-Cron-Secret header instead.
+ */
+function requireCronSecret(req, res, next) {
+  const secret = process.env.CRON_SECRET;
+
+  if (!secret) {
+    logger.error('CRON_SECRET is not set; refusing cron request');
+    return sendError(res, 503, 'Cron is not configured');
+  }
+
+  const provided = req.headers['x-cron-secret']
+    || (req.headers.authorization || '').replace(/^Bearer /, '');
+
+  if (!secretMatches(secret, provided)) {
+    return sendError(res, 401, 'Invalid cron secret');
+  }
+
+  next();
+}
+
+/**
+ * Middleware for the metrics scraper, which sends `Authorization: Bearer $METRICS_TOKEN`.
+ */
+function requireMetricsToken(req, res, next) {
+  const token = process.env.METRICS_TOKEN;
+
+  if (!token) {
+    return sendError(res, 503, 'Metrics are not configured');
+  }
+
+  if (!secretMatches(token, (req.headers.authorization || '').replace(/^Bearer /, ''))) {
+    return sendError(res, 401, 'Invalid metrics token');
+  }
+
+  next();
+}
+
+// Constant-time comparison of a configured secret with the one a request sent
+function secretMatches(secret, provided) {
+  const expected = Buffer.from(secret);
+  const actual = Buffer.from(provided);
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// ============================================
+// Abuse Protection
+// ============================================
+//
+// Rate limits on the routes that start payments or look orders up, counted per client IP
+// and per email address, and access code guesses per order as well. Each is "<count>/<window>" (e.g. 10/15m) or "off". Counts are
+// kept in RATE_LIMIT_STORE: memory, or firestore so serverless instances share them.
+// CAPTCHA_PROVIDER adds a CAPTCHA check to the same routes (see protection/captcha.js).
+
+// A bad setting falls back to the default rather than stopping the server
+function rateLimitSetting(name, fallback) {
+  try {
+    return parseRateLimit(process.env[name] || fallback);
+  } catch (error) {
+    logger.error('Invalid rate limit setting, using the default', { setting: name, fallback, err: error });
+    return parseRateLimit(fallback);
+  }
+}
+
+const RATE_LIMITS = {
+  checkoutPerIp: rateLimitSetting('RATE_LIMIT_CHECKOUT_PER_IP', '10/15m'),
+  checkoutPerEmail: rateLimitSetting('RATE_LIMIT_CHECKOUT_PER_EMAIL', '5/15m'),
+  lookupPerIp: rateLimitSetting('RATE_LIMIT_LOOKUP_PER_IP', '30/15m'),
+  lookupPerEmail: rateLimitSetting('RATE_LIMIT_LOOKUP_PER_EMAIL', '3/1h'),
+  accessCodePerOrder: rateLimitSetting('RATE_LIMIT_ACCESS_CODE_PER_ORDER', '10/1h'),
+};
+
+const rateLimitStore = createRateLimitStore(
+  process.env.RATE_LIMIT_STORE || (getStorageDriver() === 'firestore' ? 'firestore' : 'memory'),
+  { getDb }
+);
+
+// Starting a checkout creates a Stripe session and holds seats
+const checkoutRateLimit = rateLimit(rateLimitStore, 'checkout', [
+  { by: 'ip', key: req => req.ip, limit: RATE_LIMITS.checkoutPerIp },
+  { by: 'email', key: req => req.body.customerEmail, limit: RATE_LIMITS.checkoutPerEmail },
+]);
+
+// Order lookups, access codes and order link emails
+const lookupRateLimit = rateLimit(rateLimitStore, 'lookup', [
+  { by: 'ip', key: req => req.ip, limit: RATE_LIMITS.lookupPerIp },
+  { by: 'email', key: req => req.body && req.body.email, limit: RATE_LIMITS.lookupPerEmail },
+]);
+
+// Each code allows a few attempts, but new codes can be requested; this caps the guesses
+// against one order however many addresses they come from
+const accessCodeRateLimit = rateLimit(rateLimitStore, 'access_code', [
+  { by: 'order', key: req => req.params.orderReference, limit: RATE_LIMITS.accessCodePerOrder },
+]);
+
+// A misconfigured provider refuses the protected requests rather than letting bots through
+function loadCaptchaProvider() {
+  try {
+    return createCaptchaProvider();
+  } catch (error) {
+    logger.error('CAPTCHA is misconfigured; protected routes will refuse requests', { err: error });
+    return {
+      name: process.env.CAPTCHA_PROVIDER,
+      verify: async () => { throw error; },
+    };
+  }
+}
+
+const checkCaptcha = requireCaptcha(loadCaptchaProvider());
+
+// ============================================
+// Request Schemas
+// ============================================
+//
+// The shape of every route's body, query string and parameters (see validation/). Rules
+// that depend on stored data or on several fields at once — seats, promo codes,
+// registration answers, date ranges — stay with the code that applies them.
+
+const ORDER_TOKEN_PATTERN = /^[A-Za-z0-9_.-]+$/;
+const REFUND_REASONS = ['duplicate', 'fraudulent', 'requested_by_customer'];
+const STRIPE_EVENT_STATUSES = ['processing', 'processed', 'ignored', 'failed'];
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+const orderReferenceParams = schema.object({ orderReference: schema.id() });
+const eventIdParams = schema.object({ eventId: schema.id() });
+const promoCodeParams = schema.object({ code: schema.string({ max: 32 }) });
+
+const orderTokenQuery = schema.object({
+  token: schema.optional(schema.string({ max: 200, pattern: ORDER_TOKEN_PATTERN, message: 'is not a valid order token' })),
+});
+
+const attendeesSchema = schema.array(schema.object({
+  name: schema.string({ max: 100 }),
+  email: schema.optional(schema.email()),
+  // Checked against the event's questions by validateAttendees()
+  answers: schema.optional(schema.object({}, { unknown: 'allow' })),
+}), { max: MAX_ITEM_QUANTITY });
+
+// Shipping fields are optional here; createCheckoutSession() requires them for books
+const customerFields = {
+  customerName: schema.string({ max: 100 }),
+  customerEmail: schema.email(),
+  customerPhone: schema.optional(schema.phone()),
+  address: schema.optional(schema.string({ max: 200 })),
+  city: schema.optional(schema.string({ max: 100 })),
+  postcode: schema.optional(schema.ukPostcode()),
+};
+
+// Lengths follow GIFT_AID_FIELDS; resolveDonation() decides which are required
+const giftAidSchema = schema.object({
+  declared: schema.optional(schema.boolean(), false),
+  title: schema.optional(schema.string({ max: GIFT_AID_FIELDS.title.maxLength })),
+  firstName: schema.optional(schema.string({ max: GIFT_AID_FIELDS.firstName.maxLength })),
+  lastName: schema.optional(schema.string({ max: GIFT_AID_FIELDS.lastName.maxLength })),
+  houseNameOrNumber: schema.optional(schema.string({ max: GIFT_AID_FIELDS.houseNameOrNumber.maxLength })),
+  address: schema.optional(schema.string({ max: GIFT_AID_FIELDS.address.maxLength })),
+  postcode: schema.optional(schema.ukPostcode()),
+});
+
+const orderExtrasFields = {
+  promoCode: schema.optional(schema.string({ max: 32 })),
+  donation: schema.optional(schema.integer({ min: 0, max: DONATION_MAX })),
+  giftAid: schema.optional(giftAidSchema),
+};
+
+// Routes behind checkCaptcha take the token in the body as well as the X-Captcha-Token header
+const captchaFields = {
+  captchaToken: schema.optional(schema.string({ max: 4096 })),
+};
+
+const quantitySchema = schema.integer({ min: 1, max: MAX_ITEM_QUANTITY });
+
+const checkoutBody = schema.object({
+  items: schema.array(schema.object({
+    type: schema.oneOf(PRODUCT_TYPES),
+    quantity: quantitySchema,
+    eventId: schema.optional(schema.id()),
+    attendees: schema.optional(attendeesSchema),
+  }), { min: 1, max: MAX_CART_ITEMS }),
+  ...customerFields,
+  ...orderExtrasFields,
+  ...captchaFields,
+});
+
+// The single-product bodies the older checkout routes take
+const legacyTicketCheckoutBody = schema.object({
+  quantity: quantitySchema,
+  eventId: schema.optional(schema.id()),
+  attendees: schema.optional(attendeesSchema),
+  ...customerFields,
+  ...orderExtrasFields,
+  ...captchaFields,
+});
+
+const legacyBookCheckoutBody = schema.object({
+  quantity: quantitySchema,
+  ...customerFields,
+  ...orderExtrasFields,
+  ...captchaFields,
+});
+
+const legacyCheckoutBody = schema.object({
+  productType: schema.oneOf(PRODUCT_TYPES),
+  quantity: quantitySchema,
+  eventId: schema.optional(schema.id()),
+  attendees: schema.optional(attendeesSchema),
+  ...customerFields,
+  ...orderExtrasFields,
+  ...captchaFields,
+});
+
+// Orders added by hand, e.g. tickets paid for in cash
+const orderFields = {
+  customer_name: schema.string({ max: 100 }),
+  customer_email: schema.email(),
+  customer_phone: schema.optional(schema.phone(), ''),
+  shipping_address: schema.optional(schema.string({ max: 200 }), ''),
+  shipping_city: schema.optional(schema.string({ max: 100 }), ''),
+  shipping_postcode: schema.optional(schema.ukPostcode(), ''),
+  status: schema.oneOf(ORDER_STATUSES),
+};
+
+const createOrderBody = schema.object({
+  order_reference: schema.id(),
+  ...orderFields,
+  quantity: schema.optional(schema.integer({ min: 1, max: MAX_CART_ITEMS * MAX_ITEM_QUANTITY })),
+  amount_total: schema.integer({ min: 0 }),
+  amount_subtotal: schema.optional(schema.integer({ min: 0 })),
+  discount_amount: schema.optional(schema.integer({ min: 0 })),
+  donation_amount: schema.optional(schema.integer({ min: 0, max: DONATION_MAX })),
+  product_type: schema.optional(schema.oneOf([...PRODUCT_TYPES, 'mixed'])),
+  items: schema.optional(schema.array(schema.object({}, { unknown: 'allow' }), { max: MAX_CART_ITEMS + 1 })),
+  promo_code: schema.optional(schema.string({ max: 32 })),
+  stripe_session_id: schema.optional(schema.id({ max: 255 })),
+  stripe_payment_intent_id: schema.optional(schema.id({ max: 255 })),
+  event_id: schema.optional(schema.id()),
+  event_title: schema.optional(schema.string({ max: 200 })),
+  event_start: schema.optional(schema.date()),
+  event_venue: schema.optional(schema.string({ max: 200 })),
+  created_at: schema.optional(schema.date()),
+  updated_at: schema.optional(schema.date()),
+}, { unknown: 'reject' });
+
+const updateOrderBody = schema.object(schema.partial(orderFields), { unknown: 'reject', minKeys: 1 });
+
+// Subject access and erasure requests
+const personalDataBody = schema.object({ email: schema.email() });
+
+const questionSchema = schema.object({
+  id: schema.string({ max: 40 }),
+  label: schema.string({ max: 200 }),
+  type: schema.oneOf(QUESTION_TYPES),
+  required: schema.optional(schema.boolean(), false),
+  options: schema.optional(schema.array(schema.string({ max: 100 }), { max: 50 })),
+});
+
+// Start/end ordering and the question details are left to validateEventData()
+const eventFields = {
+  title: schema.string({ max: 200 }),
+  description: schema.optional(schema.string({ max: 5000 }), ''),
+  start_time: schema.date(),
+  end_time: schema.date(),
+  venue: schema.string({ max: 200 }),
+  price: schema.integer({ min: 0 }),
+  capacity: schema.integer({ min: 1 }),
+  status: schema.optional(schema.oneOf(EVENT_STATUSES)),
+  registration_questions: schema.optional(schema.array(questionSchema, { max: MAX_QUESTIONS })),
+};
+
+const createEventBody = schema.object(eventFields);
+const updateEventBody = schema.object(schema.partial(eventFields), { minKeys: 1 });
+
+const waitlistBody = schema.object({
+  name: schema.string({ max: 100 }),
+  email: schema.email(),
+  phone: schema.optional(schema.phone()),
+  quantity: schema.integer({ min: 1, max: MAX_WAITLIST_QUANTITY }),
+  attendees: schema.optional(attendeesSchema),
+});
+
+// Cross-field rules (percentages, date order) are left to validatePromoData()
+const promoFields = {
+  description: schema.optional(schema.string({ max: 500 }), ''),
+  discount_type: schema.oneOf(PROMO_DISCOUNT_TYPES),
+  discount_value: schema.integer({ min: 1 }),
+  product_types: schema.optional(schema.array(schema.oneOf(PRODUCT_TYPES), { max: PRODUCT_TYPES.length }), []),
+  event_ids: schema.optional(schema.array(schema.id(), { max: 100 }), []),
+  starts_at: schema.optional(schema.date(), null),
+  expires_at: schema.optional(schema.date(), null),
+  max_redemptions: schema.optional(schema.integer({ min: 1 }), null),
+  max_redemptions_per_customer: schema.optional(schema.integer({ min: 1 }), null),
+  active: schema.optional(schema.boolean()),
+};
+
+const createPromoBody = schema.object({ code: schema.string({ max: 32 }), ...promoFields });
+const updatePromoBody = schema.object(schema.partial(promoFields), { minKeys: 1 });
+
+// Date range and filters shared by the reports; parseReportFilters() checks the range
+const reportRangeFields = {
+  from: schema.optional(schema.date()),
+  to: schema.optional(schema.date()),
+};
+
+const reportFiltersQuery = schema.object({
+  ...reportRangeFields,
+  status: schema.optional(schema.oneOf(ORDER_STATUSES)),
+  productType: schema.optional(schema.oneOf(PRODUCT_TYPES)),
+  eventId: schema.optional(schema.id()),
+  groupBy: schema.optional(schema.string({ max: 100 })),
+});
+
+const exportFormatQuery = schema.object({
+  format: schema.optional(schema.oneOf(['json', 'csv']), 'json'),
+});
+
+// Admin lists of Stripe events and outbox emails, filtered by status
+function statusListQuery(statuses) {
+  return schema.object({
+    status: schema.optional(schema.oneOf(['all', ...statuses]), 'failed'),
+    limit: schema.optional(schema.integer({ min: 1, max: 200 }), 50),
+  });
+}
+
+// Send a createCheckoutSession() result ({ status, body }), errors in the standard shape
+function sendCheckoutResult(res, result) {
+  if (result.status >= 400) {
+    const { error, ...extra } = result.body;
+    return sendError(res, result.status, error, extra);
+  }
+  res.status(result.status).json(result.body);
+}
+
+// Middleware counting every request to a checkout route, including ones refused by the
+// checks that run after it
+function countCheckouts(req, res, next) {
+  res.on('finish', () => {
+    metrics.checkouts.inc({ source: 'checkout', outcome: checkoutOutcome(res.statusCode) });
+  });
+  next();
+}
+
+// ============================================
+// Routes
+// ============================================
+
+
+/**
+ * Cart Checkout Session (any mix of tickets and books in one payment)
+ * Body: { items: [{ type, quantity, eventId?, attendees? }], customerName, customerEmail,
+ * customerPhone?, address?, city?, postcode?, promoCode?, donation?, giftAid? }
+ */
+app.post('/api/checkout', countCheckouts, validateRequest({ body: checkoutBody }), checkoutRateLimit, checkCaptcha, async (req, res) => {
+  try {
+    const result = await createCheckoutSession(req.body);
+    sendCheckoutResult(res, result);
+  } catch (error) {
+    logger.error('Error creating cart checkout session', { err: error });
+    sendServerError(res);
+  }
+});
+
+/**
+ * Unified Checkout Session (one product type; kept for older frontends)
+ */
+app.post('/api/create-checkout-session', countCheckouts, validateRequest({ body: legacyCheckoutBody }), checkoutRateLimit, checkCaptcha, async (req, res) => {
+  try {
+    const { quantity, productType, eventId, attendees } = req.body;
+
+    const result = await createCheckoutSession({
+      ...req.body,
+      items: [{ type: productType, quantity, eventId, attendees }],
+    });
+    sendCheckoutResult(res, result);
+  } catch (error) {
+    logger.error('Error creating checkout session', { err: error });
+    sendServerError(res);
+  }
+});
+
+/**
+ * Create Ticket Checkout Session (kept for older frontends)
+ */
+app.post('/api/create-ticket-checkout-session', countCheckouts, validateRequest({ body: legacyTicketCheckoutBody }), checkoutRateLimit, checkCaptcha, async (req, res) => {
+  try {
+    const { quantity, eventId, attendees } = req.body;
+
+    const result = await createCheckoutSession({
+      ...req.body,
+      items: [{ type: 'ticket', quantity, eventId, attendees }],
+    });
+    sendCheckoutResult(res, result);
+  } catch (error) {
+    logger.error('Error creating ticket checkout session', { err: error });
+    sendServerError(res);
+  }
+});
+
+/**
+ * Create Book Checkout Session (kept for older frontends)
+ */
+app.post('/api/create-book-checkout-session', countCheckouts, validateRequest({ body: legacyBookCheckoutBody }), checkoutRateLimit, checkCaptcha, async (req, res) => {
+  try {
+    const result = await createCheckoutSession({
+      ...req.body,
+      items: [{ type: 'book', quantity: req.body.quantity }],
+    });
+    sendCheckoutResult(res, result);
+  } catch (error) {
+    logger.error('Error creating book checkout session', { err: error });
+    sendServerError(res);
+  }
+});
+
+/**
+ * Verify Payment Session
+ */
+app.get('/api/verify-session/:sessionId', validateRequest({
+  params: schema.object({
+    sessionId: schema.string({ max: 255, pattern: /^cs_[A-Za-z0-9_]+$/, message: 'must be a Checkout session ID' }),
+  }),
+}), lookupRateLimit, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    let session;
+    try {
+      session = await getStripe().checkout.sessions.retrieve(sessionId);
+    } catch (stripeError) {
+      if (stripeError.code === 'resource_missing') {
+        return sendError(res, 404, 'Checkout session not found');
+      }
+      throw stripeError;
+    }
+
+    res.json({
+      sessionId: session.id,
+      status: session.payment_status,
+      amountTotal: session.amount_total,
+      customerEmail: session.customer_email,
+      metadata: session.metadata,
+    });
+  } catch (error) {
+    logger.error('Error verifying session', { err: error });
+    sendServerError(res);
+  }
+});
+
+/**
+ * Get Ticket Purchase
+ * Full details need the signed token from the success URL / confirmation email, passed as
+ * ?token= or an X-Order-Token header. Without it only a minimal public view is returned.
+ */
+app.get('/api/tickets/:orderReference', validateRequest({ params: orderReferenceParams, query: orderTokenQuery }), lookupRateLimit, async (req, res) => {
+  try {
+    const { orderReference } = req.params;
+    const token = req.query.token || req.headers['x-order-token'];
+
+    const ticket = await orderRepository.get(orderReference);
+
+    if (!ticket) {
+      return sendError(res, 404, 'Ticket not found');
+    }
+
+    if (!verifyOrderAccessToken(ticket.order_reference, token)) {
+      return res.json({ ...toPublicOrder(ticket), access: 'public' });
+    }
+
+    res.json({ ...ticket, access: 'full' });
+  } catch (error) {
+    logger.error('Error fetching ticket', { err: error });
+    sendServerError(res);
+  }
+});
+
+/**
+ * Download the Calendar Invite (.ics) for an Order's Events
+ * Holds only event details, so the order reference is enough; with the order's token
+ * (?token=) the invite also links back to the booking.
+ */
+app.get('/api/tickets/:orderReference/calendar.ics', validateRequest({ params: orderReferenceParams, query: orderTokenQuery }), lookupRateLimit, async (req, res) => {
+  try {
+    const { orderReference } = req.params;
+    const order = await orderRepository.get(orderReference);
+
+    if (!order) {
+      return sendError(res, 404, 'Ticket not found');
+    }
+    if (!PAID_ORDER_STATUSES.includes(order.status)) {
+      return sendError(res, 409, `Order is ${order.status}`);
+    }
+
+    const events = await getOrderEvents(order);
+    if (events.length === 0) {
+      return sendError(res, 404, 'Order has no event tickets');
+    }
+
+    const orderLink = verifyOrderAccessToken(order.order_reference, req.query.token)
+      ? buildOrderLink(order.order_reference)
+      : '';
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${order.order_reference}.ics"`);
+    res.send(buildIcs(orderCalendarEntries(order, events, { orderLink })));
+  } catch (error) {
+    logger.error('Error building calendar invite', { err: error });
+    sendServerError(res);
+  }
+});
+
+/**
+ * Request a One-time Access Code for an Order
+ * The code is emailed to the buyer. The response is the same whether or not the order
+ * exists, so it can't be used to probe for references.
+ */
+app.post('/api/tickets/:orderReference/access-code', validateRequest({
+  params: orderReferenceParams,
+  body: schema.object(captchaFields),
+}), lookupRateLimit, checkCaptcha, async (req, res) => {
+  try {
+    const { orderReference } = req.params;
+
+    const order = await orderRepository.get(orderReference);
+
+    if (order && order.customer_email) {
+      const code = await createOrderAccessCode(order.order_reference);
+      await sendOrderAccessEmail({ email: order.customer_email, orderRef: order.order_reference, code }, 'code');
+    }
+
+    res.json({ success: true, message: 'If that order exists, an access code has been sent to the email address used to place it.' });
+  } catch (error) {
+    logger.error('Error sending order access code', { err: error });
+    sendServerError(res);
+  }
+});
+
+/**
+ * Exchange a One-time Access Code for an Order Access Token
+ */
+app.post('/api/tickets/:orderReference/verify-code', validateRequest({
+  params: orderReferenceParams,
+  body: schema.object({ code: schema.string({ pattern: /^\d{6}$/, message: 'must be a 6-digit code' }) }),
+}), lookupRateLimit, accessCodeRateLimit, async (req, res) => {
+  try {
+    const { orderReference } = req.params;
+    const { code } = req.body;
+
+    const valid = await redeemOrderAccessCode(orderReference, code);
+
+    if (!valid) {
+      return sendError(res, 401, 'Invalid or expired code');
+    }
+
+    res.json({ orderRef: orderReference, token: createOrderAccessToken(orderReference) });
+  } catch (error) {
+    logger.error('Error verifying order access code', { err: error });
+    sendServerError(res);
+  }
+});
+
+/**
+ * Resend Order Links
+ * Emails signed links for every order placed with an address. Always responds the same
+ * way so it can't be used to find out who has bought tickets.
+ */
+app.post('/api/orders/resend-link', validateRequest({
+  body: schema.object({ email: schema.email(), ...captchaFields }),
+}), lookupRateLimit, checkCaptcha, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const orders = (await findOrdersByEmail(email)).filter(order => order.status !== 'pending' && order.status !== 'failed');
+
+    if (orders.length > 0) {
+      await sendOrderAccessEmail({ email: orders[0].customer_email, orders }, 'links');
+    }
+
+    res.json({ success: true, message: 'If we have orders for that email address, we have sent links to them.' });
+  } catch (error) {
+    logger.error('Error resending order links', { err: error });
+    sendServerError(res);
+  }
+});
+
+/**
+ * Add Ticket Purchase
+ */
+app.post('/api/tickets', requireAdmin, validateRequest({ body: createOrderBody }), async (req, res) => {
+  try {
+    const now = new Date().toISOString();
+    const data = { created_at: now, updated_at: now, ...req.body };
+
+    if (await orderRepository.get(data.order_reference)) {
+      return sendError(res, 409, 'An order with that reference already exists');
+    }
+
+    await orderRepository.add(data, userAudit(req));
+
+    res.json({ success: true, order_reference: data.order_reference });
+  } catch (error) {
+    logger.error('Error adding ticket', { err: error });
+    sendServerError(res);
+  }
+});
+
+// Statuses that only Stripe can put an order in, through a refund or a dispute
+const PAYMENT_ORDER_STATUSES = ['partially_refunded', 'refunded', 'disputed'];
+
+/**
+ * Update Ticket Purchase
+ * A status change must be one the order lifecycle allows (see ORDER_TRANSITIONS in
+ * orders/statuses.js); anything else is refused with 409 invalid_transition. Refunds go
+ * through POST /api/admin/orders/:orderReference/refund, so that Stripe returns the money;
+ * cancelling releases the order's seats, as a refund would.
+ */
+app.patch('/api/tickets/:orderReference', requireAdmin, validateRequest({ params: orderReferenceParams, body: updateOrderBody }), async (req, res) => {
+  try {
+    const { orderReference } = req.params;
+    const { status, ...fields } = req.body;
+
+    if (PAYMENT_ORDER_STATUSES.includes(status)) {
+      return sendError(res, 409, `Orders can't be marked ${status} by hand; use POST /api/admin/orders/${orderReference}/refund to refund them`, {
+        code: 'use_refund',
+      });
+    }
+
+    if (status === 'cancelled') {
+      const result = await cancelOrder(orderReference, fields, userAudit(req));
+
+      if (!result) {
+        return sendError(res, 404, 'Ticket not found');
+      }
+      if (result.seatsReleased > 0) {
+        await offerReleasedSeats(result.order).catch(err => logger.error('Error offering seats to waitlist', { err }));
+      }
+
+      return res.json(await orderRepository.get(orderReference));
+    }
+
+    const updated = await orderRepository.update(orderReference, req.body, userAudit(req));
+
+    if (!updated) {
+      return sendError(res, 404, 'Ticket not found');
+    }
+
+    res.json(updated);
+  } catch (error) {
+    if (error.code === 'invalid_transition') {
+      return sendError(res, 409, error.message, {
+        code: 'invalid_transition',
+        allowedStatuses: ORDER_TRANSITIONS[error.fromStatus] || [],
+      });
+    }
+    logger.error('Error updating ticket', { err: error });
+    sendServerError(res);
+  }
+});
+
+/**
+ * Order History
+ * Every change made to the order, oldest first: who made it (actor), through what
+ * (source: checkout, webhook, admin, reconcile, …), and each field's old and new value.
+ */
+app.get('/api/tickets/:orderReference/history', requireAdmin, validateRequest({ params: orderReferenceParams }), async (req, res) => {
+  try {
+    const { orderReference } = req.params;
+    const order = await orderRepository.get(orderReference);
+
+    if (!order) {
+      return sendError(res, 404, 'Ticket not found');
+    }
+
+    res.json({
+      orderReference,
+      status: order.status,
+      allowedStatuses: ORDER_TRANSITIONS[order.status] || [],
+      history: await orderRepository.history(orderReference),
+    });
+  } catch (error) {
+    logger.error('Error fetching order history', { err: error });
+    sendServerError(res);
+  }
+});
+
+/**
+ * List Events
+ * Returns published events unless ?status= is given (use "all" for every event).
+ * Anything other than published events needs a staff login.
+ */
+app.get('/api/events', validateRequest({
+  query: schema.object({ status: schema.optional(schema.oneOf(['all', ...EVENT_STATUSES]), 'published') }),
+}), (req, res, next) => {
+  if (req.query.status === 'published') {
+    return next();
+  }
+  requireRole('viewer', 'door_staff')(req, res, next);
+}, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const events = await listEventsFromFirestore({ status: status === 'all' ? undefined : status });
+
+    res.json(events);
+  } catch (error) {
+    logger.error('Error listing events', { err: error });
+    sendServerError(res);
+  }
+});
+
+/**
+ * Get Event
+ * Draft events aren't public yet, so they are reported as not found unless an admin asks.
+ */
+app.get('/api/events/:eventId', validateRequest({ params: eventIdParams }), async (req, res) => {
+  try {
+    const event = await getEventFromFirestore(req.params.eventId);
+
+    if (!event || (event.status === 'draft' && !(await isAdminRequest(req)))) {
+      return sendError(res, 404, 'Event not found');
+    }
+
+    res.json(event);
+  } catch (error) {
+    logger.error('Error fetching event', { err: error });
+    sendServerError(res);
+  }
+});
+
+/**
+ * Event Availability (public, safe for the frontend to poll)
+ */
+app.get('/api/events/:eventId/availability', validateRequest({ params: eventIdParams }), async (req, res) => {
+  try {
+    const event = await getEventFromFirestore(req.params.eventId);
+
+    if (!event || event.status === 'draft') {
+      return sendError(res, 404, 'Event not found');
+    }
+
+    const available = getAvailableSeats(event);
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      eventId: event.id,
+      status: event.status,
+      capacity: event.capacity,
+      available,
+      soldOut: available === 0,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error('Error fetching event availability', { err: error });
+    sendServerError(res);
+  }
+});
+
+/**
+ * Join an Event's Waitlist
+ * Body: { name, email, quantity, phone?, attendees? }. Only accepted while the event
+ * can't fit the requested number of seats.
+ */
+app.post('/api/events/:eventId/waitlist', validateRequest({ params: eventIdParams, body: waitlistBody }), async (req, res) => {
+  try {
+    const { name, email, phone, quantity, attendees } = req.body;
+
+    const resolved = await resolveTicketEvent(req.params.eventId);
+    if (resolved.error) {
+      return sendError(res, resolved.status, resolved.error);
+    }
+
+    const available = getAvailableSeats(resolved.event);
+    if (available >= quantity) {
+      return sendError(res, 409, 'Tickets are still available for this event', { available });
+    }
+
+    const result = await joinWaitlist(resolved.event, { name, email, phone, quantity, attendees });
+    if (result.error) {
+      return sendError(res, result.status, result.error);
+    }
+
+    res.status(201).json({
+      id: result.entry.id,
+      eventId: result.entry.event_id,
+      quantity: result.entry.quantity,
+      status: result.entry.status,
+      position: result.position,
+    });
+  } catch (error) {
+    logger.error('Error joining waitlist', { err: error });
+    sendServerError(res);
+  }
+});
+
+/**
+ * Admin: Waitlist for an Event
+ */
+app.get('/api/events/:eventId/waitlist', requireRole('viewer'), validateRequest({ params: eventIdParams }), async (req, res) => {
+  try {
+    const entries = await listWaitlistEntries(req.params.eventId);
+
+    res.json({
+      eventId: req.params.eventId,
+      entries,
+      waiting: entries.filter(entry => entry.status === 'waiting').length,
+      offered: entries.filter(entry => entry.status === 'offered').length,
+    });
+  } catch (error) {
+    logger.error('Error fetching waitlist', { err: error });
+    sendServerError(res);
+  }
+});
+
+/**
+ * Create Event
+ */
+app.post('/api/events', requireAdmin, validateRequest({ body: createEventBody }), async (req, res) => {
+  try {
+    const validationError = validateEventData(req.body);
+    if (validationError) {
+      return sendError(res, 400, validationError);
+    }
+
+    const event = await addEventToFirestore(req.body);
+
+    res.status(201).json(event);
+  } catch (error) {
+    logger.error('Error creating event', { err: error });
+    sendServerError(res);
+  }
+});
+
+/**
+ * Update Event
+ */
+app.patch('/api/events/:eventId', requireAdmin, validateRequest({ params: eventIdParams, body: updateEventBody }), async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    const existing = await getEventFromFirestore(eventId);
+    if (!existing) {
+      return sendError(res, 404, 'Event not found');
+    }
+
+    // Check start/end ordering against the stored values when only one side changes
+    const validationError = validateEventData(
+      {
+        start_time: existing.start_time,
+        end_time: existing.end_time,
+        ...req.body,
+      },
+      { partial: true }
+    );
+    if (validationError) {
+      return sendError(res, 400, validationError);
+    }
+
+    const seatsTaken = (existing.seats_reserved || 0) + (existing.seats_sold || 0);
+    if (req.body.capacity !== undefined && req.body.capacity < seatsTaken) {
+      return sendError(res, 400, `Capacity cannot be lower than the ${seatsTaken} seats already sold or held`);
+    }
+
+    const event = await updateEventInFirestore(eventId, req.body);
+
+    if (event.capacity > existing.capacity) {
+      await offerSeatsToWaitlist(eventId).catch(err => logger.error('Error offering seats to waitlist', { err }));
+    }
+
+    res.json(event);
+  } catch (error) {
+    logger.error('Error updating event', { err: error });
+    sendServerError(res);
+  }
+});
+
+/**
+ * Admin: Current User (lets the admin frontend check a login and show the right tools)
+ */
+app.get('/api/admin/me', requireRole('viewer', 'door_staff'), (req, res) => {
+  res.json(req.user);
+});
+
+/**
+ * Admin: Set a User's Role
+ * Stored as a custom claim, which the user sees after their ID token next refreshes.
+ * Pass { role: null } to remove access.
+ */
+app.put('/api/admin/users/:uid/role', requireAdmin, validateRequest({
+  params: schema.object({ uid: schema.id() }),
+  body: schema.object({ role: schema.nullable(schema.oneOf(ROLES)) }),
+}), async (req, res) => {
+  try {
+    const { uid } = req.params;
+    const { role } = req.body;
+
+    if (uid === req.user.uid && role !== 'admin') {
+      return sendError(res, 400, 'You cannot remove your own admin role');
+    }
+
+    const admin = require('firebase-admin');
+    const user = await admin.auth().getUser(uid);
+    await admin.auth().setCustomUserClaims(uid, { ...(user.customClaims || {}), role });
+
+    // Keep the Firestore fallback in line so it cannot grant a role the claim has removed
+    await db.collection(ADMIN_ROLES_COLLECTION).doc(uid).set({
+      role,
+      email: user.email || '',
+      updated_by: req.user.uid,
+      updated_at: admin.firestore.Timestamp.now(),
+    });
+
+    logger.info('User role set', { uid, role, by: req.user.uid });
+    res.json({ uid, email: user.email || '', role });
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      return sendError(res, 404, 'User not found');
+    }
+    logger.error('Error setting user role', { err: error });
+    sendServerError(res);
+  }
+});
+
+/**
+ * Admin: Refund an Order (full, or partial when `amount` in pence is given)
+ * Disputed orders can't be refunded here: if the dispute were lost the customer would be
+ * paid twice. Stripe refunds the disputed amount when a dispute is lost.
+ */
+app.post('/api/admin/orders/:orderReference/refund', requireAdmin, validateRequest({
+  params: orderReferenceParams,
+  body: schema.object({
+    amount: schema.optional(schema.integer({ min: 1 })),
+    reason: schema.optional(schema.oneOf(REFUND_REASONS)),
+  }),
+}), async (req, res) => {
+  try {
+    const { orderReference } = req.params;
+    const { amount, reason } = req.body;
+
+    const order = await orderRepository.get(orderReference);
+
+    if (!order) {
+      return sendError(res, 404, 'Order not found');
+    }
+
+    if (order.status === 'disputed') {
+      return sendError(res, 409, 'Order has an open dispute and cannot be refunded');
+    }
+
+    if (!PAID_ORDER_STATUSES.includes(order.status)) {
+      return sendError(res, 400, `Order is ${order.status} and cannot be refunded`);
+    }
+
+    if (!order.stripe_payment_intent_id) {
+      return sendError(res, 400, 'Order has no Stripe payment to refund');
+    }
+
+    const refundable = order.amount_total - (order.amount_refunded || 0);
+
+    if (amount !== undefined && amount > refundable) {
+      return sendError(res, 400, `Refund amount must be between 1 and ${refundable} pence`, {
+        code: 'validation_failed',
+        fields: { amount: `must be at most ${refundable}` },
+      });
+    }
+
+    const refund = await getStripe().refunds.create({
+      payment_intent: order.stripe_payment_intent_id,
+      amount: amount || refundable,
+      ...(reason && { reason }),
+      metadata: { orderRef: orderReference, requestId: getRequestId() || '' },
+    });
+
+    logger.info('Stripe refund created', { refundId: refund.id, orderRef: orderReference });
+
+    // Apply it now rather than waiting for charge.refunded; the webhook will see the same
+    // running total and skip it.
+    const result = await applyRefundToOrder(orderReference, (order.amount_refunded || 0) + refund.amount, userAudit(req));
+
+    if (result.changed) {
+      try {
+        await sendOrderUpdateEmail(result.order, result.order.status, {
+          amountRefunded: result.amountRefundedNow,
+          seatsReleased: result.seatsReleased,
+        }, result.order.amount_refunded);
+      } catch (emailError) {
+        // The refund has gone through; don't report the request as failed
+        logger.error('Error queueing refund email', { err: emailError });
+      }
+    }
+
+    if (result.seatsReleased > 0) {
+      // The charge.refunded webhook won't release these seats again, so offer them now
+      await offerReleasedSeats(result.order).catch(err => logger.error('Error offering seats to waitlist', { err }));
+    }
+
+    res.json({
+      success: true,
+      refundId: refund.id,
+      amountRefunded: refund.amount,
+      order: result.order,
+    });
+  } catch (error) {
+    logger.error('Error refunding order', { err: error });
+    sendServerError(res);
+  }
+});
+
+/**
+ * Admin: Mark a Book Order Dispatched
+ * Body: { carrier, trackingNumber, trackingUrl? }. `carrier` is one of the CARRIERS keys
+ * (which fills in the tracking link) or any carrier name with an explicit trackingUrl.
+ */
+app.post('/api/admin/orders/:orderReference/dispatch', requireAdmin, validateRequest({
+  params: orderReferenceParams,
+  body: schema.object({
+    carrier: schema.string({ max: 100 }),
+    trackingNumber: schema.string({ max: 100 }),
+    trackingUrl: schema.optional(schema.string({ max: 500, pattern: /^https:\/\//, message: 'must be an https:// URL' })),
+  }),
+}), async (req, res) => {
+  try {
+    const { orderReference } = req.params;
+    const { carrier, trackingNumber, trackingUrl } = req.body;
+
+    const knownCarrier = CARRIERS[carrier];
+    const result = await updateFulfilment(orderReference, 'dispatched', {
+      carrier: knownCarrier ? knownCarrier.name : carrier,
+      tracking_number: trackingNumber,
+      tracking_url: trackingUrl || (knownCarrier ? knownCarrier.trackingUrl(encodeURIComponent(trackingNumber)) : ''),
+      dispatched_by: req.user.uid,
+    }, userAudit(req));
+
+    if (result.error) {
+      return sendError(res, result.status, result.error);
+    }
+
+    const { order } = result;
+    try {
+      await queueEmail({
+        to: order.customer_email,
+        template: 'book_dispatched',
+        data: {
+          name: order.customer_name,
+          orderRef: order.order_reference,
+          quantity: itemQuantity(getOrderItems(order), 'book'),
+          address: order.shipping_address,
+          city: order.shipping_city,
+          postcode: order.shipping_postcode,
+          carrier: order.carrier,
+          trackingNumber: order.tracking_number,
+          trackingUrl: order.tracking_url,
+        },
+        key: `book_dispatched:${order.order_reference}`,
+      });
+    } catch (emailError) {
+      // The order is marked dispatched either way; the email can be re-queued from the outbox
+      logger.error('Error queueing dispatch email', { err: emailError });
+    }
+
+    res.json(order);
+  } catch (error) {
+    logger.error('Error dispatching order', { err: error });
+    sendServerError(res);
+  }
+});
+
+/**
+ * Admin: Mark a Book Order Delivered
+ */
+app.post('/api/admin/orders/:orderReference/deliver', requireAdmin, validateRequest({ params: orderReferenceParams }), async (req, res) => {
+  try {
+    const result = await updateFulfilment(req.params.orderReference, 'delivered', {}, userAudit(req));
+
+    if (result.error) {
+      return sendError(res, result.status, result.error);
+    }
+
+    res.json(result.order);
+  } catch (error) {
+    logger.error('Error marking order delivered', { err: error });
+    sendServerError(res);
+  }
+});
+
+/**
+ * Admin: Packing List of Book Orders Awaiting Dispatch
+ * JSON by default; ?format=csv downloads a spreadsheet for the packing table.
+ */
+app.get('/api/admin/fulfilment/packing-list', requireRole('viewer'), validateRequest({ query: exportFormatQuery }), async (req, res) => {
+  try {
+    const orders = await listOutstandingBookOrders();
+
+    if (req.query.format !== 'csv') {
+      return res.json({
+        orders: orders.map(order => ({
+          orderRef: order.order_reference,
+          name: order.customer_name,
+          email: order.customer_email,
+          phone: order.customer_phone,
+          quantity: itemQuantity(getOrderItems(order), 'book'),
+          address: order.shipping_address,
+          city: order.shipping_city,
+          postcode: order.shipping_postcode,
+          orderedAt: order.created_at,
+        })),
+        totalOrders: orders.length,
+        totalBooks: orders.reduce((sum, order) => sum + itemQuantity(getOrderItems(order), 'book'), 0),
+      });
+    }
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="packing-list-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.write(csvLine(['Order Reference', 'Name', 'Phone', 'Quantity', 'Address', 'City', 'Postcode', 'Ordered At']));
+    orders.forEach(order => res.write(csvLine([
+      order.order_reference,
+      order.customer_name,
+      order.customer_phone,
+      itemQuantity(getOrderItems(order), 'book'),
+      order.shipping_address,
+      order.shipping_city,
+      order.shipping_postcode,
+      order.created_at,
+    ])));
+    res.end();
+  } catch (error) {
+    logger.error('Error building packing list', { err: error });
+    sendServerError(res);
+  }
+});
+
+/**
+ * Admin: Sales Report
+ * Query: from, to, status, productType, eventId (see parseReportFilters()) and
+ * groupBy, a comma-separated list of day, product_type, event and status.
+ */
+app.get('/api/admin/reports/sales', requireRole('viewer'), validateRequest({ query: reportFiltersQuery }), async (req, res) => {
+  try {
+    const parsed = parseReportFilters(req.query);
+    if (parsed.error) {
+      return sendError(res, 400, parsed.error);
+    }
+
+    const groupBy = req.query.groupBy ? req.query.groupBy.split(',').map(group => group.trim()) : [];
+    const unknownGroup = groupBy.find(group => !REPORT_GROUPS.includes(group));
+    if (unknownGroup) {
+      return sendError(res, 400, `Invalid groupBy. Must be any of: ${REPORT_GROUPS.join(', ')}`);
+    }
+
+    const report = await buildSalesReport(parsed.filters, groupBy);
+    const { from, to, status, productType, eventId } = parsed.filters;
+
+    res.json({
+      filters: {
+        from: from ? from.toISOString() : null,
+        to: to ? to.toISOString() : null,
+        status: status || null,
+        productType: productType || null,
+        eventId: eventId || null,
+      },
+      groupBy,
+      currency: 'gbp',
+      ...report,
+    });
+  } catch (error) {
+    logger.error('Error building sales report', { err: error });
+    sendServerError(res);
+  }
+});
+
+// Order changes made by a signed-in user are recorded against them in the order history
+function userAudit(req, source = 'admin') {
+  return { actor: req.user.uid, source };
+}
+
+/**
+ * Admin: Export Orders as CSV (same filters as the sales report)
+ * Streamed straight from Firestore so large date ranges don't have to fit in memory.
+ * Amounts are in pounds, to match Stripe's payout reports.
+ */
+app.get('/api/admin/reports/orders.csv', requireRole('viewer'), validateRequest({ query: reportFiltersQuery }), async (req, res) => {
+  const parsed = parseReportFilters(req.query);
+  if (parsed.error) {
+    return sendError(res, 400, parsed.error);
+  }
+
+  try {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="orders-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.write(csvLine([
+      'Order Reference', 'Created At', 'Status', 'Product Type', 'Items', 'Tickets', 'Books', 'Donation', 'Gift Aid',
+      'Customer Name', 'Customer Email', 'Promo Code', 'Subtotal', 'Discount', 'Total', 'Refunded', 'Net',
+      'Stripe Payment Intent', 'Stripe Session',
+    ]));
+
+    for await (const order of streamReportOrders(parsed.filters)) {
+      const items = getOrderItems(order);
+      const line = csvLine([
+        order.order_reference,
+        order.created_at,
+        order.status,
+        order.product_type,
+        describeOrderItems(items),
+        itemQuantity(items, 'ticket'),
+        itemQuantity(items, 'book'),
+        formatPounds(order.donation_amount),
+        order.gift_aid ? 'Yes' : 'No',
+        order.customer_name,
+        order.customer_email,
+        order.promo_code,
+        formatPounds(order.amount_subtotal || order.amount_total),
+        formatPounds(order.discount_amount),
+        formatPounds(order.amount_total),
+        formatPounds(order.amount_refunded),
+        formatPounds((order.amount_total || 0) - (order.amount_refunded || 0)),
+        order.stripe_payment_intent_id,
+        order.stripe_session_id,
+      ]);
+
+      if (!res.write(line)) {
+        await Promise.race([once(res, 'drain'), once(res, 'close')]);
+      }
+      if (res.destroyed) {
+        // The client went away; leaving the loop also stops the Firestore stream
+        return;
+      }
+    }
+
+    res.end();
+  } catch (error) {
+    logger.error('Error exporting orders', { err: error });
+    // Once rows have gone out the status can't change; cut the download short instead
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    sendServerError(res);
+  }
+});
+
+/**
+ * Admin: Gift Aid Claim Export
+ * One row per eligible donation, in the column order of HMRC's Gift Aid schedule
+ * spreadsheet, so the rows can be pasted straight in. ?from and ?to filter by the date
+ * the donation was paid. Refunded and disputed orders are left out.
+ */
+app.get('/api/admin/reports/gift-aid.csv', requireAdmin, validateRequest({ query: schema.object(reportRangeFields) }), async (req, res) => {
+  try {
+    const parsed = parseReportFilters(req.query);
+    if (parsed.error) {
+      return sendError(res, 400, parsed.error);
+    }
+
+    const { from, to } = parsed.filters;
+    const orders = (await listGiftAidOrders()).filter(order => {
+      const donatedAt = new Date(order.paid_at || order.created_at);
+      return isGiftAidEligible(order) && (!from || donatedAt >= from) && (!to || donatedAt < to);
+    });
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="gift-aid-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.write(csvLine([
+      'Title', 'First name or initial', 'Last name', 'House name or number', 'Postcode',
+      'Aggregated donations', 'Sponsored event', 'Donation date (DD/MM/YY)', 'Amount',
+    ]));
+    orders.forEach(order => res.write(csvLine([
+      order.gift_aid.title,
+      order.gift_aid.first_name,
+      order.gift_aid.last_name,
+      order.gift_aid.house_name_or_number,
+      order.gift_aid.postcode,
+      '',
+      '',
+      formatHmrcDate(order.paid_at || order.created_at, EVENT_TIMEZONE),
+      formatPounds(order.donation_amount),
+    ])));
+    res.end();
+  } catch (error) {
+    logger.error('Error exporting Gift Aid donations', { err: error });
+    sendServerError(res);
+  }
+});
+
+/**
+ * Admin: List Promo Codes
+ */
+app.get('/api/admin/promo-codes', requireRole('viewer'), async (req, res) => {
+  try {
+    const promoCodes = await listPromoCodesFromFirestore();
+
+    res.json(promoCodes);
+  } catch (error) {
+    logger.error('Error listing promo codes', { err: error });
+    sendServerError(res);
+  }
+});
+
+/**
+ * Admin: Get Promo Code
+ */
+app.get('/api/admin/promo-codes/:code', requireRole('viewer'), validateRequest({ params: promoCodeParams }), async (req, res) => {
+  try {
+    const promo = await getPromoCodeFromFirestore(req.params.code);
+
+    if (!promo) {
+      return sendError(res, 404, 'Promo code not found');
+    }
+
+    res.json(promo);
+  } catch (error) {
+    logger.error('Error fetching promo code', { err: error });
+    sendServerError(res);
+  }
+});
+
+/**
+ * Admin: Create Promo Code
+ */
+app.post('/api/admin/promo-codes', requireAdmin, validateRequest({ body: createPromoBody }), async (req, res) => {
+  try {
+    const validationError = validatePromoData(req.body);
+    if (validationError) {
+      return sendError(res, 400, validationError);
+    }
+
+    const promo = await addPromoCodeToFirestore(req.body);
+
+    if (!promo) {
+      return sendError(res, 409, 'A promo code with that name already exists');
+    }
+
+    res.status(201).json(promo);
+  } catch (error) {
+    logger.error('Error creating promo code', { err: error });
+    sendServerError(res);
+  }
 });
 
-async function sendConfirmationEmail(data, type = 'ticket') {
+/**
+ * Admin: Update Promo Code
+ * The code itself and its redemption count can't be changed; set active: false to retire it.
+ */
+app.patch('/api/admin/promo-codes/:code', requireAdmin, validateRequest({ params: promoCodeParams, body: updatePromoBody }), async (req, res) => {
   try {
-    console.log(`📧 Sending ${type} confirmation email to: ${data.email}`);
-    let subject, html;
-    
-    if (type === 'book') {
-      subject = `Order Confirmed - Your Book Purchase (${data.orderRef})`;
-      html = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h1 style="color: #2d3748; margin-bottom: 20px;">Order Confirmed! 📚</h1>
-          
-          <p>Hi ${data.name},</p>
-          
-          <p>Thank you for purchasing "Build Wealth Through Property — 7 Reasons Why". Your order has been confirmed!</p>
-          
-          <div style="background-color: #f7fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <h3 style="margin-top: 0;">Your Order Details</h3>
-            <p><strong>Order Reference:</strong> ${data.orderRef}</p>
-            <p><strong>Product:</strong> Build Wealth Through Property — 7 Reasons Why</p>
-            <p><strong>Quantity:</strong> ${data.quantity || 1} ${(data.quantity || 1) > 1 ? 'books' : 'book'}</p>
-            <p><strong>Shipping Address:</strong> ${data.address}</p>
-            <p><strong>City:</strong> ${data.city}</p>
-            <p><strong>Postcode:</strong> ${data.postcode}</p>
-            <p><strong>Total Amount:</strong> £${(data.amountTotal / 100).toFixed(2)}</p>
-          </div>
-          
-          <div style="background-color: #fef2f2; padding: 15px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #ef4444;">
-            <p style="margin: 0; color: #991b1b;"><strong>100% of proceeds go to Place of Victory Charity</strong></p>
-            <p style="margin: 5px 0 0 0; color: #7f1d1d; font-size: 14px;">Thank you for supporting our charity mission!</p>
-          </div>
-          
-          <h3>What Happens Next?</h3>
-          <ul>
-            <li>Your book${(data.quantity || 1) > 1 ? 's' : ''} will be shipped to the address provided</li>
-            <li>You will receive a shipping confirmation email once your order is dispatched</li>
-            <li>Expected delivery: 5-7 business days</li>
-          </ul>
-          
-          <hr style="margin: 30px 0; border: none; border-top: 1px solid #e2e8f0;">
-          
-          <p>If you have any questions, please reply to this email or visit our website.</p>
-          
-          <p>Best regards,<br>
-          The Team</p>
-        </div>
-      `;
-    } else {
-      subject = `Booking Confirmed - Your Seminar Tickets (${data.orderRef})`;
-      html = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h1 style="color: #2d3748; margin-bottom: 20px;">Booking Confirmed! 🎉</h1>
-          
-          <p>Hi ${data.name},</p>
-          
-          <p>Thank you for booking your tickets to our seminar. Your booking has been confirmed!</p>
-          
-          <div style="background-color: #f7fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <h3 style="margin-top: 0;">Your Booking Details</h3>
-            <p><strong>Order Reference:</strong> ${data.orderRef}</p>
-            <p><strong>Number of Tickets:</strong> ${data.quantity}</p>
-            <p><strong>Event Date:</strong> Friday, 14 March 2026</p>
-            <p><strong>Event Time:</strong> 6:00 PM - 9:00 PM</p>
-            <p><strong>Venue:</strong> Ramada Encore Chatham</p>
-          </div>
-          
-          <h3>What to Bring</h3>
-          <ul>
-            <li>This confirmation email (digital or printed)</li>
-            <li>A valid ID</li>
-            <li>Your order reference: <strong>${data.orderRef}</strong></li>
-          </ul>
-          
-          <hr style="margin: 30px 0; border: none; border-top: 1px solid #e2e8f0;">
-          
-          <p>We look forward to seeing you at the seminar!</p>
-          
-          <p>Best regards,<br>
-          The Team</p>
-        </div>
-      `;
-    }
-
-    await transporter.sendMail({
-      from: process.env.EMAIL_USER,
-      to: data.email,
-      subject,
-      html,
-    });
+    const existing = await getPromoCodeFromFirestore(req.params.code);
 
-    console.log(`✓ Email sent successfully to ${data.email}`);
+    if (!existing) {
+      return sendError(res, 404, 'Promo code not found');
+    }
+
+    // Validate against the stored values so e.g. a new percentage is checked against the stored type
+    const validationError = validatePromoData(
+      {
+        discount_type: existing.discount_type,
+        discount_value: existing.discount_value,
+        starts_at: existing.starts_at,
+        expires_at: existing.expires_at,
+        ...req.body,
+      },
+      { partial: true }
+    );
+    if (validationError) {
+      return sendError(res, 400, validationError);
+    }
+
+    const promo = await updatePromoCodeInFirestore(existing.code, req.body);
+
+    res.json(promo);
   } catch (error) {
-    console.error('Error sending email:', error);
-    throw error;
+    logger.error('Error updating promo code', { err: error });
+    sendServerError(res);
   }
-}
+});
 
-// ============================================
-// Routes
-// ============================================
+/**
+ * Admin: List Stripe Webhook Events (failed ones by default)
+ */
+app.get('/api/admin/stripe-events', requireRole('viewer'), validateRequest({ query: statusListQuery(STRIPE_EVENT_STATUSES) }), async (req, res) => {
+  try {
+    const { status, limit } = req.query;
+
+    const events = await listStripeEvents({ status: status === 'all' ? undefined : status, limit });
 
+    res.json(events);
+  } catch (error) {
+    logger.error('Error listing Stripe events', { err: error });
+    sendServerError(res);
+  }
+});
 
 /**
- * Unified Checkout Session (handles both tickets and books)
+ * Admin: Replay a Stripe Webhook Event
+ * The event is fetched fresh from Stripe rather than trusted from the request body.
  */
-app.post('/api/create-checkout-session', async (req, res) => {
+app.post('/api/admin/stripe-events/:eventId/replay', requireAdmin, validateRequest({ params: eventIdParams }), async (req, res) => {
   try {
-    const { quantity, customerName, customerEmail, customerPhone, productType, address, city, postcode } = req.body;
+    const { eventId } = req.params;
 
-    if (!quantity || quantity < 1) {
-      return res.status(400).json({ error: 'Invalid quantity' });
-    }
+    let event;
+    try {
+      event = await getStripe().events.retrieve(eventId);
+    } catch (stripeError) {
+      if (stripeError.code === 'resource_missing') {
+        return sendError(res, 404, 'Stripe event not found');
+      }
 
-    if (!productType || !['ticket', 'book'].includes(productType)) {
-      return res.status(400).json({ error: 'Invalid product type. Must be "ticket" or "book"' });
+      logger.error('Error retrieving Stripe event', { stripeEventId: eventId, err: stripeError });
+      return sendError(res, 502, 'Could not retrieve the event from Stripe');
     }
 
-    // Validate shipping info for books
-    if (productType === 'book' && (!address || !city || !postcode)) {
-      return res.status(400).json({ error: 'Shipping address is required for book orders' });
+    logger.info('Replaying Stripe event', { stripeEventId: event.id, eventType: event.type });
+    const result = await processStripeEvent(event, { force: true, audit: userAudit(req, 'replay') });
+
+    if (result.outcome === 'failed') {
+      // The reason is recorded on the stripe_events document and in the logs
+      return sendError(res, 500, 'The event could not be processed', {
+        code: 'replay_failed',
+        eventId: event.id,
+        type: event.type,
+        outcome: result.outcome,
+      });
     }
 
-    const orderRef = productType === 'book' 
-      ? `BOOK-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
-      : `TIX-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    res.json({ eventId: event.id, type: event.type, outcome: result.outcome });
+  } catch (error) {
+    logger.error('Error replaying Stripe event', { err: error });
+    sendServerError(res);
+  }
+});
 
-    // Product configuration
-    const productConfig = productType === 'book' 
-      ? {
-          name: 'Build Wealth Through Property — 7 Reasons Why',
-          description: '100% of proceeds go to Place of Victory Charity',
-          unit_amount: 1999, // £19.99
-        }
-      : {
-          name: 'Seminar Ticket',
-          description: 'Friday, 14 March 2026 at Ramada Encore Chatham',
-          unit_amount: 2500, // £25.00
-        };
+/**
+ * Admin: Reconcile Stuck Pending Orders with Stripe
+ * Body: { olderThanMinutes?, dryRun? }. With dryRun the report is built but no order changes.
+ */
+app.post('/api/admin/orders/reconcile', requireAdmin, validateRequest({
+  body: schema.object({
+    olderThanMinutes: schema.optional(schema.integer({ min: 1 }), RECONCILE_AFTER_MINUTES),
+    dryRun: schema.optional(schema.boolean(), false),
+  }),
+}), async (req, res) => {
+  try {
+    const report = await reconcilePendingOrders({ ...req.body, audit: userAudit(req, 'reconcile') });
 
-    const session = await getStripe().checkout.sessions.create({
-      payment_method_types: ['card'],
-      line_items: [
-        {
-          price_data: {
-            currency: 'gbp',
-            product_data: {
-              name: productConfig.name,
-              description: productConfig.description,
-            },
-            unit_amount: productConfig.unit_amount,
-          },
-          quantity,
-        },
-      ],
-      mode: 'payment',
-      success_url: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/success?session_id={CHECKOUT_SESSION_ID}&order_ref=${orderRef}`,
-      cancel_url: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/cancelled`,
-      customer_email: customerEmail,
-      metadata: {
-        orderRef,
-        name: customerName,
-        quantity: quantity.toString(),
-        phone: customerPhone || '',
-        productType,
-        ...(productType === 'book' && { address, city, postcode }),
-      },
-    });
+    res.json(report);
+  } catch (error) {
+    logger.error('Error reconciling orders', { err: error });
+    sendServerError(res);
+  }
+});
 
-    // Save to Firestore with pending status
-    await addToFirestore({
-      order_reference: orderRef,
-      customer_name: customerName,
-      customer_email: customerEmail,
-      customer_phone: customerPhone || '',
-      quantity,
-      amount_total: session.amount_total,
-      stripe_session_id: session.id,
-      stripe_payment_intent_id: '',
-      status: 'pending',
-      product_type: productType,
-      shipping_address: productType === 'book' ? address : '',
-      shipping_city: productType === 'book' ? city : '',
-      shipping_postcode: productType === 'book' ? postcode : '',
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString(),
-    });
+/**
+ * Admin: List Outbox Emails (failed ones by default)
+ */
+app.get('/api/admin/email-outbox', requireRole('viewer'), validateRequest({ query: statusListQuery(OUTBOX_STATUSES) }), async (req, res) => {
+  try {
+    const { status, limit } = req.query;
 
-    res.json({
-      url: session.url,
-      sessionId: session.id,
-      orderRef: orderRef,
-    });
+    const emails = await listOutboxEmails({ status: status === 'all' ? undefined : status, limit });
+
+    res.json(emails);
   } catch (error) {
-    console.error('Error creating checkout session:', error);
-    res.status(500).json({
-      error: error.message || 'Failed to create checkout session',
-    });
+    logger.error('Error listing outbox emails', { err: error });
+    sendServerError(res);
   }
 });
 
 /**
- * Create Ticket Checkout Session
+ * Admin: Retry a Failed Outbox Email
  */
-app.post('/api/create-ticket-checkout-session', async (req, res) => {
+app.post('/api/admin/email-outbox/:emailId/retry', requireAdmin, validateRequest({
+  // Outbox IDs are the email's key, e.g. ticket_confirmation:TIX-123
+  params: schema.object({
+    emailId: schema.string({ max: 500, pattern: /^[A-Za-z0-9_:-]+$/, message: 'is not a valid email ID' }),
+  }),
+}), async (req, res) => {
   try {
-    const { quantity, customerName, customerEmail, customerPhone } = req.body;
+    const { emailId } = req.params;
+    await initializeDatabase();
+    const admin = require('firebase-admin');
+    const emailRef = db.collection(EMAIL_OUTBOX_COLLECTION).doc(emailId);
+    const emailDoc = await emailRef.get();
 
-    if (!quantity || quantity < 1) {
-      return res.status(400).json({ error: 'Invalid quantity' });
+    if (!emailDoc.exists) {
+      return sendError(res, 404, 'Email not found');
     }
 
-    const orderRef = `TIX-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-
-    const session = await getStripe().checkout.sessions.create({
-      payment_method_types: ['card'],
-      line_items: [
-        {
-          price_data: {
-            currency: 'gbp',
-            product_data: {
-              name: 'Seminar Ticket',
-              description: 'Friday, 14 March 2026 at Ramada Encore Chatham',
-            },
-            unit_amount: 2500, // £25.00 in pence
-          },
-          quantity,
-        },
-      ],
-      mode: 'payment',
-      success_url: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/success?session_id={CHECKOUT_SESSION_ID}&order_ref=${orderRef}`,
-      cancel_url: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/cancelled`,
-      customer_email: customerEmail,
-      metadata: {
-        orderRef,
-        name: customerName,
-        quantity: quantity.toString(),
-        phone: customerPhone || '',
-        productType: 'ticket',
-      },
-    });
+    if (emailDoc.data().status !== 'failed') {
+      return sendError(res, 400, `Email is ${emailDoc.data().status}; only failed emails can be retried`);
+    }
 
-    // Save to Firestore with pending status
-    await addToFirestore({
-      order_reference: orderRef,
-      customer_name: customerName,
-      customer_email: customerEmail,
-      customer_phone: customerPhone || '',
-      quantity,
-      amount_total: session.amount_total,
-      stripe_session_id: session.id,
-      stripe_payment_intent_id: '',
-      status: 'pending',
-      product_type: 'ticket',
-      shipping_address: '',
-      shipping_city: '',
-      shipping_postcode: '',
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString(),
-    });
+    // Give it a fresh set of attempts
+    await emailRef.update({ status: 'pending', attempts: 0, next_attempt_at: admin.firestore.Timestamp.now() });
+    const status = await deliverOutboxEmail(emailId);
 
-    res.json({
-      url: session.url,
-      sessionId: session.id,
-      orderRef: orderRef,
-    });
+    res.json({ id: emailId, status });
   } catch (error) {
-    console.error('Error creating ticket checkout session:', error);
-    res.status(500).json({
-      error: error.message || 'Failed to create checkout session',
-    });
+    logger.error('Error retrying outbox email', { err: error });
+    sendServerError(res);
   }
 });
 
 /**
- * Create Book Checkout Session
+ * Export Personal Data (subject access request)
+ * Body: { email }. Returns everything held about the address as JSON: orders with their
+ * tickets and history, tickets naming it as an attendee, waitlist entries, emails and
+ * promo code redemptions.
  */
-app.post('/api/create-book-checkout-session', async (req, res) => {
+app.post('/api/admin/personal-data/export', requireAdmin, validateRequest({ body: personalDataBody }), async (req, res) => {
   try {
-    const { quantity, customerName, customerEmail, customerPhone, address, city, postcode } = req.body;
+    const data = await exportPersonalData(req.body.email);
 
-    if (!quantity || quantity < 1) {
-      return res.status(400).json({ error: 'Invalid quantity' });
-    }
+    logger.info('Personal data exported', { orders: data.orders.length, by: req.user.uid });
+    res.json(data);
+  } catch (error) {
+    logger.error('Error exporting personal data', { err: error });
+    sendServerError(res);
+  }
+});
 
-    if (!address || !city || !postcode) {
-      return res.status(400).json({ error: 'Shipping address is required for book orders' });
-    }
+/**
+ * Erase Personal Data (erasure request)
+ * Body: { email }. Anonymises the address's orders, attendee details, waitlist entries
+ * and emails, keeping the financial records (see personal-data/index.js). Orders still
+ * pending payment are listed in `pendingOrders` and left for a later request.
+ */
+app.post('/api/admin/personal-data/erase', requireAdmin, validateRequest({ body: personalDataBody }), async (req, res) => {
+  try {
+    const summary = await erasePersonalData(req.body.email, userAudit(req));
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    logger.error('Error erasing personal data', { err: error });
+    sendServerError(res);
+  }
+});
 
-    const orderRef = `BOOK-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+/**
+ * Cron: Send Due Outbox Emails
+ */
+app.get('/api/cron/send-emails', requireCronSecret, async (req, res) => {
+  try {
+    const summary = await processEmailOutbox();
 
-    const session = await getStripe().checkout.sessions.create({
-      payment_method_types: ['card'],
-      line_items: [
-        {
-          price_data: {
-            currency: 'gbp',
-            product_data: {
-              name: 'Build Wealth Through Property — 7 Reasons Why',
-              description: '100% of proceeds go to Place of Victory Charity',
-            },
-            unit_amount: 1999, // £19.99 in pence
-          },
-          quantity,
-        },
-      ],
-      mode: 'payment',
-      success_url: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/success?session_id={CHECKOUT_SESSION_ID}&order_ref=${orderRef}`,
-      cancel_url: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/cancelled`,
-      customer_email: customerEmail,
-      metadata: {
-        orderRef,
-        name: customerName,
-        quantity: quantity.toString(),
-        phone: customerPhone || '',
-        address,
-        city,
-        postcode,
-        productType: 'book',
-      },
-    });
+    res.json({ success: true, ...summary, timestamp: new Date().toISOString() });
+  } catch (error) {
+    logger.error('Error processing email outbox', { err: error });
+    sendServerError(res);
+  }
+});
 
-    // Save to Firestore with pending status
-    await addToFirestore({
-      order_reference: orderRef,
-      customer_name: customerName,
-      customer_email: customerEmail,
-      customer_phone: customerPhone || '',
-      quantity,
-      amount_total: session.amount_total,
-      stripe_session_id: session.id,
-      stripe_payment_intent_id: '',
-      status: 'pending',
-      product_type: 'book',
-      shipping_address: address,
-      shipping_city: city,
-      shipping_postcode: postcode,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString(),
-    });
+/**
+ * Cron: Reconcile Stuck Pending Orders with Stripe
+ */
+app.get('/api/cron/reconcile-orders', requireCronSecret, async (req, res) => {
+  try {
+    const report = await reconcilePendingOrders();
 
-    res.json({
-      url: session.url,
-      sessionId: session.id,
-      orderRef: orderRef,
-    });
+    logger.info('Pending orders reconciled', { checked: report.checked, discrepancies: report.discrepancies.length });
+    res.json({ success: true, ...report, timestamp: new Date().toISOString() });
   } catch (error) {
-    console.error('Error creating book checkout session:', error);
-    res.status(500).json({
-      error: error.message || 'Failed to create checkout session',
-    });
+    logger.error('Error reconciling orders', { err: error });
+    sendServerError(res);
   }
 });
 
 /**
- * Verify Payment Session
+ * Cron: Send Event Reminders and Follow-ups
  */
-app.get('/api/verify-session/:sessionId', async (req, res) => {
+app.get('/api/cron/event-emails', requireCronSecret, async (req, res) => {
   try {
-    const { sessionId } = req.params;
-
-    const session = await getStripe().checkout.sessions.retrieve(sessionId);
+    const summary = await sendDueEventEmails();
 
-    res.json({
-      sessionId: session.id,
-      status: session.payment_status,
-      amountTotal: session.amount_total,
-      customerEmail: session.customer_email,
-      metadata: session.metadata,
-    });
+    logger.info('Event emails processed', { sent: summary.sent, skipped: summary.skipped });
+    res.json({ success: true, ...summary, timestamp: new Date().toISOString() });
   } catch (error) {
-    console.error('Error verifying session:', error);
-    res.status(500).json({ error: error.message });
+    logger.error('Error sending event emails', { err: error });
+    sendServerError(res);
   }
 });
 
 /**
- * Get Ticket Purchase
+ * Cron: Erase Personal Data Past the Retention Period
  */
-app.get('/api/tickets/:orderReference', async (req, res) => {
+app.get('/api/cron/data-retention', requireCronSecret, async (req, res) => {
   try {
-    const { orderReference } = req.params;
+    const summary = await applyRetentionPolicy();
 
-    const ticket = await getFromFirestore(orderReference);
+    logger.info('Retention policy applied', summary);
+    res.json({ success: true, ...summary, timestamp: new Date().toISOString() });
+  } catch (error) {
+    logger.error('Error applying retention policy', { err: error });
+    sendServerError(res);
+  }
+});
 
-    if (!ticket) {
-      return res.status(404).json({ error: 'Ticket not found' });
+/**
+ * Door Check-in
+ */
+app.post('/api/checkin/:ticketCode', requireRole('door_staff'), validateRequest({
+  params: schema.object({
+    ticketCode: schema.string({ max: 200, pattern: /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/, message: 'is not a valid ticket code' }),
+  }),
+}), async (req, res) => {
+  try {
+    const result = await checkInTicket(req.params.ticketCode, req.user.uid);
+
+    if (result.error) {
+      return sendError(res, result.status, result.error, { ticket: result.ticket });
     }
 
-    res.json(ticket);
+    logger.info('Ticket checked in', { ticketId: result.ticket.id, eventId: result.ticket.event_id, by: req.user.uid });
+    res.json({ success: true, ticket: result.ticket });
   } catch (error) {
-    console.error('Error fetching ticket:', error);
-    res.status(500).json({ error: error.message });
+    logger.error('Error checking in ticket', { err: error });
+    sendServerError(res);
   }
 });
 
 /**
- * Add Ticket Purchase
+ * Live Check-in Counts for an Event
  */
-app.post('/api/tickets', async (req, res) => {
+app.get('/api/events/:eventId/checkins', requireRole('door_staff', 'viewer'), validateRequest({ params: eventIdParams }), async (req, res) => {
   try {
-    const data = req.body;
+    const { eventId } = req.params;
 
-    await addToFirestore(data);
+    const event = await getEventFromFirestore(eventId);
+    if (!event) {
+      return sendError(res, 404, 'Event not found');
+    }
 
-    res.json({ success: true, order_reference: data.order_reference });
+    const counts = await getCheckInCounts(eventId);
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      eventId,
+      ticketsIssued: counts.issued,
+      checkedIn: counts.checkedIn,
+      notYetArrived: counts.issued - counts.checkedIn,
+      timestamp: new Date().toISOString(),
+    });
   } catch (error) {
-    console.error('Error adding ticket:', error);
-    res.status(500).json({ error: error.message });
+    logger.error('Error fetching check-in counts', { err: error });
+    sendServerError(res);
   }
 });
 
 /**
- * Update Ticket Purchase
+ * Attendee List for an Event (name, contact and registration answers per ticket)
+ * JSON by default; ?format=csv downloads a spreadsheet with one column per question.
  */
-app.patch('/api/tickets/:orderReference', async (req, res) => {
+app.get('/api/events/:eventId/attendees', requireRole('door_staff', 'viewer'), validateRequest({ params: eventIdParams, query: exportFormatQuery }), async (req, res) => {
   try {
-    const { orderReference } = req.params;
-    const updates = req.body;
+    const { eventId } = req.params;
+
+    const event = await getEventFromFirestore(eventId);
+    if (!event) {
+      return sendError(res, 404, 'Event not found');
+    }
 
-    await updateFirestore(orderReference, updates);
+    const questions = event.registration_questions || [];
+    const attendees = await listEventAttendees(eventId);
 
-    const updated = await getFromFirestore(orderReference);
+    res.set('Cache-Control', 'no-store');
 
-    res.json(updated);
+    if (req.query.format !== 'csv') {
+      return res.json({
+        eventId,
+        questions,
+        attendees,
+        totalAttendees: attendees.length,
+      });
+    }
+
+    const formatAnswer = (answer) => (typeof answer === 'boolean' ? (answer ? 'Yes' : 'No') : answer);
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="attendees-${eventId}.csv"`);
+    res.write(csvLine([
+      'Name', 'Email', 'Order Reference', 'Ticket', 'Buyer Name', 'Buyer Email', 'Status', 'Checked In',
+      ...questions.map(question => question.label),
+    ]));
+    attendees.forEach(attendee => res.write(csvLine([
+      attendee.name,
+      attendee.email,
+      attendee.orderRef,
+      attendee.admissionNumber,
+      attendee.buyerName,
+      attendee.buyerEmail,
+      attendee.status,
+      attendee.checkedIn ? 'Yes' : 'No',
+      ...questions.map(question => formatAnswer(attendee.answers[question.id])),
+    ])));
+    res.end();
   } catch (error) {
-    console.error('Error updating ticket:', error);
-    res.status(500).json({ error: error.message });
+    logger.error('Error building attendee list', { err: error });
+    sendServerError(res);
   }
 });
 
@@ -705,96 +4209,31 @@ app.post('/api/webhooks/stripe', async (req, res) => {
   const sig = req.headers['stripe-signature'];
   const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
 
-  console.log('🔔 Stripe webhook received');
-
   let event;
 
   try {
     event = getStripe().webhooks.constructEvent(req.body, sig, endpointSecret);
-    console.log('✓ Webhook signature verified, event type:', event.type);
   } catch (err) {
-    console.error('❌ Webhook error:', err);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
-  }
-
-  try {
-    // Handle the event
-    switch (event.type) {
-      case 'checkout.session.completed':
-        const session = event.data.object;
-        const productType = session.metadata.productType || 'ticket';
-        
-        console.log(`✓ Payment completed for ${productType} order ${session.metadata.orderRef}`);
-        console.log(`Session ID: ${session.id}`);
-        console.log(`Session payment intent: ${session.payment_intent}, Payment status: ${session.payment_status}`);
-        console.log(`Amount total: ${session.amount_total}`);
-        console.log(`Customer email: ${session.customer_email}`);
-        console.log(`Metadata:`, session.metadata);
-        
-        // Retrieve the payment intent to get more details
-        let paymentIntentId = session.payment_intent;
-        try {
-          const paymentIntent = await getStripe().paymentIntents.retrieve(session.payment_intent);
-          paymentIntentId = paymentIntent.id;
-          console.log(`Payment intent ID: ${paymentIntentId}, status: ${paymentIntent.status}`);
-        } catch (piErr) {
-          console.warn('Could not retrieve payment intent details:', piErr.message);
-        }
-        
-        // Update Firestore with completed status
-        await updateFirestore(session.metadata.orderRef, {
-          status: 'completed',
-          stripe_payment_intent_id: paymentIntentId || session.payment_intent || '',
-          updated_at: new Date().toISOString(),
-        });
-
-        console.log(`✓ Firestore updated for order ${session.metadata.orderRef}`);
-
-        // Send confirmation email based on product type
-        if (productType === 'book') {
-          await sendConfirmationEmail({
-            email: session.customer_email,
-            name: session.metadata.name,
-            orderRef: session.metadata.orderRef,
-            address: session.metadata.address,
-            city: session.metadata.city,
-            postcode: session.metadata.postcode,
-            quantity: parseInt(session.metadata.quantity),
-            amountTotal: session.amount_total,
-          }, 'book');
-        } else {
-          await sendConfirmationEmail({
-            email: session.customer_email,
-            name: session.metadata.name,
-            orderRef: session.metadata.orderRef,
-            quantity: session.metadata.quantity,
-          }, 'ticket');
-        }
-
-        console.log(`✓ Confirmation email queued for ${session.customer_email}`);
-        break;
-
-      case 'checkout.session.expired':
-        const expiredSession = event.data.object;
-        
-        console.log(`⚠ Checkout expired for order ${expiredSession.metadata.orderRef}`);
-        
-        // Update status to failed
-        await updateFirestore(expiredSession.metadata.orderRef, {
-          status: 'failed',
-          updated_at: new Date().toISOString(),
-        });
+    logger.warn('Webhook signature verification failed', { err });
+    metrics.webhookEvents.inc({ type: 'unknown', outcome: 'invalid_signature' });
+    return sendError(res, 400, 'Webhook signature verification failed', { code: 'invalid_signature' });
+  }
 
-        break;
+  try {
+    logger.info('Stripe webhook received', { stripeEventId: event.id, eventType: event.type });
+    const result = await processStripeEvent(event);
+    metrics.webhookEvents.inc({ type: event.type, outcome: result.outcome });
 
-      default:
-        console.log(`ℹ Unhandled event type ${event.type}`);
+    if (result.outcome === 'failed') {
+      // Let Stripe retry; the handler steps are idempotent
+      return sendServerError(res);
     }
 
-    res.json({received: true});
+    res.json({ received: true, ...(result.outcome === 'duplicate' && { duplicate: true }) });
   } catch (error) {
-    console.error('❌ Error processing webhook:', error);
-    res.status(500).json({ error: error.message });
+    logger.error('Error processing webhook', { err: error });
+    metrics.webhookEvents.inc({ type: event.type, outcome: 'error' });
+    sendServerError(res);
   }
 });
 
@@ -809,12 +4248,20 @@ app.get('/health', (req, res) => {
   });
 });
 
+/**
+ * Prometheus Metrics (checkouts, webhook events, email deliveries, latencies)
+ * Requires `Authorization: Bearer $METRICS_TOKEN`.
+ */
+app.get('/api/metrics', requireMetricsToken, (req, res) => {
+  res.type(PROMETHEUS_CONTENT_TYPE).send(registry.render());
+});
+
 /**
  * Debug: Check Environment Variables (Development Only)
  */
 app.get('/api/debug/env', (req, res) => {
   if (process.env.NODE_ENV === 'production') {
-    return res.status(403).json({ error: 'Not available in production' });
+    return sendError(res, 403, 'Not available in production');
   }
   
   res.json({
@@ -824,6 +4271,7 @@ app.get('/api/debug/env', (req, res) => {
     googleApplicationCredentials: process.env.GOOGLE_APPLICATION_CREDENTIALS ? 'Set' : 'Missing',
     emailUserPresence: !!process.env.EMAIL_USER,
     emailPasswordPresence: !!process.env.EMAIL_PASSWORD,
+    emailTransport: process.env.EMAIL_TRANSPORT || 'gmail',
     frontendUrl: process.env.FRONTEND_URL,
     nodeEnv: process.env.NODE_ENV
   });
@@ -834,12 +4282,12 @@ app.get('/api/debug/env', (req, res) => {
  */
 app.get('/api/debug/test-firestore', async (req, res) => {
   if (process.env.NODE_ENV === 'production') {
-    return res.status(403).json({ error: 'Not available in production' });
+    return sendError(res, 403, 'Not available in production');
   }
   
   try {
-    console.log('Testing Firestore connection...');
-    await initializeFirestore();
+    logger.info('Testing Firestore connection');
+    await initializeDatabase();
     
     // Try to read from the collection
     const testQuery = await db.collection('ticket_purchases').limit(1).get();
@@ -852,11 +4300,55 @@ app.get('/api/debug/test-firestore', async (req, res) => {
       sampleCount: testQuery.size
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      stack: error.stack
-    });
+    logger.error('Firestore test failed', { err: error });
+    sendError(res, 500, 'Could not read from storage', { success: false });
+  }
+});
+
+/**
+ * Debug: Preview Email Templates (Development Only)
+ * GET /api/debug/email-preview lists templates; /api/debug/email-preview/:template renders
+ * one with sample data (add ?format=text for the plain-text part).
+ */
+app.get('/api/debug/email-preview/:template?', validateRequest({
+  params: schema.object({ template: schema.optional(schema.string({ max: 100 })) }),
+  query: schema.object({ format: schema.optional(schema.oneOf(['html', 'text']), 'html') }),
+}), async (req, res) => {
+  if (process.env.NODE_ENV === 'production') {
+    return sendError(res, 403, 'Not available in production');
+  }
+
+  const { template } = req.params;
+
+  if (!template) {
+    return res.json({ templates: TEMPLATE_NAMES });
+  }
+
+  if (!TEMPLATE_NAMES.includes(template)) {
+    return sendError(res, 404, `Unknown template. Must be one of: ${TEMPLATE_NAMES.join(', ')}`);
+  }
+
+  try {
+    // Fresh copy so the QR preview below doesn't modify the shared sample
+    const data = JSON.parse(JSON.stringify(emailSamples[template]));
+
+    // Inline QR images are cid: attachments in real emails; show them as data URIs here
+    if (emailTickets(data).length > 0) {
+      await Promise.all(emailTickets(data).map(async (ticket) => {
+        ticket.imageSrc = await QRCode.toDataURL(ticket.code, { width: 240, margin: 1 });
+      }));
+    }
+
+    const email = renderEmail(template, data);
+
+    if (req.query.format === 'text') {
+      return res.type('text/plain').send(`Subject: ${email.subject}\n\n${email.text}`);
+    }
+
+    res.type('html').send(email.html);
+  } catch (error) {
+    logger.error('Error rendering email preview', { err: error });
+    sendServerError(res);
   }
 });
 
@@ -865,7 +4357,7 @@ app.get('/api/debug/test-firestore', async (req, res) => {
  */
 app.get('/api/firestore-health', async (req, res) => {
   try {
-    console.log('📊 Testing Firestore connection...');
+    logger.info('Testing Firestore connection');
     
     const checks = {
       hasProjectId: !!process.env.FIREBASE_PROJECT_ID,
@@ -873,7 +4365,7 @@ app.get('/api/firestore-health', async (req, res) => {
       hasCredentialsFile: !!process.env.GOOGLE_APPLICATION_CREDENTIALS,
     };
     
-    await initializeFirestore();
+    await initializeDatabase();
     
     // Try a simple read operation
     const testQuery = await db.collection('ticket_purchases').limit(1).get();
@@ -887,10 +4379,9 @@ app.get('/api/firestore-health', async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('❌ Firestore health check failed:', error);
-    res.status(500).json({
+    logger.error('Firestore health check failed', { err: error });
+    sendError(res, 500, 'Could not read from storage', {
       success: false,
-      error: error.message,
       environmentChecks: {
         hasProjectId: !!process.env.FIREBASE_PROJECT_ID,
         hasServiceAccount: !!process.env.FIREBASE_SERVICE_ACCOUNT,
@@ -901,15 +4392,54 @@ app.get('/api/firestore-health', async (req, res) => {
   }
 });
 
+// ============================================
+// Event Reminders & Follow-ups
+// ============================================
+
+const { sendDueEventEmails } = createEventEmails({
+  getDb,
+  convertFirestoreData,
+  orderRepository,
+  ticketsCollection: TICKETS_COLLECTION,
+  listEventsFromFirestore,
+  emailEventDetails,
+  buildOrderLink,
+  queueEmail,
+  eventTimezone: EVENT_TIMEZONE,
+});
+
+/**
+ * Unknown Routes
+ */
+app.use((req, res) => {
+  sendError(res, 404, `No route for ${req.method} ${req.path}`);
+});
+
+/**
+ * Errors Thrown Outside the Route Handlers (body parsing, middleware)
+ * Express recognises error handlers by their four arguments, so `next` stays.
+ */
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'Request body is not valid JSON', { code: 'invalid_json' });
+  }
+  if (err.type === 'entity.too.large') {
+    return sendError(res, 413, 'Request body is too large');
+  }
+
+  logger.error('Unhandled error', { method: req.method, path: req.path, err });
+  sendServerError(res);
+});
+
 // ============================================
 // Start Server (Local Development Only)
 // ============================================
 
-if (process.env.NODE_ENV !== 'production') {
+// Only when run directly: Vercel and the tests load the app without a server
+if (require.main === module && process.env.NODE_ENV !== 'production') {
   const PORT = process.env.PORT || 3001;
   app.listen(PORT, () => {
-    console.log(`🚀 Server running on port ${PORT}`);
-    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    logger.info('Server running', { port: PORT, environment: process.env.NODE_ENV || 'development' });
   });
 }
 
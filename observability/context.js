@@ -0,0 +1,45 @@
+// ============================================
+// Request Context
+// ============================================
+//
+// Every request gets a correlation ID: the caller's X-Request-Id when it sends a usable
+// one, otherwise Vercel's x-vercel-id, otherwise a new UUID. It is sent back in the
+// X-Request-Id response header and kept in AsyncLocalStorage for the rest of the
+// request, so log lines, Stripe metadata and stored documents written on the request's
+// behalf can all carry it without it being passed around.
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const storage = new AsyncLocalStorage();
+
+function requestIdFrom(req) {
+  const candidates = [req.get(REQUEST_ID_HEADER), req.get('x-vercel-id')];
+  return candidates.find(value => value && REQUEST_ID_PATTERN.test(value)) || crypto.randomUUID();
+}
+
+// Middleware; register it before anything else so every later step runs in the context
+function requestContext() {
+  return (req, res, next) => {
+    const requestId = requestIdFrom(req);
+
+    req.id = requestId;
+    res.set(REQUEST_ID_HEADER, requestId);
+    storage.run({ requestId }, next);
+  };
+}
+
+// The current request's correlation ID, or undefined outside a request
+function getRequestId() {
+  const context = storage.getStore();
+  return context ? context.requestId : undefined;
+}
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  requestContext,
+  getRequestId,
+};
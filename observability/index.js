@@ -0,0 +1,69 @@
+// ============================================
+// Observability
+// ============================================
+//
+// Structured logging (logger.js), request correlation IDs (context.js) and Prometheus
+// metrics (metrics.js). The metrics this app records are declared here so modules
+// outside index.js can record them too.
+
+const { logger, createLogger, redact, maskEmails } = require('./logger');
+const { REQUEST_ID_HEADER, requestContext, getRequestId } = require('./context');
+const { PROMETHEUS_CONTENT_TYPE, Registry } = require('./metrics');
+
+const registry = new Registry();
+
+const metrics = {
+  httpRequestDuration: registry.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'Time taken to respond to HTTP requests',
+    labelNames: ['method', 'route', 'status'],
+  }),
+  checkouts: registry.counter({
+    name: 'checkout_sessions_total',
+    help: 'Attempts to open a Stripe Checkout session, by where they came from and how they ended',
+    labelNames: ['source', 'outcome'],
+  }),
+  webhookEvents: registry.counter({
+    name: 'stripe_webhook_events_total',
+    help: 'Stripe webhook events received, by event type and outcome',
+    labelNames: ['type', 'outcome'],
+  }),
+  stripeRequestDuration: registry.histogram({
+    name: 'stripe_request_duration_seconds',
+    help: 'Time taken by Stripe API calls',
+    labelNames: ['method', 'path', 'status'],
+  }),
+  emailDeliveries: registry.counter({
+    name: 'email_deliveries_total',
+    help: 'Attempts to send outbox emails, by template and outcome (sent, retrying or failed)',
+    labelNames: ['template', 'outcome'],
+  }),
+  emailSendDuration: registry.histogram({
+    name: 'email_send_duration_seconds',
+    help: 'Time taken to hand an email to the mail transport',
+    labelNames: ['template'],
+  }),
+};
+
+// How a checkout attempt ended, from its HTTP status, for the checkouts metric
+function checkoutOutcome(status) {
+  if (status < 400) return 'created';
+  if (status === 409) return 'sold_out';
+  if (status === 429) return 'rate_limited';
+  if (status < 500) return 'rejected';
+  return 'error';
+}
+
+module.exports = {
+  logger,
+  createLogger,
+  redact,
+  maskEmails,
+  REQUEST_ID_HEADER,
+  requestContext,
+  getRequestId,
+  PROMETHEUS_CONTENT_TYPE,
+  registry,
+  metrics,
+  checkoutOutcome,
+};
@@ -0,0 +1,153 @@
+// ============================================
+// Logger
+// ============================================
+//
+// One JSON object per line, so Vercel's log search can filter on any field:
+//
+//   {"time":"…","level":"info","msg":"Order completed","requestId":"…","orderRef":"TIX-…"}
+//
+// LOG_LEVEL (debug, info, warn, error or silent; default info) sets what is written.
+// LOG_FORMAT=pretty prints a readable line instead, and is the default outside
+// production. Personal data is redacted before anything is written: fields named after
+// it (email, name, phone, address, …) are masked, secrets are dropped, and email
+// addresses are masked wherever they appear in text.
+
+const { getRequestId } = require('./context');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Field names (lower case, without _ or -) whose values are personal data
+const PERSONAL_FIELDS = new Set([
+  'name', 'firstname', 'lastname', 'title', 'phone', 'address', 'city', 'postcode',
+  'housenameornumber', 'customername', 'customerphone', 'buyername', 'shippingaddress',
+  'shippingcity', 'shippingpostcode', 'attendees', 'answers', 'giftaid',
+]);
+
+// Field names whose values are never written at all
+const SECRET_FIELDS = new Set([
+  'token', 'secret', 'password', 'authorization', 'cookie', 'captchatoken', 'code', 'ticketcode', 'accesscode',
+]);
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@([A-Za-z0-9-]+\.)+[A-Za-z]{2,}/g;
+const MAX_DEPTH = 6;
+
+function normaliseKey(key) {
+  return key.toLowerCase().replace(/[_-]/g, '');
+}
+
+// "jane.doe@example.com" -> "j***@example.com"
+function maskEmails(text) {
+  return text.replace(EMAIL_PATTERN, match => `${match[0]}***${match.slice(match.indexOf('@'))}`);
+}
+
+function serializeError(error) {
+  return {
+    type: error.name,
+    message: maskEmails(String(error.message)),
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.statusCode !== undefined && { statusCode: error.statusCode }),
+    ...(error.stack && { stack: maskEmails(error.stack) }),
+  };
+}
+
+// Copy a log field value with personal data masked and secrets left out
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (typeof value === 'string') {
+    return maskEmails(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[truncated]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+  if (typeof value.toDate === 'function') {
+    return value.toDate().toISOString();
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    const normalised = normaliseKey(key);
+
+    if (SECRET_FIELDS.has(normalised) || /(token|secret|password)$/.test(normalised)) {
+      continue;
+    }
+    if (normalised.endsWith('email') || normalised === 'to') {
+      copy[key] = typeof item === 'string' ? maskEmails(item) : '[redacted]';
+    } else if (PERSONAL_FIELDS.has(normalised)) {
+      copy[key] = item === undefined || item === null || item === '' ? item : '[redacted]';
+    } else {
+      copy[key] = redact(item, depth + 1);
+    }
+  }
+  return copy;
+}
+
+function formatPretty(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const rest = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${msg}${rest}`;
+}
+
+/**
+ * A logger with debug/info/warn/error(message, fields?). `fields` is an object of
+ * extra properties; an `err` field is written as { type, message, code, stack }.
+ * child(fields) returns a logger that adds `fields` to every line.
+ */
+function createLogger({
+  level = process.env.LOG_LEVEL || 'info',
+  format = process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty'),
+  base = {},
+} = {}) {
+  const threshold = LEVELS[level] !== undefined ? LEVELS[level] : LEVELS.info;
+
+  function write(levelName, message, fields = {}) {
+    if (LEVELS[levelName] < threshold) {
+      return;
+    }
+
+    const requestId = getRequestId();
+    const entry = {
+      time: new Date().toISOString(),
+      level: levelName,
+      msg: maskEmails(String(message)),
+      ...(requestId && { requestId }),
+      ...redact({ ...base, ...fields }),
+    };
+
+    const line = format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+
+    // console keeps Vercel's stdout/stderr split (and lets the tests silence output)
+    if (levelName === 'error') {
+      console.error(line);
+    } else if (levelName === 'warn') {
+      console.warn(line);
+    } else {
+      console.log(line);
+    }
+  }
+
+  return {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+    child: fields => createLogger({ level, format, base: { ...base, ...fields } }),
+  };
+}
+
+const logger = createLogger();
+
+module.exports = {
+  LEVELS,
+  createLogger,
+  logger,
+  redact,
+  maskEmails,
+};
@@ -0,0 +1,134 @@
+// ============================================
+// Metrics
+// ============================================
+//
+// Counters and histograms kept in memory and rendered in the Prometheus text exposition
+// format (version 0.0.4). On serverless hosting each instance keeps its own figures from
+// when it started, so a scraper should sum them and expect resets.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Series are keyed by their label values in labelNames order; missing labels are ''
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function labelsFromKey(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+class Counter {
+  constructor({ name, help, labelNames = [] }) {
+    Object.assign(this, { name, help, labelNames, type: 'counter' });
+    this._values = new Map();
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = seriesKey(this.labelNames, labels);
+    this._values.set(key, (this._values.get(key) || 0) + value);
+  }
+
+  collect() {
+    return [...this._values].map(([key, value]) => `${this.name}${formatLabels(labelsFromKey(this.labelNames, key))} ${value}`);
+  }
+}
+
+class Histogram {
+  constructor({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    Object.assign(this, { name, help, labelNames, type: 'histogram' });
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this._series = new Map();
+  }
+
+  observe(labels, value) {
+    const key = seriesKey(this.labelNames, labels);
+    let series = this._series.get(key);
+
+    if (!series) {
+      series = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this._series.set(key, series);
+    }
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  // Returns a function that records the seconds since the timer started
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (moreLabels = {}) => {
+      this.observe({ ...labels, ...moreLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+    };
+  }
+
+  collect() {
+    const lines = [];
+
+    for (const [key, { counts, sum, count }] of this._series) {
+      const labels = labelsFromKey(this.labelNames, key);
+
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this._metrics = [];
+  }
+
+  counter(options) {
+    return this._register(new Counter(options));
+  }
+
+  histogram(options) {
+    return this._register(new Histogram(options));
+  }
+
+  _register(metric) {
+    if (this._metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this._metrics.push(metric);
+    return metric;
+  }
+
+  render() {
+    return this._metrics
+      .map(metric => [
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...metric.collect(),
+      ].join('\n'))
+      .join('\n') + '\n';
+  }
+}
+
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = {
+  PROMETHEUS_CONTENT_TYPE,
+  Registry,
+};
@@ -0,0 +1,97 @@
+// ============================================
+// Order Items
+// ============================================
+//
+// An order holds one or more line items. Ticket items carry the event they admit to and,
+// when the buyer named them, the attendees (one per ticket, with their answers to the
+// event's registration questions). Book items are the only physical products, so only
+// they need a shipping address.
+// Orders created before carts existed have no `items` and are read through
+// getOrderItems(), which rebuilds a single item from the order's own fields.
+
+const { BOOK_TITLE } = require('../emails/templates');
+
+const PRODUCT_TYPES = ['ticket', 'book'];
+const MAX_CART_ITEMS = 10;
+const MAX_ITEM_QUANTITY = 20;
+
+const BOOK_PRODUCT = {
+  name: BOOK_TITLE,
+  description: '100% of proceeds go to Place of Victory Charity',
+  unit_amount: 1999, // £19.99 in pence
+};
+
+function getOrderItems(order) {
+  if (Array.isArray(order.items) && order.items.length > 0) {
+    return order.items;
+  }
+
+  const quantity = order.quantity || 1;
+  const unitAmount = Math.round((order.amount_subtotal || order.amount_total || 0) / quantity);
+
+  if (order.product_type === 'book') {
+    return [{ ...BOOK_PRODUCT, product_type: 'book', unit_amount: unitAmount, quantity }];
+  }
+
+  return [{
+    product_type: 'ticket',
+    name: order.event_title || 'Seminar Ticket',
+    description: '',
+    unit_amount: unitAmount,
+    quantity,
+    event_id: order.event_id || process.env.DEFAULT_EVENT_ID || '',
+    event_title: order.event_title || '',
+    event_start: order.event_start || null,
+    event_venue: order.event_venue || '',
+  }];
+}
+
+function itemQuantity(items, productType) {
+  return items
+    .filter(item => item.product_type === productType)
+    .reduce((sum, item) => sum + item.quantity, 0);
+}
+
+function hasPhysicalItems(items) {
+  return items.some(item => item.product_type === 'book');
+}
+
+// Seats needed on each event by the ticket items, as a Map of event ID -> seat count
+function seatsByEvent(items) {
+  const seats = new Map();
+  items
+    .filter(item => item.product_type === 'ticket' && item.event_id)
+    .forEach(item => seats.set(item.event_id, (seats.get(item.event_id) || 0) + item.quantity));
+  return seats;
+}
+
+// 'ticket' or 'book' when the order holds one kind of product, otherwise 'mixed'.
+// A donation doesn't change what kind of order it is.
+function orderProductType(items) {
+  const types = [...new Set(items.filter(item => item.product_type !== 'donation').map(item => item.product_type))];
+  return types.length === 1 ? types[0] : 'mixed';
+}
+
+// A short description of what was bought, for emails and order lists
+function describeOrderItems(items) {
+  return items
+    .map(item => {
+      if (item.product_type === 'book') return BOOK_TITLE;
+      if (item.product_type === 'donation') return 'Donation';
+      return item.event_title || item.name;
+    })
+    .join(' + ');
+}
+
+module.exports = {
+  PRODUCT_TYPES,
+  MAX_CART_ITEMS,
+  MAX_ITEM_QUANTITY,
+  BOOK_PRODUCT,
+  getOrderItems,
+  itemQuantity,
+  hasPhysicalItems,
+  seatsByEvent,
+  orderProductType,
+  describeOrderItems,
+};
@@ -0,0 +1,36 @@
+// ============================================
+// Order Statuses
+// ============================================
+//
+// An order is pending until its Checkout session completes (completed) or expires
+// (failed). Refunds, disputes and cancellation move a paid order on from there.
+
+const ORDER_STATUSES = ['pending', 'completed', 'failed', 'partially_refunded', 'refunded', 'disputed', 'cancelled'];
+
+// The statuses an order may move to from each status. failed, refunded and cancelled
+// are final.
+const ORDER_TRANSITIONS = {
+  pending: ['completed', 'failed'],
+  completed: ['partially_refunded', 'refunded', 'disputed', 'cancelled'],
+  partially_refunded: ['refunded', 'disputed', 'cancelled'],
+  // Won (back to what it was), lost (refunded), or refunded in part while open
+  disputed: ['completed', 'partially_refunded', 'refunded'],
+  failed: [],
+  refunded: [],
+  cancelled: [],
+};
+
+// Orders in these states have been paid for and can be refunded or disputed
+const PAID_ORDER_STATUSES = ['completed', 'partially_refunded', 'disputed'];
+
+// Staying in the same status is always allowed
+function canTransitionOrder(fromStatus, toStatus) {
+  return fromStatus === toStatus || (ORDER_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  PAID_ORDER_STATUSES,
+  canTransitionOrder,
+};
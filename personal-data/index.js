@@ -0,0 +1,406 @@
+// ============================================
+// Personal Data
+// ============================================
+//
+// Subject access and erasure requests, and the retention policy. Erasing an order blanks
+// the buyer's name, contact details and delivery address and the attendee details on it,
+// its tickets and its history, but keeps what the accounts need: amounts, refunds,
+// statuses, dates, Stripe payment IDs and what was bought. A Gift Aid declaration on a
+// claimable donation is kept until GIFT_AID_RETENTION_YEARS have passed, because HMRC can
+// ask to see it. Stripe holds its own copy of the checkout details, which has to be
+// dealt with in the Stripe dashboard.
+
+const { stageOrderErasure, orderHistory } = require('../storage');
+const { isGiftAidEligible } = require('../donations');
+const { WAITLIST_COLLECTION } = require('../waitlist');
+const { PROMO_REDEMPTIONS_COLLECTION } = require('../promo-codes');
+const { logger } = require('../observability');
+
+const DATA_RETENTION_MONTHS = Math.max(parseInt(process.env.DATA_RETENTION_MONTHS, 10) || 36, 1);
+const GIFT_AID_RETENTION_YEARS = 6;
+
+// Orders erased per retention run, and documents read per query while looking for them
+const RETENTION_BATCH_SIZE = 100;
+const RETENTION_PAGE_SIZE = 200;
+
+// Who retention changes are recorded against in the order history
+const RETENTION_AUDIT = { actor: 'system', source: 'retention' };
+
+// Emails are stored as typed at checkout, so look up both the typed and lowercased forms
+function emailVariants(email) {
+  return [...new Set([email.trim(), email.trim().toLowerCase()])];
+}
+
+function toMillis(value) {
+  return value && typeof value.toMillis === 'function' ? value.toMillis() : new Date(value).getTime();
+}
+
+function monthsBefore(date, months) {
+  const cutoff = new Date(date);
+  cutoff.setMonth(cutoff.getMonth() - months);
+  return cutoff;
+}
+
+// Whether an order's Gift Aid declaration still has to be kept for HMRC at `now`
+function isGiftAidRetained(order, now = new Date()) {
+  if (!isGiftAidEligible(order)) {
+    return false;
+  }
+
+  const declaredAt = toMillis(order.gift_aid_declared_at || order.created_at);
+  return declaredAt >= monthsBefore(now, GIFT_AID_RETENTION_YEARS * 12).getTime();
+}
+
+function erasedWaitlistFields(entry, now) {
+  return {
+    name: '',
+    email: '',
+    phone: '',
+    attendees: [],
+    erased_at: now,
+    // Nobody is left to offer the seats to
+    ...(['waiting', 'offered'].includes(entry.status) && { status: 'cancelled', cancel_reason: 'Personal data erased' }),
+    updated_at: now,
+  };
+}
+
+function erasedEmailFields(email, now) {
+  return {
+    to: '',
+    data: {},
+    erased_at: now,
+    ...(email.status === 'pending' && { status: 'failed', last_error: 'Recipient erased' }),
+  };
+}
+
+/**
+ * The personal data routes and retention job. Besides the database (`getDb`,
+ * `convertFirestoreData`, and `orderRepository` for order histories) it needs
+ * findOrdersByEmail() and the collections tickets, outbox emails and order access codes
+ * are kept in.
+ */
+function createPersonalData({
+  getDb,
+  convertFirestoreData,
+  orderRepository,
+  findOrdersByEmail,
+  ticketsCollection,
+  emailOutboxCollection,
+  orderAccessCodesCollection,
+}) {
+  async function findDocsByEmail(collection, field, email) {
+    const db = await getDb();
+
+    const snapshots = await Promise.all(emailVariants(email).map(variant =>
+      db.collection(collection).where(field, '==', variant).get()
+    ));
+
+    const docs = new Map();
+    snapshots.forEach(snapshot => snapshot.docs.forEach(doc => docs.set(doc.id, doc)));
+
+    return [...docs.values()];
+  }
+
+  /**
+   * Call `handle` with each document in `collection` created before `cutoff`, oldest
+   * first, reading RETENTION_PAGE_SIZE at a time. Stops early if `handle` returns false;
+   * returns whether it got to the end.
+   */
+  async function forEachCreatedBefore(collection, cutoff, handle) {
+    const db = await getDb();
+
+    const query = db.collection(collection)
+      .where('created_at', '<', cutoff)
+      .orderBy('created_at')
+      .limit(RETENTION_PAGE_SIZE);
+    let last = null;
+
+    for (;;) {
+      const snapshot = await (last ? query.startAfter(last) : query).get();
+
+      for (const doc of snapshot.docs) {
+        if ((await handle(doc)) === false) {
+          return false;
+        }
+      }
+
+      if (snapshot.size < RETENTION_PAGE_SIZE) {
+        return true;
+      }
+      last = snapshot.docs[snapshot.size - 1];
+    }
+  }
+
+  /**
+   * Erase the personal data held on an order (see above). `reason` is 'request' or
+   * 'retention', `audit` who it is recorded against and `now` the time a retained Gift
+   * Aid declaration is judged at. Returns { orderRef, erased, retained }: `erased` is
+   * false if there was nothing left to erase, and `retained` lists the personal data
+   * kept back (['gift_aid'] or []).
+   */
+  async function eraseOrderPersonalData(orderRef, { reason, audit, now = new Date() }) {
+    const db = await getDb();
+
+    const admin = require('firebase-admin');
+    const orderDocRef = db.collection('ticket_purchases').doc(orderRef);
+    const redemptionRef = db.collection(PROMO_REDEMPTIONS_COLLECTION).doc(orderRef);
+
+    return db.runTransaction(async (transaction) => {
+      const [orderDoc, redemptionDoc] = await transaction.getAll(orderDocRef, redemptionRef);
+
+      if (!orderDoc.exists) {
+        return { orderRef, erased: false, retained: [] };
+      }
+
+      const order = orderDoc.data();
+      const keepGiftAid = isGiftAidRetained(order, now);
+      const erasedFields = {
+        customer_name: '',
+        customer_email: '',
+        customer_phone: '',
+        shipping_address: '',
+        shipping_city: '',
+        shipping_postcode: '',
+        ...(order.items && { items: order.items.map(({ attendees, ...item }) => item) }),
+        ...(!keepGiftAid && { gift_aid: null }),
+      };
+      const retained = keepGiftAid ? ['gift_aid'] : [];
+
+      if (Object.entries(erasedFields).every(([field, value]) => JSON.stringify(order[field] || null) === JSON.stringify(value || null))) {
+        return { orderRef, erased: false, retained };
+      }
+
+      const ticketsSnapshot = await transaction.get(
+        db.collection(ticketsCollection).where('order_reference', '==', orderRef)
+      );
+      const historySnapshot = await transaction.get(orderHistory(orderDocRef));
+      const erasedAt = admin.firestore.Timestamp.now();
+
+      stageOrderErasure(transaction, orderDocRef, order, historySnapshot.docs, {
+        ...erasedFields,
+        personal_data_erased_at: erasedAt,
+        erasure_reason: reason,
+        updated_at: erasedAt,
+      }, audit);
+
+      ticketsSnapshot.docs.forEach(doc => {
+        transaction.update(doc.ref, { attendee_name: '', attendee_email: '', answers: {} });
+      });
+      if (redemptionDoc.exists) {
+        transaction.update(redemptionRef, { customer_email: '' });
+      }
+      transaction.delete(db.collection(orderAccessCodesCollection).doc(orderRef));
+
+      return { orderRef, erased: true, retained };
+    });
+  }
+
+  /**
+   * Erase one attendee's details from someone else's order: their tickets, and their entry
+   * in the order's items. The buyer's own details are left alone.
+   */
+  async function eraseAttendeeFromOrder(orderRef, email, audit) {
+    const db = await getDb();
+
+    const admin = require('firebase-admin');
+    const orderDocRef = db.collection('ticket_purchases').doc(orderRef);
+
+    return db.runTransaction(async (transaction) => {
+      const orderDoc = await transaction.get(orderDocRef);
+      const ticketsSnapshot = await transaction.get(
+        db.collection(ticketsCollection).where('order_reference', '==', orderRef)
+      );
+      const historySnapshot = await transaction.get(orderHistory(orderDocRef));
+
+      const tickets = ticketsSnapshot.docs.filter(doc => doc.data().attendee_email === email);
+      tickets.forEach(doc => {
+        transaction.update(doc.ref, { attendee_name: '', attendee_email: '', answers: {} });
+      });
+
+      if (orderDoc.exists) {
+        const order = orderDoc.data();
+        const items = (order.items || []).map(item => (!item.attendees ? item : {
+          ...item,
+          attendees: item.attendees.map(attendee => (attendee.email === email ? { name: '', email: '', answers: {} } : attendee)),
+        }));
+
+        if (JSON.stringify(items) !== JSON.stringify(order.items || [])) {
+          stageOrderErasure(transaction, orderDocRef, order, historySnapshot.docs, {
+            items,
+            updated_at: admin.firestore.Timestamp.now(),
+          }, audit, ['items']);
+        }
+      }
+
+      return tickets.length;
+    });
+  }
+
+  /**
+   * Everything held about an email address: the orders it placed (with their tickets and
+   * history), tickets naming it as an attendee on other orders, waitlist entries, emails
+   * sent or queued to it and promo code redemptions.
+   */
+  async function exportPersonalData(email) {
+    const db = await getDb();
+
+    const orders = await findOrdersByEmail(email);
+    const orderRefs = new Set(orders.map(order => order.order_reference));
+
+    const ordersWithDetails = await Promise.all(orders.map(async (order) => {
+      const ticketsSnapshot = await db.collection(ticketsCollection)
+        .where('order_reference', '==', order.order_reference)
+        .get();
+
+      return {
+        ...order,
+        tickets: ticketsSnapshot.docs.map(doc => convertFirestoreData(doc.data())),
+        history: await orderRepository.history(order.order_reference),
+      };
+    }));
+
+    const [attendeeTickets, waitlistEntries, emails, redemptions] = await Promise.all([
+      findDocsByEmail(ticketsCollection, 'attendee_email', email),
+      findDocsByEmail(WAITLIST_COLLECTION, 'email', email),
+      findDocsByEmail(emailOutboxCollection, 'to', email),
+      findDocsByEmail(PROMO_REDEMPTIONS_COLLECTION, 'customer_email', email),
+    ]);
+
+    return {
+      email,
+      exportedAt: new Date().toISOString(),
+      orders: ordersWithDetails,
+      attendeeTickets: attendeeTickets
+        .map(doc => convertFirestoreData(doc.data()))
+        .filter(ticket => !orderRefs.has(ticket.order_reference)),
+      waitlistEntries: waitlistEntries.map(doc => convertFirestoreData(doc.data())),
+      emails: emails.map(doc => {
+        const { locked_at, next_attempt_at, ...message } = convertFirestoreData(doc.data());
+        return message;
+      }),
+      promoRedemptions: redemptions.map(doc => convertFirestoreData(doc.data())),
+    };
+  }
+
+  /**
+   * Erase everything held about an email address, as for exportPersonalData(). Pending
+   * orders are left alone, since their payment may still complete; they are reported so
+   * the request can be finished once they have settled. Returns a summary.
+   */
+  async function erasePersonalData(email, audit) {
+    const admin = require('firebase-admin');
+    const erasedAt = admin.firestore.Timestamp.now();
+    const summary = { orders: [], retained: {}, pendingOrders: [], attendeeTickets: 0, waitlistEntries: 0, emails: 0 };
+
+    const orders = await findOrdersByEmail(email);
+    const orderRefs = new Set(orders.map(order => order.order_reference));
+
+    for (const order of orders) {
+      if (order.status === 'pending') {
+        summary.pendingOrders.push(order.order_reference);
+        continue;
+      }
+
+      const result = await eraseOrderPersonalData(order.order_reference, { reason: 'request', audit });
+      summary.orders.push(order.order_reference);
+      if (result.retained.length > 0) {
+        summary.retained[order.order_reference] = result.retained;
+      }
+    }
+
+    // Attendee emails are stored lower case
+    const attendeeOrders = new Set((await findDocsByEmail(ticketsCollection, 'attendee_email', email))
+      .map(doc => doc.data().order_reference)
+      .filter(orderRef => !orderRefs.has(orderRef)));
+
+    for (const orderRef of attendeeOrders) {
+      summary.attendeeTickets += await eraseAttendeeFromOrder(orderRef, email.trim().toLowerCase(), audit);
+    }
+
+    for (const doc of await findDocsByEmail(WAITLIST_COLLECTION, 'email', email)) {
+      await doc.ref.update(erasedWaitlistFields(doc.data(), erasedAt));
+      summary.waitlistEntries++;
+    }
+
+    for (const doc of await findDocsByEmail(emailOutboxCollection, 'to', email)) {
+      await doc.ref.update(erasedEmailFields(doc.data(), erasedAt));
+      summary.emails++;
+    }
+
+    logger.info('Personal data erased', { orders: summary.orders.length, pendingOrders: summary.pendingOrders.length, by: audit.actor });
+    return summary;
+  }
+
+  /**
+   * Erase the personal data on orders, waitlist entries and emails created more than
+   * DATA_RETENTION_MONTHS before `now`, and Gift Aid declarations once they no longer have
+   * to be kept. Erases at most RETENTION_BATCH_SIZE orders a run; `complete` is false if
+   * there are more for the next one.
+   */
+  async function applyRetentionPolicy(now = new Date()) {
+    const admin = require('firebase-admin');
+    const cutoff = admin.firestore.Timestamp.fromDate(monthsBefore(now, DATA_RETENTION_MONTHS));
+    const erasedAt = admin.firestore.Timestamp.now();
+
+    const summary = {
+      cutoff: cutoff.toDate().toISOString(),
+      orders: 0,
+      complete: true,
+      waitlistEntries: 0,
+      emails: 0,
+      errors: 0,
+    };
+
+    summary.complete = await forEachCreatedBefore('ticket_purchases', cutoff, async (doc) => {
+      const order = doc.data();
+      const due = !order.personal_data_erased_at || (order.gift_aid && !isGiftAidRetained(order, now));
+      if (!due) {
+        return true;
+      }
+      if (summary.orders + summary.errors >= RETENTION_BATCH_SIZE) {
+        return false;
+      }
+
+      try {
+        const result = await eraseOrderPersonalData(order.order_reference, { reason: 'retention', audit: RETENTION_AUDIT, now });
+        if (result.erased) summary.orders++;
+      } catch (error) {
+        logger.error('Error erasing order personal data', { orderRef: order.order_reference, err: error });
+        summary.errors++;
+      }
+      return true;
+    });
+
+    await forEachCreatedBefore(WAITLIST_COLLECTION, cutoff, async (doc) => {
+      if (!doc.data().erased_at) {
+        await doc.ref.update(erasedWaitlistFields(doc.data(), erasedAt));
+        summary.waitlistEntries++;
+      }
+    });
+
+    // An email being sent right now is left for the next run
+    await forEachCreatedBefore(emailOutboxCollection, cutoff, async (doc) => {
+      if (!doc.data().erased_at && doc.data().status !== 'sending') {
+        await doc.ref.update(erasedEmailFields(doc.data(), erasedAt));
+        summary.emails++;
+      }
+    });
+
+    return summary;
+  }
+
+  return {
+    exportPersonalData,
+    erasePersonalData,
+    eraseOrderPersonalData,
+    applyRetentionPolicy,
+  };
+}
+
+module.exports = {
+  DATA_RETENTION_MONTHS,
+  GIFT_AID_RETENTION_YEARS,
+  emailVariants,
+  isGiftAidRetained,
+  createPersonalData,
+};
@@ -0,0 +1,307 @@
+// ============================================
+// Promo Codes
+// ============================================
+//
+// Admin-managed discount codes. A code is applied through a Stripe coupon created the
+// first time it is used, and counts towards its usage limits once the order is paid.
+
+const { PRODUCT_TYPES } = require('../orders/items');
+const { logger } = require('../observability');
+
+const PROMO_CODES_COLLECTION = 'promo_codes';
+const PROMO_REDEMPTIONS_COLLECTION = 'promo_redemptions';
+const PROMO_DISCOUNT_TYPES = ['percent', 'fixed'];
+
+// Fields that may be set through the admin promo code routes
+const PROMO_FIELDS = [
+  'description', 'discount_type', 'discount_value', 'product_types', 'event_ids',
+  'starts_at', 'expires_at', 'max_redemptions', 'max_redemptions_per_customer', 'active',
+];
+
+function isValidDate(value) {
+  return !!value && !isNaN(new Date(value).getTime());
+}
+
+function normalizePromoCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Validate a promo code payload. With `partial` set only the supplied fields are
+ * checked, which is what PATCH needs. Returns an error message or null.
+ */
+function validatePromoData(data, { partial = false } = {}) {
+  const has = (field) => data[field] !== undefined && data[field] !== null;
+  const isLimit = (value) => Number.isInteger(value) && value >= 1;
+
+  if (!partial && !/^[A-Z0-9_-]{3,32}$/.test(normalizePromoCode(data.code))) {
+    return 'Promo code must be 3-32 letters, numbers, dashes or underscores';
+  }
+  if ((!partial || has('discount_type')) && !PROMO_DISCOUNT_TYPES.includes(data.discount_type)) {
+    return 'discount_type must be "percent" or "fixed"';
+  }
+  if (!partial || has('discount_value')) {
+    if (!Number.isInteger(data.discount_value) || data.discount_value < 1) {
+      return 'discount_value must be a positive whole number (percent, or pence for fixed discounts)';
+    }
+    if (data.discount_type === 'percent' && data.discount_value > 100) {
+      return 'A percentage discount cannot be more than 100';
+    }
+  }
+  if (has('product_types') && (!Array.isArray(data.product_types) || data.product_types.some(type => !PRODUCT_TYPES.includes(type)))) {
+    return 'product_types must be a list containing "ticket" and/or "book"';
+  }
+  if (has('event_ids') && (!Array.isArray(data.event_ids) || data.event_ids.some(id => typeof id !== 'string'))) {
+    return 'event_ids must be a list of event IDs';
+  }
+  if (has('starts_at') && !isValidDate(data.starts_at)) {
+    return 'starts_at must be a valid date';
+  }
+  if (has('expires_at') && !isValidDate(data.expires_at)) {
+    return 'expires_at must be a valid date';
+  }
+  if (has('starts_at') && has('expires_at') && new Date(data.expires_at) <= new Date(data.starts_at)) {
+    return 'expires_at must be after starts_at';
+  }
+  if (has('max_redemptions') && !isLimit(data.max_redemptions)) {
+    return 'max_redemptions must be a positive whole number or null';
+  }
+  if (has('max_redemptions_per_customer') && !isLimit(data.max_redemptions_per_customer)) {
+    return 'max_redemptions_per_customer must be a positive whole number or null';
+  }
+  if (has('active') && typeof data.active !== 'boolean') {
+    return 'active must be true or false';
+  }
+
+  return null;
+}
+
+function toPromoTimestamp(value) {
+  const admin = require('firebase-admin');
+  return value ? admin.firestore.Timestamp.fromDate(new Date(value)) : null;
+}
+
+/**
+ * The promo code operations that need Firestore or Stripe. `getDb` resolves to the
+ * initialised Firestore database and `getStripe` returns the Stripe client.
+ */
+function createPromoCodes({ getDb, getStripe, convertFirestoreData }) {
+  /**
+   * Create a promo code. Returns null if the code already exists.
+   */
+  async function addPromoCodeToFirestore(data) {
+    const db = await getDb();
+
+    const admin = require('firebase-admin');
+    const code = normalizePromoCode(data.code);
+    const promoRef = db.collection(PROMO_CODES_COLLECTION).doc(code);
+    const now = admin.firestore.Timestamp.now();
+
+    const promoData = {
+      code,
+      description: data.description || '',
+      discount_type: data.discount_type,
+      discount_value: data.discount_value,
+      product_types: data.product_types || [],
+      event_ids: data.event_ids || [],
+      starts_at: toPromoTimestamp(data.starts_at),
+      expires_at: toPromoTimestamp(data.expires_at),
+      max_redemptions: data.max_redemptions || null,
+      max_redemptions_per_customer: data.max_redemptions_per_customer || null,
+      redemption_count: 0,
+      active: data.active !== false,
+      stripe_coupon_id: '',
+      created_at: now,
+      updated_at: now,
+    };
+
+    try {
+      await promoRef.create(promoData);
+    } catch (error) {
+      // 6 = ALREADY_EXISTS
+      if (error.code === 6) {
+        return null;
+      }
+      throw error;
+    }
+
+    logger.info('Promo code added', { promoCode: code });
+    return convertFirestoreData(promoData);
+  }
+
+  async function getPromoCodeFromFirestore(code) {
+    const db = await getDb();
+
+    const promoDoc = await db.collection(PROMO_CODES_COLLECTION).doc(normalizePromoCode(code)).get();
+
+    return promoDoc.exists ? convertFirestoreData(promoDoc.data()) : null;
+  }
+
+  async function updatePromoCodeInFirestore(code, updates) {
+    const db = await getDb();
+
+    const admin = require('firebase-admin');
+    const promoRef = db.collection(PROMO_CODES_COLLECTION).doc(normalizePromoCode(code));
+
+    const updateData = { updated_at: admin.firestore.Timestamp.now() };
+    for (const field of PROMO_FIELDS) {
+      if (updates[field] !== undefined) {
+        updateData[field] = updates[field];
+      }
+    }
+    for (const field of ['starts_at', 'expires_at']) {
+      if (updateData[field] !== undefined) {
+        updateData[field] = toPromoTimestamp(updateData[field]);
+      }
+    }
+    // A changed discount needs a new Stripe coupon; it is created on next use
+    if (updateData.discount_type !== undefined || updateData.discount_value !== undefined) {
+      updateData.stripe_coupon_id = '';
+    }
+
+    await promoRef.update(updateData);
+    logger.info('Promo code updated', { promoCode: code });
+
+    const updatedDoc = await promoRef.get();
+    return convertFirestoreData(updatedDoc.data());
+  }
+
+  async function listPromoCodesFromFirestore() {
+    const db = await getDb();
+
+    const snapshot = await db.collection(PROMO_CODES_COLLECTION).get();
+
+    return snapshot.docs
+      .map(doc => convertFirestoreData(doc.data()))
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  }
+
+  /**
+   * Check a promo code can be used for a checkout. Only completed payments count towards
+   * the usage limits, so a code can briefly be over-subscribed by checkouts that are
+   * still open. The discount applies to the whole order, so every item in the cart must be
+   * one the code allows. Returns { promo } or { error }.
+   */
+  async function checkPromoCode(code, { productTypes, eventIds, customerEmail }) {
+    const db = await getDb();
+    const promo = await getPromoCodeFromFirestore(code);
+    const now = new Date();
+
+    if (!promo || !promo.active) {
+      return { error: 'Promo code not recognised' };
+    }
+    if (promo.starts_at && new Date(promo.starts_at) > now) {
+      return { error: 'Promo code is not active yet' };
+    }
+    if (promo.expires_at && new Date(promo.expires_at) <= now) {
+      return { error: 'Promo code has expired' };
+    }
+    const excludedType = productTypes.find(type => promo.product_types.length > 0 && !promo.product_types.includes(type));
+    if (excludedType) {
+      return { error: `Promo code cannot be used for ${excludedType} orders` };
+    }
+    if (promo.event_ids.length > 0 && (eventIds.length === 0 || eventIds.some(eventId => !promo.event_ids.includes(eventId)))) {
+      return { error: 'Promo code cannot be used for this event' };
+    }
+    if (promo.max_redemptions && promo.redemption_count >= promo.max_redemptions) {
+      return { error: 'Promo code has reached its usage limit' };
+    }
+
+    if (promo.max_redemptions_per_customer) {
+      const used = await db.collection(PROMO_REDEMPTIONS_COLLECTION)
+        .where('code', '==', promo.code)
+        .where('customer_email', '==', String(customerEmail || '').trim().toLowerCase())
+        .count()
+        .get();
+
+      if (used.data().count >= promo.max_redemptions_per_customer) {
+        return { error: 'You have already used this promo code' };
+      }
+    }
+
+    return { promo };
+  }
+
+  /**
+   * The Stripe coupon that applies a promo code's discount. Created the first time the
+   * code is used (or after its discount changes) and remembered on the promo document.
+   */
+  async function getStripeCouponForPromo(promo) {
+    if (promo.stripe_coupon_id) {
+      return promo.stripe_coupon_id;
+    }
+
+    const db = await getDb();
+
+    const coupon = await getStripe().coupons.create({
+      name: promo.code,
+      duration: 'once',
+      ...(promo.discount_type === 'percent'
+        ? { percent_off: promo.discount_value }
+        : { amount_off: promo.discount_value, currency: 'gbp' }),
+      metadata: { promoCode: promo.code },
+    });
+
+    await db.collection(PROMO_CODES_COLLECTION).doc(promo.code).update({ stripe_coupon_id: coupon.id });
+    logger.info('Stripe coupon created', { couponId: coupon.id, promoCode: promo.code });
+
+    return coupon.id;
+  }
+
+  /**
+   * Count a promo code as used once its order is paid. Keyed by order reference, so a
+   * replayed webhook cannot count the same order twice.
+   */
+  async function redeemPromoCode(orderRef) {
+    const db = await getDb();
+
+    const admin = require('firebase-admin');
+    const orderDocRef = db.collection('ticket_purchases').doc(orderRef);
+    const redemptionRef = db.collection(PROMO_REDEMPTIONS_COLLECTION).doc(orderRef);
+
+    return db.runTransaction(async (transaction) => {
+      const [orderDoc, redemptionDoc] = await transaction.getAll(orderDocRef, redemptionRef);
+
+      if (!orderDoc.exists || redemptionDoc.exists || !orderDoc.data().promo_code) {
+        return false;
+      }
+
+      const order = orderDoc.data();
+      const now = admin.firestore.Timestamp.now();
+
+      transaction.create(redemptionRef, {
+        code: order.promo_code,
+        order_reference: orderRef,
+        customer_email: String(order.customer_email || '').trim().toLowerCase(),
+        discount_amount: order.discount_amount || 0,
+        created_at: now,
+      });
+      transaction.update(db.collection(PROMO_CODES_COLLECTION).doc(order.promo_code), {
+        redemption_count: admin.firestore.FieldValue.increment(1),
+        updated_at: now,
+      });
+
+      logger.info('Promo code redeemed', { promoCode: order.promo_code, orderRef });
+      return true;
+    });
+  }
+
+  return {
+    addPromoCodeToFirestore,
+    getPromoCodeFromFirestore,
+    updatePromoCodeInFirestore,
+    listPromoCodesFromFirestore,
+    checkPromoCode,
+    getStripeCouponForPromo,
+    redeemPromoCode,
+  };
+}
+
+module.exports = {
+  PROMO_CODES_COLLECTION,
+  PROMO_REDEMPTIONS_COLLECTION,
+  PROMO_DISCOUNT_TYPES,
+  normalizePromoCode,
+  validatePromoData,
+  createPromoCodes,
+};
@@ -0,0 +1,96 @@
+// ============================================
+// CAPTCHA Verification
+// ============================================
+//
+// CAPTCHA_PROVIDER picks who checks the token the frontend's widget produced:
+//   (unset)     no CAPTCHA; tokens are ignored
+//   stub        local development and tests: the token must equal CAPTCHA_STUB_TOKEN
+//               (default "pass")
+//   turnstile   Cloudflare Turnstile
+//   hcaptcha    hCaptcha
+//   recaptcha   Google reCAPTCHA (v2, or v3 with CAPTCHA_MIN_SCORE)
+// The hosted providers are configured with CAPTCHA_SECRET_KEY. Every provider has
+// verify(token, { ip }) -> { success, errorCodes }.
+
+const CAPTCHA_PROVIDERS = ['stub', 'turnstile', 'hcaptcha', 'recaptcha'];
+
+const SITEVERIFY_URLS = {
+  turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+  hcaptcha: 'https://api.hcaptcha.com/siteverify',
+  recaptcha: 'https://www.google.com/recaptcha/api/siteverify',
+};
+
+const SITEVERIFY_TIMEOUT_MS = 5000;
+
+function createStubProvider({ token = 'pass' } = {}) {
+  return {
+    name: 'stub',
+    async verify(candidate) {
+      return candidate === token
+        ? { success: true, errorCodes: [] }
+        : { success: false, errorCodes: ['invalid-input-response'] };
+    },
+  };
+}
+
+// The three hosted providers share the same siteverify form API
+function createSiteVerifyProvider(name, { secret, minScore }) {
+  if (!secret) {
+    throw new Error(`CAPTCHA_SECRET_KEY is required for the ${name} CAPTCHA provider`);
+  }
+
+  return {
+    name,
+    async verify(token, { ip } = {}) {
+      const response = await fetch(SITEVERIFY_URLS[name], {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ secret, response: token, ...(ip && { remoteip: ip }) }),
+        signal: AbortSignal.timeout(SITEVERIFY_TIMEOUT_MS),
+      });
+
+      if (!response.ok) {
+        throw new Error(`${name} siteverify returned HTTP ${response.status}`);
+      }
+
+      const result = await response.json();
+      const errorCodes = result['error-codes'] || [];
+
+      // reCAPTCHA v3 passes every token and scores it instead
+      if (result.success && minScore !== undefined && typeof result.score === 'number' && result.score < minScore) {
+        return { success: false, errorCodes: [...errorCodes, 'score-too-low'] };
+      }
+
+      return { success: result.success === true, errorCodes };
+    },
+  };
+}
+
+/**
+ * The provider CAPTCHA_PROVIDER selects, or null when CAPTCHA is turned off.
+ */
+function createCaptchaProvider(name = process.env.CAPTCHA_PROVIDER) {
+  if (!name) {
+    return null;
+  }
+
+  switch (name) {
+    case 'stub':
+      return createStubProvider({ token: process.env.CAPTCHA_STUB_TOKEN || 'pass' });
+    case 'turnstile':
+    case 'hcaptcha':
+    case 'recaptcha':
+      return createSiteVerifyProvider(name, {
+        secret: process.env.CAPTCHA_SECRET_KEY,
+        minScore: process.env.CAPTCHA_MIN_SCORE ? Number(process.env.CAPTCHA_MIN_SCORE) : undefined,
+      });
+    default:
+      throw new Error(`Unknown CAPTCHA_PROVIDER "${name}". Must be one of: ${CAPTCHA_PROVIDERS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  CAPTCHA_PROVIDERS,
+  createCaptchaProvider,
+  createStubProvider,
+};
@@ -0,0 +1,88 @@
+// ============================================
+// Abuse Protection
+// ============================================
+//
+// Middleware that stops scripts from hammering the public routes: per-client rate limits
+// (see rate-limit.js) and CAPTCHA checks (see captcha.js).
+
+const { RATE_LIMIT_STORES, parseRateLimit, createRateLimitStore } = require('./rate-limit');
+const { CAPTCHA_PROVIDERS, createCaptchaProvider } = require('./captcha');
+const { sendError } = require('../validation');
+const { logger } = require('../observability');
+
+/**
+ * Middleware applying the limits named `name` from `store`. Each rule is { by, key,
+ * limit }: `key(req)` picks what is counted (rules whose key is empty are skipped) and
+ * `limit` comes from parseRateLimit() (null turns the rule off). Refused requests get a
+ * 429 with Retry-After. If the store can't be reached the request is let through, so an
+ * outage doesn't stop sales.
+ */
+function rateLimit(store, name, rules) {
+  const activeRules = rules.filter(rule => rule.limit);
+
+  return async (req, res, next) => {
+    try {
+      for (const { by, key, limit } of activeRules) {
+        const value = key(req);
+        if (!value) {
+          continue;
+        }
+
+        const result = await store.hit(`${name}:${by}:${String(value).toLowerCase()}`, limit);
+
+        if (!result.allowed) {
+          const retryAfter = Math.max(Math.ceil((result.resetAt - Date.now()) / 1000), 1);
+          logger.warn('Rate limit reached', { limit: name, by, method: req.method, path: req.path });
+          res.set('Retry-After', String(retryAfter));
+          return sendError(res, 429, 'Too many requests. Please try again later.', { retryAfter });
+        }
+      }
+    } catch (error) {
+      logger.error('Error checking rate limit, allowing the request', { limit: name, err: error });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Middleware requiring a CAPTCHA token from the X-Captcha-Token header or a
+ * `captchaToken` body field. Does nothing when `provider` is null (CAPTCHA turned off).
+ */
+function requireCaptcha(provider) {
+  return async (req, res, next) => {
+    if (!provider) {
+      return next();
+    }
+
+    const token = req.get('X-Captcha-Token') || (req.body && req.body.captchaToken);
+    if (!token || typeof token !== 'string') {
+      return sendError(res, 400, 'Please complete the CAPTCHA', { code: 'captcha_required' });
+    }
+
+    let result;
+    try {
+      result = await provider.verify(token, { ip: req.ip });
+    } catch (error) {
+      logger.error('Error verifying CAPTCHA', { provider: provider.name, err: error });
+      return sendError(res, 503, 'CAPTCHA verification is unavailable. Please try again shortly.', { code: 'captcha_unavailable' });
+    }
+
+    if (!result.success) {
+      logger.warn('CAPTCHA rejected', { method: req.method, path: req.path, errorCodes: result.errorCodes });
+      return sendError(res, 403, 'CAPTCHA check failed. Please try again.', { code: 'captcha_failed' });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  RATE_LIMIT_STORES,
+  CAPTCHA_PROVIDERS,
+  parseRateLimit,
+  createRateLimitStore,
+  createCaptchaProvider,
+  rateLimit,
+  requireCaptcha,
+};
@@ -0,0 +1,129 @@
+// ============================================
+// Rate Limiting
+// ============================================
+//
+// Fixed-window counters: each key (a client IP or an email address, within a named
+// limit) may be counted `limit` times per window, after which requests are refused until
+// the window ends. The count lives in a store:
+//   memory     a Map in this process; fine for one long-running server and for tests
+//   firestore  a rate_limits document per key, shared by every serverless instance
+// Stores implement hit(key, { limit, windowMs }) -> { allowed, count, resetAt }.
+
+const crypto = require('crypto');
+
+const RATE_LIMIT_STORES = ['memory', 'firestore'];
+const RATE_LIMITS_COLLECTION = 'rate_limits';
+
+// Expired windows are swept once the memory store holds this many keys
+const MEMORY_SWEEP_SIZE = 10000;
+
+const WINDOW_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+/**
+ * Parse a limit such as "10/15m" (10 requests per 15 minutes; s, m and h are
+ * understood). Returns { limit, windowMs }, or null for "off".
+ */
+function parseRateLimit(value) {
+  if (value === 'off') {
+    return null;
+  }
+
+  const match = /^(\d+)\/(\d+)([smh])$/.exec(String(value).trim());
+  if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+    throw new Error(`Invalid rate limit "${value}". Use <count>/<window>, e.g. 10/15m, or "off"`);
+  }
+
+  return { limit: Number(match[1]), windowMs: Number(match[2]) * WINDOW_UNITS[match[3]] };
+}
+
+class MemoryRateLimitStore {
+  constructor() {
+    this._windows = new Map();
+  }
+
+  async hit(key, { limit, windowMs, now = Date.now() }) {
+    if (this._windows.size >= MEMORY_SWEEP_SIZE) {
+      this._sweep(now);
+    }
+
+    let window = this._windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this._windows.set(key, window);
+    }
+
+    if (window.count >= limit) {
+      return { allowed: false, count: window.count, resetAt: window.resetAt };
+    }
+
+    window.count++;
+    return { allowed: true, count: window.count, resetAt: window.resetAt };
+  }
+
+  _sweep(now) {
+    for (const [key, window] of this._windows) {
+      if (window.resetAt <= now) {
+        this._windows.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Counters in Firestore, updated in a transaction so concurrent instances can't both
+ * take the last request. Document IDs are hashes of the key, so email addresses aren't
+ * stored. `expires_at` can be used as a Firestore TTL field to clear old windows out.
+ */
+class FirestoreRateLimitStore {
+  constructor(getDb) {
+    this._getDb = getDb;
+  }
+
+  async hit(key, { limit, windowMs, now = Date.now() }) {
+    const db = await this._getDb();
+    const admin = require('firebase-admin');
+    const docId = crypto.createHash('sha256').update(key).digest('hex');
+    const windowRef = db.collection(RATE_LIMITS_COLLECTION).doc(docId);
+
+    return db.runTransaction(async (transaction) => {
+      const windowDoc = await transaction.get(windowRef);
+      const stored = windowDoc.exists ? windowDoc.data() : null;
+
+      if (!stored || stored.reset_at <= now) {
+        const resetAt = now + windowMs;
+        transaction.set(windowRef, {
+          count: 1,
+          reset_at: resetAt,
+          expires_at: admin.firestore.Timestamp.fromMillis(resetAt),
+        });
+        return { allowed: true, count: 1, resetAt };
+      }
+
+      if (stored.count >= limit) {
+        return { allowed: false, count: stored.count, resetAt: stored.reset_at };
+      }
+
+      transaction.update(windowRef, { count: admin.firestore.FieldValue.increment(1) });
+      return { allowed: true, count: stored.count + 1, resetAt: stored.reset_at };
+    });
+  }
+}
+
+function createRateLimitStore(type, { getDb } = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryRateLimitStore();
+    case 'firestore':
+      return new FirestoreRateLimitStore(getDb);
+    default:
+      throw new Error(`Unknown rate limit store "${type}". Must be one of: ${RATE_LIMIT_STORES.join(', ')}`);
+  }
+}
+
+module.exports = {
+  RATE_LIMIT_STORES,
+  parseRateLimit,
+  createRateLimitStore,
+  MemoryRateLimitStore,
+  FirestoreRateLimitStore,
+};
@@ -0,0 +1,139 @@
+// ============================================
+// Pending Order Reconciliation
+// ============================================
+//
+// If a webhook never arrives, or fails part-way, the order is left 'pending' even though
+// the customer may have paid. reconcilePendingOrders() looks up the Checkout session of
+// each pending order older than a cut-off and applies the same completion or expiry
+// handling as the webhook, reporting every order whose state didn't match Stripe's.
+
+const { logger } = require('../observability');
+
+const RECONCILE_AFTER_MINUTES = Math.max(parseInt(process.env.RECONCILE_AFTER_MINUTES, 10) || 60, 5);
+const RECONCILE_BATCH_SIZE = 50;
+
+// Who reconciliation changes are recorded against when the scheduled job makes them
+const RECONCILE_AUDIT = { actor: 'system', source: 'reconcile' };
+
+/**
+ * Reconciliation bound to the app's storage and Stripe client. `handleStripeEvent` is the
+ * webhook handler, so a reconciled order goes through exactly what a delivered event would.
+ */
+function createReconciliation({ getDb, convertFirestoreData, getStripe, handleStripeEvent }) {
+  async function listStalePendingOrders(olderThanMinutes) {
+    const db = await getDb();
+
+    const cutoff = Date.now() - olderThanMinutes * 60 * 1000;
+    const snapshot = await db.collection('ticket_purchases')
+      .where('status', '==', 'pending')
+      .get();
+
+    return snapshot.docs
+      .map(doc => convertFirestoreData(doc.data()))
+      .filter(order => new Date(order.created_at).getTime() < cutoff)
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  }
+
+  /**
+   * Compare one pending order with its Checkout session and, unless `dryRun`, bring it in
+   * line, recording the change against `audit`. Returns a report row; `issue` is empty when
+   * Stripe agrees the order is pending.
+   */
+  async function reconcileOrder(order, { dryRun = false, audit = RECONCILE_AUDIT } = {}) {
+    const row = {
+      orderRef: order.order_reference,
+      createdAt: order.created_at,
+      sessionId: order.stripe_session_id || '',
+      sessionStatus: '',
+      paymentStatus: '',
+      issue: '',
+      action: 'none',
+    };
+
+    if (!order.stripe_session_id) {
+      return { ...row, issue: 'missing_session_id' };
+    }
+
+    let session;
+    try {
+      session = await getStripe().checkout.sessions.retrieve(order.stripe_session_id);
+    } catch (error) {
+      if (error.code === 'resource_missing') {
+        return { ...row, issue: 'session_not_found' };
+      }
+      throw error;
+    }
+
+    row.sessionStatus = session.status;
+    row.paymentStatus = session.payment_status;
+
+    if (!session.metadata || session.metadata.orderRef !== order.order_reference) {
+      return { ...row, issue: 'session_order_mismatch' };
+    }
+
+    let type;
+    if (session.status === 'complete' && session.payment_status !== 'unpaid') {
+      row.issue = 'paid_but_pending';
+      type = 'checkout.session.completed';
+    } else if (session.status === 'expired') {
+      row.issue = 'expired_but_pending';
+      type = 'checkout.session.expired';
+    } else {
+      // Still open, or complete with a delayed payment method that hasn't cleared
+      return row;
+    }
+
+    if (dryRun) {
+      return row;
+    }
+
+    // The handlers are safe to repeat, so it doesn't matter if the webhook turns up later
+    await handleStripeEvent({ id: `reconcile_${session.id}`, type, data: { object: session } }, audit);
+
+    return { ...row, action: type === 'checkout.session.completed' ? 'completed' : 'failed' };
+  }
+
+  /**
+   * Reconcile pending orders older than `olderThanMinutes`, oldest first. One failing order
+   * doesn't stop the rest; its error is reported against it.
+   */
+  async function reconcilePendingOrders({ olderThanMinutes = RECONCILE_AFTER_MINUTES, dryRun = false, audit } = {}) {
+    const orders = await listStalePendingOrders(olderThanMinutes);
+    const batch = orders.slice(0, RECONCILE_BATCH_SIZE);
+    const discrepancies = [];
+    let errors = 0;
+
+    for (const order of batch) {
+      let row;
+      try {
+        row = await reconcileOrder(order, { dryRun, audit });
+      } catch (error) {
+        logger.error('Error reconciling order', { orderRef: order.order_reference, err: error });
+        errors++;
+        row = { orderRef: order.order_reference, createdAt: order.created_at, issue: 'error', action: 'none' };
+      }
+
+      if (row.issue) {
+        logger.warn('Order discrepancy', { orderRef: row.orderRef, issue: row.issue, action: row.action });
+        discrepancies.push(row);
+      }
+    }
+
+    return {
+      olderThanMinutes,
+      dryRun,
+      checked: batch.length,
+      remaining: orders.length - batch.length,
+      discrepancies,
+      errors,
+    };
+  }
+
+  return { listStalePendingOrders, reconcileOrder, reconcilePendingOrders };
+}
+
+module.exports = {
+  RECONCILE_AFTER_MINUTES,
+  RECONCILE_BATCH_SIZE,
+  createReconciliation,
+};
@@ -0,0 +1,202 @@
+// ============================================
+// Event Reminders & Follow-ups
+// ============================================
+//
+// Run from the /api/cron/event-emails route. Ticket buyers get a reminder at each of
+// EVENT_REMINDER_DAYS before an event (default 7 and 1) and a thank-you with a feedback
+// link EVENT_FOLLOW_UP_HOURS after it ends. Each send is recorded on the order under
+// reminders_sent.<eventId>.<stage>, and the outbox key is the same stage, so running
+// the job again never sends a duplicate.
+
+// Descending, e.g. [7, 1]
+const EVENT_REMINDER_DAYS = [...new Set((process.env.EVENT_REMINDER_DAYS || '7,1')
+  .split(',')
+  .map(days => parseInt(days, 10))
+  .filter(days => days > 0))]
+  .sort((a, b) => b - a);
+const EVENT_FOLLOW_UP_HOURS = Math.max(parseInt(process.env.EVENT_FOLLOW_UP_HOURS, 10) || 2, 0);
+
+// Follow-ups aren't sent for events that ended longer ago than this (e.g. on first deploy)
+const EVENT_FOLLOW_UP_WINDOW_DAYS = 7;
+
+// Who the reminders_sent changes are recorded against in the order history
+const EVENT_EMAILS_AUDIT = { actor: 'system', source: 'cron' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// "today", "tomorrow" or "in 3 days", counted in calendar days in the event's time zone
+function describeDaysUntil(event, now, timeZone) {
+  const day = date => new Date(date).toLocaleDateString('en-CA', { timeZone });
+  const days = Math.round((new Date(day(event.start_time)) - new Date(day(now))) / DAY_MS);
+
+  if (days <= 0) return 'today';
+  if (days === 1) return 'tomorrow';
+  return `in ${days} days`;
+}
+
+/**
+ * The email due for an event right now, or null: the closest reminder whose time has
+ * come (earlier reminders that were missed are skipped), or the follow-up once the
+ * event has ended. `sentAfter` is when the stage became due; orders paid after that
+ * already had their confirmation email in the same window and are skipped.
+ */
+function dueEventEmail(event, now) {
+  const start = new Date(event.start_time).getTime();
+  const end = new Date(event.end_time).getTime();
+
+  if (now < start) {
+    const days = [...EVENT_REMINDER_DAYS].reverse().find(offset => start - offset * DAY_MS <= now);
+    return days
+      ? { stage: `reminder_${days}d`, days, sentAfter: new Date(start - days * DAY_MS) }
+      : null;
+  }
+
+  const followUpAt = end + EVENT_FOLLOW_UP_HOURS * HOUR_MS;
+  if (now >= followUpAt && now < followUpAt + EVENT_FOLLOW_UP_WINDOW_DAYS * DAY_MS) {
+    return { stage: 'follow_up', sentAfter: new Date(end) };
+  }
+
+  return null;
+}
+
+// Whether an order has had this stage, or a later reminder that supersedes it
+function eventEmailAlreadySent(order, eventId, due) {
+  const sent = (order.reminders_sent || {})[eventId] || {};
+
+  if (due.stage === 'follow_up') {
+    return !!sent.follow_up;
+  }
+
+  return !!sent.follow_up || EVENT_REMINDER_DAYS.some(days => days <= due.days && sent[`reminder_${days}d`]);
+}
+
+function eventFeedbackUrl(event) {
+  if (!process.env.EVENT_FEEDBACK_URL) {
+    return '';
+  }
+
+  const url = new URL(process.env.EVENT_FEEDBACK_URL);
+  url.searchParams.set('event', event.id);
+  return url.toString();
+}
+
+/**
+ * The reminder job. Besides the database (`getDb`, `convertFirestoreData`, and
+ * `orderRepository` for recording sends) it needs the collection tickets are kept in,
+ * the event and email functions it sends through, and the time zone events are held in.
+ */
+function createEventEmails({
+  getDb,
+  convertFirestoreData,
+  orderRepository,
+  ticketsCollection,
+  listEventsFromFirestore,
+  emailEventDetails,
+  buildOrderLink,
+  queueEmail,
+  eventTimezone,
+}) {
+  // The paid orders holding live tickets for an event, with how many each holds
+  async function listEventTicketHolders(eventId) {
+    const db = await getDb();
+
+    const snapshot = await db.collection(ticketsCollection)
+      .where('event_id', '==', eventId)
+      .get();
+
+    const ticketCounts = new Map();
+    for (const doc of snapshot.docs) {
+      const ticket = doc.data();
+      if (ticket.status !== 'cancelled') {
+        ticketCounts.set(ticket.order_reference, (ticketCounts.get(ticket.order_reference) || 0) + 1);
+      }
+    }
+
+    if (ticketCounts.size === 0) {
+      return [];
+    }
+
+    const orderDocs = await db.getAll(...[...ticketCounts.keys()].map(ref => db.collection('ticket_purchases').doc(ref)));
+
+    // Disputed orders are on hold, so their holders aren't contacted
+    return orderDocs
+      .filter(doc => doc.exists)
+      .map(doc => convertFirestoreData(doc.data()))
+      .filter(order => ['completed', 'partially_refunded'].includes(order.status))
+      .map(order => ({ order, quantity: ticketCounts.get(order.order_reference) }));
+  }
+
+  /**
+   * Send the reminder or follow-up due for each event to its ticket holders. Returns
+   * counts of emails sent and orders skipped, by stage.
+   */
+  async function sendDueEventEmails(now = new Date()) {
+    const admin = require('firebase-admin');
+    const summary = { events: 0, sent: {}, skipped: 0 };
+
+    const events = (await listEventsFromFirestore())
+      .filter(event => ['published', 'completed'].includes(event.status));
+
+    for (const event of events) {
+      const due = dueEventEmail(event, now.getTime());
+      if (!due) continue;
+
+      summary.events++;
+      const details = emailEventDetails(event);
+
+      for (const { order, quantity } of await listEventTicketHolders(event.id)) {
+        const orderRef = order.order_reference;
+
+        if (eventEmailAlreadySent(order, event.id, due) || new Date(order.paid_at || order.created_at) > due.sentAfter) {
+          summary.skipped++;
+          continue;
+        }
+
+        const email = due.stage === 'follow_up'
+          ? {
+            template: 'event_follow_up',
+            data: { name: order.customer_name, orderRef, event: details, feedbackUrl: eventFeedbackUrl(event) },
+          }
+          : {
+            template: 'event_reminder',
+            data: {
+              name: order.customer_name,
+              orderRef,
+              quantity,
+              event: details,
+              when: describeDaysUntil(event, now, eventTimezone),
+              orderLink: buildOrderLink(orderRef),
+            },
+          };
+
+        await queueEmail({
+          to: order.customer_email,
+          ...email,
+          key: `${email.template}:${orderRef}:${event.id}:${due.stage}`,
+        });
+
+        await orderRepository.update(orderRef, {
+          [`reminders_sent.${event.id}.${due.stage}`]: admin.firestore.Timestamp.now(),
+        }, EVENT_EMAILS_AUDIT);
+
+        summary.sent[due.stage] = (summary.sent[due.stage] || 0) + 1;
+      }
+    }
+
+    return summary;
+  }
+
+  return {
+    listEventTicketHolders,
+    sendDueEventEmails,
+  };
+}
+
+module.exports = {
+  EVENT_REMINDER_DAYS,
+  EVENT_FOLLOW_UP_HOURS,
+  dueEventEmail,
+  eventEmailAlreadySent,
+  createEventEmails,
+};
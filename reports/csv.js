@@ -0,0 +1,35 @@
+// ============================================
+// CSV Helpers
+// ============================================
+//
+// For the spreadsheet downloads. Lines end in CRLF, as RFC 4180 and Excel expect.
+
+// Quote a value for CSV. Cells starting with = + - @ are prefixed with ' so spreadsheet
+// apps don't run customer-supplied text as a formula.
+function csvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return `${values.map(csvValue).join(',')}\r\n`;
+}
+
+// Pence as pounds with two decimal places, the way Stripe's reports show amounts
+function formatPounds(pence) {
+  return ((pence || 0) / 100).toFixed(2);
+}
+
+module.exports = {
+  csvValue,
+  csvLine,
+  formatPounds,
+};
@@ -0,0 +1,223 @@
+// ============================================
+// Sales Reporting
+// ============================================
+//
+// Reports are built from ticket_purchases, filtered by order creation date with a single
+// range query (no composite index needed); the other filters are applied in memory.
+// Figures are worked out per order item so a mixed order counts towards each product
+// type and event it contains. Money is in pence; an order's discount and refunds are
+// shared between its items in proportion to their price.
+
+const { PRODUCT_TYPES, getOrderItems } = require('../orders/items');
+const { ORDER_STATUSES, PAID_ORDER_STATUSES } = require('../orders/statuses');
+
+const REPORT_GROUPS = ['day', 'product_type', 'event', 'status'];
+
+// Orders that were paid for, including ones since refunded
+const SOLD_ORDER_STATUSES = [...PAID_ORDER_STATUSES, 'refunded'];
+
+function isValidDate(value) {
+  return !!value && !isNaN(new Date(value).getTime());
+}
+
+/**
+ * Read the report filters from a query string: from, to (dates or timestamps; a plain
+ * `to` date includes that whole day, in UTC), status, productType and eventId.
+ * Returns { filters } or { error }.
+ */
+function parseReportFilters(query) {
+  const filters = {};
+
+  if (query.from !== undefined) {
+    if (!isValidDate(query.from)) {
+      return { error: 'from must be a valid date' };
+    }
+    filters.from = new Date(query.from);
+  }
+  if (query.to !== undefined) {
+    if (!isValidDate(query.to)) {
+      return { error: 'to must be a valid date' };
+    }
+    filters.to = new Date(query.to);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+      filters.to.setUTCDate(filters.to.getUTCDate() + 1);
+    }
+  }
+  if (filters.from && filters.to && filters.to <= filters.from) {
+    return { error: 'to must be after from' };
+  }
+  if (query.status !== undefined && !ORDER_STATUSES.includes(query.status)) {
+    return { error: `Invalid status. Must be one of: ${ORDER_STATUSES.join(', ')}` };
+  }
+  if (query.productType !== undefined && !PRODUCT_TYPES.includes(query.productType)) {
+    return { error: `Invalid productType. Must be one of: ${PRODUCT_TYPES.join(', ')}` };
+  }
+
+  filters.status = query.status;
+  filters.productType = query.productType;
+  filters.eventId = query.eventId;
+
+  return { filters };
+}
+
+function reportQuery(db, filters) {
+  const admin = require('firebase-admin');
+  let query = db.collection('ticket_purchases').orderBy('created_at');
+
+  if (filters.from) {
+    query = query.where('created_at', '>=', admin.firestore.Timestamp.fromDate(filters.from));
+  }
+  if (filters.to) {
+    query = query.where('created_at', '<', admin.firestore.Timestamp.fromDate(filters.to));
+  }
+
+  return query;
+}
+
+// The order's items that pass the filters; none if the order itself is filtered out
+function matchingItems(order, filters) {
+  if (filters.status && order.status !== filters.status) {
+    return [];
+  }
+
+  return getOrderItems(order).filter(item => (!filters.productType || item.product_type === filters.productType)
+    && (!filters.eventId || item.event_id === filters.eventId));
+}
+
+// Calendar day an order was placed on, in the events' timezone, e.g. "2026-03-14"
+function reportDay(date, timeZone) {
+  return new Date(date).toLocaleDateString('en-CA', { timeZone });
+}
+
+function emptySalesMetrics() {
+  return {
+    orders: new Set(),
+    paidOrders: new Set(),
+    ticketsSold: 0,
+    booksSold: 0,
+    donations: 0,
+    grossRevenue: 0,
+    discounts: 0,
+    refunds: 0,
+  };
+}
+
+function addItemToMetrics(metrics, order, item) {
+  metrics.orders.add(order.order_reference);
+
+  if (!SOLD_ORDER_STATUSES.includes(order.status)) {
+    return;
+  }
+
+  const subtotal = item.unit_amount * item.quantity;
+  const paidRatio = order.amount_subtotal ? order.amount_total / order.amount_subtotal : 1;
+  const gross = subtotal * paidRatio;
+
+  metrics.paidOrders.add(order.order_reference);
+  metrics.ticketsSold += item.product_type === 'ticket' ? item.quantity : 0;
+  metrics.booksSold += item.product_type === 'book' ? item.quantity : 0;
+  metrics.donations += item.product_type === 'donation' ? gross : 0;
+  metrics.grossRevenue += gross;
+  metrics.discounts += subtotal - gross;
+  metrics.refunds += order.amount_total ? (order.amount_refunded || 0) * gross / order.amount_total : 0;
+}
+
+function finishSalesMetrics(metrics) {
+  const grossRevenue = Math.round(metrics.grossRevenue);
+  const refunds = Math.round(metrics.refunds);
+
+  return {
+    orders: metrics.orders.size,
+    paidOrders: metrics.paidOrders.size,
+    ticketsSold: metrics.ticketsSold,
+    booksSold: metrics.booksSold,
+    donations: Math.round(metrics.donations),
+    grossRevenue,
+    discounts: Math.round(metrics.discounts),
+    refunds,
+    netRevenue: grossRevenue - refunds,
+  };
+}
+
+/**
+ * The report queries. `getDb` resolves to the initialised Firestore database,
+ * `convertFirestoreData` turns an order document into JSON and `eventTimezone` decides
+ * which day an order falls on.
+ */
+function createSalesReports({ getDb, convertFirestoreData, eventTimezone }) {
+  /**
+   * Sales totals for the orders matching `filters`, overall and per group. `groupBy` is a
+   * list of REPORT_GROUPS; each group's `key` holds its value for each of them.
+   */
+  async function buildSalesReport(filters, groupBy) {
+    const db = await getDb();
+
+    const snapshot = await reportQuery(db, filters).get();
+    const totals = emptySalesMetrics();
+    const groups = new Map();
+
+    snapshot.docs.forEach(doc => {
+      const order = convertFirestoreData(doc.data());
+
+      matchingItems(order, filters).forEach(item => {
+        addItemToMetrics(totals, order, item);
+
+        if (groupBy.length === 0) {
+          return;
+        }
+
+        const values = {
+          day: reportDay(order.created_at, eventTimezone),
+          product_type: item.product_type,
+          event: item.event_id || '',
+          status: order.status,
+        };
+        const id = groupBy.map(group => values[group]).join('|');
+
+        if (!groups.has(id)) {
+          groups.set(id, {
+            key: Object.fromEntries(groupBy.map(group => [group, values[group]])),
+            ...(groupBy.includes('event') && { eventTitle: item.event_title || '' }),
+            metrics: emptySalesMetrics(),
+          });
+        }
+        addItemToMetrics(groups.get(id).metrics, order, item);
+      });
+    });
+
+    return {
+      totals: finishSalesMetrics(totals),
+      groups: [...groups.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([, { metrics, ...group }]) => ({ ...group, ...finishSalesMetrics(metrics) })),
+    };
+  }
+
+  /**
+   * The orders matching `filters`, oldest first, read as a stream so a long date range
+   * doesn't have to fit in memory. Stopping early (e.g. leaving a for await loop) also
+   * stops the Firestore stream.
+   */
+  async function* streamReportOrders(filters) {
+    const db = await getDb();
+
+    for await (const doc of reportQuery(db, filters).stream()) {
+      const order = convertFirestoreData(doc.data());
+
+      if (matchingItems(order, filters).length > 0) {
+        yield order;
+      }
+    }
+  }
+
+  return {
+    buildSalesReport,
+    streamReportOrders,
+  };
+}
+
+module.exports = {
+  REPORT_GROUPS,
+  parseReportFilters,
+  createSalesReports,
+};
@@ -0,0 +1,19 @@
+// Helper function to convert Firestore timestamps to ISO strings
+function convertFirestoreData(data) {
+  if (!data) return null;
+  
+  const converted = { ...data };
+  
+  // Convert Firestore Timestamps to ISO strings
+  for (const [key, value] of Object.entries(converted)) {
+    if (value && typeof value.toDate === 'function') {
+      converted[key] = value.toDate().toISOString();
+    }
+  }
+  
+  return converted;
+}
+
+module.exports = {
+  convertFirestoreData,
+};
@@ -0,0 +1,48 @@
+// ============================================
+// Firestore Database
+// ============================================
+
+const { logger } = require('../observability');
+
+// Initialize Firebase Admin from the environment and return its Firestore client
+function createFirestoreDatabase() {
+  // Check required environment variables
+  if (!process.env.FIREBASE_PROJECT_ID) {
+    throw new Error('FIREBASE_PROJECT_ID is not set');
+  }
+
+  // Lazy load firebase-admin
+  const admin = require('firebase-admin');
+
+  // Initialize Firebase Admin if not already initialized
+  if (admin.apps.length === 0) {
+    // Check if we have service account credentials
+    if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+      // Parse service account from environment variable (JSON string)
+      const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+      admin.initializeApp({
+        credential: admin.credential.cert(serviceAccount),
+        projectId: process.env.FIREBASE_PROJECT_ID,
+      });
+    } else if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+      // Use service account file path
+      const serviceAccount = require(process.env.GOOGLE_APPLICATION_CREDENTIALS);
+      admin.initializeApp({
+        credential: admin.credential.cert(serviceAccount),
+        projectId: process.env.FIREBASE_PROJECT_ID,
+      });
+    } else {
+      // Try to initialize with project ID only (for App Engine, Cloud Functions, etc.)
+      admin.initializeApp({
+        projectId: process.env.FIREBASE_PROJECT_ID,
+      });
+    }
+    logger.info('Firebase Admin initialized');
+  }
+
+  return admin.firestore();
+}
+
+module.exports = {
+  createFirestoreDatabase,
+};
@@ -0,0 +1,57 @@
+// ============================================
+// Storage
+// ============================================
+//
+// STORAGE_DRIVER picks where data is kept:
+//   firestore (default)  Cloud Firestore, configured by the FIREBASE_* variables
+//   memory               in-process only; lost on restart (tests, quick local runs)
+//   json                 in memory, saved to STORAGE_FILE (default .data/store.json)
+// Each gives an object with Firestore's client API (see memory.js for the subset the
+// in-memory database covers), so the rest of the app doesn't know which it has.
+
+const fs = require('fs');
+const path = require('path');
+const { createFirestoreDatabase } = require('./firestore');
+const { MemoryDatabase } = require('./memory');
+const {
+  PERSONAL_ORDER_FIELDS,
+  stageOrderUpdate,
+  stageOrderErasure,
+  orderHistory,
+  createOrderRepository,
+} = require('./orders');
+const { convertFirestoreData } = require('./convert');
+
+const STORAGE_DRIVERS = ['firestore', 'memory', 'json'];
+
+function getStorageDriver() {
+  return process.env.STORAGE_DRIVER || 'firestore';
+}
+
+function createDatabase(driver = getStorageDriver()) {
+  switch (driver) {
+    case 'firestore':
+      return createFirestoreDatabase();
+    case 'memory':
+      return new MemoryDatabase();
+    case 'json': {
+      const file = path.resolve(process.env.STORAGE_FILE || '.data/store.json');
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      return new MemoryDatabase({ file });
+    }
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}". Must be one of: ${STORAGE_DRIVERS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  STORAGE_DRIVERS,
+  getStorageDriver,
+  createDatabase,
+  PERSONAL_ORDER_FIELDS,
+  stageOrderUpdate,
+  stageOrderErasure,
+  orderHistory,
+  createOrderRepository,
+  convertFirestoreData,
+};
@@ -0,0 +1,478 @@
+// ============================================
+// In-memory Database
+// ============================================
+//
+// Stands in for Firestore when there are no Firebase credentials: local development
+// (STORAGE_DRIVER=memory, or =json to keep the data in STORAGE_FILE across restarts) and
+// the test suite. It implements the part of the Firestore Admin API the app calls —
+// documents and subcollections, single-field queries with startAfter() cursors,
+// transactions, batches and FieldValue.increment — with Firestore's semantics, including
+// its refusals: undefined values, and reads after writes in a transaction, are errors
+// here too. Transactions run one at a time instead of retrying on contention, and there
+// is one copy of the data per process, so it isn't for production.
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { Timestamp, FieldValue } = require('firebase-admin').firestore;
+
+// gRPC status codes, as Firestore reports them on error.code
+const ALREADY_EXISTS = 6;
+const NOT_FOUND = 5;
+
+const AUTO_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+function autoId() {
+  return Array.from(crypto.randomBytes(20), byte => AUTO_ID_CHARS[byte % AUTO_ID_CHARS.length]).join('');
+}
+
+function storageError(code, message) {
+  return Object.assign(new Error(`${code} ${message}`), { code });
+}
+
+// Firestore refuses undefined anywhere in a document unless ignoreUndefinedProperties is set
+function checkValues(data, path = '') {
+  for (const [key, value] of Object.entries(data)) {
+    const field = path ? `${path}.${key}` : key;
+
+    if (value === undefined) {
+      throw new Error(`Cannot use "undefined" as a Firestore value (found in field "${field}").`);
+    }
+    if (Array.isArray(value) || isPlainObject(value)) {
+      checkValues(value, field);
+    }
+  }
+  return data;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object'
+    && [Object.prototype, null].includes(Object.getPrototypeOf(value));
+}
+
+// Documents are copied in and out so callers can't change stored data by reference.
+// Timestamps are immutable and kept as they are.
+function clone(value) {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+}
+
+function getField(data, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), data);
+}
+
+// FieldValue sentinels are resolved against the field's current value
+function resolveValue(value, current) {
+  if (value instanceof FieldValue) {
+    if (value.methodName === 'FieldValue.increment') {
+      return (typeof current === 'number' ? current : 0) + value.operand;
+    }
+    if (value.methodName === 'FieldValue.serverTimestamp') {
+      return Timestamp.now();
+    }
+    throw new Error(`${value.methodName} is not supported by the in-memory database`);
+  }
+  if (value instanceof Date) {
+    return Timestamp.fromDate(value);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveValue(item, undefined)]));
+  }
+  return clone(value);
+}
+
+// Apply an update() field map, whose keys may be dotted paths into nested maps
+function applyUpdate(data, updates) {
+  const updated = clone(data);
+
+  for (const [fieldPath, value] of Object.entries(updates)) {
+    const keys = fieldPath.split('.');
+    const last = keys.pop();
+    let target = updated;
+
+    for (const key of keys) {
+      if (!isPlainObject(target[key])) {
+        target[key] = {};
+      }
+      target = target[key];
+    }
+
+    if (value instanceof FieldValue && value.methodName === 'FieldValue.delete') {
+      delete target[last];
+    } else {
+      target[last] = resolveValue(value, target[last]);
+    }
+  }
+
+  return updated;
+}
+
+// Firestore's ordering for the value types this app queries on
+function compareValues(a, b) {
+  const x = a instanceof Timestamp ? a.toMillis() : a;
+  const y = b instanceof Timestamp ? b.toMillis() : b;
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+// Query order: by each orderBy() field, then, as in Firestore, by document ID
+function compareDocs(a, b, orders) {
+  for (const { fieldPath, direction } of orders) {
+    const order = compareValues(getField(a._data, fieldPath), getField(b._data, fieldPath)) * (direction === 'desc' ? -1 : 1);
+    if (order !== 0) {
+      return order;
+    }
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+function valuesEqual(a, b) {
+  if (a instanceof Timestamp && b instanceof Timestamp) {
+    return a.isEqual(b);
+  }
+  return a === b;
+}
+
+const FILTERS = {
+  '==': (value, operand) => valuesEqual(value, operand),
+  '!=': (value, operand) => !valuesEqual(value, operand),
+  '<': (value, operand) => compareValues(value, operand) < 0,
+  '<=': (value, operand) => compareValues(value, operand) <= 0,
+  '>': (value, operand) => compareValues(value, operand) > 0,
+  '>=': (value, operand) => compareValues(value, operand) >= 0,
+  in: (value, operand) => operand.some(item => valuesEqual(value, item)),
+  'array-contains': (value, operand) => Array.isArray(value) && value.some(item => valuesEqual(item, operand)),
+};
+
+// JSON files can't hold Timestamps, so they're written as { $timestamp: millis }
+function encode(value) {
+  if (value instanceof Timestamp) {
+    return { $timestamp: value.toMillis() };
+  }
+  if (Array.isArray(value)) {
+    return value.map(encode);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, encode(item)]));
+  }
+  return value;
+}
+
+function decode(value) {
+  if (Array.isArray(value)) {
+    return value.map(decode);
+  }
+  if (isPlainObject(value)) {
+    if (typeof value.$timestamp === 'number') {
+      return Timestamp.fromMillis(value.$timestamp);
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, decode(item)]));
+  }
+  return value;
+}
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return this.exists ? clone(this._data) : undefined;
+  }
+
+  get(fieldPath) {
+    return this.exists ? clone(getField(this._data, fieldPath)) : undefined;
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+class DocumentReference {
+  constructor(database, collectionPath, id) {
+    this._database = database;
+    this.id = id;
+    this.path = `${collectionPath}/${id}`;
+    this._collectionPath = collectionPath;
+  }
+
+  collection(name) {
+    return new CollectionReference(this._database, `${this.path}/${name}`);
+  }
+
+  async get() {
+    return new DocumentSnapshot(this, this._database._read(this));
+  }
+
+  async create(data) {
+    await this._database._commit([{ type: 'create', ref: this, data: checkValues(data) }]);
+  }
+
+  async set(data) {
+    await this._database._commit([{ type: 'set', ref: this, data: checkValues(data) }]);
+  }
+
+  async update(data) {
+    await this._database._commit([{ type: 'update', ref: this, data: checkValues(data) }]);
+  }
+
+  async delete() {
+    await this._database._commit([{ type: 'delete', ref: this }]);
+  }
+}
+
+class Query {
+  constructor(database, collectionPath, { filters = [], orders = [], limit = null, startAfter = null } = {}) {
+    this._database = database;
+    this._collectionPath = collectionPath;
+    this._options = { filters, orders, limit, startAfter };
+  }
+
+  _with(changes) {
+    return new Query(this._database, this._collectionPath, { ...this._options, ...changes });
+  }
+
+  where(fieldPath, op, value) {
+    if (!FILTERS[op]) {
+      throw new Error(`Query operator ${op} is not supported by the in-memory database`);
+    }
+    return this._with({ filters: [...this._options.filters, { fieldPath, op, value }] });
+  }
+
+  orderBy(fieldPath, direction = 'asc') {
+    return this._with({ orders: [...this._options.orders, { fieldPath, direction }] });
+  }
+
+  limit(count) {
+    return this._with({ limit: count });
+  }
+
+  // Resume after `snapshot`'s place in the query's order (a DocumentSnapshot, not field values)
+  startAfter(snapshot) {
+    return this._with({ startAfter: snapshot });
+  }
+
+  _docs() {
+    const { filters, orders, limit, startAfter } = this._options;
+    const documents = this._database._collection(this._collectionPath);
+
+    // Like Firestore, documents without a filtered or ordered field never match
+    const docs = [...documents.keys()]
+      .map(id => new DocumentSnapshot(new DocumentReference(this._database, this._collectionPath, id), documents.get(id)))
+      .filter(doc => filters.every(({ fieldPath, op, value }) => {
+        const field = getField(doc._data, fieldPath);
+        return field !== undefined && FILTERS[op](field, value);
+      }))
+      .filter(doc => orders.every(({ fieldPath }) => getField(doc._data, fieldPath) !== undefined))
+      .filter(doc => !startAfter || compareDocs(doc, startAfter, orders) > 0)
+      .sort((a, b) => compareDocs(a, b, orders));
+
+    return limit === null ? docs : docs.slice(0, limit);
+  }
+
+  async get() {
+    return new QuerySnapshot(this._docs());
+  }
+
+  stream() {
+    return Readable.from(this._docs());
+  }
+
+  count() {
+    return {
+      get: async () => {
+        const count = this._docs().length;
+        return { data: () => ({ count }) };
+      },
+    };
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(database, path) {
+    super(database, path);
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  doc(id = autoId()) {
+    return new DocumentReference(this._database, this.path, id);
+  }
+}
+
+class Transaction {
+  constructor(database) {
+    this._database = database;
+    this._writes = [];
+  }
+
+  _checkRead() {
+    if (this._writes.length > 0) {
+      throw new Error('Firestore transactions require all reads to be executed before all writes.');
+    }
+  }
+
+  // Takes a document reference or a query, like Firestore's
+  async get(refOrQuery) {
+    this._checkRead();
+    return refOrQuery.get();
+  }
+
+  async getAll(...refs) {
+    this._checkRead();
+    return Promise.all(refs.map(ref => ref.get()));
+  }
+
+  create(ref, data) {
+    this._writes.push({ type: 'create', ref, data: checkValues(data) });
+    return this;
+  }
+
+  set(ref, data) {
+    this._writes.push({ type: 'set', ref, data: checkValues(data) });
+    return this;
+  }
+
+  update(ref, data) {
+    this._writes.push({ type: 'update', ref, data: checkValues(data) });
+    return this;
+  }
+
+  delete(ref) {
+    this._writes.push({ type: 'delete', ref });
+    return this;
+  }
+}
+
+class WriteBatch extends Transaction {
+  async commit() {
+    await this._database._commit(this._writes);
+  }
+}
+
+class MemoryDatabase {
+  /**
+   * `file` (optional) is a JSON file the data is loaded from and saved back to after
+   * every write.
+   */
+  constructor({ file } = {}) {
+    this._collections = new Map();
+    this._file = file;
+    this._transactions = Promise.resolve();
+
+    if (file && fs.existsSync(file)) {
+      const saved = decode(JSON.parse(fs.readFileSync(file, 'utf8')));
+      for (const [path, documents] of Object.entries(saved)) {
+        this._collections.set(path, new Map(Object.entries(documents)));
+      }
+    }
+  }
+
+  collection(path) {
+    return new CollectionReference(this, path);
+  }
+
+  doc(path) {
+    const parts = path.split('/');
+    const id = parts.pop();
+    return new DocumentReference(this, parts.join('/'), id);
+  }
+
+  async getAll(...refs) {
+    return Promise.all(refs.map(ref => ref.get()));
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  // Transactions are queued and run one at a time, so their reads can't go stale
+  runTransaction(updateFunction) {
+    const run = this._transactions.then(async () => {
+      const transaction = new Transaction(this);
+      const result = await updateFunction(transaction);
+      await this._commit(transaction._writes);
+      return result;
+    });
+
+    this._transactions = run.catch(() => {});
+    return run;
+  }
+
+  _collection(path) {
+    if (!this._collections.has(path)) {
+      this._collections.set(path, new Map());
+    }
+    return this._collections.get(path);
+  }
+
+  _read(ref) {
+    return this._collection(ref._collectionPath).get(ref.id);
+  }
+
+  // Apply a list of writes all-or-nothing: every write is checked against the state the
+  // earlier ones leave before any of them is stored
+  async _commit(writes) {
+    const staged = new Map();
+    const current = ref => (staged.has(ref.path) ? staged.get(ref.path).data : this._read(ref));
+
+    for (const { type, ref, data } of writes) {
+      const existing = current(ref);
+
+      if (type === 'create' && existing !== undefined) {
+        throw storageError(ALREADY_EXISTS, `ALREADY_EXISTS: Document already exists: ${ref.path}`);
+      }
+      if (type === 'update' && existing === undefined) {
+        throw storageError(NOT_FOUND, `NOT_FOUND: No document to update: ${ref.path}`);
+      }
+
+      staged.set(ref.path, {
+        ref,
+        data: {
+          // Like Firestore, only update() reads dotted keys as paths into nested maps
+          create: () => resolveValue(data, undefined),
+          set: () => resolveValue(data, undefined),
+          update: () => applyUpdate(existing, data),
+          delete: () => undefined,
+        }[type](),
+      });
+    }
+
+    for (const { ref, data } of staged.values()) {
+      if (data === undefined) {
+        this._collection(ref._collectionPath).delete(ref.id);
+      } else {
+        this._collection(ref._collectionPath).set(ref.id, data);
+      }
+    }
+
+    if (this._file && staged.size > 0) {
+      this._save();
+    }
+  }
+
+  _save() {
+    const data = Object.fromEntries([...this._collections].map(([path, documents]) => [path, Object.fromEntries(documents)]));
+    fs.writeFileSync(this._file, JSON.stringify(encode(data), null, 2));
+  }
+}
+
+module.exports = {
+  MemoryDatabase,
+};
@@ -0,0 +1,306 @@
+// ============================================
+// Order Repository
+// ============================================
+//
+// Reads and writes ticket_purchases documents, the orders. `getDb` resolves to the
+// database the storage driver set up (see storage/index.js), so the same repository
+// serves Firestore and the in-memory database. Returned orders have their top-level
+// Timestamps converted to ISO strings.
+//
+// Every change to an order goes through stageOrderUpdate(), which refuses status changes
+// the lifecycle in orders/statuses.js doesn't allow and adds an entry to the order's history
+// subcollection saying who changed which fields, from what to what.
+
+const { convertFirestoreData } = require('./convert');
+const { canTransitionOrder } = require('../orders/statuses');
+const { logger, getRequestId } = require('../observability');
+
+const COLLECTION_NAME = 'ticket_purchases';
+const HISTORY_COLLECTION = 'history';
+
+// Written on every update, so not worth a history entry of their own
+const UNAUDITED_FIELDS = ['updated_at', 'last_request_id'];
+
+// Fields holding the customer's personal data (items carry attendee details). Erasing it
+// also scrubs their old values from the history; see stageOrderErasure().
+const PERSONAL_ORDER_FIELDS = [
+  'customer_name', 'customer_email', 'customer_phone', 'shipping_address', 'shipping_city',
+  'shipping_postcode', 'items', 'gift_aid',
+];
+const ERASED_VALUE = '[erased]';
+
+function transitionError(orderRef, fromStatus, toStatus) {
+  return Object.assign(
+    new Error(`Order ${orderRef} cannot go from ${fromStatus} to ${toStatus}`),
+    { code: 'invalid_transition', fromStatus, toStatus }
+  );
+}
+
+function sameValue(a, b) {
+  if (a && typeof a.isEqual === 'function' && b && typeof b.isEqual === 'function') {
+    return a.isEqual(b);
+  }
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Read a field the way update() addresses it, where a dotted path is a nested field
+function fieldValue(order, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), order);
+}
+
+// { field: { from, to } } for each field `updates` changes. Firestore can't store
+// undefined, so a field the order didn't have is recorded as null. The old values of
+// `hiddenFields` are left out.
+function diffOrder(order, updates, hiddenFields = []) {
+  const changes = {};
+
+  for (const [field, value] of Object.entries(updates)) {
+    const current = fieldValue(order, field);
+    const previous = current === undefined ? null : current;
+    if (!UNAUDITED_FIELDS.includes(field) && !sameValue(previous, value)) {
+      changes[field] = {
+        from: hiddenFields.includes(field) ? ERASED_VALUE : previous,
+        to: value === undefined ? null : value,
+      };
+    }
+  }
+
+  return changes;
+}
+
+function historyEntry(changes, { actor = 'system', source = 'system' } = {}) {
+  const admin = require('firebase-admin');
+
+  return {
+    changes,
+    actor,
+    source,
+    request_id: getRequestId() || '',
+    created_at: admin.firestore.Timestamp.now(),
+  };
+}
+
+/**
+ * Inside a transaction (or batch), update an order and record the change in its history.
+ * `order` is the document's current data, read earlier in the same transaction. `audit`
+ * is { actor, source }: who made the change (a user ID, 'stripe' or 'system') and
+ * through what (e.g. 'admin', 'webhook', 'reconcile'). Throws an error with code
+ * 'invalid_transition' if `updates` moves the status somewhere the lifecycle doesn't
+ * allow.
+ */
+function stageOrderUpdate(transaction, orderDocRef, order, updates, audit) {
+  return stageUpdate(transaction, orderDocRef, order, updates, audit, []);
+}
+
+/**
+ * stageOrderUpdate() for erasing personal data held in `fields` (by default all of it):
+ * the new history entry leaves out their old values, and in `historyDocs` (the order's
+ * existing history, read earlier in the transaction from orderHistory()) their values
+ * are replaced with "[erased]".
+ */
+function stageOrderErasure(transaction, orderDocRef, order, historyDocs, updates, audit, fields = PERSONAL_ORDER_FIELDS) {
+  historyDocs.forEach(doc => {
+    const changes = doc.data().changes || {};
+    const personal = Object.keys(changes).filter(field => fields.includes(field));
+
+    if (personal.length > 0) {
+      const scrubbed = { ...changes };
+      personal.forEach(field => {
+        scrubbed[field] = { from: ERASED_VALUE, to: ERASED_VALUE };
+      });
+      transaction.update(doc.ref, { changes: scrubbed });
+    }
+  });
+
+  return stageUpdate(transaction, orderDocRef, order, updates, audit, fields);
+}
+
+function stageUpdate(transaction, orderDocRef, order, updates, audit, hiddenFields) {
+  if (updates.status !== undefined && !canTransitionOrder(order.status, updates.status)) {
+    throw transitionError(order.order_reference || orderDocRef.id, order.status, updates.status);
+  }
+
+  const requestId = getRequestId();
+  transaction.update(orderDocRef, { ...updates, ...(requestId && { last_request_id: requestId }) });
+
+  const changes = diffOrder(order, updates, hiddenFields);
+  if (Object.keys(changes).length > 0) {
+    transaction.set(orderDocRef.collection(HISTORY_COLLECTION).doc(), historyEntry(changes, audit));
+  }
+
+  return changes;
+}
+
+// The history subcollection of an order document
+function orderHistory(orderDocRef) {
+  return orderDocRef.collection(HISTORY_COLLECTION);
+}
+
+// History entries come back with their Timestamps, including changed values, as ISO strings
+function convertHistoryEntry(data) {
+  const changes = Object.fromEntries(Object.entries(data.changes || {})
+    .map(([field, { from, to }]) => [field, convertFirestoreData({ from, to })]));
+
+  return { ...convertFirestoreData(data), changes };
+}
+
+function createOrderRepository(getDb) {
+  // Orders are keyed by order reference; very old ones may only have it as a field
+  async function findOrderDoc(db, orderRef) {
+    const orderDoc = db.collection(COLLECTION_NAME).doc(orderRef);
+    const docSnapshot = await orderDoc.get();
+
+    if (docSnapshot.exists) {
+      return orderDoc;
+    }
+
+    const querySnapshot = await db.collection(COLLECTION_NAME)
+      .where('order_reference', '==', orderRef)
+      .limit(1)
+      .get();
+
+    return querySnapshot.empty ? null : querySnapshot.docs[0].ref;
+  }
+
+  // `audit` is { actor, source }, as for stageOrderUpdate()
+  async function add(data, audit) {
+    try {
+      const db = await getDb();
+
+      const admin = require('firebase-admin');
+      const orderRef = db.collection(COLLECTION_NAME).doc(data.order_reference);
+
+      const orderData = {
+        order_reference: data.order_reference,
+        customer_name: data.customer_name,
+        customer_email: data.customer_email,
+        customer_phone: data.customer_phone || '',
+        quantity: data.quantity || 1,
+        amount_total: data.amount_total,
+        stripe_session_id: data.stripe_session_id || '',
+        stripe_payment_intent_id: data.stripe_payment_intent_id || '',
+        status: data.status,
+        product_type: data.product_type || 'ticket',
+        items: data.items || [],
+        shipping_address: data.shipping_address || '',
+        shipping_city: data.shipping_city || '',
+        shipping_postcode: data.shipping_postcode || '',
+        reservation_status: data.reservation_status || '',
+        promo_code: data.promo_code || '',
+        amount_subtotal: data.amount_subtotal || data.amount_total,
+        discount_amount: data.discount_amount || 0,
+        event_id: data.event_id || '',
+        event_title: data.event_title || '',
+        event_start: data.event_start ? admin.firestore.Timestamp.fromDate(new Date(data.event_start)) : null,
+        event_venue: data.event_venue || '',
+        waitlist_entry_id: data.waitlist_entry_id || '',
+        donation_amount: data.donation_amount || 0,
+        gift_aid: data.gift_aid || null,
+        gift_aid_declared_at: data.gift_aid ? admin.firestore.Timestamp.now() : null,
+        request_id: getRequestId() || '',
+        created_at: admin.firestore.Timestamp.fromDate(new Date(data.created_at)),
+        updated_at: admin.firestore.Timestamp.fromDate(new Date(data.updated_at)),
+      };
+
+      // The first history entry records the status the order started in
+      const batch = db.batch();
+      batch.set(orderRef, orderData);
+      batch.set(orderRef.collection(HISTORY_COLLECTION).doc(), historyEntry({ status: { from: null, to: orderData.status } }, audit));
+      await batch.commit();
+
+      logger.info('Order added to storage', { orderRef: data.order_reference });
+
+      return orderData;
+    } catch (error) {
+      logger.error('Error adding order', { orderRef: data.order_reference, err: error });
+      throw error;
+    }
+  }
+
+  /**
+   * Apply `updates` to an order, recording them in its history; see stageOrderUpdate()
+   * for `audit` and the error thrown for a status change that isn't allowed. Returns the
+   * updated order, or null if there is no such order.
+   */
+  async function update(orderRef, updates, audit) {
+    try {
+      const db = await getDb();
+
+      const admin = require('firebase-admin');
+      const orderDoc = await findOrderDoc(db, orderRef);
+
+      if (!orderDoc) {
+        logger.warn('Order not found for update', { orderRef });
+        return null;
+      }
+
+      const updateData = {
+        ...updates,
+        updated_at: admin.firestore.Timestamp.now(),
+      };
+
+      // Convert string dates to Timestamps if needed
+      if (updateData.created_at && typeof updateData.created_at === 'string') {
+        updateData.created_at = admin.firestore.Timestamp.fromDate(new Date(updateData.created_at));
+      }
+
+      await db.runTransaction(async (transaction) => {
+        const snapshot = await transaction.get(orderDoc);
+        stageOrderUpdate(transaction, orderDoc, snapshot.data(), updateData, audit);
+      });
+      logger.info('Order updated', { orderRef, fields: Object.keys(updates) });
+
+      const updatedDoc = await orderDoc.get();
+      return convertFirestoreData(updatedDoc.data());
+    } catch (error) {
+      if (error.code !== 'invalid_transition') {
+        logger.error('Error updating order', { orderRef, err: error });
+      }
+      throw error;
+    }
+  }
+
+  async function get(orderRef) {
+    try {
+      const db = await getDb();
+      const orderDoc = await findOrderDoc(db, orderRef);
+
+      if (!orderDoc) {
+        return null;
+      }
+
+      return convertFirestoreData((await orderDoc.get()).data());
+    } catch (error) {
+      logger.error('Error reading order', { orderRef, err: error });
+      throw error;
+    }
+  }
+
+  // The order's history, oldest change first; null if there is no such order
+  async function history(orderRef) {
+    try {
+      const db = await getDb();
+      const orderDoc = await findOrderDoc(db, orderRef);
+
+      if (!orderDoc) {
+        return null;
+      }
+
+      const snapshot = await orderHistory(orderDoc).orderBy('created_at').get();
+      return snapshot.docs.map(doc => ({ id: doc.id, ...convertHistoryEntry(doc.data()) }));
+    } catch (error) {
+      logger.error('Error reading order history', { orderRef, err: error });
+      throw error;
+    }
+  }
+
+  return { add, get, update, history };
+}
+
+module.exports = {
+  PERSONAL_ORDER_FIELDS,
+  stageOrderUpdate,
+  stageOrderErasure,
+  orderHistory,
+  createOrderRepository,
+};
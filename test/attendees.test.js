@@ -0,0 +1,112 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, readDoc, listDocs, sentEmails, completeSession, postWebhook, checkout, asAdmin, asDoorStaff } = require('./helpers');
+
+const questions = [
+  { id: 'dietary', label: 'Dietary needs', type: 'choice', options: ['None', 'Vegetarian', 'Vegan'], required: true },
+  { id: 'access', label: 'Access requirements', type: 'text' },
+  { id: 'newsletter', label: 'Join the newsletter', type: 'checkbox' },
+];
+
+let eventId;
+
+before(async () => {
+  const res = await asAdmin(request(app).post('/api/events')).send({
+    title: 'Dinner Seminar',
+    start_time: '2030-05-10T18:00:00Z',
+    end_time: '2030-05-10T21:00:00Z',
+    venue: 'Guild Hall',
+    price: 4000,
+    capacity: 40,
+    status: 'published',
+    registration_questions: questions,
+  });
+  eventId = res.body.id;
+});
+
+describe('registration questions', () => {
+  it('stores an event\'s questions and rejects malformed ones', async () => {
+    assert.deepEqual(readDoc('events', eventId).registration_questions.map(question => question.id), ['dietary', 'access', 'newsletter']);
+    assert.equal(readDoc('events', eventId).registration_questions[1].required, false);
+
+    const res = await asAdmin(request(app).patch(`/api/events/${eventId}`)).send({
+      registration_questions: [{ id: 'meal', label: 'Meal', type: 'choice' }],
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'Question meal needs a list of options');
+  });
+
+  it('requires one attendee per ticket with valid answers', async () => {
+    const missing = await checkout({ eventId, quantity: 2 });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.error, 'Attendee details are required for Dinner Seminar');
+
+    const tooFew = await checkout({ eventId, quantity: 2, attendees: [{ name: 'Ada', answers: { dietary: 'None' } }] });
+    assert.equal(tooFew.status, 400);
+    assert.equal(tooFew.body.error, 'Provide one attendee per ticket for Dinner Seminar');
+
+    const badChoice = await checkout({ eventId, quantity: 1, attendees: [{ name: 'Ada', answers: { dietary: 'Pescatarian' } }] });
+    assert.equal(badChoice.status, 400);
+    assert.equal(badChoice.body.error, 'Attendee 1: "Dietary needs" must be one of: None, Vegetarian, Vegan');
+
+    const unknown = await checkout({ eventId, quantity: 1, attendees: [{ name: 'Ada', answers: { dietary: 'None', shoe: '9' } }] });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.error, 'Attendee 1: unknown question shoe');
+  });
+});
+
+describe('named attendees', () => {
+  let orderRef;
+
+  before(async () => {
+    const res = await checkout({
+      eventId,
+      quantity: 3,
+      customerName: 'Group Organiser',
+      customerEmail: 'organiser@example.com',
+      attendees: [
+        { name: 'Organiser', email: 'Organiser@example.com', answers: { dietary: 'None' } },
+        { name: 'Grace Guest', email: 'grace@example.com', answers: { dietary: 'Vegan', access: ' Step-free access ', newsletter: true } },
+        { name: 'Alan Guest', answers: { dietary: 'Vegetarian' } },
+      ],
+    });
+    orderRef = res.body.orderRef;
+    await postWebhook(completeSession(res.body.sessionId));
+  });
+
+  it('stores the attendees with the order and on each ticket', () => {
+    const [item] = readDoc('ticket_purchases', orderRef).items;
+    assert.deepEqual(item.attendees.map(attendee => attendee.name), ['Organiser', 'Grace Guest', 'Alan Guest']);
+    assert.equal(item.attendees[0].email, 'organiser@example.com');
+
+    const tickets = listDocs('tickets', ticket => ticket.order_reference === orderRef)
+      .sort((a, b) => a.admission_number - b.admission_number);
+    assert.deepEqual(tickets.map(ticket => ticket.attendee_name), ['Organiser', 'Grace Guest', 'Alan Guest']);
+    assert.deepEqual(tickets[1].answers, { dietary: 'Vegan', access: 'Step-free access', newsletter: true });
+  });
+
+  it('sends a ticket to each attendee with their own email address', () => {
+    const toGrace = sentEmails().filter(message => message.to === 'grace@example.com');
+    assert.equal(toGrace.length, 1);
+    assert.match(toGrace[0].html, /Group Organiser/);
+    assert.equal(toGrace[0].attachments.length, 1);
+
+    // The buyer gets every ticket in the confirmation, not a second email of their own
+    assert.equal(sentEmails().filter(message => message.to === 'organiser@example.com').length, 1);
+  });
+
+  it('exports the attendee list with answers for door staff', async () => {
+    const list = await asDoorStaff(request(app).get(`/api/events/${eventId}/attendees`));
+    assert.equal(list.status, 200);
+    assert.equal(list.body.totalAttendees, 3);
+    assert.deepEqual(list.body.attendees.map(attendee => attendee.name), ['Organiser', 'Grace Guest', 'Alan Guest']);
+
+    const csv = await asDoorStaff(request(app).get(`/api/events/${eventId}/attendees`)).query({ format: 'csv' });
+    assert.match(csv.headers['content-type'], /text\/csv/);
+    const lines = csv.text.trim().split('\n');
+    assert.match(lines[0], /Dietary needs,Access requirements,Join the newsletter/);
+    assert.match(lines[2], /^Grace Guest,grace@example.com,.*,Vegan,Step-free access,Yes/);
+
+    assert.equal((await request(app).get(`/api/events/${eventId}/attendees`)).status, 401);
+  });
+});
@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, readDoc, asAdmin, asDoorStaff } = require('./helpers');
+
+describe('staff authentication', () => {
+  it('asks for a valid ID token on admin routes', async () => {
+    const missing = await request(app).post('/api/events').send({});
+    const invalid = await request(app).post('/api/events').set('Authorization', 'Bearer forged').send({});
+
+    assert.equal(missing.status, 401);
+    assert.equal(invalid.status, 401);
+    assert.equal(invalid.body.error, 'Invalid or expired token');
+  });
+
+  it('keeps door staff to the door', async () => {
+    const me = await asDoorStaff(request(app).get('/api/admin/me'));
+    assert.equal(me.status, 200);
+    assert.deepEqual(me.body, { uid: 'door', email: '', role: 'door_staff' });
+
+    const refund = await asDoorStaff(request(app).post('/api/admin/orders/ORD-1/refund')).send({});
+    assert.equal(refund.status, 403);
+  });
+
+  it('shows draft events to admins only', async () => {
+    assert.equal((await request(app).get('/api/events/evt_draft')).status, 404);
+    assert.equal((await asDoorStaff(request(app).get('/api/events/evt_draft'))).status, 404);
+
+    const res = await asAdmin(request(app).get('/api/events/evt_draft'));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'draft');
+  });
+});
+
+describe('user roles', () => {
+  it('sets a role as a claim and in the Firestore fallback', async () => {
+    const res = await asAdmin(request(app).put('/api/admin/users/user_new/role')).send({ role: 'viewer' });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { uid: 'user_new', email: 'user_new@example.com', role: 'viewer' });
+    assert.equal(readDoc('admin_roles', 'user_new').role, 'viewer');
+    assert.equal(readDoc('admin_roles', 'user_new').updated_by, 'admin');
+  });
+
+  it('refuses unknown roles, unknown users and removing your own admin role', async () => {
+    const badRole = await asAdmin(request(app).put('/api/admin/users/user_new/role')).send({ role: 'owner' });
+    const noUser = await asAdmin(request(app).put('/api/admin/users/nobody/role')).send({ role: 'viewer' });
+    const self = await asAdmin(request(app).put('/api/admin/users/admin/role')).send({ role: null });
+
+    assert.equal(badRole.status, 400);
+    assert.equal(noUser.status, 404);
+    assert.equal(self.status, 400);
+    assert.equal(self.body.error, 'You cannot remove your own admin role');
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildIcs, googleCalendarUrl } = require('../emails/calendar');
+const { app, request, readDoc, sentEmails, completeSession, postWebhook, checkout, orderToken, asAdmin } = require('./helpers');
+
+const entry = {
+  uid: 'TIX-1.evt_main@seminar-backend',
+  sequence: 7,
+  title: 'Property Seminar; Spring, 2030',
+  start: '2030-04-10T18:00:00Z',
+  end: '2030-04-10T21:00:00Z',
+  venue: 'Town Hall',
+  description: `Order reference: TIX-1\nTickets: 2\n${'A long line of description text. '.repeat(4)}`,
+  url: '',
+  cancelled: false,
+};
+
+async function paidOrder(body) {
+  const res = await checkout(body);
+  await postWebhook(completeSession(res.body.sessionId));
+  return { ...readDoc('ticket_purchases', res.body.orderRef), sessionId: res.body.sessionId };
+}
+
+describe('calendar invites', () => {
+  it('builds an iCalendar file with escaped, folded lines', () => {
+    const ics = buildIcs([entry]);
+    const lines = ics.split('\r\n');
+
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(lines.includes('UID:TIX-1.evt_main@seminar-backend'));
+    assert.ok(lines.includes('SEQUENCE:7'));
+    assert.ok(lines.includes('DTSTART:20300410T180000Z'));
+    assert.ok(lines.includes('SUMMARY:Property Seminar\\; Spring\\, 2030'));
+    assert.ok(lines.includes('STATUS:CONFIRMED'));
+    assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+    assert.ok(lines.some(line => line.startsWith(' ')));
+    assert.match(buildIcs([{ ...entry, cancelled: true }]), /STATUS:CANCELLED/);
+  });
+
+  it('builds add-to-calendar links', () => {
+    const url = new URL(googleCalendarUrl(entry));
+
+    assert.equal(url.hostname, 'calendar.google.com');
+    assert.equal(url.searchParams.get('dates'), '20300410T180000Z/20300410T210000Z');
+    assert.equal(url.searchParams.get('location'), 'Town Hall');
+  });
+
+  it('attaches the invite and links to the ticket confirmation', async () => {
+    await paidOrder({ customerEmail: 'calendar@example.com' });
+
+    const email = sentEmails().find(message => message.to === 'calendar@example.com');
+    const invite = email.attachments.find(attachment => attachment.filename === 'event.ics');
+    assert.match(invite.contentType, /^text\/calendar/);
+    assert.match(String(invite.content), /SUMMARY:Property Seminar/);
+    assert.match(email.html, /calendar\.google\.com/);
+    assert.match(email.html, /outlook\.live\.com/);
+  });
+
+  it('lets buyers download the invite again, with the same UID after the event changes', async () => {
+    const order = await paidOrder({});
+    const path = `/api/tickets/${order.order_reference}/calendar.ics`;
+
+    const first = await request(app).get(path);
+    assert.equal(first.status, 200);
+    assert.match(first.headers['content-type'], /text\/calendar/);
+    assert.ok(!first.text.includes('URL:'));
+
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    await asAdmin(request(app).patch('/api/events/evt_main')).send({ venue: 'New Venue' });
+
+    const second = await request(app).get(path).query({ token: orderToken(order.sessionId) });
+    const uid = text => text.match(/^UID:(.*)$/m)[1];
+    const sequence = text => Number(text.match(/^SEQUENCE:(\d+)$/m)[1]);
+    assert.equal(uid(second.text), uid(first.text));
+    assert.ok(sequence(second.text) > sequence(first.text));
+    assert.match(second.text, /LOCATION:New Venue/);
+    assert.match(second.text, /^URL:/m);
+  });
+
+  it('only serves invites for paid ticket orders', async () => {
+    assert.equal((await request(app).get('/api/tickets/TIX-missing/calendar.ics')).status, 404);
+
+    const pending = await checkout({});
+    assert.equal((await request(app).get(`/api/tickets/${pending.body.orderRef}/calendar.ics`)).status, 409);
+  });
+});
@@ -0,0 +1,133 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, readDoc, listDocs, sentEmails, sessionParams, completeSession, stripeEvent, postWebhook, asAdmin } = require('./helpers');
+
+const shipping = { address: '1 High Street', city: 'Chatham', postcode: 'ME4 4AA' };
+
+let buyerCounter = 0;
+
+// A buyer of their own each time, so the per-email rate limit isn't reached
+function cartCheckout(items, body = {}) {
+  return request(app).post('/api/checkout').send({
+    customerName: 'Cart Buyer',
+    customerEmail: `cart.buyer${++buyerCounter}@example.com`,
+    captchaToken: 'pass',
+    items,
+    ...body,
+  });
+}
+
+function orderTickets(orderRef) {
+  return listDocs('tickets', ticket => ticket.order_reference === orderRef);
+}
+
+describe('cart checkout', () => {
+  it('puts tickets for several events and books in one order and one payment', async () => {
+    const mainHeld = readDoc('events', 'evt_main').seats_reserved;
+    const secondHeld = readDoc('events', 'evt_second').seats_reserved;
+
+    const res = await cartCheckout([
+      { type: 'ticket', eventId: 'evt_main', quantity: 2 },
+      { type: 'ticket', eventId: 'evt_second', quantity: 1 },
+      { type: 'book', quantity: 1 },
+      { type: 'ticket', eventId: 'evt_main', quantity: 1 },
+    ], shipping);
+
+    assert.equal(res.status, 200);
+    assert.match(res.body.orderRef, /^ORD-/);
+
+    const order = readDoc('ticket_purchases', res.body.orderRef);
+    assert.equal(order.product_type, 'mixed');
+    assert.equal(order.quantity, 5);
+    assert.equal(order.amount_total, 3 * 2500 + 1500 + 1999);
+    assert.deepEqual(order.items.map(item => [item.product_type, item.event_id, item.quantity]), [
+      ['ticket', 'evt_main', 3],
+      ['ticket', 'evt_second', 1],
+      ['book', undefined, 1],
+    ]);
+    assert.equal(order.shipping_postcode, 'ME4 4AA');
+    assert.equal(readDoc('events', 'evt_main').seats_reserved, mainHeld + 3);
+    assert.equal(readDoc('events', 'evt_second').seats_reserved, secondHeld + 1);
+    assert.equal(sessionParams(res.body.sessionId).line_items.length, 3);
+  });
+
+  it('asks for a shipping address only when the cart has a book', async () => {
+    const tickets = await cartCheckout([{ type: 'ticket', eventId: 'evt_main', quantity: 1 }]);
+    assert.equal(tickets.status, 200);
+    assert.equal(readDoc('ticket_purchases', tickets.body.orderRef).shipping_address, '');
+
+    const withBook = await cartCheckout([{ type: 'ticket', eventId: 'evt_main', quantity: 1 }, { type: 'book', quantity: 1 }]);
+    assert.equal(withBook.status, 400);
+    assert.equal(withBook.body.error, 'Shipping address is required for book orders');
+  });
+
+  it('rejects empty carts and unknown products', async () => {
+    const empty = await cartCheckout([]);
+    assert.equal(empty.status, 400);
+    assert.deepEqual(empty.body.fields, { items: 'must have at least 1 item' });
+
+    const unknown = await cartCheckout([{ type: 'mug', quantity: 1 }]);
+    assert.equal(unknown.status, 400);
+  });
+
+  it('holds no seats when one event in the cart is full', async () => {
+    const mainHeld = readDoc('events', 'evt_main').seats_reserved;
+
+    const res = await cartCheckout([
+      { type: 'ticket', eventId: 'evt_main', quantity: 1 },
+      { type: 'ticket', eventId: 'evt_small', quantity: 3 },
+    ]);
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.eventId, 'evt_small');
+    assert.equal(readDoc('events', 'evt_main').seats_reserved, mainHeld);
+  });
+
+  it('issues tickets for each event and sends one confirmation for a paid mixed order', async () => {
+    const res = await cartCheckout([
+      { type: 'ticket', eventId: 'evt_main', quantity: 1 },
+      { type: 'ticket', eventId: 'evt_second', quantity: 1 },
+      { type: 'book', quantity: 1 },
+    ], { ...shipping, customerEmail: 'mixed.paid@example.com' });
+
+    await postWebhook(completeSession(res.body.sessionId));
+
+    const order = readDoc('ticket_purchases', res.body.orderRef);
+    assert.equal(order.status, 'completed');
+    assert.equal(order.fulfilment_status, 'awaiting_dispatch');
+    assert.deepEqual(orderTickets(res.body.orderRef).map(ticket => ticket.event_id).sort(), ['evt_main', 'evt_second']);
+
+    const emails = sentEmails().filter(message => message.to === 'mixed.paid@example.com');
+    assert.equal(emails.length, 1);
+    assert.match(emails[0].subject, /Order Confirmed/);
+    assert.match(emails[0].html, /Property Seminar/);
+    assert.match(emails[0].html, /Second Seminar/);
+    assert.match(emails[0].html, /Shipping To/);
+    assert.deepEqual(emails[0].attachments.map(attachment => attachment.filename), ['ticket-1.png', 'ticket-2.png', 'event.ics']);
+
+    const packingList = await asAdmin(request(app).get('/api/admin/fulfilment/packing-list'));
+    assert.ok(packingList.body.orders.some(entry => entry.orderRef === res.body.orderRef));
+  });
+
+  it('counts a partial refund of a mixed order against its tickets first', async () => {
+    const res = await cartCheckout([
+      { type: 'ticket', eventId: 'evt_second', quantity: 2 },
+      { type: 'book', quantity: 1 },
+    ], shipping);
+    await postWebhook(completeSession(res.body.sessionId));
+    const order = readDoc('ticket_purchases', res.body.orderRef);
+    const seatsSold = readDoc('events', 'evt_second').seats_sold;
+
+    await postWebhook(stripeEvent('charge.refunded', {
+      id: 'ch_mixed',
+      payment_intent: order.stripe_payment_intent_id,
+      amount_refunded: 1500,
+    }));
+
+    const refunded = readDoc('ticket_purchases', res.body.orderRef);
+    assert.equal(refunded.status, 'partially_refunded');
+    assert.equal(refunded.fulfilment_status, 'awaiting_dispatch');
+    assert.deepEqual(orderTickets(res.body.orderRef).map(ticket => ticket.status).sort(), ['cancelled', 'valid']);
+    assert.equal(readDoc('events', 'evt_second').seats_sold, seatsSold - 1);
+  });
+});
@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, readDoc, sessionParams, completeSession, expireSession, postWebhook, checkout, asAdmin } = require('./helpers');
+
+describe('seat reservations', () => {
+  it('holds seats while the Checkout session is open and sells them once paid', async () => {
+    const before = readDoc('events', 'evt_main');
+    const res = await checkout({ quantity: 2 });
+
+    assert.equal(res.status, 200);
+    assert.ok(sessionParams(res.body.sessionId).expires_at > Date.now() / 1000);
+    assert.equal(readDoc('events', 'evt_main').seats_reserved, before.seats_reserved + 2);
+    assert.equal(readDoc('ticket_purchases', res.body.orderRef).reservation_status, 'held');
+
+    await postWebhook(completeSession(res.body.sessionId));
+
+    const event = readDoc('events', 'evt_main');
+    assert.equal(event.seats_reserved, before.seats_reserved);
+    assert.equal(event.seats_sold, before.seats_sold + 2);
+    assert.equal(readDoc('ticket_purchases', res.body.orderRef).reservation_status, 'confirmed');
+  });
+
+  it('gives the seats back when the session expires, once only', async () => {
+    const res = await checkout({ eventId: 'evt_small', quantity: 2 });
+    const expired = expireSession(res.body.sessionId);
+
+    await postWebhook(expired);
+    await postWebhook(expired);
+
+    assert.equal(readDoc('events', 'evt_small').seats_reserved, 0);
+    assert.equal(readDoc('ticket_purchases', res.body.orderRef).reservation_status, 'released');
+  });
+
+  it('says how many tickets are left, or that the event is sold out', async () => {
+    const first = await checkout({ eventId: 'evt_small', quantity: 1 });
+    assert.equal(first.status, 200);
+
+    const tooMany = await request(app).post('/api/create-ticket-checkout-session').send({
+      eventId: 'evt_small',
+      quantity: 2,
+      customerName: 'Late Buyer',
+      customerEmail: 'late@example.com',
+      captchaToken: 'pass',
+    });
+    assert.equal(tooMany.status, 409);
+    assert.equal(tooMany.body.error, 'Only 1 ticket left for Small Workshop');
+    assert.equal(tooMany.body.available, 1);
+
+    await checkout({ eventId: 'evt_small', quantity: 1 });
+    const soldOut = await checkout({ eventId: 'evt_small', quantity: 1 });
+    assert.equal(soldOut.status, 409);
+    assert.equal(soldOut.body.error, 'Sorry, Small Workshop is sold out');
+
+    const availability = await request(app).get('/api/events/evt_small/availability');
+    assert.deepEqual(
+      { capacity: availability.body.capacity, available: availability.body.available, soldOut: availability.body.soldOut },
+      { capacity: 2, available: 0, soldOut: true }
+    );
+  });
+
+  it('will not lower an event capacity below the seats taken', async () => {
+    await checkout({ eventId: 'evt_second', quantity: 3 });
+
+    const res = await asAdmin(request(app).patch('/api/events/evt_second')).send({ capacity: 2 });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'Capacity cannot be lower than the 3 seats already sold or held');
+  });
+});
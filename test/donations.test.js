@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, readDoc, sentEmails, sessionParams, completeSession, stripeEvent, postWebhook, checkout, asAdmin, asDoorStaff } = require('./helpers');
+
+const declaration = {
+  declared: true,
+  title: 'Ms',
+  firstName: 'Gita',
+  lastName: 'Giver',
+  houseNameOrNumber: '12',
+  address: '12 Chapel Lane, Rochester',
+  postcode: 'me1 1aa',
+};
+
+async function paidOrder(body) {
+  const res = await checkout(body);
+  await postWebhook(completeSession(res.body.sessionId));
+  return readDoc('ticket_purchases', res.body.orderRef);
+}
+
+describe('donations', () => {
+  it('adds the donation as its own line item and stores the Gift Aid declaration', async () => {
+    const res = await checkout({ donation: 1000, giftAid: declaration });
+
+    assert.equal(res.status, 200);
+    const lineItems = sessionParams(res.body.sessionId).line_items;
+    assert.deepEqual(lineItems.map(item => item.price_data.unit_amount), [2500, 1000]);
+    assert.equal(lineItems[1].price_data.product_data.name, 'Donation to Place of Victory Charity');
+
+    const order = readDoc('ticket_purchases', res.body.orderRef);
+    assert.equal(order.product_type, 'ticket');
+    assert.equal(order.donation_amount, 1000);
+    assert.equal(order.amount_total, 3500);
+    assert.equal(order.gift_aid.first_name, 'Gita');
+    assert.equal(order.gift_aid.postcode, 'ME1 1AA');
+    assert.match(order.gift_aid.declaration, /I am a UK taxpayer/);
+    assert.ok(order.gift_aid_declared_at);
+  });
+
+  it('checks the donation amount and declaration', async () => {
+    const tooSmall = await checkout({ donation: 50 });
+    assert.equal(tooSmall.status, 400);
+    assert.equal(tooSmall.body.error, 'Donation must be between 100 and 500000 pence');
+
+    const noDonation = await checkout({ giftAid: declaration });
+    assert.equal(noDonation.body.error, 'Gift Aid can only be declared on a donation');
+
+    const noAddress = await checkout({ donation: 500, giftAid: { ...declaration, address: ' ' } });
+    assert.equal(noAddress.body.error, 'giftAid.address must not be empty');
+
+    const withPromo = await checkout({ donation: 500, promoCode: 'ANY' });
+    assert.equal(withPromo.body.error, 'Promo codes cannot be used on orders that include a donation');
+
+    // Leaving the box unticked just means no Gift Aid
+    const unticked = await checkout({ donation: 500, giftAid: { declared: false } });
+    assert.equal(unticked.status, 200);
+    assert.equal(readDoc('ticket_purchases', unticked.body.orderRef).gift_aid, null);
+  });
+
+  it('thanks the donor in the confirmation email', async () => {
+    await paidOrder({ donation: 2000, giftAid: declaration, customerEmail: 'donor@example.com' });
+
+    const email = sentEmails().find(message => message.to === 'donor@example.com');
+    assert.match(email.html, /Thank you for your donation!/);
+    assert.match(email.text, /donation with Gift Aid/);
+  });
+});
+
+describe('Gift Aid export', () => {
+  it('lists paid Gift Aid donations in HMRC column order, leaving out refunds', async () => {
+    const eligible = await paidOrder({ donation: 2500, giftAid: { ...declaration, firstName: 'Eligible' } });
+    const refunded = await paidOrder({ donation: 2500, giftAid: { ...declaration, firstName: 'Refunded' } });
+    const ticketRefund = await paidOrder({ donation: 1500, giftAid: { ...declaration, firstName: 'Partly' } });
+    await paidOrder({ donation: 2500, customerName: 'No Declaration' });
+    await checkout({ donation: 2500, giftAid: { ...declaration, firstName: 'Unpaid' } });
+
+    await postWebhook(stripeEvent('charge.refunded', {
+      id: 'ch_donation', payment_intent: refunded.stripe_payment_intent_id, amount_refunded: refunded.amount_total,
+    }));
+    // Refunding the ticket alone leaves the donation claimable
+    await postWebhook(stripeEvent('charge.refunded', {
+      id: 'ch_ticket', payment_intent: ticketRefund.stripe_payment_intent_id, amount_refunded: 2500,
+    }));
+
+    const res = await asAdmin(request(app).get('/api/admin/reports/gift-aid.csv'));
+
+    assert.equal(res.status, 200);
+    const lines = res.text.trim().split('\r\n');
+    assert.equal(lines[0], 'Title,First name or initial,Last name,House name or number,Postcode,Aggregated donations,Sponsored event,Donation date (DD/MM/YY),Amount');
+
+    const names = lines.slice(1).map(line => line.split(',')[1]);
+    assert.ok(names.includes('Eligible'));
+    assert.ok(names.includes('Partly'));
+    assert.ok(!names.includes('Refunded'));
+    assert.ok(!names.includes('Unpaid'));
+
+    const row = lines.find(line => line.includes('Eligible')).split(',');
+    assert.deepEqual([row[0], row[2], row[3], row[4], row[8]], ['Ms', 'Giver', '12', 'ME1 1AA', '25.00']);
+    assert.match(row[7], /^\d{2}\/\d{2}\/\d{2}$/);
+    assert.ok(eligible.paid_at);
+  });
+
+  it('is only open to admins', async () => {
+    assert.equal((await asDoorStaff(request(app).get('/api/admin/reports/gift-aid.csv'))).status, 403);
+  });
+});
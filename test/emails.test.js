@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, sentEmails, completeSession, postWebhook, checkout } = require('./helpers');
+const { TEMPLATE_NAMES, renderEmail } = require('../emails/templates');
+const emailSamples = require('../emails/samples');
+
+describe('email templates', () => {
+  it('escapes what customers typed and sends a plain-text part', async () => {
+    const res = await checkout({ customerName: '<b>Mallory</b> & Co', customerEmail: 'escaped@example.com' });
+    await postWebhook(completeSession(res.body.sessionId));
+
+    const email = sentEmails().find(message => message.to === 'escaped@example.com');
+    assert.match(email.html, /&lt;b&gt;Mallory&lt;\/b&gt; &amp; Co/);
+    assert.doesNotMatch(email.html, /<b>Mallory/);
+    assert.match(email.text, /<b>Mallory<\/b> & Co/);
+    assert.match(email.text, new RegExp(res.body.orderRef));
+  });
+
+  it('renders every template from its sample data', () => {
+    for (const name of TEMPLATE_NAMES) {
+      const email = renderEmail(name, emailSamples[name]);
+
+      assert.ok(email.subject, `${name} has a subject`);
+      assert.match(email.html, /<\/html>|<\/div>/, `${name} has an HTML part`);
+      assert.ok(email.text.length > 0, `${name} has a text part`);
+    }
+  });
+});
+
+describe('email preview', () => {
+  it('lists the templates and renders one as HTML or text', async () => {
+    const list = await request(app).get('/api/debug/email-preview');
+    assert.deepEqual(list.body.templates, TEMPLATE_NAMES);
+
+    const [name] = TEMPLATE_NAMES;
+    const html = await request(app).get(`/api/debug/email-preview/${name}`);
+    assert.equal(html.status, 200);
+    assert.match(html.headers['content-type'], /text\/html/);
+
+    const text = await request(app).get(`/api/debug/email-preview/${name}`).query({ format: 'text' });
+    assert.match(text.text, /^Subject: /);
+  });
+
+  it('refuses unknown templates', async () => {
+    const res = await request(app).get('/api/debug/email-preview/nonsense');
+
+    assert.equal(res.status, 404);
+  });
+});
@@ -0,0 +1,129 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, stripeStub, readDoc, checkout } = require('./helpers');
+
+describe('error responses', () => {
+  it('rejects a malformed JSON body', async () => {
+    const res = await request(app)
+      .post('/api/checkout')
+      .set('Content-Type', 'application/json')
+      .send('{"items": [');
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body, { error: 'Request body is not valid JSON', code: 'invalid_json' });
+  });
+
+  it('returns JSON for unknown routes', async () => {
+    const res = await request(app).get('/api/nothing-here');
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, 'not_found');
+  });
+
+  it('validates route parameters', async () => {
+    const res = await request(app).get('/api/events/bad%20id');
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'validation_failed');
+    assert.equal(res.body.fields.eventId, 'must contain only letters, numbers, - and _');
+  });
+
+  it('validates the waitlist body before looking up the event', async () => {
+    const res = await request(app)
+      .post('/api/events/evt_small/waitlist')
+      .send({ name: 'Sam Guest', email: 'sam@', quantity: 11 });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.fields, {
+      email: 'must be a valid email address',
+      quantity: 'must be at most 10',
+    });
+  });
+
+  it('needs a six-digit access code', async () => {
+    const res = await request(app).post('/api/tickets/TIX-1/verify-code').send({ code: '12ab' });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.fields.code, 'must be a 6-digit code');
+  });
+
+  it('hides Stripe errors from the client', async () => {
+    const { create } = stripeStub.checkout.sessions;
+    stripeStub.checkout.sessions.create = async () => {
+      throw Object.assign(new Error('Invalid API Key provided: sk_test_****stub'), { type: 'StripeAuthenticationError' });
+    };
+
+    try {
+      const res = await checkout({});
+
+      assert.equal(res.status, 500);
+      assert.deepEqual(res.body, { error: 'Something went wrong. Please try again later.', code: 'internal_error' });
+    } finally {
+      stripeStub.checkout.sessions.create = create;
+    }
+  });
+});
+
+describe('checkout validation', () => {
+  function cartCheckout(body) {
+    return request(app).post('/api/checkout').send({
+      customerName: 'Test Buyer',
+      customerEmail: 'buyer@example.com',
+      captchaToken: 'pass',
+      ...body,
+    });
+  }
+
+  it('bounds the quantity of each item', async () => {
+    const tooFew = await cartCheckout({ items: [{ type: 'ticket', eventId: 'evt_main', quantity: 0 }] });
+    assert.equal(tooFew.status, 400);
+    assert.equal(tooFew.body.fields['items[0].quantity'], 'must be at least 1');
+
+    const tooMany = await cartCheckout({ items: [{ type: 'ticket', eventId: 'evt_main', quantity: 21 }] });
+    assert.equal(tooMany.body.fields['items[0].quantity'], 'must be at most 20');
+  });
+
+  it('reports every invalid customer field at once', async () => {
+    const res = await cartCheckout({
+      items: [{ type: 'book', quantity: 1 }],
+      customerName: ' ',
+      customerEmail: 'not-an-email',
+      customerPhone: 'call me',
+      address: '1 High Street',
+      city: 'Chatham',
+      postcode: '12345',
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'validation_failed');
+    assert.deepEqual(res.body.fields, {
+      customerName: 'must not be empty',
+      customerEmail: 'must be a valid email address',
+      customerPhone: 'must be a valid phone number',
+      postcode: 'must be a valid UK postcode',
+    });
+  });
+
+  it('stores the postcode in its standard form', async () => {
+    const res = await cartCheckout({
+      items: [{ type: 'book', quantity: 1 }],
+      address: '1 High Street',
+      city: 'Chatham',
+      postcode: 'me44aa',
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(readDoc('ticket_purchases', res.body.orderRef).shipping_postcode, 'ME4 4AA');
+  });
+
+  it('only looks up Checkout session IDs, without passing on Stripe errors', async () => {
+    const malformed = await request(app).get('/api/verify-session/pi_123');
+    assert.equal(malformed.status, 400);
+    assert.equal(malformed.body.fields.sessionId, 'must be a Checkout session ID');
+
+    const missing = await request(app).get('/api/verify-session/cs_test_missing');
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'not_found');
+    assert.doesNotMatch(missing.body.error, /No such/);
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, readDoc, sentEmails, sessionParams, completeSession, postWebhook, checkout, asAdmin } = require('./helpers');
+
+const newEvent = {
+  title: 'Spring Seminar',
+  start_time: '2030-04-10T18:00:00Z',
+  end_time: '2030-04-10T21:00:00Z',
+  venue: 'Town Hall',
+  price: 3000,
+  capacity: 100,
+};
+
+describe('events API', () => {
+  it('creates events as drafts and updates them', async () => {
+    const created = await asAdmin(request(app).post('/api/events')).send(newEvent);
+
+    assert.equal(created.status, 201);
+    assert.equal(created.body.status, 'draft');
+    assert.equal(created.body.start_time, '2030-04-10T18:00:00.000Z');
+
+    const updated = await asAdmin(request(app).patch(`/api/events/${created.body.id}`)).send({ price: 3500, status: 'published' });
+
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.price, 3500);
+    assert.equal(readDoc('events', created.body.id).status, 'published');
+  });
+
+  it('rejects an event that ends before it starts', async () => {
+    const res = await asAdmin(request(app).post('/api/events')).send({ ...newEvent, end_time: '2030-04-10T17:00:00Z' });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'Event end_time must be after start_time');
+  });
+
+  it('lists published events only by default', async () => {
+    const res = await request(app).get('/api/events');
+
+    assert.equal(res.status, 200);
+    assert.ok(res.body.some(event => event.id === 'evt_main'));
+    assert.ok(res.body.every(event => event.status === 'published'));
+  });
+
+  it('hides draft events', async () => {
+    assert.equal((await request(app).get('/api/events/evt_draft')).status, 404);
+    assert.equal((await request(app).get('/api/events/evt_main')).body.title, 'Property Seminar');
+  });
+});
+
+describe('ticket checkout', () => {
+  it('sells tickets at the event price and records the event on the order', async () => {
+    const res = await checkout({ eventId: 'evt_second', quantity: 2 });
+
+    assert.equal(res.status, 200);
+    const [lineItem] = sessionParams(res.body.sessionId).line_items;
+    assert.equal(lineItem.price_data.product_data.name, 'Second Seminar');
+    assert.equal(lineItem.price_data.unit_amount, 1500);
+    assert.equal(sessionParams(res.body.sessionId).metadata.eventId, 'evt_second');
+
+    const order = readDoc('ticket_purchases', res.body.orderRef);
+    assert.equal(order.event_id, 'evt_second');
+    assert.equal(order.event_title, 'Second Seminar');
+    assert.equal(order.amount_total, 3000);
+  });
+
+  it('refuses events that are unknown or not open for booking', async () => {
+    assert.equal((await checkout({ eventId: 'evt_missing' })).status, 404);
+    assert.equal((await checkout({ eventId: 'evt_draft' })).status, 400);
+  });
+
+  it('puts the event details in the confirmation email', async () => {
+    const res = await checkout({ customerEmail: 'event.details@example.com' });
+
+    await postWebhook(completeSession(res.body.sessionId));
+
+    const email = sentEmails().find(message => message.to === 'event.details@example.com');
+    assert.match(email.html, /Property Seminar/);
+    assert.match(email.html, /Test Venue/);
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, readDoc, sentEmails, completeSession, postWebhook, checkout, asAdmin } = require('./helpers');
+
+const shipping = { address: '1 High Street', city: 'Chatham', postcode: 'ME4 4AA' };
+
+async function paidBookOrder(body) {
+  const res = await checkout({ productType: 'book', eventId: undefined, ...shipping, ...body });
+  await postWebhook(completeSession(res.body.sessionId));
+  return res.body.orderRef;
+}
+
+function dispatch(orderRef, body) {
+  return asAdmin(request(app).post(`/api/admin/orders/${orderRef}/dispatch`)).send(body);
+}
+
+describe('book fulfilment', () => {
+  it('puts paid book orders on the packing list', async () => {
+    const orderRef = await paidBookOrder({ quantity: 2, customerName: '=HYPERLINK("x")' });
+
+    assert.equal(readDoc('ticket_purchases', orderRef).fulfilment_status, 'awaiting_dispatch');
+
+    const list = await asAdmin(request(app).get('/api/admin/fulfilment/packing-list'));
+    const entry = list.body.orders.find(order => order.orderRef === orderRef);
+    assert.equal(entry.quantity, 2);
+    assert.equal(entry.postcode, 'ME4 4AA');
+
+    const csv = await asAdmin(request(app).get('/api/admin/fulfilment/packing-list')).query({ format: 'csv' });
+    assert.match(csv.headers['content-type'], /text\/csv/);
+    assert.match(csv.text, /^Order Reference,Name,Phone,/);
+    assert.match(csv.text, new RegExp(`${orderRef},"'=HYPERLINK\\(""x""\\)"`));
+  });
+
+  it('dispatches with a tracking link, emails the buyer, then marks delivery', async () => {
+    const orderRef = await paidBookOrder({ customerEmail: 'reader@example.com' });
+
+    const res = await dispatch(orderRef, { carrier: 'royal_mail', trackingNumber: ' AB123456789GB ' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.fulfilment_status, 'dispatched');
+    assert.equal(res.body.carrier, 'Royal Mail');
+    assert.equal(res.body.tracking_url, 'https://www.royalmail.com/track-your-item#/tracking-results/AB123456789GB');
+    assert.equal(res.body.dispatched_by, 'admin');
+
+    const email = sentEmails().find(message => message.to === 'reader@example.com' && /Dispatched/.test(message.subject));
+    assert.match(email.html, /AB123456789GB/);
+
+    assert.equal((await dispatch(orderRef, { carrier: 'dpd', trackingNumber: 'X1' })).status, 409);
+
+    const delivered = await asAdmin(request(app).post(`/api/admin/orders/${orderRef}/deliver`));
+    assert.equal(delivered.body.fulfilment_status, 'delivered');
+
+    const list = await asAdmin(request(app).get('/api/admin/fulfilment/packing-list'));
+    assert.ok(!list.body.orders.some(order => order.orderRef === orderRef));
+  });
+
+  it('cancels fulfilment when an undispatched book is refunded', async () => {
+    const orderRef = await paidBookOrder();
+
+    await asAdmin(request(app).post(`/api/admin/orders/${orderRef}/refund`)).send({});
+
+    assert.equal(readDoc('ticket_purchases', orderRef).fulfilment_status, 'cancelled');
+    assert.equal((await dispatch(orderRef, { carrier: 'dpd', trackingNumber: 'X1' })).status, 400);
+  });
+
+  it('only dispatches book orders, with a carrier and tracking number', async () => {
+    const ticketOrder = (await checkout()).body.orderRef;
+    const bookOrder = await paidBookOrder();
+
+    assert.equal((await dispatch(ticketOrder, { carrier: 'dpd', trackingNumber: 'X1' })).status, 400);
+    assert.equal((await dispatch(bookOrder, { trackingNumber: 'X1' })).status, 400);
+    assert.equal((await dispatch(bookOrder, { carrier: 'Own van', trackingNumber: 'X1', trackingUrl: 'http://x' })).status, 400);
+  });
+});
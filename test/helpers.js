@@ -0,0 +1,367 @@
+// Shared setup for the API tests. Require this before the app: it runs the app on the
+// in-memory storage driver seeded with fixtures, swaps Stripe for an in-process stub
+// (webhook signing stays real), accepts fixed staff ID tokens in place of Firebase Auth
+// and keeps emails in memory instead of sending them.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'seminar-backend-test-'));
+const storeFile = path.join(tempDir, 'store.json');
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  STORAGE_DRIVER: 'json',
+  STORAGE_FILE: storeFile,
+  STRIPE_SECRET_KEY: 'sk_test_stub',
+  STRIPE_WEBHOOK_SECRET: 'whsec_test_secret',
+  EMAIL_USER: 'tickets@example.com',
+  EMAIL_PASSWORD: 'unused',
+  TICKET_SIGNING_SECRET: 'test-ticket-secret',
+  ORDER_ACCESS_SECRET: 'test-order-access-secret',
+  CRON_SECRET: 'test-cron-secret',
+  FRONTEND_URL: 'http://frontend.test',
+  CAPTCHA_PROVIDER: 'stub',
+  CAPTCHA_STUB_TOKEN: 'pass',
+  // Every request comes from the same address; the per-email limits stay on
+  RATE_LIMIT_CHECKOUT_PER_IP: 'off',
+  RATE_LIMIT_LOOKUP_PER_IP: 'off',
+  METRICS_TOKEN: 'test-metrics-token',
+});
+
+// Keep test output readable; errors still show
+if (!process.env.TEST_VERBOSE) {
+  console.log = () => {};
+  console.warn = () => {};
+}
+
+// ============================================
+// Fixtures
+// ============================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const timestamp = date => ({ $timestamp: new Date(date).getTime() });
+
+function eventFixture(id, fields) {
+  const start = Date.now() + 30 * DAY_MS;
+
+  return {
+    id,
+    title: `Event ${id}`,
+    description: '',
+    start_time: timestamp(start),
+    end_time: timestamp(start + 3 * 60 * 60 * 1000),
+    venue: 'Test Venue',
+    price: 2500,
+    capacity: 50,
+    seats_reserved: 0,
+    seats_sold: 0,
+    status: 'published',
+    created_at: timestamp(Date.now()),
+    updated_at: timestamp(Date.now()),
+    ...fields,
+  };
+}
+
+const fixtures = {
+  events: {
+    evt_main: eventFixture('evt_main', { title: 'Property Seminar' }),
+    evt_second: eventFixture('evt_second', { title: 'Second Seminar', price: 1500 }),
+    evt_small: eventFixture('evt_small', { title: 'Small Workshop', capacity: 2 }),
+    evt_draft: eventFixture('evt_draft', { status: 'draft' }),
+  },
+};
+
+fs.writeFileSync(storeFile, JSON.stringify(fixtures));
+
+// ============================================
+// Storage
+// ============================================
+
+const storage = require('../storage');
+const { createDatabase } = storage;
+let database = null;
+
+// Keep hold of the database the app opens, so tests can write to it directly
+storage.createDatabase = driver => {
+  database = createDatabase(driver);
+  return database;
+};
+
+// The store is saved after every write, so tests can read back what the app stored
+function readStore() {
+  return JSON.parse(fs.readFileSync(storeFile, 'utf8'));
+}
+
+function readDoc(collection, id) {
+  return (readStore()[collection] || {})[id];
+}
+
+function listDocs(collection, predicate = () => true) {
+  return Object.values(readStore()[collection] || {}).filter(predicate);
+}
+
+// For setting up states the API can't reach directly, e.g. a retry that has come due
+function updateDoc(collection, id, fields) {
+  return database.collection(collection).doc(id).update(fields);
+}
+
+// ============================================
+// Email Stub
+// ============================================
+
+const nodemailer = require('nodemailer');
+const mailbox = [];
+let mailError = null;
+
+// The app's default Gmail transport comes from nodemailer; give it one that keeps the messages
+nodemailer.createTransport = () => ({
+  async sendMail(message) {
+    if (mailError) {
+      throw mailError;
+    }
+    mailbox.push(message);
+    return { messageId: `<${mailbox.length}@test>` };
+  },
+});
+
+function sentEmails() {
+  return mailbox;
+}
+
+// Make sending fail until called again without an error
+function failEmails(error = null) {
+  mailError = error;
+}
+
+// ============================================
+// Stripe Stub
+// ============================================
+
+const Stripe = require('stripe');
+const realStripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+let idCounter = 0;
+const nextId = prefix => `${prefix}_test_${++idCounter}`;
+
+function stripeNotFound(type, id) {
+  return Object.assign(new Error(`No such ${type}: '${id}'`), { type: 'StripeInvalidRequestError', code: 'resource_missing', statusCode: 404 });
+}
+
+const stripeStub = {
+  // Created objects, kept so tests can look them up; the API methods follow
+  sessionsById: new Map(),
+  couponsById: new Map(),
+  createdSessions: [],
+  eventsById: new Map(),
+
+  checkout: {
+    sessions: {
+      async create(params) {
+        const subtotal = params.line_items.reduce((sum, item) => sum + item.price_data.unit_amount * item.quantity, 0);
+        const coupon = params.discounts ? stripeStub.couponsById.get(params.discounts[0].coupon) : null;
+        const discount = !coupon ? 0
+          : coupon.percent_off ? Math.round(subtotal * coupon.percent_off / 100)
+            : Math.min(coupon.amount_off, subtotal);
+        const id = nextId('cs');
+
+        const session = {
+          id,
+          object: 'checkout.session',
+          url: `https://checkout.stripe.test/${id}`,
+          status: 'open',
+          payment_status: 'unpaid',
+          payment_intent: null,
+          amount_subtotal: subtotal,
+          amount_total: subtotal - discount,
+          total_details: { amount_discount: discount },
+          customer_email: params.customer_email,
+          metadata: params.metadata,
+          created: Math.floor(Date.now() / 1000),
+          // Stripe closes sessions after 24 hours unless asked to sooner
+          expires_at: params.expires_at || Math.floor(Date.now() / 1000) + DAY_MS / 1000,
+        };
+
+        stripeStub.sessionsById.set(id, session);
+        stripeStub.createdSessions.push({ params, session });
+        return session;
+      },
+
+      async retrieve(id) {
+        if (!stripeStub.sessionsById.has(id)) {
+          throw stripeNotFound('checkout.session', id);
+        }
+        return stripeStub.sessionsById.get(id);
+      },
+    },
+  },
+
+  paymentIntents: {
+    async retrieve(id) {
+      return { id, object: 'payment_intent', status: 'succeeded' };
+    },
+  },
+
+  coupons: {
+    async create(params) {
+      const coupon = { id: nextId('coupon'), object: 'coupon', ...params };
+      stripeStub.couponsById.set(coupon.id, coupon);
+      return coupon;
+    },
+  },
+
+  events: {
+    async retrieve(id) {
+      if (!stripeStub.eventsById.has(id)) {
+        throw stripeNotFound('event', id);
+      }
+      return stripeStub.eventsById.get(id);
+    },
+  },
+
+  refunds: {
+    async create(params) {
+      return { id: nextId('re'), object: 'refund', status: 'succeeded', ...params };
+    },
+  },
+
+  webhooks: realStripe.webhooks,
+};
+
+// index.js calls require('stripe')(key); hand it the stub instead
+require.cache[require.resolve('stripe')].exports = () => stripeStub;
+
+// The parameters the app created a Checkout session with
+function sessionParams(sessionId) {
+  return stripeStub.createdSessions.find(({ session }) => session.id === sessionId).params;
+}
+
+// Mark a stub session paid and return the checkout.session.completed event for it
+function completeSession(sessionId) {
+  const session = stripeStub.sessionsById.get(sessionId);
+  Object.assign(session, { status: 'complete', payment_status: 'paid', payment_intent: nextId('pi') });
+  return stripeEvent('checkout.session.completed', session);
+}
+
+function expireSession(sessionId) {
+  const session = stripeStub.sessionsById.get(sessionId);
+  Object.assign(session, { status: 'expired' });
+  return stripeEvent('checkout.session.expired', session);
+}
+
+// Events are kept by ID, as Stripe does, so the admin replay route can fetch them
+function stripeEvent(type, object) {
+  const event = {
+    id: nextId('evt'),
+    object: 'event',
+    type,
+    created: Math.floor(Date.now() / 1000),
+    livemode: false,
+    data: { object: { ...object } },
+  };
+
+  stripeStub.eventsById.set(event.id, event);
+  return event;
+}
+
+// ============================================
+// Auth Stub
+// ============================================
+
+const admin = require('firebase-admin');
+
+// ID tokens are accepted as they are: the token is the user's ID and its role claim
+const STAFF_TOKENS = { 'admin-token': 'admin', 'door-token': 'door_staff' };
+const customClaims = new Map();
+
+Object.defineProperty(admin, 'auth', {
+  configurable: true,
+  value: () => ({
+    async verifyIdToken(idToken) {
+      if (!STAFF_TOKENS[idToken]) {
+        throw Object.assign(new Error('Invalid ID token'), { code: 'auth/argument-error' });
+      }
+      return { uid: idToken.replace(/-token$/, ''), role: STAFF_TOKENS[idToken] };
+    },
+
+    async getUser(uid) {
+      if (!uid.startsWith('user_')) {
+        throw Object.assign(new Error('No user record'), { code: 'auth/user-not-found' });
+      }
+      return { uid, email: `${uid}@example.com`, customClaims: customClaims.get(uid) };
+    },
+
+    async setCustomUserClaims(uid, claims) {
+      customClaims.set(uid, claims);
+    },
+  }),
+});
+
+// ============================================
+// Requests
+// ============================================
+
+const app = require('..');
+
+// Deliver an event to the webhook route the way Stripe does, signed with the endpoint secret
+function postWebhook(event, { secret = process.env.STRIPE_WEBHOOK_SECRET } = {}) {
+  const payload = JSON.stringify(event);
+  const header = realStripe.webhooks.generateTestHeaderString({ payload, secret });
+
+  return request(app)
+    .post('/api/webhooks/stripe')
+    .set('Content-Type', 'application/json')
+    .set('Stripe-Signature', header)
+    .send(payload);
+}
+
+// Requests from signed-in staff
+function asAdmin(req) {
+  return req.set('Authorization', 'Bearer admin-token');
+}
+
+function asDoorStaff(req) {
+  return req.set('Authorization', 'Bearer door-token');
+}
+
+let buyerCounter = 0;
+
+// Start a ticket checkout for one seat at evt_main unless the body says otherwise
+function checkout(body) {
+  return request(app).post('/api/create-checkout-session').send({
+    productType: 'ticket',
+    eventId: 'evt_main',
+    quantity: 1,
+    customerName: 'Test Buyer',
+    customerEmail: `buyer${++buyerCounter}@example.com`,
+    captchaToken: 'pass',
+    ...body,
+  });
+}
+
+// The order access token is the one signed into the Checkout success URL
+function orderToken(sessionId) {
+  return new URL(sessionParams(sessionId).success_url).searchParams.get('token');
+}
+
+module.exports = {
+  app,
+  request,
+  stripeStub,
+  readDoc,
+  listDocs,
+  updateDoc,
+  sentEmails,
+  failEmails,
+  sessionParams,
+  completeSession,
+  expireSession,
+  stripeEvent,
+  postWebhook,
+  checkout,
+  asAdmin,
+  asDoorStaff,
+  orderToken,
+};
@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, stripeStub, readDoc, checkout, completeSession, postWebhook } = require('./helpers');
+const { redact } = require('../observability');
+const { createEmailTransport } = require('../emails/transports');
+
+describe('request IDs', () => {
+  it('echoes a usable X-Request-Id and generates one otherwise', async () => {
+    const echoed = await request(app).get('/health').set('X-Request-Id', 'trace-123');
+    assert.equal(echoed.headers['x-request-id'], 'trace-123');
+
+    const generated = await request(app).get('/health').set('X-Request-Id', 'not a valid id!');
+    assert.match(generated.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+  });
+
+  it('carries the request ID into the order and the Checkout session', async () => {
+    const res = await checkout({}).set('X-Request-Id', 'checkout-req-1');
+    assert.equal(res.status, 200);
+
+    const { params } = stripeStub.createdSessions.at(-1);
+    assert.equal(params.metadata.requestId, 'checkout-req-1');
+    assert.equal(readDoc('ticket_purchases', res.body.orderRef).request_id, 'checkout-req-1');
+  });
+});
+
+describe('metrics', () => {
+  const scrape = () => request(app).get('/api/metrics').set('Authorization', 'Bearer test-metrics-token');
+
+  it('requires the metrics token', async () => {
+    const res = await request(app).get('/api/metrics').set('Authorization', 'Bearer wrong');
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'unauthorized');
+  });
+
+  it('reports checkouts, webhook events and latencies', async () => {
+    const created = await checkout({});
+    await checkout({ captchaToken: undefined });
+    await postWebhook(completeSession(created.body.sessionId));
+
+    const res = await scrape();
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /^text\/plain;.*version=0\.0\.4/);
+    assert.match(res.text, /^checkout_sessions_total\{source="checkout",outcome="created"\} \d+$/m);
+    assert.match(res.text, /^checkout_sessions_total\{source="checkout",outcome="rejected"\} \d+$/m);
+    assert.match(res.text, /^stripe_webhook_events_total\{type="checkout\.session\.completed",outcome="processed"\} \d+$/m);
+    assert.match(res.text, /^http_request_duration_seconds_count\{method="POST",route="\/api\/create-checkout-session",status="200"\} \d+$/m);
+    assert.match(res.text, /^email_deliveries_total\{template="[a-z_]+",outcome="sent"\} \d+$/m);
+  });
+});
+
+describe('log redaction', () => {
+  it('masks personal data and drops secrets', () => {
+    const fields = redact({
+      orderRef: 'TIX-1',
+      customer_email: 'jane.doe@example.com',
+      customerName: 'Jane Doe',
+      token: 'abc',
+      note: 'sent to jane.doe@example.com',
+      err: new Error('No order for jane.doe@example.com'),
+    });
+
+    assert.equal(fields.orderRef, 'TIX-1');
+    assert.equal(fields.customer_email, 'j***@example.com');
+    assert.equal(fields.customerName, '[redacted]');
+    assert.equal('token' in fields, false);
+    assert.equal(fields.note, 'sent to j***@example.com');
+    assert.equal(fields.err.message, 'No order for j***@example.com');
+  });
+
+  it('logs console transport emails without their body or full address', async () => {
+    const lines = [];
+    const log = console.log;
+    console.log = line => lines.push(line);
+
+    try {
+      await createEmailTransport('console').sendMail({
+        to: 'jane.doe@example.com',
+        subject: 'Your access code',
+        text: 'Your code is 123456',
+      });
+    } finally {
+      console.log = log;
+    }
+
+    const output = lines.join('\n');
+    assert.match(output, /Your access code/);
+    assert.match(output, /j\*\*\*@example\.com/);
+    assert.doesNotMatch(output, /jane\.doe|123456/);
+  });
+});
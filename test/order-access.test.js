@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, sentEmails, completeSession, postWebhook, checkout, orderToken } = require('./helpers');
+
+async function paidOrder(body) {
+  const res = await checkout(body);
+  await postWebhook(completeSession(res.body.sessionId));
+  return res.body;
+}
+
+// The one-time code from the latest access code email to `address`
+function emailedCode(address) {
+  const email = sentEmails().filter(message => message.to === address && /access code/.test(message.subject)).pop();
+  return email.html.match(/>(\d{6})</)[1];
+}
+
+describe('order access', () => {
+  it('shows full order details only with the signed token', async () => {
+    const { orderRef, sessionId } = await paidOrder({ customerEmail: 'token.holder@example.com' });
+
+    const anonymous = await request(app).get(`/api/tickets/${orderRef}`);
+    assert.equal(anonymous.body.access, 'public');
+    assert.equal(anonymous.body.customer_email, undefined);
+
+    const forged = await request(app).get(`/api/tickets/${orderRef}`).query({ token: 'forged' });
+    assert.equal(forged.body.access, 'public');
+
+    const owner = await request(app).get(`/api/tickets/${orderRef}`).set('X-Order-Token', orderToken(sessionId));
+    assert.equal(owner.body.access, 'full');
+    assert.equal(owner.body.customer_email, 'token.holder@example.com');
+  });
+
+  it('trades an emailed one-time code for a token, once', async () => {
+    const { orderRef } = await paidOrder({ customerEmail: 'code.user@example.com' });
+
+    const requested = await request(app).post(`/api/tickets/${orderRef}/access-code`).send({ captchaToken: 'pass' });
+    assert.equal(requested.status, 200);
+
+    const code = emailedCode('code.user@example.com');
+    const verified = await request(app).post(`/api/tickets/${orderRef}/verify-code`).send({ code });
+    assert.equal(verified.status, 200);
+
+    const order = await request(app).get(`/api/tickets/${orderRef}`).query({ token: verified.body.token });
+    assert.equal(order.body.access, 'full');
+
+    const reused = await request(app).post(`/api/tickets/${orderRef}/verify-code`).send({ code });
+    assert.equal(reused.status, 401);
+  });
+
+  it('gives up on a code after too many wrong guesses', async () => {
+    const { orderRef } = await paidOrder({ customerEmail: 'guesser@example.com' });
+    await request(app).post(`/api/tickets/${orderRef}/access-code`).send({ captchaToken: 'pass' });
+    const code = emailedCode('guesser@example.com');
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      assert.equal((await request(app).post(`/api/tickets/${orderRef}/verify-code`).send({ code: wrong })).status, 401);
+    }
+
+    const res = await request(app).post(`/api/tickets/${orderRef}/verify-code`).send({ code });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, 'Invalid or expired code');
+  });
+
+  it('answers the same for orders that do not exist', async () => {
+    const res = await request(app).post('/api/tickets/ORD-MISSING/access-code').send({ captchaToken: 'pass' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.message, 'If that order exists, an access code has been sent to the email address used to place it.');
+  });
+});
+
+describe('order link recovery', () => {
+  it('emails signed links for paid orders only', async () => {
+    const paid = await paidOrder({ customerEmail: 'links.buyer@example.com' });
+    const unpaid = (await checkout({ customerEmail: 'links.buyer@example.com' })).body;
+
+    const res = await request(app).post('/api/orders/resend-link').send({ email: 'Links.Buyer@example.com', captchaToken: 'pass' });
+    assert.equal(res.status, 200);
+
+    const email = sentEmails().find(message => message.subject === 'Your order links');
+    assert.match(email.html, new RegExp(`/orders/${paid.orderRef}\\?token=${orderToken(paid.sessionId)}`));
+    assert.doesNotMatch(email.html, new RegExp(unpaid.orderRef));
+  });
+
+  it('needs an email address', async () => {
+    const res = await request(app).post('/api/orders/resend-link').send({ email: 'not-an-email' });
+
+    assert.equal(res.status, 400);
+  });
+});
@@ -0,0 +1,93 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, readDoc, listDocs, checkout, asAdmin, completeSession, expireSession, postWebhook } = require('./helpers');
+
+const ticket = [{ type: 'ticket', eventId: 'evt_main', quantity: 1 }];
+
+async function paidOrder() {
+  const res = await checkout({ items: ticket });
+  await postWebhook(completeSession(res.body.sessionId));
+  return res.body.orderRef;
+}
+
+const patchOrder = (orderRef, body) => asAdmin(request(app).patch(`/api/tickets/${orderRef}`)).send(body);
+const getHistory = orderRef => asAdmin(request(app).get(`/api/tickets/${orderRef}/history`));
+
+describe('order lifecycle', () => {
+  it('refuses a status change the lifecycle does not allow', async () => {
+    const res = await checkout({ items: ticket });
+    await postWebhook(expireSession(res.body.sessionId));
+
+    const patched = await patchOrder(res.body.orderRef, { status: 'pending' });
+
+    assert.equal(patched.status, 409);
+    assert.equal(patched.body.code, 'invalid_transition');
+    assert.deepEqual(patched.body.allowedStatuses, []);
+    assert.equal((await getHistory(res.body.orderRef)).body.status, 'failed');
+  });
+
+  it('lets an admin cancel a completed order, releasing its seats', async () => {
+    const orderRef = await paidOrder();
+    const seatsSold = readDoc('events', 'evt_main').seats_sold;
+
+    const patched = await patchOrder(orderRef, { status: 'cancelled' });
+
+    assert.equal(patched.status, 200);
+    assert.equal(patched.body.status, 'cancelled');
+    assert.equal(patched.body.seats_released, 1);
+    assert.equal(readDoc('events', 'evt_main').seats_sold, seatsSold - 1);
+    assert.ok(listDocs('tickets', doc => doc.order_reference === orderRef).every(doc => doc.status === 'cancelled'));
+  });
+
+  it('sends refunds to the refund route', async () => {
+    const orderRef = await paidOrder();
+
+    const patched = await patchOrder(orderRef, { status: 'refunded' });
+
+    assert.equal(patched.status, 409);
+    assert.equal(patched.body.code, 'use_refund');
+    assert.match(patched.body.error, new RegExp(`/api/admin/orders/${orderRef}/refund`));
+    assert.equal(readDoc('ticket_purchases', orderRef).status, 'completed');
+  });
+
+  it('requires a staff login to read the history', async () => {
+    const orderRef = await paidOrder();
+    const res = await request(app).get(`/api/tickets/${orderRef}/history`);
+
+    assert.equal(res.status, 401);
+  });
+});
+
+describe('GET /api/tickets/:orderReference/history', () => {
+  it('records who changed what, oldest first', async () => {
+    const orderRef = await paidOrder();
+    await patchOrder(orderRef, { customer_phone: '07700 900123' });
+
+    const res = await getHistory(orderRef);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'completed');
+    assert.ok(res.body.allowedStatuses.includes('refunded'));
+
+    const [created, ...changes] = res.body.history;
+    assert.deepEqual(created.changes, { status: { from: null, to: 'pending' } });
+    assert.equal(created.source, 'checkout');
+
+    const paid = changes.find(entry => entry.changes.status);
+    assert.deepEqual(paid.changes.status, { from: 'pending', to: 'completed' });
+    assert.equal(paid.actor, 'stripe');
+    assert.equal(paid.source, 'webhook');
+    assert.ok(!Number.isNaN(Date.parse(paid.created_at)));
+
+    const edited = res.body.history.at(-1);
+    assert.deepEqual(Object.keys(edited.changes), ['customer_phone']);
+    assert.equal(edited.actor, 'admin');
+    assert.equal(edited.source, 'admin');
+  });
+
+  it('returns 404 for an unknown order', async () => {
+    const res = await getHistory('TIX-MISSING');
+
+    assert.equal(res.status, 404);
+  });
+});
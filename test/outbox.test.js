@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+const {
+  app, request, readDoc, updateDoc, sentEmails, failEmails, completeSession, postWebhook, checkout, asAdmin,
+} = require('./helpers');
+const { requiredTransportEnvVars } = require('../emails/transports');
+
+function emailsTo(address) {
+  return sentEmails().filter(message => message.to === address);
+}
+
+function runOutbox() {
+  return request(app).get('/api/cron/send-emails').set('Authorization', 'Bearer test-cron-secret');
+}
+
+async function paidOrder(body) {
+  const res = await checkout(body);
+  await postWebhook(completeSession(res.body.sessionId));
+  return res.body;
+}
+
+describe('email outbox', () => {
+  it('records each email it sends, once per order', async () => {
+    const { orderRef, sessionId } = await paidOrder({ customerEmail: 'outbox@example.com' });
+
+    // A second payment notification for the same order finds the confirmation already queued
+    await postWebhook(completeSession(sessionId));
+
+    const queued = readDoc('email_outbox', `ticket_confirmation:${orderRef}`);
+    assert.equal(queued.status, 'sent');
+    assert.equal(queued.attempts, 1);
+    assert.equal(emailsTo('outbox@example.com').length, 1);
+  });
+
+  it('keeps an email that failed and sends it once its retry is due', async (t) => {
+    t.after(() => failEmails());
+    failEmails(new Error('SMTP unavailable'));
+
+    const { orderRef } = await paidOrder({ customerEmail: 'retry@example.com' });
+    const id = `ticket_confirmation:${orderRef}`;
+
+    assert.equal(readDoc('email_outbox', id).status, 'pending');
+    assert.equal(readDoc('email_outbox', id).last_error, 'SMTP unavailable');
+
+    failEmails();
+    const early = await runOutbox();
+    assert.equal(early.status, 200);
+    assert.equal(emailsTo('retry@example.com').length, 0);
+
+    await updateDoc('email_outbox', id, { next_attempt_at: admin.firestore.Timestamp.fromMillis(Date.now() - 1000) });
+    const due = await runOutbox();
+
+    assert.ok(due.body.sent >= 1);
+    assert.equal(readDoc('email_outbox', id).status, 'sent');
+    assert.equal(readDoc('email_outbox', id).attempts, 2);
+    assert.equal(emailsTo('retry@example.com').length, 1);
+  });
+
+  it('lets an admin retry an email that ran out of attempts', async () => {
+    const { orderRef } = await paidOrder({ customerEmail: 'failed@example.com' });
+    const id = `ticket_confirmation:${orderRef}`;
+    await updateDoc('email_outbox', id, { status: 'failed' });
+
+    const listed = await asAdmin(request(app).get('/api/admin/email-outbox'));
+    assert.ok(listed.body.some(email => email.id === id && email.data === undefined));
+
+    const res = await asAdmin(request(app).post(`/api/admin/email-outbox/${id}/retry`));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'sent');
+    assert.equal(emailsTo('failed@example.com').length, 2);
+  });
+
+  it('needs the cron secret to run', async () => {
+    const res = await request(app).get('/api/cron/send-emails').set('Authorization', 'Bearer wrong');
+
+    assert.equal(res.status, 401);
+  });
+});
+
+describe('email transports', () => {
+  it('only asks for the settings the chosen transport needs', () => {
+    assert.deepEqual(requiredTransportEnvVars('gmail'), ['EMAIL_USER', 'EMAIL_PASSWORD']);
+    assert.deepEqual(requiredTransportEnvVars('smtp'), ['SMTP_HOST']);
+    assert.deepEqual(requiredTransportEnvVars('file'), []);
+  });
+});
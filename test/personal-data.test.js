@@ -0,0 +1,151 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+const { app, request, readDoc, listDocs, updateDoc, checkout, asAdmin, asDoorStaff, completeSession, postWebhook } = require('./helpers');
+const { isGiftAidRetained } = require('../personal-data');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const giftAid = {
+  declared: true,
+  firstName: 'Gina',
+  lastName: 'Giver',
+  houseNameOrNumber: '1',
+  address: 'High Street, Rochester',
+  postcode: 'ME1 1AA',
+};
+
+async function paidOrder(body) {
+  const res = await checkout(body);
+  assert.equal(res.status, 200);
+  await postWebhook(completeSession(res.body.sessionId));
+  return res.body.orderRef;
+}
+
+const exportData = email => asAdmin(request(app).post('/api/admin/personal-data/export')).send({ email });
+const erase = email => asAdmin(request(app).post('/api/admin/personal-data/erase')).send({ email });
+
+function runRetention() {
+  return request(app).get('/api/cron/data-retention').set('Authorization', 'Bearer test-cron-secret');
+}
+
+describe('POST /api/admin/personal-data/export', () => {
+  it('gathers orders, tickets, attendee tickets and emails for an address', async () => {
+    const customerEmail = 'subject@example.com';
+    const orderRef = await paidOrder({ customerEmail });
+    await paidOrder({ attendees: [{ name: 'Sub Ject', email: 'Subject@Example.com' }] });
+
+    const res = await exportData('Subject@example.com');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.orders.map(order => order.order_reference), [orderRef]);
+    assert.equal(res.body.orders[0].tickets.length, 1);
+    assert.ok(res.body.orders[0].history.length > 0);
+    assert.equal(res.body.attendeeTickets.length, 1);
+    assert.ok(res.body.emails.length > 0);
+    assert.ok(res.body.emails.every(email => email.to === customerEmail));
+  });
+
+  it('requires an admin', async () => {
+    const body = { email: 'subject@example.com' };
+
+    assert.equal((await request(app).post('/api/admin/personal-data/export').send(body)).status, 401);
+    assert.equal((await asDoorStaff(request(app).post('/api/admin/personal-data/erase')).send(body)).status, 403);
+  });
+});
+
+describe('POST /api/admin/personal-data/erase', () => {
+  it('anonymises orders but keeps the financial record', async () => {
+    const customerEmail = 'forget.me@example.com';
+    const orderRef = await paidOrder({ customerEmail });
+    const pending = await checkout({ customerEmail });
+
+    const res = await erase(customerEmail);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.orders, [orderRef]);
+    assert.deepEqual(res.body.pendingOrders, [pending.body.orderRef]);
+
+    const order = readDoc('ticket_purchases', orderRef);
+    assert.equal(order.customer_name, '');
+    assert.equal(order.customer_email, '');
+    assert.equal(order.status, 'completed');
+    assert.equal(order.amount_total, 2500);
+    assert.equal(order.erasure_reason, 'request');
+
+    assert.ok(listDocs('tickets', doc => doc.order_reference === orderRef).every(doc => doc.attendee_name === ''));
+    assert.equal(listDocs('email_outbox', email => email.to === customerEmail).length, 0);
+
+    const history = (await asAdmin(request(app).get(`/api/tickets/${orderRef}/history`))).body.history;
+    assert.ok(!JSON.stringify(history).includes(customerEmail));
+
+    const remaining = (await exportData(customerEmail)).body.orders;
+    assert.deepEqual(remaining.map(order => order.order_reference), [pending.body.orderRef]);
+  });
+
+  it('keeps a Gift Aid declaration HMRC may ask for', async () => {
+    const customerEmail = 'gift.aid.donor@example.com';
+    const orderRef = await paidOrder({ customerEmail, donation: 500, giftAid });
+
+    const res = await erase(customerEmail);
+
+    assert.deepEqual(res.body.retained, { [orderRef]: ['gift_aid'] });
+    const order = readDoc('ticket_purchases', orderRef);
+    assert.equal(order.customer_email, '');
+    assert.equal(order.gift_aid.last_name, 'Giver');
+  });
+});
+
+describe('GET /api/cron/data-retention', () => {
+  it('anonymises orders and emails older than the retention period', async () => {
+    const customerEmail = 'olive.oldorder@example.com';
+    const old = await paidOrder({
+      attendees: [{ name: 'Olive Oldorder', email: customerEmail }],
+      customerEmail,
+      customerPhone: '07700 900000',
+    });
+    const recent = await paidOrder({});
+    const longAgo = admin.firestore.Timestamp.fromMillis(Date.now() - 4 * 365 * DAY_MS);
+    await updateDoc('ticket_purchases', old, { created_at: longAgo });
+    const [email] = listDocs('email_outbox', message => message.to === customerEmail);
+    await updateDoc('email_outbox', email.id, { created_at: longAgo });
+
+    const res = await runRetention();
+
+    assert.equal(res.status, 200);
+    assert.ok(res.body.orders >= 1);
+    assert.ok(res.body.emails >= 1);
+    assert.equal(res.body.complete, true);
+
+    const order = readDoc('ticket_purchases', old);
+    assert.equal(order.customer_name, '');
+    assert.equal(order.customer_phone, '');
+    assert.equal(order.items[0].attendees, undefined);
+    assert.equal(order.erasure_reason, 'retention');
+    assert.equal(readDoc('email_outbox', email.id).to, '');
+    assert.notEqual(readDoc('ticket_purchases', recent).customer_email, '');
+
+    const again = await runRetention();
+    assert.equal(again.body.orders, 0);
+  });
+
+  it('requires the cron secret', async () => {
+    assert.equal((await request(app).get('/api/cron/data-retention')).status, 401);
+  });
+});
+
+describe('Gift Aid retention', () => {
+  const order = {
+    status: 'completed',
+    amount_total: 3000,
+    donation_amount: 500,
+    gift_aid: { declared: true },
+    gift_aid_declared_at: '2024-05-01T12:00:00Z',
+  };
+
+  it('keeps a claimable declaration for six years from when it was made', () => {
+    assert.ok(isGiftAidRetained(order, new Date('2030-04-30T12:00:00Z')));
+    assert.ok(!isGiftAidRetained(order, new Date('2030-05-02T12:00:00Z')));
+    assert.ok(!isGiftAidRetained({ ...order, status: 'refunded' }, new Date('2025-01-01T12:00:00Z')));
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, readDoc, sessionParams, completeSession, postWebhook, checkout, asAdmin } = require('./helpers');
+
+function createPromo(body) {
+  return asAdmin(request(app).post('/api/admin/promo-codes')).send(body);
+}
+
+describe('promo codes', () => {
+  it('creates codes in upper case and refuses duplicates and bad discounts', async () => {
+    const created = await createPromo({ code: 'spring10', discount_type: 'percent', discount_value: 10 });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.code, 'SPRING10');
+    assert.equal(created.body.redemption_count, 0);
+
+    assert.equal((await createPromo({ code: 'SPRING10', discount_type: 'percent', discount_value: 10 })).status, 409);
+
+    const tooMuch = await createPromo({ code: 'FREEBIE', discount_type: 'percent', discount_value: 150 });
+    assert.equal(tooMuch.status, 400);
+    assert.equal(tooMuch.body.error, 'A percentage discount cannot be more than 100');
+  });
+
+  it('applies a discount through a Stripe coupon and counts it once paid', async () => {
+    await createPromo({ code: 'FIVEOFF', discount_type: 'fixed', discount_value: 500 });
+
+    const res = await checkout({ quantity: 2, promoCode: ' fiveoff ' });
+    assert.equal(res.status, 200);
+
+    const [discount] = sessionParams(res.body.sessionId).discounts;
+    assert.equal(readDoc('promo_codes', 'FIVEOFF').stripe_coupon_id, discount.coupon);
+    assert.equal(readDoc('ticket_purchases', res.body.orderRef).promo_code, 'FIVEOFF');
+
+    const completed = completeSession(res.body.sessionId);
+    await postWebhook(completed);
+    await postWebhook(completeSession(res.body.sessionId));
+
+    const order = readDoc('ticket_purchases', res.body.orderRef);
+    assert.equal(order.discount_amount, 500);
+    assert.equal(order.amount_total, order.amount_subtotal - 500);
+    assert.equal(readDoc('promo_codes', 'FIVEOFF').redemption_count, 1);
+    assert.equal(readDoc('promo_redemptions', res.body.orderRef).code, 'FIVEOFF');
+  });
+
+  it('enforces usage limits, product types, events and dates', async () => {
+    await createPromo({ code: 'ONCEONLY', discount_type: 'percent', discount_value: 20, max_redemptions_per_customer: 1 });
+    await createPromo({ code: 'BOOKSONLY', discount_type: 'percent', discount_value: 20, product_types: ['book'] });
+    await createPromo({ code: 'SECONDEVENT', discount_type: 'percent', discount_value: 20, event_ids: ['evt_second'] });
+    await createPromo({ code: 'LATER', discount_type: 'percent', discount_value: 20, starts_at: '2099-01-01T00:00:00Z' });
+
+    const first = await checkout({ promoCode: 'ONCEONLY', customerEmail: 'Saver@example.com' });
+    await postWebhook(completeSession(first.body.sessionId));
+    const again = await checkout({ promoCode: 'ONCEONLY', customerEmail: 'saver@example.com' });
+    assert.equal(again.status, 400);
+    assert.equal(again.body.error, 'You have already used this promo code');
+
+    assert.equal((await checkout({ promoCode: 'BOOKSONLY' })).body.error, 'Promo code cannot be used for ticket orders');
+    assert.equal((await checkout({ promoCode: 'SECONDEVENT' })).body.error, 'Promo code cannot be used for this event');
+    assert.equal((await checkout({ promoCode: 'LATER' })).body.error, 'Promo code is not active yet');
+    assert.equal((await checkout({ promoCode: 'NOSUCHCODE' })).body.error, 'Promo code not recognised');
+  });
+
+  it('makes a new coupon when the discount changes', async () => {
+    await createPromo({ code: 'CHANGING', discount_type: 'percent', discount_value: 10 });
+    await checkout({ promoCode: 'CHANGING' });
+    const firstCoupon = readDoc('promo_codes', 'CHANGING').stripe_coupon_id;
+
+    const updated = await asAdmin(request(app).patch('/api/admin/promo-codes/changing')).send({ discount_value: 15 });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.stripe_coupon_id, '');
+
+    await checkout({ promoCode: 'CHANGING' });
+    assert.notEqual(readDoc('promo_codes', 'CHANGING').stripe_coupon_id, firstCoupon);
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, stripeStub, checkout } = require('./helpers');
+
+const ticket = [{ type: 'ticket', eventId: 'evt_main', quantity: 1 }];
+
+describe('rate limits', () => {
+  it('refuses a sixth checkout for the same email within the window', async () => {
+    const customerEmail = 'repeat@example.com';
+
+    for (let i = 0; i < 5; i++) {
+      const res = await checkout({ items: ticket, customerEmail });
+      assert.equal(res.status, 200);
+    }
+
+    const sessionsBefore = stripeStub.createdSessions.length;
+    const res = await checkout({ items: ticket, customerEmail: 'Repeat@Example.com' });
+
+    assert.equal(res.status, 429);
+    assert.equal(res.body.code, 'rate_limited');
+    assert.ok(Number(res.headers['retry-after']) > 0);
+    assert.equal(res.body.retryAfter, Number(res.headers['retry-after']));
+    assert.equal(stripeStub.createdSessions.length, sessionsBefore);
+
+    // Other buyers are unaffected
+    assert.equal((await checkout({ items: ticket })).status, 200);
+  });
+
+  it('limits order link emails per address', async () => {
+    const send = () => request(app).post('/api/orders/resend-link').send({ email: 'lookup@example.com', captchaToken: 'pass' });
+
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await send()).status, 200);
+    }
+
+    const res = await send();
+    assert.equal(res.status, 429);
+    assert.ok(res.headers['retry-after']);
+  });
+
+  it('limits access code guesses per order', async () => {
+    const guess = orderRef => request(app).post(`/api/tickets/${orderRef}/verify-code`).send({ code: '000000' });
+
+    for (let i = 0; i < 10; i++) {
+      assert.equal((await guess('TIX-GUESSED')).status, 401);
+    }
+
+    assert.equal((await guess('TIX-GUESSED')).status, 429);
+    assert.equal((await guess('TIX-OTHER')).status, 401);
+  });
+});
+
+describe('CAPTCHA', () => {
+  it('requires a token on checkout', async () => {
+    const res = await checkout({ items: ticket, captchaToken: undefined });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'captcha_required');
+  });
+
+  it('rejects a token the provider does not accept', async () => {
+    const res = await checkout({ items: ticket, captchaToken: 'robot' });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, 'captcha_failed');
+  });
+
+  it('accepts the token in the X-Captcha-Token header', async () => {
+    const res = await request(app)
+      .post('/api/checkout')
+      .set('X-Captcha-Token', 'pass')
+      .send({ items: ticket, customerName: 'Test Buyer', customerEmail: 'header@example.com' });
+
+    assert.equal(res.status, 200);
+  });
+});
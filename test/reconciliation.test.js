@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+const { app, request, stripeStub, readDoc, updateDoc, checkout, asAdmin, asDoorStaff } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// A pending order whose webhook never came, created two hours ago
+async function stuckOrder(body) {
+  const res = await checkout(body);
+  await updateDoc('ticket_purchases', res.body.orderRef, {
+    created_at: admin.firestore.Timestamp.fromMillis(Date.now() - 2 * HOUR_MS),
+  });
+  return { orderRef: res.body.orderRef, session: stripeStub.sessionsById.get(res.body.sessionId) };
+}
+
+function reconcile(body) {
+  return asAdmin(request(app).post('/api/admin/orders/reconcile')).send(body);
+}
+
+function issueFor(report, orderRef) {
+  return report.discrepancies.find(row => row.orderRef === orderRef);
+}
+
+describe('pending order reconciliation', () => {
+  it('reports without changing anything on a dry run', async () => {
+    const { orderRef, session } = await stuckOrder({});
+    Object.assign(session, { status: 'complete', payment_status: 'paid', payment_intent: 'pi_dry_run' });
+
+    const res = await reconcile({ dryRun: true });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.dryRun, true);
+    assert.deepEqual(
+      [issueFor(res.body, orderRef).issue, issueFor(res.body, orderRef).action],
+      ['paid_but_pending', 'none'],
+    );
+    assert.equal(readDoc('ticket_purchases', orderRef).status, 'pending');
+  });
+
+  it('completes paid orders and fails expired ones the way the webhook would', async () => {
+    const paid = await stuckOrder({ eventId: 'evt_second' });
+    Object.assign(paid.session, { status: 'complete', payment_status: 'paid', payment_intent: 'pi_reconciled' });
+    const expired = await stuckOrder({ eventId: 'evt_second' });
+    expired.session.status = 'expired';
+    const open = await stuckOrder({ eventId: 'evt_second' });
+    const recent = await checkout({ eventId: 'evt_second' });
+
+    const res = await request(app).get('/api/cron/reconcile-orders').set('Authorization', 'Bearer test-cron-secret');
+
+    assert.equal(res.status, 200);
+    assert.equal(issueFor(res.body, paid.orderRef).action, 'completed');
+    assert.equal(issueFor(res.body, expired.orderRef).action, 'failed');
+    assert.equal(issueFor(res.body, open.orderRef), undefined);
+    assert.equal(issueFor(res.body, recent.body.orderRef), undefined);
+
+    const order = readDoc('ticket_purchases', paid.orderRef);
+    assert.equal(order.status, 'completed');
+    assert.equal(order.stripe_payment_intent_id, 'pi_reconciled');
+    assert.equal(readDoc('ticket_purchases', expired.orderRef).status, 'failed');
+    assert.equal(readDoc('ticket_purchases', open.orderRef).status, 'pending');
+  });
+
+  it('reports orders whose session is missing or belongs to another order', async () => {
+    const missing = await stuckOrder({});
+    stripeStub.sessionsById.delete(missing.session.id);
+    const mismatched = await stuckOrder({});
+    mismatched.session.metadata = { ...mismatched.session.metadata, orderRef: 'TIX-OTHER' };
+
+    const res = await reconcile({});
+
+    assert.equal(issueFor(res.body, missing.orderRef).issue, 'session_not_found');
+    assert.equal(issueFor(res.body, mismatched.orderRef).issue, 'session_order_mismatch');
+    assert.equal(readDoc('ticket_purchases', mismatched.orderRef).status, 'pending');
+  });
+
+  it('checks the cut-off and who is asking', async () => {
+    assert.equal((await reconcile({ olderThanMinutes: 0 })).status, 400);
+    assert.equal((await asDoorStaff(request(app).post('/api/admin/orders/reconcile'))).status, 403);
+    assert.equal((await request(app).get('/api/cron/reconcile-orders')).status, 401);
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, readDoc, listDocs, sentEmails, completeSession, stripeEvent, postWebhook, checkout, asAdmin } = require('./helpers');
+
+// Buy tickets and complete the payment, returning the paid order
+async function paidOrder(body) {
+  const res = await checkout(body);
+  await postWebhook(completeSession(res.body.sessionId));
+  return { ...readDoc('ticket_purchases', res.body.orderRef), sessionId: res.body.sessionId };
+}
+
+function orderTickets(orderRef) {
+  return listDocs('tickets', ticket => ticket.order_reference === orderRef);
+}
+
+function emailsTo(address) {
+  return sentEmails().filter(message => message.to === address);
+}
+
+describe('refunds', () => {
+  it('refunds an order in full from the admin route, once', async () => {
+    const order = await paidOrder({ eventId: 'evt_second', quantity: 2, customerEmail: 'full.refund@example.com' });
+    const seatsSold = readDoc('events', 'evt_second').seats_sold;
+
+    const res = await asAdmin(request(app).post(`/api/admin/orders/${order.order_reference}/refund`)).send({});
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.amountRefunded, order.amount_total);
+    assert.equal(readDoc('ticket_purchases', order.order_reference).status, 'refunded');
+    assert.ok(orderTickets(order.order_reference).every(ticket => ticket.status === 'cancelled'));
+    assert.equal(readDoc('events', 'evt_second').seats_sold, seatsSold - 2);
+
+    // Stripe then reports the same running total; it is not counted again
+    await postWebhook(stripeEvent('charge.refunded', {
+      id: 'ch_full',
+      payment_intent: order.stripe_payment_intent_id,
+      amount_refunded: order.amount_total,
+    }));
+
+    assert.equal(readDoc('events', 'evt_second').seats_sold, seatsSold - 2);
+    const refundEmails = emailsTo('full.refund@example.com').filter(email => /Refund Issued/.test(email.subject));
+    assert.equal(refundEmails.length, 1);
+  });
+
+  it('cancels one ticket per ticket price refunded', async () => {
+    const order = await paidOrder({ quantity: 3 });
+
+    await postWebhook(stripeEvent('charge.refunded', {
+      id: 'ch_partial',
+      payment_intent: order.stripe_payment_intent_id,
+      amount_refunded: Math.round(order.amount_total / 2),
+    }));
+
+    const refunded = readDoc('ticket_purchases', order.order_reference);
+    assert.equal(refunded.status, 'partially_refunded');
+    assert.deepEqual(orderTickets(order.order_reference).map(ticket => ticket.status).sort(), ['cancelled', 'valid', 'valid']);
+  });
+
+  it('does not reopen a refunded order when Stripe redelivers its payment', async () => {
+    const order = await paidOrder({ customerEmail: 'redelivered@example.com' });
+    await asAdmin(request(app).post(`/api/admin/orders/${order.order_reference}/refund`)).send({});
+    const emailsBefore = emailsTo('redelivered@example.com').length;
+
+    const res = await postWebhook(completeSession(order.sessionId));
+
+    assert.equal(res.status, 200);
+    assert.equal(readDoc('ticket_purchases', order.order_reference).status, 'refunded');
+    assert.ok(orderTickets(order.order_reference).every(ticket => ticket.status === 'cancelled'));
+    assert.equal(emailsTo('redelivered@example.com').length, emailsBefore);
+  });
+});
+
+describe('disputes', () => {
+  function disputeFor(order, fields) {
+    return {
+      id: `dp_${order.order_reference}`,
+      payment_intent: order.stripe_payment_intent_id,
+      amount: order.amount_total,
+      reason: 'product_not_received',
+      status: 'needs_response',
+      ...fields,
+    };
+  }
+
+  it('holds the tickets while disputed and reinstates them when the dispute is won', async () => {
+    const order = await paidOrder({ quantity: 2 });
+    const dispute = disputeFor(order);
+
+    await postWebhook(stripeEvent('charge.dispute.created', dispute));
+    assert.equal(readDoc('ticket_purchases', order.order_reference).status, 'disputed');
+    assert.ok(orderTickets(order.order_reference).every(ticket => ticket.status === 'suspended'));
+
+    await postWebhook(stripeEvent('charge.dispute.closed', { ...dispute, status: 'won' }));
+    assert.equal(readDoc('ticket_purchases', order.order_reference).status, 'completed');
+    assert.ok(orderTickets(order.order_reference).every(ticket => ticket.status === 'valid'));
+  });
+
+  it('treats a lost dispute as a refund of the disputed amount only', async () => {
+    const order = await paidOrder({ quantity: 2 });
+    const seatsSold = readDoc('events', 'evt_main').seats_sold;
+    const dispute = disputeFor(order, { amount: order.amount_total / 2 });
+
+    await postWebhook(stripeEvent('charge.dispute.created', dispute));
+
+    const refund = await asAdmin(request(app).post(`/api/admin/orders/${order.order_reference}/refund`)).send({});
+    assert.equal(refund.status, 409);
+    assert.equal(refund.body.error, 'Order has an open dispute and cannot be refunded');
+
+    await postWebhook(stripeEvent('charge.dispute.closed', { ...dispute, status: 'lost' }));
+
+    const lost = readDoc('ticket_purchases', order.order_reference);
+    assert.equal(lost.status, 'partially_refunded');
+    assert.equal(lost.amount_refunded, order.amount_total / 2);
+    assert.equal(lost.dispute_status, 'lost');
+    assert.deepEqual(orderTickets(order.order_reference).map(ticket => ticket.status).sort(), ['cancelled', 'valid']);
+    assert.equal(readDoc('events', 'evt_main').seats_sold, seatsSold - 1);
+  });
+});
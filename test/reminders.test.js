@@ -0,0 +1,118 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+const { app, request, readDoc, updateDoc, sentEmails, stripeEvent, completeSession, postWebhook, checkout, asAdmin } = require('./helpers');
+const { dueEventEmail, eventEmailAlreadySent } = require('../reminders');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function runEventEmails() {
+  return request(app).get('/api/cron/event-emails').set('Authorization', 'Bearer test-cron-secret');
+}
+
+function emailsTo(address) {
+  return sentEmails().filter(message => message.to === address);
+}
+
+// A published event, on sale a month out until moveEvent() brings it closer
+async function createEvent(title) {
+  const start = Date.now() + 30 * DAY_MS;
+  const res = await asAdmin(request(app).post('/api/events')).send({
+    title,
+    start_time: new Date(start).toISOString(),
+    end_time: new Date(start + 3 * HOUR_MS).toISOString(),
+    venue: 'Corn Exchange',
+    price: 2000,
+    capacity: 20,
+    status: 'published',
+  });
+  return res.body.id;
+}
+
+function moveEvent(eventId, startsIn) {
+  return asAdmin(request(app).patch(`/api/events/${eventId}`)).send({
+    start_time: new Date(Date.now() + startsIn).toISOString(),
+    end_time: new Date(Date.now() + startsIn + 3 * HOUR_MS).toISOString(),
+  });
+}
+
+// A paid order, paid `paidAgo` ms ago
+async function paidOrder(eventId, customerEmail, paidAgo) {
+  const res = await checkout({ eventId, customerEmail });
+  await postWebhook(completeSession(res.body.sessionId));
+  await updateDoc('ticket_purchases', res.body.orderRef, {
+    paid_at: admin.firestore.Timestamp.fromMillis(Date.now() - paidAgo),
+  });
+  return readDoc('ticket_purchases', res.body.orderRef);
+}
+
+describe('event reminders', () => {
+  it('reminds earlier buyers once, skipping those who just bought and refunded orders', async () => {
+    const eventId = await createEvent('Reminder Seminar');
+    const order = await paidOrder(eventId, 'early.bird@example.com', 10 * DAY_MS);
+    await paidOrder(eventId, 'late.buyer@example.com', 0);
+    const refunded = await paidOrder(eventId, 'refunded.buyer@example.com', 10 * DAY_MS);
+    await postWebhook(stripeEvent('charge.refunded', {
+      id: 'ch_reminder', payment_intent: refunded.stripe_payment_intent_id, amount_refunded: refunded.amount_total,
+    }));
+    await moveEvent(eventId, 20 * HOUR_MS);
+
+    const first = await runEventEmails();
+
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body.sent, { reminder_1d: 1 });
+    assert.equal(first.body.skipped, 1);
+    const [reminder] = emailsTo('early.bird@example.com').filter(message => /^Reminder:/.test(message.subject));
+    // 20 hours away is today or tomorrow, depending on the time of day the tests run
+    assert.match(reminder.subject, /^Reminder: Reminder Seminar is (today|tomorrow)$/);
+    assert.ok(readDoc('ticket_purchases', order.order_reference).reminders_sent[eventId].reminder_1d);
+    const history = await asAdmin(request(app).get(`/api/tickets/${order.order_reference}/history`));
+    const recorded = history.body.history.find(entry => entry.changes[`reminders_sent.${eventId}.reminder_1d`]);
+    assert.deepEqual([recorded.actor, recorded.source], ['system', 'cron']);
+    assert.equal(emailsTo('late.buyer@example.com').length, 1);
+    assert.ok(!emailsTo('refunded.buyer@example.com').some(message => /^Reminder:/.test(message.subject)));
+
+    const again = await runEventEmails();
+    assert.deepEqual(again.body.sent, {});
+    assert.equal(emailsTo('early.bird@example.com').filter(message => /^Reminder:/.test(message.subject)).length, 1);
+  });
+
+  it('thanks attendees after the event', async () => {
+    const eventId = await createEvent('Follow-up Seminar');
+    const order = await paidOrder(eventId, 'attendee@example.com', 10 * DAY_MS);
+    await moveEvent(eventId, -6 * HOUR_MS);
+
+    const res = await runEventEmails();
+
+    assert.equal(res.body.sent.follow_up, 1);
+    assert.ok(emailsTo('attendee@example.com').some(message => message.subject === 'Thank you for coming to Follow-up Seminar'));
+    assert.ok(readDoc('ticket_purchases', order.order_reference).reminders_sent[eventId].follow_up);
+  });
+
+  it('needs the cron secret', async () => {
+    assert.equal((await request(app).get('/api/cron/event-emails')).status, 401);
+  });
+});
+
+describe('due event emails', () => {
+  const start = Date.UTC(2030, 3, 10, 18);
+  const event = { start_time: new Date(start), end_time: new Date(start + 3 * HOUR_MS) };
+
+  it('picks the closest reminder that has come due, then the follow-up', () => {
+    assert.equal(dueEventEmail(event, start - 8 * DAY_MS), null);
+    assert.equal(dueEventEmail(event, start - 6 * DAY_MS).stage, 'reminder_7d');
+    assert.equal(dueEventEmail(event, start - HOUR_MS).stage, 'reminder_1d');
+    assert.equal(dueEventEmail(event, start + 4 * HOUR_MS), null);
+    assert.equal(dueEventEmail(event, start + 6 * HOUR_MS).stage, 'follow_up');
+    assert.equal(dueEventEmail(event, start + 30 * DAY_MS), null);
+  });
+
+  it('treats a later reminder as covering an earlier one', () => {
+    const order = { reminders_sent: { evt: { reminder_1d: '2030-04-09T18:00:00Z' } } };
+
+    assert.ok(eventEmailAlreadySent(order, 'evt', { stage: 'reminder_7d', days: 7 }));
+    assert.ok(!eventEmailAlreadySent(order, 'evt', { stage: 'follow_up' }));
+    assert.ok(!eventEmailAlreadySent(order, 'other', { stage: 'reminder_1d', days: 1 }));
+  });
+});
@@ -0,0 +1,107 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, readDoc, completeSession, stripeEvent, postWebhook, checkout, asAdmin } = require('./helpers');
+
+const shipping = { address: '1 High Street', city: 'Chatham', postcode: 'ME4 4AA' };
+
+async function paidOrder(body) {
+  const res = await checkout(body);
+  await postWebhook(completeSession(res.body.sessionId));
+  return readDoc('ticket_purchases', res.body.orderRef);
+}
+
+function salesReport(query) {
+  return asAdmin(request(app).get('/api/admin/reports/sales')).query(query);
+}
+
+describe('sales reports', () => {
+  const orders = {};
+
+  before(async () => {
+    orders.tickets = await paidOrder({ eventId: 'evt_second', quantity: 2, customerName: '=SUM(A1)' });
+    orders.book = await paidOrder({ productType: 'book', eventId: undefined, ...shipping });
+    orders.refunded = await paidOrder({ eventId: 'evt_main', quantity: 2 });
+    orders.pending = readDoc('ticket_purchases', (await checkout({ eventId: 'evt_main' })).body.orderRef);
+
+    await postWebhook(stripeEvent('charge.refunded', {
+      id: 'ch_report',
+      payment_intent: orders.refunded.stripe_payment_intent_id,
+      amount_refunded: 2500,
+    }));
+  });
+
+  it('totals tickets, books, revenue and refunds', async () => {
+    const res = await salesReport();
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.totals, {
+      orders: 4,
+      paidOrders: 3,
+      ticketsSold: 4,
+      booksSold: 1,
+      donations: 0,
+      grossRevenue: 3000 + 1999 + 5000,
+      discounts: 0,
+      refunds: 2500,
+      netRevenue: 3000 + 1999 + 5000 - 2500,
+    });
+  });
+
+  it('groups totals and filters by product type, event and status', async () => {
+    const byType = await salesReport({ groupBy: 'product_type' });
+    assert.deepEqual(byType.body.groups.map(group => [group.key.product_type, group.grossRevenue]), [
+      ['book', 1999],
+      ['ticket', 8000],
+    ]);
+
+    const byEvent = await salesReport({ productType: 'ticket', groupBy: 'event,status' });
+    assert.deepEqual(byEvent.body.groups.map(group => [group.key.event, group.key.status, group.ticketsSold]), [
+      ['evt_main', 'partially_refunded', 2],
+      ['evt_main', 'pending', 0],
+      ['evt_second', 'completed', 2],
+    ]);
+    assert.equal(byEvent.body.groups[0].eventTitle, 'Property Seminar');
+
+    const oneEvent = await salesReport({ eventId: 'evt_second' });
+    assert.equal(oneEvent.body.totals.grossRevenue, 3000);
+
+    const refunded = await salesReport({ status: 'partially_refunded' });
+    assert.equal(refunded.body.totals.paidOrders, 1);
+  });
+
+  it('filters by date range', async () => {
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    const future = await salesReport({ from: tomorrow });
+    assert.equal(future.body.totals.orders, 0);
+
+    const today = await salesReport({ to: new Date().toISOString().slice(0, 10) });
+    assert.equal(today.body.totals.orders, 4);
+  });
+
+  it('rejects unknown filters and groups', async () => {
+    assert.equal((await salesReport({ groupBy: 'customer' })).status, 400);
+    assert.equal((await salesReport({ from: 'yesterday' })).status, 400);
+    assert.equal((await salesReport({ status: 'lost' })).status, 400);
+    assert.equal((await request(app).get('/api/admin/reports/sales')).status, 401);
+  });
+
+  it('exports matching orders as CSV with amounts in pounds', async () => {
+    const res = await asAdmin(request(app).get('/api/admin/reports/orders.csv')).query({ productType: 'ticket' });
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /text\/csv/);
+
+    const lines = res.text.trim().split('\r\n');
+    assert.match(lines[0], /^Order Reference,Created At,Status,/);
+    assert.equal(lines.length, 1 + 3);
+    assert.ok(!res.text.includes(orders.book.order_reference));
+
+    const ticketLine = lines.find(line => line.startsWith(orders.tickets.order_reference));
+    assert.match(ticketLine, /,'=SUM\(A1\),/);
+    assert.match(ticketLine, /,30\.00,0\.00,30\.00,0\.00,30\.00,/);
+
+    const refundedLine = lines.find(line => line.startsWith(orders.refunded.order_reference));
+    assert.match(refundedLine, /,50\.00,25\.00,25\.00,/);
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryDatabase } = require('../storage/memory');
+const { createDatabase, createOrderRepository } = require('../storage');
+
+function orderData(fields) {
+  return {
+    order_reference: 'TIX-STORE',
+    customer_name: 'Stored Buyer',
+    customer_email: 'stored@example.com',
+    amount_total: 2500,
+    status: 'pending',
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+    ...fields,
+  };
+}
+
+describe('storage drivers', () => {
+  it('picks the database by driver name', () => {
+    assert.ok(createDatabase('memory') instanceof MemoryDatabase);
+    assert.throws(() => createDatabase('postgres'), /Unknown STORAGE_DRIVER "postgres"/);
+  });
+
+  it('keeps json data across restarts', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'seminar-backend-test-')), 'store.json');
+
+    await new MemoryDatabase({ file }).collection('events').doc('evt_saved').set({ title: 'Saved' });
+
+    const reopened = await new MemoryDatabase({ file }).collection('events').doc('evt_saved').get();
+    assert.equal(reopened.data().title, 'Saved');
+  });
+
+  it('pages through a query with startAfter()', async () => {
+    const database = new MemoryDatabase();
+    for (const [id, rank] of [['c', 1], ['a', 2], ['b', 2], ['d', 3]]) {
+      await database.collection('pages').doc(id).set({ rank });
+    }
+    const query = database.collection('pages').orderBy('rank').limit(2);
+
+    const first = await query.get();
+    const second = await query.startAfter(first.docs[1]).get();
+
+    assert.deepEqual(first.docs.map(doc => doc.id), ['c', 'a']);
+    assert.deepEqual(second.docs.map(doc => doc.id), ['b', 'd']);
+  });
+
+  it('refuses undefined values, as Firestore does', async () => {
+    const doc = new MemoryDatabase().collection('events').doc('evt_undefined');
+
+    await assert.rejects(doc.set({ title: 'Event', venue: undefined }), /found in field "venue"/);
+  });
+});
+
+describe('order repository', () => {
+  const database = new MemoryDatabase();
+  const orders = createOrderRepository(async () => database);
+
+  it('adds, reads and updates orders with dates as ISO strings', async () => {
+    await orders.add(orderData());
+
+    const order = await orders.get('TIX-STORE');
+    assert.equal(order.customer_email, 'stored@example.com');
+    assert.match(order.created_at, /^\d{4}-\d{2}-\d{2}T/);
+
+    const updated = await orders.update('TIX-STORE', { status: 'completed' });
+    assert.equal(updated.status, 'completed');
+    assert.ok(updated.updated_at >= order.updated_at);
+  });
+
+  it('finds orders stored under another document ID by their reference', async () => {
+    await database.collection('ticket_purchases').doc('legacy-id').set(orderData({ order_reference: 'TIX-LEGACY' }));
+
+    assert.equal((await orders.get('TIX-LEGACY')).customer_name, 'Stored Buyer');
+    assert.equal(await orders.get('TIX-NONE'), null);
+    assert.equal(await orders.update('TIX-NONE', { status: 'failed' }), null);
+  });
+
+  it('records changes to nested fields against their old values', async () => {
+    await database.collection('ticket_purchases').doc('TIX-NESTED')
+      .set(orderData({ order_reference: 'TIX-NESTED', reminders_sent: { evt: { reminder_7d: 'sent' } } }));
+
+    await orders.update('TIX-NESTED', { 'reminders_sent.evt.reminder_7d': 'sent', 'reminders_sent.evt.reminder_1d': 'sent' });
+
+    const [entry] = await orders.history('TIX-NESTED');
+    assert.deepEqual(entry.changes, { 'reminders_sent.evt.reminder_1d': { from: null, to: 'sent' } });
+  });
+});
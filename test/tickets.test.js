@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, listDocs, updateDoc, sentEmails, completeSession, postWebhook, checkout, asDoorStaff } = require('./helpers');
+
+// Buy tickets for an event and complete the payment, returning the issued tickets
+async function buyTickets(body) {
+  const res = await checkout(body);
+  await postWebhook(completeSession(res.body.sessionId));
+  return { orderRef: res.body.orderRef, tickets: listDocs('tickets', ticket => ticket.order_reference === res.body.orderRef) };
+}
+
+describe('ticket issuing', () => {
+  it('issues one signed ticket per admission and sends their QR codes', async () => {
+    const { orderRef, tickets } = await buyTickets({ quantity: 2, customerEmail: 'qr.codes@example.com' });
+
+    assert.deepEqual(tickets.map(ticket => ticket.admission_number).sort(), [1, 2]);
+    assert.ok(tickets.every(ticket => ticket.status === 'valid' && ticket.checked_in === false));
+    assert.ok(tickets.every(ticket => ticket.code.startsWith(`${ticket.id}.`)));
+
+    const email = sentEmails().find(message => message.to === 'qr.codes@example.com');
+    assert.deepEqual(email.attachments.map(attachment => attachment.filename), ['ticket-1.png', 'ticket-2.png', 'event.ics']);
+    assert.equal(email.attachments[0].cid, `ticket-1@${orderRef}`);
+    assert.match(email.html, new RegExp(tickets[0].code.replace('.', '\\.')));
+  });
+
+  it('does not issue new tickets when the payment is reported twice', async () => {
+    const res = await checkout({ quantity: 2 });
+    const completed = completeSession(res.body.sessionId);
+
+    await postWebhook(completed);
+    await postWebhook(completed);
+
+    assert.equal(listDocs('tickets', ticket => ticket.order_reference === res.body.orderRef).length, 2);
+  });
+});
+
+describe('door check-in', () => {
+  it('admits a ticket once and counts it', async () => {
+    const { tickets: [ticket] } = await buyTickets({ eventId: 'evt_second' });
+
+    const first = await asDoorStaff(request(app).post(`/api/checkin/${ticket.code}`));
+    assert.equal(first.status, 200);
+    assert.equal(first.body.ticket.checked_in, true);
+
+    const second = await asDoorStaff(request(app).post(`/api/checkin/${ticket.code}`));
+    assert.equal(second.status, 409);
+    assert.equal(second.body.error, 'Ticket has already been checked in');
+
+    const counts = await asDoorStaff(request(app).get('/api/events/evt_second/checkins'));
+    assert.equal(counts.body.checkedIn, 1);
+    assert.equal(counts.body.notYetArrived, counts.body.ticketsIssued - 1);
+  });
+
+  it('rejects forged and malformed codes', async () => {
+    const { tickets: [ticket] } = await buyTickets();
+    const forged = `${ticket.id}.AAAAAAAAAAA`;
+
+    assert.equal((await asDoorStaff(request(app).post(`/api/checkin/${forged}`))).status, 404);
+    assert.equal((await asDoorStaff(request(app).post('/api/checkin/not-a-ticket'))).status, 400);
+  });
+
+  it('turns away tickets whose order is no longer paid for', async () => {
+    const { orderRef, tickets: [ticket] } = await buyTickets();
+    await updateDoc('ticket_purchases', orderRef, { status: 'refunded' });
+
+    const res = await asDoorStaff(request(app).post(`/api/checkin/${ticket.code}`));
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.error, 'Order is refunded');
+  });
+});
@@ -0,0 +1,103 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, stripeStub, readDoc, sentEmails, completeSession, expireSession, postWebhook, checkout, asAdmin } = require('./helpers');
+
+function joinWaitlist(body) {
+  return request(app).post('/api/events/evt_small/waitlist').send({ name: 'Waiting Guest', quantity: 1, ...body });
+}
+
+function offerEmails(address) {
+  return sentEmails().filter(message => message.to === address && /^Seats available/.test(message.subject));
+}
+
+// The pending order created for an entry's offer, with its Checkout session
+function offerFor(entryId) {
+  const entry = readDoc('waitlist_entries', entryId);
+  const order = readDoc('ticket_purchases', entry.order_reference);
+  return { entry, order, session: stripeStub.sessionsById.get(order.stripe_session_id) };
+}
+
+describe('event waitlist', () => {
+  const heldSessions = [];
+  const entryIds = {};
+
+  before(async () => {
+    // Fill the two seats at evt_small with checkouts that are still open
+    for (let i = 0; i < 2; i++) {
+      heldSessions.push((await checkout({ eventId: 'evt_small' })).body.sessionId);
+    }
+  });
+
+  it('only takes names while the event cannot fit the party', async () => {
+    const res = await request(app).post('/api/events/evt_main/waitlist')
+      .send({ name: 'Too Early', email: 'early@example.com', quantity: 2 });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.error, 'Tickets are still available for this event');
+  });
+
+  it('adds people to the waitlist in order, once each', async () => {
+    const first = await joinWaitlist({ email: 'First@Example.com', quantity: 2 });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.position, 1);
+    entryIds.first = first.body.id;
+
+    const second = await joinWaitlist({ email: 'second@example.com' });
+    assert.equal(second.body.position, 2);
+    entryIds.second = second.body.id;
+
+    const again = await joinWaitlist({ email: 'first@example.com' });
+    assert.equal(again.status, 409);
+
+    const invalid = await joinWaitlist({ email: 'third@example.com', quantity: 11 });
+    assert.equal(invalid.status, 400);
+
+    const list = await asAdmin(request(app).get('/api/events/evt_small/waitlist'));
+    assert.deepEqual(list.body.entries.map(entry => entry.email), ['first@example.com', 'second@example.com']);
+    assert.equal(list.body.waiting, 2);
+  });
+
+  it('offers freed seats to the first entry they fit, with a longer hold', async () => {
+    await postWebhook(expireSession(heldSessions[0]));
+
+    // One seat is free: the first entry wants two, so the second is offered it
+    assert.equal(readDoc('waitlist_entries', entryIds.first).status, 'waiting');
+    const { entry, order, session } = offerFor(entryIds.second);
+    assert.equal(entry.status, 'offered');
+    assert.equal(order.waitlist_entry_id, entryIds.second);
+    assert.equal(order.customer_email, 'second@example.com');
+    assert.ok(session.expires_at - session.created > 60 * 60);
+    assert.equal(readDoc('events', 'evt_small').seats_reserved, 2);
+
+    const [email] = offerEmails('second@example.com');
+    assert.match(email.html, new RegExp(session.url));
+  });
+
+  it('marks the entry converted when the offer is paid for', async () => {
+    const { order } = offerFor(entryIds.second);
+
+    await postWebhook(completeSession(order.stripe_session_id));
+
+    assert.equal(readDoc('waitlist_entries', entryIds.second).status, 'converted');
+    assert.equal(readDoc('ticket_purchases', order.order_reference).status, 'completed');
+  });
+
+  it('offers seats from a capacity increase', async () => {
+    const res = await asAdmin(request(app).patch('/api/events/evt_small')).send({ capacity: 4 });
+
+    assert.equal(res.status, 200);
+    assert.equal(offerFor(entryIds.first).entry.status, 'offered');
+    assert.equal(offerEmails('first@example.com').length, 1);
+  });
+
+  it('moves an unused offer on to the next entry when it expires', async () => {
+    const next = await joinWaitlist({ email: 'next@example.com', quantity: 2 });
+    const { order } = offerFor(entryIds.first);
+
+    await postWebhook(expireSession(order.stripe_session_id));
+
+    assert.equal(readDoc('waitlist_entries', entryIds.first).status, 'expired');
+    assert.equal(offerFor(next.body.id).entry.status, 'offered');
+    assert.equal(offerEmails('next@example.com').length, 1);
+  });
+});
@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, stripeStub, readDoc, sentEmails, completeSession, stripeEvent, postWebhook, checkout, asAdmin } = require('./helpers');
+
+describe('Stripe webhook', () => {
+  it('rejects deliveries with a bad signature', async () => {
+    const res = await postWebhook(stripeEvent('customer.created', { id: 'cus_test' }), { secret: 'whsec_wrong' });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body, { error: 'Webhook signature verification failed', code: 'invalid_signature' });
+  });
+
+  it('logs each event and skips a second delivery of it', async () => {
+    const { body } = await checkout({ customerEmail: 'twice@example.com' });
+    const completed = completeSession(body.sessionId);
+
+    assert.equal((await postWebhook(completed)).status, 200);
+    const again = await postWebhook(completed);
+
+    assert.equal(again.body.duplicate, true);
+    assert.equal(readDoc('stripe_events', completed.id).status, 'processed');
+    assert.equal(readDoc('stripe_events', completed.id).order_reference, body.orderRef);
+    assert.equal(sentEmails().filter(message => message.to === 'twice@example.com').length, 1);
+  });
+
+  it('acknowledges event types it does not handle', async () => {
+    const event = stripeEvent('customer.created', { id: 'cus_test' });
+    const res = await postWebhook(event);
+
+    assert.equal(res.status, 200);
+    assert.equal(readDoc('stripe_events', event.id).status, 'ignored');
+  });
+});
+
+describe('Stripe event replay', () => {
+  it('replays an event without sending its confirmation again', async () => {
+    const { body } = await checkout({ customerEmail: 'replayed@example.com' });
+    const completed = completeSession(body.sessionId);
+    await postWebhook(completed);
+
+    const res = await asAdmin(request(app).post(`/api/admin/stripe-events/${completed.id}/replay`));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.outcome, 'processed');
+    assert.equal(readDoc('stripe_events', completed.id).attempts, 2);
+    assert.equal(sentEmails().filter(message => message.to === 'replayed@example.com').length, 1);
+  });
+
+  it('leaves a refunded order alone when its payment is replayed', async () => {
+    const { body } = await checkout({ quantity: 2 });
+    const completed = completeSession(body.sessionId);
+    await postWebhook(completed);
+    await asAdmin(request(app).post(`/api/admin/orders/${body.orderRef}/refund`)).send({});
+
+    const res = await asAdmin(request(app).post(`/api/admin/stripe-events/${completed.id}/replay`));
+
+    assert.equal(res.status, 200);
+    assert.equal(readDoc('ticket_purchases', body.orderRef).status, 'refunded');
+  });
+
+  it('reports events Stripe does not know as not found', async () => {
+    const res = await asAdmin(request(app).post('/api/admin/stripe-events/evt_missing/replay'));
+
+    assert.equal(res.status, 404);
+  });
+
+  it('reports other Stripe failures as a server error', async (t) => {
+    t.mock.method(stripeStub.events, 'retrieve', async () => {
+      throw Object.assign(new Error('Request rate limit exceeded'), { type: 'StripeRateLimitError', code: 'rate_limit', statusCode: 429 });
+    });
+
+    const res = await asAdmin(request(app).post('/api/admin/stripe-events/evt_any/replay'));
+
+    assert.equal(res.status, 502);
+    assert.equal(res.body.error, 'Could not retrieve the event from Stripe');
+  });
+
+  it('lists failed events by default', async () => {
+    const res = await asAdmin(request(app).get('/api/admin/stripe-events'));
+
+    assert.equal(res.status, 200);
+    assert.ok(res.body.every(event => event.status === 'failed'));
+  });
+});
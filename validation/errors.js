@@ -0,0 +1,53 @@
+// ============================================
+// Error Responses
+// ============================================
+//
+// Every error the API returns has the same shape:
+//
+//   { "error": "Human-readable message", "code": "machine_readable_code", "fields": { ... } }
+//
+// `code` is stable for clients to branch on; `fields` (validation errors only) maps each
+// failing field path to its message. Internal details — exception messages, stack traces,
+// Stripe and Firestore errors — are logged, never sent.
+
+const DEFAULT_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  410: 'gone',
+  413: 'payload_too_large',
+  429: 'rate_limited',
+  500: 'internal_error',
+  502: 'upstream_error',
+  503: 'unavailable',
+};
+
+const SERVER_ERROR_MESSAGE = 'Something went wrong. Please try again later.';
+
+/**
+ * Send an error response. `extra` may set `code` (defaults by status) and `fields`, and
+ * any other keys are passed through for clients that need them (e.g. `available` on a
+ * sold-out checkout).
+ */
+function sendError(res, status, message, { code, ...extra } = {}) {
+  return res.status(status).json({
+    error: message,
+    code: code || DEFAULT_CODES[status] || 'error',
+    ...extra,
+  });
+}
+
+// The caller logs the real error; the client only learns that something went wrong
+function sendServerError(res) {
+  if (res.headersSent) {
+    return res.end();
+  }
+  return sendError(res, 500, SERVER_ERROR_MESSAGE);
+}
+
+module.exports = {
+  sendError,
+  sendServerError,
+};
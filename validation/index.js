@@ -0,0 +1,49 @@
+// ============================================
+// Request Validation
+// ============================================
+
+const schema = require('./schema');
+const { sendError, sendServerError } = require('./errors');
+
+const REQUEST_PARTS = ['params', 'query', 'body'];
+
+/**
+ * Middleware that checks any of req.params, req.query and req.body against a schema.
+ * Invalid requests get a 400 with code 'validation_failed' and every failing field;
+ * valid ones continue with the cleaned values in place, so handlers only see the
+ * fields the schema declares.
+ */
+function validateRequest(schemas) {
+  return (req, res, next) => {
+    const fields = {};
+    const cleaned = {};
+
+    for (const part of REQUEST_PARTS) {
+      if (!schemas[part]) {
+        continue;
+      }
+
+      const result = schema.check(schemas[part], req[part] === undefined ? {} : req[part], part);
+      if (result.fields) {
+        Object.assign(fields, result.fields);
+      } else {
+        cleaned[part] = result.value;
+      }
+    }
+
+    const paths = Object.keys(fields);
+    if (paths.length > 0) {
+      return sendError(res, 400, `${paths[0]} ${fields[paths[0]]}`, { code: 'validation_failed', fields });
+    }
+
+    Object.assign(req, cleaned);
+    next();
+  };
+}
+
+module.exports = {
+  schema,
+  validateRequest,
+  sendError,
+  sendServerError,
+};
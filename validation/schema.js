@@ -0,0 +1,260 @@
+// ============================================
+// Request Schemas
+// ============================================
+//
+// Small declarative rules for request bodies, query strings and route parameters:
+//
+//   const body = object({ email: email(), quantity: integer({ min: 1, max: 10 }) });
+//   const { value, fields } = check(body, req.body);
+//
+// Routes use them through validateRequest() (see validation/index.js).
+//
+// Every rule checks a value and returns the cleaned value (trimmed strings, numbers
+// parsed from query strings, unknown object keys removed) or an error message. Messages
+// are phrased to follow the field's name ("must be a valid email address"); check()
+// collects them by path, e.g. { 'items[0].quantity': 'must be at most 20' }.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9][0-9 ()-]{5,18}[0-9]$/;
+// Any UK postcode shape, with or without the space, e.g. "ME4 4AA", "sw1a1aa"
+const UK_POSTCODE_PATTERN = /^([A-Z]{1,2}[0-9][A-Z0-9]?) ?([0-9][A-Z]{2})$/i;
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function describeValues(values) {
+  return values.map(value => JSON.stringify(value)).join(', ');
+}
+
+// A rule is { check(value, path, errors) -> cleaned value }. Errors are recorded against
+// the path rather than thrown, so one request reports every problem at once.
+function rule(checkValue) {
+  return {
+    check(value, path, errors) {
+      if (value === undefined) {
+        errors[path] = 'is required';
+        return undefined;
+      }
+
+      const result = checkValue(value, path, errors);
+      if (result && result.error) {
+        errors[path] = result.error;
+        return undefined;
+      }
+      return result ? result.value : undefined;
+    },
+  };
+}
+
+// Missing values (undefined, null or '') are allowed and come back as `defaultValue`
+function optional(inner, defaultValue) {
+  return {
+    check(value, path, errors) {
+      return isMissing(value) ? defaultValue : inner.check(value, path, errors);
+    },
+  };
+}
+
+// For PATCH bodies: any field may be left out, but one that is sent is checked by its
+// rule as it stands (so '' or null can still clear an optional field)
+function partial(shape) {
+  return Object.fromEntries(Object.entries(shape).map(([key, fieldRule]) => [key, {
+    check(value, path, errors) {
+      return value === undefined ? undefined : fieldRule.check(value, path, errors);
+    },
+  }]));
+}
+
+// null is a meaningful value (e.g. "remove this"), but the field must still be sent
+function nullable(inner) {
+  return {
+    check(value, path, errors) {
+      return value === null ? null : inner.check(value, path, errors);
+    },
+  };
+}
+
+function string({ min = 1, max = 200, pattern, message, trim = true, transform } = {}) {
+  return rule((value) => {
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      return { error: 'must be a string' };
+    }
+
+    let text = String(value);
+    if (trim) {
+      text = text.trim();
+    }
+
+    if (text.length < min) {
+      return { error: min === 1 ? 'must not be empty' : `must be at least ${min} characters` };
+    }
+    if (text.length > max) {
+      return { error: `must be at most ${max} characters` };
+    }
+    if (pattern && !pattern.test(text)) {
+      return { error: message || 'is not in a valid format' };
+    }
+
+    return { value: transform ? transform(text) : text };
+  });
+}
+
+function email() {
+  return string({ max: 254, pattern: EMAIL_PATTERN, message: 'must be a valid email address' });
+}
+
+function phone() {
+  return string({ max: 20, pattern: PHONE_PATTERN, message: 'must be a valid phone number' });
+}
+
+// Stored upper case with a single space before the inward code, e.g. "ME4 4AA"
+function ukPostcode() {
+  return string({
+    max: 8,
+    pattern: UK_POSTCODE_PATTERN,
+    message: 'must be a valid UK postcode',
+    transform: text => text.toUpperCase().replace(UK_POSTCODE_PATTERN, '$1 $2'),
+  });
+}
+
+// Firestore document IDs, order references and similar URL-safe identifiers
+function id({ max = 128 } = {}) {
+  return string({ max, pattern: ID_PATTERN, message: 'must contain only letters, numbers, - and _' });
+}
+
+// Whole numbers; strings of digits are accepted too because query strings are always text
+function integer({ min = -Infinity, max = Infinity } = {}) {
+  return rule((value) => {
+    const number = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+
+    if (!Number.isInteger(number)) {
+      return { error: 'must be a whole number' };
+    }
+    if (number < min) {
+      return { error: `must be at least ${min}` };
+    }
+    if (number > max) {
+      return { error: `must be at most ${max}` };
+    }
+    return { value: number };
+  });
+}
+
+function boolean() {
+  return rule((value) => {
+    if (typeof value === 'boolean') {
+      return { value };
+    }
+    if (value === 'true' || value === 'false') {
+      return { value: value === 'true' };
+    }
+    return { error: 'must be true or false' };
+  });
+}
+
+function oneOf(values) {
+  return rule(value => (values.includes(value)
+    ? { value }
+    : { error: `must be one of: ${describeValues(values)}` }));
+}
+
+// Anything new Date() understands; the original value is kept
+function date() {
+  return rule((value) => {
+    if ((typeof value !== 'string' && typeof value !== 'number') || Number.isNaN(new Date(value).getTime())) {
+      return { error: 'must be a valid date' };
+    }
+    return { value };
+  });
+}
+
+function array(item, { min = 0, max = 100 } = {}) {
+  return rule((value, path, errors) => {
+    if (!Array.isArray(value)) {
+      return { error: 'must be a list' };
+    }
+    if (value.length < min) {
+      return { error: `must have at least ${min} ${min === 1 ? 'item' : 'items'}` };
+    }
+    if (value.length > max) {
+      return { error: `must have at most ${max} items` };
+    }
+    return { value: value.map((element, i) => item.check(element, `${path}[${i}]`, errors)) };
+  });
+}
+
+/**
+ * A JSON object with the given fields. `unknown` says what happens to other keys:
+ * 'strip' drops them, 'reject' reports them as errors and 'allow' keeps them unchecked
+ * (for free-form maps such as registration answers). `minKeys` requires that many of the
+ * declared fields to be present, for PATCH bodies.
+ */
+function object(shape, { unknown = 'strip', minKeys = 0 } = {}) {
+  return rule((value, path, errors) => {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      return { error: 'must be an object' };
+    }
+
+    const cleaned = unknown === 'allow' ? { ...value } : {};
+    const prefix = path ? `${path}.` : '';
+
+    for (const [key, fieldRule] of Object.entries(shape)) {
+      const fieldValue = fieldRule.check(value[key], `${prefix}${key}`, errors);
+      if (fieldValue !== undefined) {
+        cleaned[key] = fieldValue;
+      } else {
+        delete cleaned[key];
+      }
+    }
+
+    if (unknown === 'reject') {
+      Object.keys(value)
+        .filter(key => !(key in shape))
+        .forEach((key) => { errors[`${prefix}${key}`] = 'is not an allowed field'; });
+    }
+
+    const present = Object.keys(shape).filter(key => value[key] !== undefined).length;
+    if (present < minKeys) {
+      return { error: `must include at least one of: ${Object.keys(shape).join(', ')}` };
+    }
+
+    return { value: cleaned };
+  });
+}
+
+/**
+ * Check `value` against a rule. Returns { value } with the cleaned value, or { fields }
+ * mapping each failing path to its message. `name` labels the top-level value ('body',
+ * 'query' or 'params') when the rule itself fails, e.g. a body that isn't an object.
+ */
+function check(schema, value, name = 'value') {
+  const errors = {};
+  const cleaned = schema.check(value, '', errors);
+
+  if (Object.keys(errors).length > 0) {
+    const fields = Object.fromEntries(Object.entries(errors).map(([path, message]) => [path || name, message]));
+    return { fields };
+  }
+
+  return { value: cleaned };
+}
+
+module.exports = {
+  optional,
+  partial,
+  nullable,
+  string,
+  email,
+  phone,
+  ukPostcode,
+  id,
+  integer,
+  boolean,
+  oneOf,
+  date,
+  array,
+  object,
+  check,
+};
@@ -0,0 +1,251 @@
+// ============================================
+// Waitlist
+// ============================================
+//
+// People can join the waitlist for an event that can't fit their party. When seats come
+// free (an expired checkout, a refund or a capacity increase) they are offered to the
+// earliest entry they fit: the seats are held under a Checkout session that stays open
+// for WAITLIST_OFFER_MINUTES and its link is emailed. If the session expires unused,
+// checkout.session.expired releases the seats and the offer moves on to the next entry.
+// Entry status: waiting -> offered -> converted, or expired / cancelled.
+
+const { getOrderItems, seatsByEvent } = require('../orders/items');
+const { logger, metrics, checkoutOutcome } = require('../observability');
+
+const WAITLIST_COLLECTION = 'waitlist_entries';
+const MAX_WAITLIST_QUANTITY = 10;
+
+// Stripe Checkout sessions can stay open for between 30 minutes and 24 hours
+const WAITLIST_OFFER_MINUTES = Math.min(
+  Math.max(parseInt(process.env.WAITLIST_OFFER_MINUTES, 10) || 12 * 60, 30),
+  24 * 60 - 5
+);
+
+// e.g. "Saturday 14 March at 6:00 pm", in the events' time zone
+function formatOfferExpiry(date, timeZone) {
+  return date.toLocaleString('en-GB', {
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+    timeZone,
+  }).replace(/, (?=\d+:)/, ' at ');
+}
+
+/**
+ * The waitlist operations. Besides the database (`getDb`, `convertFirestoreData`) they
+ * need the event and checkout functions they offer seats through, and the time zone
+ * offer expiry times are shown in.
+ */
+function createWaitlist({
+  getDb,
+  convertFirestoreData,
+  getEventFromFirestore,
+  getAvailableSeats,
+  validateAttendees,
+  createCheckoutSession,
+  queueEmail,
+  emailEventDetails,
+  eventTimezone,
+}) {
+  async function listWaitlistEntries(eventId) {
+    const db = await getDb();
+
+    const snapshot = await db.collection(WAITLIST_COLLECTION)
+      .where('event_id', '==', eventId)
+      .get();
+
+    return snapshot.docs
+      .map(doc => convertFirestoreData(doc.data()))
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  }
+
+  /**
+   * Add someone to an event's waitlist. `attendees` is optional, as at checkout, unless the
+   * event has required registration questions. Returns { entry, position } or
+   * { status, error }.
+   */
+  async function joinWaitlist(event, { name, email, phone, quantity, attendees }) {
+    const checked = validateAttendees(attendees, quantity, event);
+    if (checked.error) {
+      return { status: 400, error: checked.error };
+    }
+
+    const db = await getDb();
+
+    const normalizedEmail = email.trim().toLowerCase();
+    const active = (await listWaitlistEntries(event.id))
+      .filter(entry => ['waiting', 'offered'].includes(entry.status));
+
+    if (active.some(entry => entry.email === normalizedEmail)) {
+      return { status: 409, error: 'You are already on the waitlist for this event' };
+    }
+
+    const admin = require('firebase-admin');
+    const entryRef = db.collection(WAITLIST_COLLECTION).doc();
+    const now = admin.firestore.Timestamp.now();
+
+    const entry = {
+      id: entryRef.id,
+      event_id: event.id,
+      name: name.trim(),
+      email: normalizedEmail,
+      phone: phone || '',
+      quantity,
+      attendees: checked.attendees,
+      status: 'waiting',
+      order_reference: '',
+      offered_at: null,
+      offer_expires_at: null,
+      created_at: now,
+      updated_at: now,
+    };
+
+    await entryRef.set(entry);
+    logger.info('Waitlist entry added', { entryId: entryRef.id, eventId: event.id, quantity });
+
+    return {
+      entry: convertFirestoreData(entry),
+      position: active.filter(other => other.status === 'waiting').length + 1,
+    };
+  }
+
+  // Move a waitlist entry on from `fromStatus`. Returns false if it was no longer in that state.
+  async function transitionWaitlistEntry(entryId, fromStatus, updates) {
+    const db = await getDb();
+
+    const admin = require('firebase-admin');
+    const entryRef = db.collection(WAITLIST_COLLECTION).doc(entryId);
+
+    return db.runTransaction(async (transaction) => {
+      const entryDoc = await transaction.get(entryRef);
+
+      if (!entryDoc.exists || entryDoc.data().status !== fromStatus) {
+        return false;
+      }
+
+      transaction.update(entryRef, { ...updates, updated_at: admin.firestore.Timestamp.now() });
+      return true;
+    });
+  }
+
+  /**
+   * Offer an event's free seats to its waitlist, earliest entry first. An entry asking for
+   * more seats than are free is passed over but keeps its place. Safe to call whenever
+   * seats may have come free. Returns the number of offers made.
+   */
+  async function offerSeatsToWaitlist(eventId) {
+    const db = await getDb();
+
+    const event = await getEventFromFirestore(eventId);
+
+    if (!event) {
+      return 0;
+    }
+
+    const admin = require('firebase-admin');
+    let available = getAvailableSeats(event);
+    let offers = 0;
+
+    const waiting = available > 0
+      ? (await listWaitlistEntries(eventId)).filter(entry => entry.status === 'waiting')
+      : [];
+
+    for (const entry of waiting) {
+      if (available === 0) {
+        break;
+      }
+      if (entry.quantity > available) {
+        continue;
+      }
+
+      // Another run got to this entry first
+      if (!(await transitionWaitlistEntry(entry.id, 'waiting', { status: 'offered', offered_at: admin.firestore.Timestamp.now() }))) {
+        continue;
+      }
+
+      let result;
+      try {
+        result = await createCheckoutSession({
+          items: [{
+            type: 'ticket',
+            quantity: entry.quantity,
+            eventId,
+            attendees: entry.attendees.length > 0 ? entry.attendees : undefined,
+          }],
+          customerName: entry.name,
+          customerEmail: entry.email,
+          customerPhone: entry.phone,
+        }, { holdMinutes: WAITLIST_OFFER_MINUTES, waitlistEntryId: entry.id });
+      } catch (error) {
+        metrics.checkouts.inc({ source: 'waitlist', outcome: 'error' });
+        await transitionWaitlistEntry(entry.id, 'offered', { status: 'waiting', offered_at: null });
+        throw error;
+      }
+
+      metrics.checkouts.inc({ source: 'waitlist', outcome: checkoutOutcome(result.status) });
+
+      if (result.status === 409) {
+        // The seats were taken in the meantime; the entry keeps its place
+        await transitionWaitlistEntry(entry.id, 'offered', { status: 'waiting', offered_at: null });
+        break;
+      }
+      if (result.status !== 200) {
+        // e.g. the event has stopped selling, or now asks questions this entry didn't answer
+        await transitionWaitlistEntry(entry.id, 'offered', { status: 'cancelled', cancel_reason: result.body.error });
+        continue;
+      }
+
+      const expiresAt = new Date(result.body.expiresAt);
+      await db.collection(WAITLIST_COLLECTION).doc(entry.id).update({
+        order_reference: result.body.orderRef,
+        offer_expires_at: admin.firestore.Timestamp.fromDate(expiresAt),
+        updated_at: admin.firestore.Timestamp.now(),
+      });
+
+      await queueEmail({
+        to: entry.email,
+        template: 'waitlist_offer',
+        data: {
+          name: entry.name,
+          quantity: entry.quantity,
+          event: emailEventDetails(event),
+          checkoutUrl: result.body.url,
+          expiresAt: formatOfferExpiry(expiresAt, eventTimezone),
+        },
+        key: `waitlist_offer:${entry.id}`,
+      });
+
+      logger.info('Waitlist seats offered', { entryId: entry.id, eventId, quantity: entry.quantity });
+      available -= entry.quantity;
+      offers++;
+    }
+
+    return offers;
+  }
+
+  // Offer the seats an order has given back to the waitlists of its events
+  async function offerReleasedSeats(order) {
+    for (const eventId of seatsByEvent(getOrderItems(order)).keys()) {
+      await offerSeatsToWaitlist(eventId);
+    }
+  }
+
+  return {
+    listWaitlistEntries,
+    joinWaitlist,
+    transitionWaitlistEntry,
+    offerSeatsToWaitlist,
+    offerReleasedSeats,
+  };
+}
+
+module.exports = {
+  WAITLIST_COLLECTION,
+  MAX_WAITLIST_QUANTITY,
+  WAITLIST_OFFER_MINUTES,
+  formatOfferExpiry,
+  createWaitlist,
+};